@@ -47,6 +47,7 @@ import {
 import { parseResponse, parseQuests } from './src/systems/generation/parser.js';
 import { updateRPGData, testExternalAPIConnection, getAvailableConnectionProfiles } from './src/systems/generation/apiClient.js';
 import { onGenerationStarted } from './src/systems/generation/injector.js';
+import { beginStreamParse } from './src/systems/generation/streamParser.js';
 // Rendering modules
 import { getSafeThumbnailUrl } from './src/utils/avatars.js';
 import { isSyntheticTrackerMessage } from './src/utils/messageGuards.js';
@@ -125,6 +126,8 @@ import {
     updatePersonaAvatar,
     clearExtensionPrompts,
     onGenerationEnded,
+    onGenerationStopped,
+    onStreamTokenReceived,
     initHistoryInjection,
     initDoomCounterListener
 } from './src/systems/integration/sillytavern.js';
@@ -151,6 +154,12 @@ import { waitForAliasDecisions } from './src/systems/features/characterAliases.j
 import { initMobileQuickJump, refreshMobileQuickJump } from './src/systems/ui/mobileQuickJump.js';
 // Context Inspector — see what DES is injecting into the prompt
 import { initInspector } from './src/systems/generation/inspector.js';
+// Public API — window.DES_API for other extensions
+import { initPublicApi } from './src/systems/integration/publicApi.js';
+// Slash commands — the /des-* family for STscript and Quick Replies
+import { registerSlashCommands } from './src/systems/integration/slashCommands.js';
+// Macros — {{des_*}} for Author's Notes, cards and prompts
+import { registerMacros } from './src/systems/integration/macros.js';
 // ============ DEBUG: Module loaded successfully ============
 console.log('[Dooms Tracker] ✅ All imports resolved successfully. Module body executing.');
 function updatePortraitEnhancementSettingsVisibility() {
@@ -242,26 +251,29 @@ async function addExtensionSettings() {
  * Populates the Connection Profile dropdown from the Connection Manager extension.
  */
 function populateConnectionProfileDropdown() {
-    const $select = $('#rpg-connection-profile');
-    if (!$select.length) return;
-
-    const currentValue = extensionSettings.connectionProfile || '';
-    $select.empty();
-    $select.append('<option value="">Use Current</option>');
-
     const profiles = getAvailableConnectionProfiles();
-    for (const name of profiles) {
-        $select.append($('<option>').val(name).text(name));
-    }
-
-    // Restore saved value; if saved profile no longer exists, reset
-    if (currentValue && profiles.includes(currentValue)) {
-        $select.val(currentValue);
-    } else if (currentValue && !profiles.includes(currentValue)) {
+    const fill = ($select, currentValue, reset) => {
+        if (!$select.length) return;
+        $select.empty();
+        $select.append('<option value="">Use Current</option>');
+        for (const name of profiles) {
+            $select.append($('<option>').val(name).text(name));
+        }
+        // Restore saved value; if saved profile no longer exists, reset
+        if (currentValue && profiles.includes(currentValue)) {
+            $select.val(currentValue);
+        } else if (currentValue) {
+            reset();
+            saveSettings();
+            $select.val('');
+        }
+    };
+    fill($('#rpg-connection-profile'), extensionSettings.connectionProfile || '', () => {
         extensionSettings.connectionProfile = '';
-        saveSettings();
-        $select.val('');
-    }
+    });
+    fill($('#rpg-tracker-repair-profile'), extensionSettings.trackerRepair?.connectionProfile || '', () => {
+        extensionSettings.trackerRepair.connectionProfile = '';
+    });
 }
 /**
  * Shows/hides UI elements based on the current generation mode.
@@ -271,6 +283,9 @@ function populateConnectionProfileDropdown() {
  */
 function updateGenerationModeUI() {
     const mode = extensionSettings.generationMode || 'together';
+    // Tracker repair is a together-mode recovery pass; the other modes
+    // already make a dedicated tracker request every turn.
+    $('#rpg-tracker-repair-settings').toggle(mode === 'together');
     if (mode === 'together') {
         $('#rpg-manual-update').hide();
         $('#rpg-auto-update-container').hide();
@@ -605,6 +620,71 @@ async function loadSettingsTemplate() {
         initInspectorModal();
         console.log('[Dooms Tracker] initInspectorModal() OK');
     } catch (e) { console.error('[Dooms Tracker] initInspectorModal() FAILED:', e); }
+    try {
+        const { initBackfillModal } = await import('./src/systems/ui/backfillModal.js');
+        initBackfillModal();
+        console.log('[Dooms Tracker] initBackfillModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initBackfillModal() FAILED:', e); }
+    try {
+        const { initTrackerTimelineModal } = await import('./src/systems/ui/trackerTimelineModal.js');
+        initTrackerTimelineModal();
+        console.log('[Dooms Tracker] initTrackerTimelineModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initTrackerTimelineModal() FAILED:', e); }
+    try {
+        const { initChatBundleModal } = await import('./src/systems/ui/chatBundleModal.js');
+        initChatBundleModal();
+        console.log('[Dooms Tracker] initChatBundleModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initChatBundleModal() FAILED:', e); }
+    try {
+        const { initEditHistoryModal } = await import('./src/systems/ui/editHistoryModal.js');
+        initEditHistoryModal();
+        console.log('[Dooms Tracker] initEditHistoryModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initEditHistoryModal() FAILED:', e); }
+    try {
+        const { initSettingsBackupModal } = await import('./src/systems/ui/settingsBackupModal.js');
+        initSettingsBackupModal();
+        console.log('[Dooms Tracker] initSettingsBackupModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initSettingsBackupModal() FAILED:', e); }
+    try {
+        const { initPresetPacksModal } = await import('./src/systems/ui/presetPacksModal.js');
+        initPresetPacksModal();
+        console.log('[Dooms Tracker] initPresetPacksModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initPresetPacksModal() FAILED:', e); }
+    try {
+        const { initCalendarModal } = await import('./src/systems/ui/calendarModal.js');
+        initCalendarModal();
+        console.log('[Dooms Tracker] initCalendarModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initCalendarModal() FAILED:', e); }
+    try {
+        const { initTensionChartModal } = await import('./src/systems/ui/tensionChartModal.js');
+        initTensionChartModal();
+        console.log('[Dooms Tracker] initTensionChartModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initTensionChartModal() FAILED:', e); }
+    try {
+        const { initTwistJournalModal } = await import('./src/systems/ui/twistJournalModal.js');
+        initTwistJournalModal();
+        console.log('[Dooms Tracker] initTwistJournalModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initTwistJournalModal() FAILED:', e); }
+    try {
+        const { initStoryMetersModal } = await import('./src/systems/ui/storyMetersModal.js');
+        initStoryMetersModal();
+        console.log('[Dooms Tracker] initStoryMetersModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initStoryMetersModal() FAILED:', e); }
+    try {
+        const { initWorldDecksModal } = await import('./src/systems/ui/worldDecksModal.js');
+        initWorldDecksModal();
+        console.log('[Dooms Tracker] initWorldDecksModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initWorldDecksModal() FAILED:', e); }
+    try {
+        const { initKnifePacksModal } = await import('./src/systems/ui/knifePacksModal.js');
+        initKnifePacksModal();
+        console.log('[Dooms Tracker] initKnifePacksModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initKnifePacksModal() FAILED:', e); }
+    try {
+        const { initPacingProfilesModal } = await import('./src/systems/ui/pacingProfilesModal.js');
+        initPacingProfilesModal();
+        console.log('[Dooms Tracker] initPacingProfilesModal() OK');
+    } catch (e) { console.error('[Dooms Tracker] initPacingProfilesModal() FAILED:', e); }
     // The FAB was built at startup; now that the popup exists, fill its
     // per-button toggle list and stamp the current theme on the modal.
     if (typeof window.__doomsFabPopulateToggles === 'function') window.__doomsFabPopulateToggles();
@@ -684,6 +764,10 @@ function bindSettingsUI() {
         extensionSettings.compactPrompts = $(this).prop('checked');
         saveSettings();
     });
+    $('#rpg-toggle-tracker-patch').on('change', function () {
+        extensionSettings.trackerPatchMode = $(this).prop('checked');
+        saveSettings();
+    });
     $('#rpg-restore-defaults').on('click', async function () {
         const confirmed = await callGenericPopup(
             'Restore the default Doom\'s Enhancement Suite setup?<br><br>' +
@@ -1201,6 +1285,28 @@ function bindSettingsUI() {
         updateChatSceneHeaders();
     });
 
+    // ── Calendar & Clock (world clock engine) ──
+    const _refreshWorldClock = () => {
+        renderInfoBox();
+        updateChatSceneHeaders();
+    };
+    $('#rpg-toggle-world-clock').on('change', function () {
+        extensionSettings.calendar.enabled = $(this).prop('checked');
+        $('#rpg-world-clock-options').toggle(extensionSettings.calendar.enabled);
+        saveSettings();
+        _refreshWorldClock();
+    });
+    $('#rpg-world-clock-calendar').on('change', function () {
+        extensionSettings.calendar.activeCalendar = String($(this).val());
+        saveSettings();
+        _refreshWorldClock();
+    });
+    $('#rpg-toggle-world-clock-warn').on('change', function () {
+        extensionSettings.calendar.warnBackwards = $(this).prop('checked');
+        saveSettings();
+        updateChatSceneHeaders();
+    });
+
     // ── Bunny Mo Integration ──
     // No toggle — integration is always on. injectFullSheetButtons fires
     // per-message in the CHARACTER_MESSAGE_RENDERED handler, plus once at
@@ -1499,6 +1605,19 @@ function bindSettingsUI() {
         extensionSettings.connectionProfile = String($(this).val());
         saveSettings();
     });
+    // ── Tracker repair (together mode) ──
+    $('#rpg-toggle-tracker-repair').on('change', function () {
+        extensionSettings.trackerRepair.enabled = $(this).prop('checked');
+        saveSettings();
+    });
+    $('#rpg-tracker-repair-retries').on('change', function () {
+        extensionSettings.trackerRepair.retries = parseInt(String($(this).val()), 10) || 1;
+        saveSettings();
+    });
+    $('#rpg-tracker-repair-profile').on('change', function () {
+        extensionSettings.trackerRepair.connectionProfile = String($(this).val());
+        saveSettings();
+    });
     // ── History Persistence settings ──
     $('#rpg-toggle-history-persistence').on('change', function () {
         if (!extensionSettings.historyPersistence) {
@@ -1748,6 +1867,8 @@ function bindSettingsUI() {
     $('#rpg-update-depth').val(extensionSettings.updateDepth);
     $('#rpg-toggle-narrator').prop('checked', extensionSettings.narratorMode);
     $('#rpg-skip-guided-mode').val(extensionSettings.skipInjectionsForGuided);
+    $('#rpg-toggle-tracker-repair').prop('checked', !!extensionSettings.trackerRepair.enabled);
+    $('#rpg-tracker-repair-retries').val(String(extensionSettings.trackerRepair.retries || 1));
     populateConnectionProfileDropdown();
     updateGenerationModeUI();
     // Display
@@ -1757,6 +1878,7 @@ function bindSettingsUI() {
     $('#rpg-toggle-mobile-compose').prop('checked', !!extensionSettings.mobileComposeOverlay);
     $('#rpg-toggle-whats-new').prop('checked', !extensionSettings.whatsNewOptOut);
     $('#rpg-toggle-compact-prompts').prop('checked', extensionSettings.compactPrompts !== false);
+    $('#rpg-toggle-tracker-patch').prop('checked', !!extensionSettings.trackerPatchMode);
     $('#rpg-toggle-thoughts').prop('checked', extensionSettings.showCharacterThoughts);
     $('#rpg-toggle-quests').prop('checked', extensionSettings.showQuests);
     // Lock Icons toggle removed — lock UI disabled until wired into scene tracker
@@ -1865,6 +1987,10 @@ function bindSettingsUI() {
     $('#rpg-st-quest-text-color').val(st.questTextColor || st.questIconColor || '#f0c040');
     $('#rpg-st-events-color').val(st.eventsTextColor || '#999999');
     applySceneTrackerSettings();
+    // Calendar & Clock (the calendar dropdown is filled by initCalendarModal)
+    $('#rpg-toggle-world-clock').prop('checked', !!extensionSettings.calendar.enabled);
+    $('#rpg-world-clock-options').toggle(!!extensionSettings.calendar.enabled);
+    $('#rpg-toggle-world-clock-warn').prop('checked', extensionSettings.calendar.warnBackwards !== false);
     // Feature pills
     $('#rpg-toggle-html-prompt').prop('checked', extensionSettings.enableHtmlPrompt);
     $('#rpg-toggle-dialogue-coloring').prop('checked', extensionSettings.enableDialogueColoring);
@@ -3183,9 +3309,10 @@ jQuery(async () => {
             // original relative registration order within each event type.
             registerAllEvents({
                 [event_types.MESSAGE_SENT]: onMessageSent,
-                [event_types.GENERATION_STARTED]: [onGenerationStarted, onGenerationStartedContinueRevert],
+                [event_types.GENERATION_STARTED]: [onGenerationStarted, onGenerationStartedContinueRevert, beginStreamParse],
+                [event_types.STREAM_TOKEN_RECEIVED]: onStreamTokenReceived,
                 [event_types.MESSAGE_RECEIVED]: onMessageReceived,
-                [event_types.GENERATION_STOPPED]: [onGenerationEnded, onGenerationStoppedBubbleSafetyNet],
+                [event_types.GENERATION_STOPPED]: [onGenerationStopped, onGenerationStoppedBubbleSafetyNet],
                 [event_types.GENERATION_ENDED]: onGenerationEnded,
                 [event_types.CHAT_CHANGED]: [onCharacterChanged, updatePersonaAvatar, clearSessionAvatarPrompts, clearPortraitCache, clearExpressionSyncCache, clearStatsCache, onChatChangedTtsCleanup, onChatChangedDecorations, refreshMobileQuickJump],
                 [event_types.MESSAGE_SWIPED]: [onMessageSwiped, onMessageSwipedBubbles, injectFullSheetButtonForMessage, syncTrackerJsonForMessage],
@@ -3213,6 +3340,11 @@ jQuery(async () => {
         if (chat && chat.length > 0) {
             onCharacterChanged();
         }
+        // Public API for other extensions — after our own handlers, so its
+        // relayed events fire once DES has finished with them.
+        try { initPublicApi(); } catch (e) { console.error('[Dooms Tracker] initPublicApi() FAILED:', e); }
+        try { registerSlashCommands(); } catch (e) { console.error('[Dooms Tracker] registerSlashCommands() FAILED:', e); }
+        try { registerMacros(); } catch (e) { console.error('[Dooms Tracker] registerMacros() FAILED:', e); }
         console.log('[Dooms Tracker] ✅ Extension loaded successfully.');
         // ── What's New screen (desktop, once per release, opt-out) ──
         // The gate is three cheap checks; the module, its CSS, and the
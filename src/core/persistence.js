@@ -41,6 +41,436 @@ function validateSettings(settings) {
     }
     return true;
 }
+/**
+ * Runs the settings migrations newer than settings.settingsVersion, in place.
+ * Only the settings object changes: no saves, chat data or portrait uploads,
+ * so it also works on a detached copy (a backup being restored).
+ * loadSettings() runs the side effects itself, including version 24 (portraits
+ * moving to disk), which bumps the version once the uploads finish.
+ * @param {Object} settings - Saved settings merged over the defaults
+ * @param {Object} savedSettings - The saved blob alone, for keys whose default changed
+ * @returns {boolean} Whether anything changed
+ */
+export function migrateSettings(settings, savedSettings) {
+    const currentVersion = settings.settingsVersion || 1;
+    let settingsChanged = false;
+    // Migration to version 2: Enable dynamic weather for existing users
+    if (currentVersion < 2) {
+        settings.enableDynamicWeather = true;
+        settings.settingsVersion = 2;
+        settingsChanged = true;
+    }
+    // Migration to version 3: Convert text trackers to JSON format
+    // (loadSettings() converts the chat's tracker text itself)
+    if (currentVersion < 3) {
+        settings.settingsVersion = 3;
+        settingsChanged = true;
+    }
+    // Migration to version 4: Enable FAB widgets by default
+    if (currentVersion < 4) {
+        if (!settings.mobileFabWidgets) {
+            settings.mobileFabWidgets = {};
+        }
+        settings.mobileFabWidgets.enabled = true;
+        settings.mobileFabWidgets.weatherIcon = { enabled: true };
+        settings.mobileFabWidgets.weatherDesc = { enabled: true };
+        settings.mobileFabWidgets.clock = { enabled: true };
+        settings.mobileFabWidgets.date = { enabled: true };
+        settings.mobileFabWidgets.location = { enabled: true };
+        settings.mobileFabWidgets.stats = { enabled: true };
+        settings.mobileFabWidgets.attributes = { enabled: true };
+        settings.settingsVersion = 4;
+        settingsChanged = true;
+    }
+    // Migration to version 5: Add opacity properties for all colors
+    if (currentVersion < 5) {
+        if (!settings.customColors) {
+            settings.customColors = {};
+        }
+        if (settings.customColors.bgOpacity === undefined) settings.customColors.bgOpacity = 100;
+        if (settings.customColors.accentOpacity === undefined) settings.customColors.accentOpacity = 100;
+        if (settings.customColors.textOpacity === undefined) settings.customColors.textOpacity = 100;
+        if (settings.customColors.highlightOpacity === undefined) settings.customColors.highlightOpacity = 100;
+        settings.settingsVersion = 5;
+        settingsChanged = true;
+    }
+    // Migration to version 6: Initialize lorebook manager settings
+    if (currentVersion < 6) {
+        if (!settings.lorebook) {
+            settings.lorebook = {
+                enabled: true,
+                campaigns: {},
+                campaignOrder: [],
+                collapsedCampaigns: [],
+                expandedBooks: [],
+                lastActiveTab: 'all',
+                lastFilter: 'all',
+                lastSearch: ''
+            };
+        }
+        settings.settingsVersion = 6;
+        settingsChanged = true;
+    }
+    // Migration to version 7: Add new optional infoBox widgets (moonPhase, tension, timeSinceRest, conditions, terrain)
+    // These were added after many users already had saved settings, so old saves won't have them.
+    if (currentVersion < 7) {
+        const widgets = settings.trackerConfig?.infoBox?.widgets;
+        if (widgets) {
+            if (!widgets.moonPhase)     widgets.moonPhase     = { enabled: false, persistInHistory: false };
+            if (!widgets.tension)       widgets.tension       = { enabled: false, persistInHistory: false };
+            if (!widgets.timeSinceRest) widgets.timeSinceRest = { enabled: false, persistInHistory: false };
+            if (!widgets.conditions)    widgets.conditions    = { enabled: false, persistInHistory: false };
+            if (!widgets.terrain)       widgets.terrain       = { enabled: false, persistInHistory: false };
+        }
+        // Also migrate all saved presets so they get the new widgets too
+        const presets = settings.presetManager?.presets;
+        if (presets) {
+            for (const presetId of Object.keys(presets)) {
+                const presetWidgets = presets[presetId]?.trackerConfig?.infoBox?.widgets;
+                if (presetWidgets) {
+                    if (!presetWidgets.moonPhase)     presetWidgets.moonPhase     = { enabled: false, persistInHistory: false };
+                    if (!presetWidgets.tension)       presetWidgets.tension       = { enabled: false, persistInHistory: false };
+                    if (!presetWidgets.timeSinceRest) presetWidgets.timeSinceRest = { enabled: false, persistInHistory: false };
+                    if (!presetWidgets.conditions)    presetWidgets.conditions    = { enabled: false, persistInHistory: false };
+                    if (!presetWidgets.terrain)       presetWidgets.terrain       = { enabled: false, persistInHistory: false };
+                }
+            }
+        }
+        settings.settingsVersion = 7;
+        settingsChanged = true;
+    }
+    // Migration to version 8: Sync sceneTracker show-flags → infoBox widget enabled flags.
+    // Before this version the two settings were independent; users who turned on the
+    // Scene Tracker show-toggle (thinking it would make the AI generate the field) had
+    // sceneTracker.showX = true but widgets[x].enabled = false, so the AI never produced
+    // the field. This migration copies the user's intent from showX into widgets[x].enabled.
+    if (currentVersion < 8) {
+        const st = settings.sceneTracker || {};
+        const widgets = settings.trackerConfig?.infoBox?.widgets;
+        if (widgets) {
+            const syncPairs = [
+                ['showMoonPhase',    'moonPhase'],
+                ['showTension',      'tension'],
+                ['showTimeSinceRest','timeSinceRest'],
+                ['showConditions',   'conditions'],
+                ['showTerrain',      'terrain'],
+            ];
+            for (const [showKey, widgetKey] of syncPairs) {
+                if (st[showKey] === true) {
+                    if (!widgets[widgetKey]) widgets[widgetKey] = { persistInHistory: false };
+                    widgets[widgetKey].enabled = true;
+                }
+            }
+        }
+        settings.settingsVersion = 8;
+        settingsChanged = true;
+    }
+    // Migration to version 9: Ensure core infoBox widgets (time, date, location, recentEvents)
+    // are always enabled. These are fundamental fields that should never be disabled — but
+    // users who had settings saved from an earlier buggy state could have them as enabled:false,
+    // causing the AI to skip them entirely and the ticker panel to show only optional fields.
+    if (currentVersion < 9) {
+        const widgets = settings.trackerConfig?.infoBox?.widgets;
+        if (widgets) {
+            const coreWidgets = ['time', 'date', 'location', 'recentEvents'];
+            for (const key of coreWidgets) {
+                if (!widgets[key]) widgets[key] = { persistInHistory: true };
+                widgets[key].enabled = true;
+            }
+        }
+        settings.settingsVersion = 9;
+        settingsChanged = true;
+    }
+
+    // Migration to version 10: Add Doom Counter defaults
+    if (currentVersion < 10) {
+        if (!settings.doomCounter) {
+            settings.doomCounter = {
+                enabled: false,
+                lowTensionThreshold: 5,
+                countdownLength: 3,
+                twistChoiceCount: 3,
+                lowTensionCeiling: 4,
+            };
+        }
+        // Clean up old lowTensionValues if it exists (was string-based, now numeric)
+        if (settings.doomCounter.lowTensionValues) {
+            delete settings.doomCounter.lowTensionValues;
+            if (settings.doomCounter.lowTensionCeiling === undefined) {
+                settings.doomCounter.lowTensionCeiling = 4;
+            }
+        }
+        settings.settingsVersion = 10;
+        settingsChanged = true;
+    }
+    // Migration to version 11: Ensure weather and temperature widgets exist in trackerConfig
+    // These fields were missing from buildInfoBoxJSONInstruction(), so existing users
+    // may not have them in their saved widget config even though the defaults include them.
+    if (currentVersion < 11) {
+        const widgets = settings.trackerConfig?.infoBox?.widgets;
+        if (widgets) {
+            if (!widgets.weather) {
+                widgets.weather = { enabled: true, persistInHistory: true };
+            }
+            if (!widgets.temperature) {
+                widgets.temperature = { enabled: true, unit: 'C', persistInHistory: false };
+            }
+        }
+        settings.settingsVersion = 11;
+        settingsChanged = true;
+    }
+    // Migration to version 12: Initialize Character Expressions portrait sync toggle
+    if (currentVersion < 12) {
+        if (settings.syncExpressionsToPresentCharacters === undefined) {
+            settings.syncExpressionsToPresentCharacters = false;
+        }
+        settings.settingsVersion = 12;
+        settingsChanged = true;
+    }
+    // Migration to version 13: Initialize native expression display hide toggle
+    if (currentVersion < 13) {
+        if (settings.hideDefaultExpressionDisplay === undefined) {
+            settings.hideDefaultExpressionDisplay = false;
+        }
+        settings.settingsVersion = 13;
+        settingsChanged = true;
+    }
+    // Migration to version 14: previously initialized Name Ban settings.
+    // Name Ban was removed (superseded by Character Aliases in the
+    // Workshop) — keeping the version bump so the chain stays monotonic.
+    if (currentVersion < 14) {
+        settings.settingsVersion = 14;
+        settingsChanged = true;
+    }
+    // Migration to version 15: Add expression classifier settings
+    if (currentVersion < 15) {
+        if (settings.expressionClassifierApi === undefined) {
+            settings.expressionClassifierApi = 'local';
+        }
+        if (settings.expressionBatchMode === undefined) {
+            settings.expressionBatchMode = true;
+        }
+        settings.settingsVersion = 15;
+        settingsChanged = true;
+    }
+    // Migration to version 16: previously seeded a Character Workshop
+    // feature flag. Workshop now follows settings.showPortraitBar
+    // (PCP toggle) instead — keeping the version bump so the migration
+    // chain stays monotonic, no property writes needed.
+    if (currentVersion < 16) {
+        settings.settingsVersion = 16;
+        settingsChanged = true;
+    }
+    // Migration to version 17: Initialize show-expression-in-tooltip
+    if (currentVersion < 17) {
+        if (settings.showExpressionInTooltip === undefined) {
+            settings.showExpressionInTooltip = false;
+        }
+        settings.settingsVersion = 17;
+        settingsChanged = true;
+    }
+    // Migration to version 18: Initialize side-mode portrait-bar
+    // column count. portraitSidePush was seeded here in an earlier
+    // build and then removed in cw-41 — the property lingers as
+    // harmless junk in old saves.
+    if (currentVersion < 18) {
+        if (settings.portraitSideColumns === undefined) {
+            settings.portraitSideColumns = 1;
+        }
+        settings.settingsVersion = 18;
+        settingsChanged = true;
+    }
+    // Migration to version 19: Initialize pinnedCharacters list
+    // (global pin-to-top state for the Character Roster).
+    if (currentVersion < 19) {
+        if (!Array.isArray(settings.pinnedCharacters)) {
+            settings.pinnedCharacters = [];
+        }
+        settings.settingsVersion = 19;
+        settingsChanged = true;
+    }
+    // Migration to version 20: Initialize portraitSideHeight
+    // ('auto' = fit content and vertically center, 'full' = top to
+    // bottom like earlier side-mode behavior).
+    if (currentVersion < 20) {
+        if (settings.portraitSideHeight !== 'full') {
+            settings.portraitSideHeight = 'auto';
+        }
+        settings.settingsVersion = 20;
+        settingsChanged = true;
+    }
+    // Migration to version 21: Initialize characterRelationships —
+    // persistent per-character relationship overrides set from the
+    // Workshop (Lover / Friend / Ally / Enemy / Neutral). When set,
+    // they win over the AI's per-turn classification.
+    if (currentVersion < 21) {
+        if (!settings.characterRelationships || typeof settings.characterRelationships !== 'object') {
+            settings.characterRelationships = {};
+        }
+        settings.settingsVersion = 21;
+        settingsChanged = true;
+    }
+    // Migration to version 22: Initialize injectAttachPortrait toggle
+    // (Workshop's "Attach portrait to message" — vision-model addon).
+    if (currentVersion < 22) {
+        if (settings.injectAttachPortrait !== true) {
+            settings.injectAttachPortrait = false;
+        }
+        settings.settingsVersion = 22;
+        settingsChanged = true;
+    }
+    // Migration to version 23: Adopt orphaned soft-removed characters
+    // into the Workshop. Pre-1.9.2 "Send to Workshop" could leave a
+    // character in removedCharacters with no knownCharacters entry —
+    // then nothing surfaced them in the Workshop / Roster, so the
+    // "Return to panel" restore path was unreachable. Ensure every
+    // name in removedCharacters also has a roster record.
+    if (currentVersion < 23) {
+        const removed = settings.removedCharacters;
+        if (Array.isArray(removed) && removed.length) {
+            if (!settings.knownCharacters || typeof settings.knownCharacters !== 'object') {
+                settings.knownCharacters = {};
+            }
+            const known = settings.knownCharacters;
+            const userChars = settings.userCharacters || {};
+            // Case-insensitive set of user-persona names for the
+            // collision guard — removedCharacters entries can carry
+            // whatever casing the original soft-remove pushed.
+            const userLower = new Set(Object.keys(userChars).map(k => k.toLowerCase()));
+            const knownLower = new Set(Object.keys(known).map(k => k.toLowerCase()));
+            let adopted = 0;
+            for (const name of removed) {
+                // Don't adopt names that are already user personas —
+                // doing so creates an NPC twin and the Roster shows
+                // the same name in both Characters and Users tabs.
+                if (typeof name !== 'string' || !name) continue;
+                const lower = name.toLowerCase();
+                if (knownLower.has(lower) || userLower.has(lower)) continue;
+                known[name] = { emoji: '👤' };
+                knownLower.add(lower);
+                adopted++;
+            }
+            if (adopted) {
+                console.log(`[Dooms Tracker] Migration v23: adopted ${adopted} orphaned removed-characters into Workshop`);
+            }
+        }
+        settings.settingsVersion = 23;
+        settingsChanged = true;
+    }
+
+    // Auto Portraits were added after the expression system. They are
+    // intentionally opt-in and default back to the existing sprite flow.
+    if (settings.portraitEnhancementMode === undefined) {
+        settings.portraitEnhancementMode = 'expressions';
+        settingsChanged = true;
+    }
+    if (settings.autoPortraitMode === undefined) {
+        settings.autoPortraitMode = 'only_missing';
+        settingsChanged = true;
+    }
+    if (!settings.generatedPortraits || typeof settings.generatedPortraits !== 'object') {
+        settings.generatedPortraits = {};
+        settingsChanged = true;
+    }
+    if (settings.customAutoPortraitPrompt === undefined) {
+        settings.customAutoPortraitPrompt = '';
+        settingsChanged = true;
+    }
+    // Tracker repair (together mode) is opt-in; fill any sub-key a
+    // partial or hand-edited blob is missing.
+    if (!settings.trackerRepair || typeof settings.trackerRepair !== 'object') {
+        settings.trackerRepair = {};
+        settingsChanged = true;
+    }
+    for (const [key, value] of Object.entries({ enabled: false, retries: 1, connectionProfile: '' })) {
+        if (settings.trackerRepair[key] === undefined) {
+            settings.trackerRepair[key] = value;
+            settingsChanged = true;
+        }
+    }
+    // Calendar engine is opt-in; same sub-key fill.
+    if (!settings.calendar || typeof settings.calendar !== 'object') {
+        settings.calendar = {};
+        settingsChanged = true;
+    }
+    for (const [key, value] of Object.entries({ enabled: false, activeCalendar: 'gregorian', customCalendars: [], warnBackwards: true })) {
+        if (settings.calendar[key] === undefined) {
+            settings.calendar[key] = value;
+            settingsChanged = true;
+        }
+    }
+    // Story meter definitions (storyMeters.js) are a plain list.
+    if (!Array.isArray(settings.storyMeters)) {
+        settings.storyMeters = [];
+        settingsChanged = true;
+    }
+    // Global world knife decks (worldDecks.js), same.
+    if (!Array.isArray(settings.worldKnifeDecks)) {
+        settings.worldKnifeDecks = [];
+        settingsChanged = true;
+    }
+    // User knife themes (knifeThemes.js), same.
+    if (!Array.isArray(settings.customKnifeThemes)) {
+        settings.customKnifeThemes = [];
+        settingsChanged = true;
+    }
+    // User pacing profiles (pacingProfiles.js), same.
+    if (!Array.isArray(settings.pacingProfiles)) {
+        settings.pacingProfiles = [];
+        settingsChanged = true;
+    }
+
+    // ── Rebuild guards: keys whose DEFAULT changed (or is new) on the
+    // Rebuild branch. CRITICAL: these must test savedSettings — the
+    // user's persisted blob — NOT settings, which after the
+    // shallow merge above always carries the state.js default and is
+    // therefore never undefined. (Audit finding: the merged-object
+    // form made every one of these guards dead code.)
+    // For each key absent from the saved blob, an EXISTING install
+    // keeps the behavior it had on main; only fresh installs get the
+    // new-player defaults from state.js.
+
+    // Compact tracker prompts: existing installs keep the verbose
+    // prompts their setups were tuned on.
+    if (savedSettings.compactPrompts === undefined) {
+        settings.compactPrompts = false;
+        settingsChanged = true;
+    }
+
+    // New-player profile flips — existing installs keep main's
+    // behavior for any key their blob doesn't carry (covers very old
+    // installs and blobs imported from the legacy extension keys).
+    if (savedSettings.showQuests === undefined) {
+        settings.showQuests = true;
+        settingsChanged = true;
+    }
+    if (savedSettings.enableDialogueColoring === undefined) {
+        settings.enableDialogueColoring = false;
+        settingsChanged = true;
+    }
+    if (savedSettings.chatBubbleMode === undefined) {
+        settings.chatBubbleMode = 'off';
+        settingsChanged = true;
+    }
+    if (savedSettings.lorebook === undefined) {
+        // Lore Library was enabled-by-default on main; an existing
+        // install without the object must keep it on, not inherit
+        // the fresh-install default (off).
+        settings.lorebook.enabled = true;
+        settingsChanged = true;
+    }
+
+    // What's New: drop the retired interim-build key. Deliberately
+    // NOT carried into whatsNewOptOut — it was set by the removed
+    // in-dialog button, whose permanence was the bug. (Seen-version /
+    // performanceMode need no guard: their fresh defaults already
+    // match the desired existing-user state.)
+    if (settings.whatsNewDisabled !== undefined) {
+        delete settings.whatsNewDisabled;
+        settingsChanged = true;
+    }
+    return settingsChanged;
+}
 /**
  * Loads the extension settings from the global settings object.
  * Automatically migrates v1 inventory to v2 format if needed.
@@ -117,310 +547,11 @@ export function loadSettings() {
             }
             // Perform settings migrations based on version
             const currentVersion = extensionSettings.settingsVersion || 1;
-            let settingsChanged = false;
-            // Migration to version 2: Enable dynamic weather for existing users
-            if (currentVersion < 2) {
-                extensionSettings.enableDynamicWeather = true;
-                extensionSettings.settingsVersion = 2;
-                settingsChanged = true;
-            }
-            // Migration to version 3: Convert text trackers to JSON format
+            // Version 3 also converts the chat's text trackers to JSON
             if (currentVersion < 3) {
                 migrateToV3JSON();
-                extensionSettings.settingsVersion = 3;
-                settingsChanged = true;
-            }
-            // Migration to version 4: Enable FAB widgets by default
-            if (currentVersion < 4) {
-                if (!extensionSettings.mobileFabWidgets) {
-                    extensionSettings.mobileFabWidgets = {};
-                }
-                extensionSettings.mobileFabWidgets.enabled = true;
-                extensionSettings.mobileFabWidgets.weatherIcon = { enabled: true };
-                extensionSettings.mobileFabWidgets.weatherDesc = { enabled: true };
-                extensionSettings.mobileFabWidgets.clock = { enabled: true };
-                extensionSettings.mobileFabWidgets.date = { enabled: true };
-                extensionSettings.mobileFabWidgets.location = { enabled: true };
-                extensionSettings.mobileFabWidgets.stats = { enabled: true };
-                extensionSettings.mobileFabWidgets.attributes = { enabled: true };
-                extensionSettings.settingsVersion = 4;
-                settingsChanged = true;
-            }
-            // Migration to version 5: Add opacity properties for all colors
-            if (currentVersion < 5) {
-                if (!extensionSettings.customColors) {
-                    extensionSettings.customColors = {};
-                }
-                if (extensionSettings.customColors.bgOpacity === undefined) extensionSettings.customColors.bgOpacity = 100;
-                if (extensionSettings.customColors.accentOpacity === undefined) extensionSettings.customColors.accentOpacity = 100;
-                if (extensionSettings.customColors.textOpacity === undefined) extensionSettings.customColors.textOpacity = 100;
-                if (extensionSettings.customColors.highlightOpacity === undefined) extensionSettings.customColors.highlightOpacity = 100;
-                extensionSettings.settingsVersion = 5;
-                settingsChanged = true;
-            }
-            // Migration to version 6: Initialize lorebook manager settings
-            if (currentVersion < 6) {
-                if (!extensionSettings.lorebook) {
-                    extensionSettings.lorebook = {
-                        enabled: true,
-                        campaigns: {},
-                        campaignOrder: [],
-                        collapsedCampaigns: [],
-                        expandedBooks: [],
-                        lastActiveTab: 'all',
-                        lastFilter: 'all',
-                        lastSearch: ''
-                    };
-                }
-                extensionSettings.settingsVersion = 6;
-                settingsChanged = true;
-            }
-            // Migration to version 7: Add new optional infoBox widgets (moonPhase, tension, timeSinceRest, conditions, terrain)
-            // These were added after many users already had saved settings, so old saves won't have them.
-            if (currentVersion < 7) {
-                const widgets = extensionSettings.trackerConfig?.infoBox?.widgets;
-                if (widgets) {
-                    if (!widgets.moonPhase)     widgets.moonPhase     = { enabled: false, persistInHistory: false };
-                    if (!widgets.tension)       widgets.tension       = { enabled: false, persistInHistory: false };
-                    if (!widgets.timeSinceRest) widgets.timeSinceRest = { enabled: false, persistInHistory: false };
-                    if (!widgets.conditions)    widgets.conditions    = { enabled: false, persistInHistory: false };
-                    if (!widgets.terrain)       widgets.terrain       = { enabled: false, persistInHistory: false };
-                }
-                // Also migrate all saved presets so they get the new widgets too
-                const presets = extensionSettings.presetManager?.presets;
-                if (presets) {
-                    for (const presetId of Object.keys(presets)) {
-                        const presetWidgets = presets[presetId]?.trackerConfig?.infoBox?.widgets;
-                        if (presetWidgets) {
-                            if (!presetWidgets.moonPhase)     presetWidgets.moonPhase     = { enabled: false, persistInHistory: false };
-                            if (!presetWidgets.tension)       presetWidgets.tension       = { enabled: false, persistInHistory: false };
-                            if (!presetWidgets.timeSinceRest) presetWidgets.timeSinceRest = { enabled: false, persistInHistory: false };
-                            if (!presetWidgets.conditions)    presetWidgets.conditions    = { enabled: false, persistInHistory: false };
-                            if (!presetWidgets.terrain)       presetWidgets.terrain       = { enabled: false, persistInHistory: false };
-                        }
-                    }
-                }
-                extensionSettings.settingsVersion = 7;
-                settingsChanged = true;
-            }
-            // Migration to version 8: Sync sceneTracker show-flags → infoBox widget enabled flags.
-            // Before this version the two settings were independent; users who turned on the
-            // Scene Tracker show-toggle (thinking it would make the AI generate the field) had
-            // sceneTracker.showX = true but widgets[x].enabled = false, so the AI never produced
-            // the field. This migration copies the user's intent from showX into widgets[x].enabled.
-            if (currentVersion < 8) {
-                const st = extensionSettings.sceneTracker || {};
-                const widgets = extensionSettings.trackerConfig?.infoBox?.widgets;
-                if (widgets) {
-                    const syncPairs = [
-                        ['showMoonPhase',    'moonPhase'],
-                        ['showTension',      'tension'],
-                        ['showTimeSinceRest','timeSinceRest'],
-                        ['showConditions',   'conditions'],
-                        ['showTerrain',      'terrain'],
-                    ];
-                    for (const [showKey, widgetKey] of syncPairs) {
-                        if (st[showKey] === true) {
-                            if (!widgets[widgetKey]) widgets[widgetKey] = { persistInHistory: false };
-                            widgets[widgetKey].enabled = true;
-                        }
-                    }
-                }
-                extensionSettings.settingsVersion = 8;
-                settingsChanged = true;
-            }
-            // Migration to version 9: Ensure core infoBox widgets (time, date, location, recentEvents)
-            // are always enabled. These are fundamental fields that should never be disabled — but
-            // users who had settings saved from an earlier buggy state could have them as enabled:false,
-            // causing the AI to skip them entirely and the ticker panel to show only optional fields.
-            if (currentVersion < 9) {
-                const widgets = extensionSettings.trackerConfig?.infoBox?.widgets;
-                if (widgets) {
-                    const coreWidgets = ['time', 'date', 'location', 'recentEvents'];
-                    for (const key of coreWidgets) {
-                        if (!widgets[key]) widgets[key] = { persistInHistory: true };
-                        widgets[key].enabled = true;
-                    }
-                }
-                extensionSettings.settingsVersion = 9;
-                settingsChanged = true;
-            }
-
-            // Migration to version 10: Add Doom Counter defaults
-            if (currentVersion < 10) {
-                if (!extensionSettings.doomCounter) {
-                    extensionSettings.doomCounter = {
-                        enabled: false,
-                        lowTensionThreshold: 5,
-                        countdownLength: 3,
-                        twistChoiceCount: 3,
-                        lowTensionCeiling: 4,
-                    };
-                }
-                // Clean up old lowTensionValues if it exists (was string-based, now numeric)
-                if (extensionSettings.doomCounter.lowTensionValues) {
-                    delete extensionSettings.doomCounter.lowTensionValues;
-                    if (extensionSettings.doomCounter.lowTensionCeiling === undefined) {
-                        extensionSettings.doomCounter.lowTensionCeiling = 4;
-                    }
-                }
-                extensionSettings.settingsVersion = 10;
-                settingsChanged = true;
-            }
-            // Migration to version 11: Ensure weather and temperature widgets exist in trackerConfig
-            // These fields were missing from buildInfoBoxJSONInstruction(), so existing users
-            // may not have them in their saved widget config even though the defaults include them.
-            if (currentVersion < 11) {
-                const widgets = extensionSettings.trackerConfig?.infoBox?.widgets;
-                if (widgets) {
-                    if (!widgets.weather) {
-                        widgets.weather = { enabled: true, persistInHistory: true };
-                    }
-                    if (!widgets.temperature) {
-                        widgets.temperature = { enabled: true, unit: 'C', persistInHistory: false };
-                    }
-                }
-                extensionSettings.settingsVersion = 11;
-                settingsChanged = true;
-            }
-            // Migration to version 12: Initialize Character Expressions portrait sync toggle
-            if (currentVersion < 12) {
-                if (extensionSettings.syncExpressionsToPresentCharacters === undefined) {
-                    extensionSettings.syncExpressionsToPresentCharacters = false;
-                }
-                extensionSettings.settingsVersion = 12;
-                settingsChanged = true;
-            }
-            // Migration to version 13: Initialize native expression display hide toggle
-            if (currentVersion < 13) {
-                if (extensionSettings.hideDefaultExpressionDisplay === undefined) {
-                    extensionSettings.hideDefaultExpressionDisplay = false;
-                }
-                extensionSettings.settingsVersion = 13;
-                settingsChanged = true;
-            }
-            // Migration to version 14: previously initialized Name Ban settings.
-            // Name Ban was removed (superseded by Character Aliases in the
-            // Workshop) — keeping the version bump so the chain stays monotonic.
-            if (currentVersion < 14) {
-                extensionSettings.settingsVersion = 14;
-                settingsChanged = true;
-            }
-            // Migration to version 15: Add expression classifier settings
-            if (currentVersion < 15) {
-                if (extensionSettings.expressionClassifierApi === undefined) {
-                    extensionSettings.expressionClassifierApi = 'local';
-                }
-                if (extensionSettings.expressionBatchMode === undefined) {
-                    extensionSettings.expressionBatchMode = true;
-                }
-                extensionSettings.settingsVersion = 15;
-                settingsChanged = true;
-            }
-            // Migration to version 16: previously seeded a Character Workshop
-            // feature flag. Workshop now follows extensionSettings.showPortraitBar
-            // (PCP toggle) instead — keeping the version bump so the migration
-            // chain stays monotonic, no property writes needed.
-            if (currentVersion < 16) {
-                extensionSettings.settingsVersion = 16;
-                settingsChanged = true;
-            }
-            // Migration to version 17: Initialize show-expression-in-tooltip
-            if (currentVersion < 17) {
-                if (extensionSettings.showExpressionInTooltip === undefined) {
-                    extensionSettings.showExpressionInTooltip = false;
-                }
-                extensionSettings.settingsVersion = 17;
-                settingsChanged = true;
-            }
-            // Migration to version 18: Initialize side-mode portrait-bar
-            // column count. portraitSidePush was seeded here in an earlier
-            // build and then removed in cw-41 — the property lingers as
-            // harmless junk in old saves.
-            if (currentVersion < 18) {
-                if (extensionSettings.portraitSideColumns === undefined) {
-                    extensionSettings.portraitSideColumns = 1;
-                }
-                extensionSettings.settingsVersion = 18;
-                settingsChanged = true;
-            }
-            // Migration to version 19: Initialize pinnedCharacters list
-            // (global pin-to-top state for the Character Roster).
-            if (currentVersion < 19) {
-                if (!Array.isArray(extensionSettings.pinnedCharacters)) {
-                    extensionSettings.pinnedCharacters = [];
-                }
-                extensionSettings.settingsVersion = 19;
-                settingsChanged = true;
-            }
-            // Migration to version 20: Initialize portraitSideHeight
-            // ('auto' = fit content and vertically center, 'full' = top to
-            // bottom like earlier side-mode behavior).
-            if (currentVersion < 20) {
-                if (extensionSettings.portraitSideHeight !== 'full') {
-                    extensionSettings.portraitSideHeight = 'auto';
-                }
-                extensionSettings.settingsVersion = 20;
-                settingsChanged = true;
-            }
-            // Migration to version 21: Initialize characterRelationships —
-            // persistent per-character relationship overrides set from the
-            // Workshop (Lover / Friend / Ally / Enemy / Neutral). When set,
-            // they win over the AI's per-turn classification.
-            if (currentVersion < 21) {
-                if (!extensionSettings.characterRelationships || typeof extensionSettings.characterRelationships !== 'object') {
-                    extensionSettings.characterRelationships = {};
-                }
-                extensionSettings.settingsVersion = 21;
-                settingsChanged = true;
-            }
-            // Migration to version 22: Initialize injectAttachPortrait toggle
-            // (Workshop's "Attach portrait to message" — vision-model addon).
-            if (currentVersion < 22) {
-                if (extensionSettings.injectAttachPortrait !== true) {
-                    extensionSettings.injectAttachPortrait = false;
-                }
-                extensionSettings.settingsVersion = 22;
-                settingsChanged = true;
-            }
-            // Migration to version 23: Adopt orphaned soft-removed characters
-            // into the Workshop. Pre-1.9.2 "Send to Workshop" could leave a
-            // character in removedCharacters with no knownCharacters entry —
-            // then nothing surfaced them in the Workshop / Roster, so the
-            // "Return to panel" restore path was unreachable. Ensure every
-            // name in removedCharacters also has a roster record.
-            if (currentVersion < 23) {
-                const removed = extensionSettings.removedCharacters;
-                if (Array.isArray(removed) && removed.length) {
-                    if (!extensionSettings.knownCharacters || typeof extensionSettings.knownCharacters !== 'object') {
-                        extensionSettings.knownCharacters = {};
-                    }
-                    const known = extensionSettings.knownCharacters;
-                    const userChars = extensionSettings.userCharacters || {};
-                    // Case-insensitive set of user-persona names for the
-                    // collision guard — removedCharacters entries can carry
-                    // whatever casing the original soft-remove pushed.
-                    const userLower = new Set(Object.keys(userChars).map(k => k.toLowerCase()));
-                    const knownLower = new Set(Object.keys(known).map(k => k.toLowerCase()));
-                    let adopted = 0;
-                    for (const name of removed) {
-                        // Don't adopt names that are already user personas —
-                        // doing so creates an NPC twin and the Roster shows
-                        // the same name in both Characters and Users tabs.
-                        if (typeof name !== 'string' || !name) continue;
-                        const lower = name.toLowerCase();
-                        if (knownLower.has(lower) || userLower.has(lower)) continue;
-                        known[name] = { emoji: '👤' };
-                        knownLower.add(lower);
-                        adopted++;
-                    }
-                    if (adopted) {
-                        console.log(`[Dooms Tracker] Migration v23: adopted ${adopted} orphaned removed-characters into Workshop`);
-                    }
-                }
-                extensionSettings.settingsVersion = 23;
-                settingsChanged = true;
             }
+            const settingsChanged = migrateSettings(extensionSettings, savedSettings);
 
             // Migration to version 24: Move cropped portrait base64 data URLs
             // out of extensionSettings (npcAvatars, npcAvatarsFullRes, and
@@ -439,75 +570,6 @@ export function loadSettings() {
                 retireAvatarBackupIfComplete(saveSettings);
             }
 
-            // Auto Portraits were added after the expression system. They are
-            // intentionally opt-in and default back to the existing sprite flow.
-            if (extensionSettings.portraitEnhancementMode === undefined) {
-                extensionSettings.portraitEnhancementMode = 'expressions';
-                settingsChanged = true;
-            }
-            if (extensionSettings.autoPortraitMode === undefined) {
-                extensionSettings.autoPortraitMode = 'only_missing';
-                settingsChanged = true;
-            }
-            if (!extensionSettings.generatedPortraits || typeof extensionSettings.generatedPortraits !== 'object') {
-                extensionSettings.generatedPortraits = {};
-                settingsChanged = true;
-            }
-            if (extensionSettings.customAutoPortraitPrompt === undefined) {
-                extensionSettings.customAutoPortraitPrompt = '';
-                settingsChanged = true;
-            }
-
-            // ── Rebuild guards: keys whose DEFAULT changed (or is new) on the
-            // Rebuild branch. CRITICAL: these must test savedSettings — the
-            // user's persisted blob — NOT extensionSettings, which after the
-            // shallow merge above always carries the state.js default and is
-            // therefore never undefined. (Audit finding: the merged-object
-            // form made every one of these guards dead code.)
-            // For each key absent from the saved blob, an EXISTING install
-            // keeps the behavior it had on main; only fresh installs get the
-            // new-player defaults from state.js.
-
-            // Compact tracker prompts: existing installs keep the verbose
-            // prompts their setups were tuned on.
-            if (savedSettings.compactPrompts === undefined) {
-                extensionSettings.compactPrompts = false;
-                settingsChanged = true;
-            }
-
-            // New-player profile flips — existing installs keep main's
-            // behavior for any key their blob doesn't carry (covers very old
-            // installs and blobs imported from the legacy extension keys).
-            if (savedSettings.showQuests === undefined) {
-                extensionSettings.showQuests = true;
-                settingsChanged = true;
-            }
-            if (savedSettings.enableDialogueColoring === undefined) {
-                extensionSettings.enableDialogueColoring = false;
-                settingsChanged = true;
-            }
-            if (savedSettings.chatBubbleMode === undefined) {
-                extensionSettings.chatBubbleMode = 'off';
-                settingsChanged = true;
-            }
-            if (savedSettings.lorebook === undefined) {
-                // Lore Library was enabled-by-default on main; an existing
-                // install without the object must keep it on, not inherit
-                // the fresh-install default (off).
-                extensionSettings.lorebook.enabled = true;
-                settingsChanged = true;
-            }
-
-            // What's New: drop the retired interim-build key. Deliberately
-            // NOT carried into whatsNewOptOut — it was set by the removed
-            // in-dialog button, whose permanence was the bug. (Seen-version /
-            // performanceMode need no guard: their fresh defaults already
-            // match the desired existing-user state.)
-            if (extensionSettings.whatsNewDisabled !== undefined) {
-                delete extensionSettings.whatsNewDisabled;
-                settingsChanged = true;
-            }
-
             // Save migrated settings
             if (settingsChanged) {
                 saveSettings();
@@ -565,6 +627,10 @@ export function saveChatData({ immediate = false } = {}) {
         // with immediate saves, wiped from disk on the next generation).
         knivesEnabled: chat_metadata.dooms_tracker?.knivesEnabled === true,
         characterSheets: chat_metadata.dooms_tracker?.characterSheets || {},
+        twistJournal: chat_metadata.dooms_tracker?.twistJournal || [],
+        storyMeters: chat_metadata.dooms_tracker?.storyMeters || {},
+        worldKnifeDecks: chat_metadata.dooms_tracker?.worldKnifeDecks || [],
+        pacingProfileId: chat_metadata.dooms_tracker?.pacingProfileId || '',
         timestamp: Date.now()
     };
     // Persist per-chat character tracking data when enabled
@@ -656,7 +722,8 @@ export function loadChatData() {
         updateExtensionSettings({
             quests: {
                 main: "None",
-                optional: []
+                optional: [],
+                log: []
             }
         });
         setLastGeneratedData({
@@ -693,7 +760,8 @@ export function loadChatData() {
         // Initialize with defaults if not present
         extensionSettings.quests = {
             main: "None",
-            optional: []
+            optional: [],
+            log: []
         };
     }
     // Restore committed tracker data from saved metadata
@@ -952,6 +1020,44 @@ export function setDoomCounterState(state) {
     Promise.resolve(saveChatConditional()).catch(err => console.error('[DES] doom counter save failed', err));
 }
 
+/**
+ * Gets one story meter's state for the current chat (storyMeters.js).
+ * @param {string} meterId
+ * @returns {Object} { streak, countdownActive, countdownCount, lastValue, triggers, pending }
+ */
+export function getStoryMeterState(meterId) {
+    const defaults = {
+        streak: 0,
+        countdownActive: false,
+        countdownCount: 0,
+        lastValue: null,
+        triggers: 0,
+        pending: null
+    };
+    return { ...defaults, ...(chat_metadata?.dooms_tracker?.storyMeters?.[meterId] || {}) };
+}
+
+/**
+ * Saves one story meter's state to chat metadata.
+ * @param {string} meterId
+ * @param {Object} state
+ */
+export function setStoryMeterState(meterId, state) {
+    if (!chat_metadata) return;
+    if (!chat_metadata.dooms_tracker) {
+        chat_metadata.dooms_tracker = {};
+    }
+    if (!chat_metadata.dooms_tracker.storyMeters) {
+        chat_metadata.dooms_tracker.storyMeters = {};
+    }
+    // Same skip-if-unchanged immediate save as setDoomCounterState
+    const prev = chat_metadata.dooms_tracker.storyMeters[meterId];
+    const unchanged = prev && JSON.stringify(prev) === JSON.stringify(state);
+    chat_metadata.dooms_tracker.storyMeters[meterId] = state;
+    if (unchanged) return;
+    Promise.resolve(saveChatConditional()).catch(err => console.error('[DES] story meter save failed', err));
+}
+
 /**
  * Whether Knives are enabled for the current chat. Knives themselves live on
  * character records (Character Workshop); this per-chat switch controls
@@ -976,6 +1082,76 @@ export function setDoomKnivesEnabled(enabled) {
     Promise.resolve(saveChatConditional()).catch(err => console.error('[DES] knives toggle save failed', err));
 }
 
+/**
+ * Gets the pacing profile chosen for the current chat (pacingProfiles.js).
+ * @returns {string} Profile id, or '' to fall back to the character/default choice
+ */
+export function getChatPacingProfileId() {
+    return String(chat_metadata?.dooms_tracker?.pacingProfileId || '');
+}
+
+/**
+ * Chooses the pacing profile for the current chat.
+ * @param {string} profileId - '' to clear
+ */
+export function setChatPacingProfileId(profileId) {
+    if (!chat_metadata) return;
+    if (!chat_metadata.dooms_tracker) {
+        chat_metadata.dooms_tracker = {};
+    }
+    chat_metadata.dooms_tracker.pacingProfileId = String(profileId || '');
+    // Immediate save: fires once per choice; see setDoomCounterState.
+    Promise.resolve(saveChatConditional()).catch(err => console.error('[DES] pacing profile save failed', err));
+}
+
+/**
+ * Gets the current chat's twist journal (twistJournal.js).
+ * @returns {Object[]} Journal entries, oldest first (the live array)
+ */
+export function getTwistJournal() {
+    if (!chat_metadata) return [];
+    if (!chat_metadata.dooms_tracker) {
+        chat_metadata.dooms_tracker = {};
+    }
+    if (!Array.isArray(chat_metadata.dooms_tracker.twistJournal)) {
+        chat_metadata.dooms_tracker.twistJournal = [];
+    }
+    return chat_metadata.dooms_tracker.twistJournal;
+}
+
+/**
+ * Persists the twist journal after an entry changed.
+ */
+export function saveTwistJournal() {
+    if (!chat_metadata) return;
+    // Immediate save: entries change once per trigger / pick; see setDoomCounterState.
+    Promise.resolve(saveChatConditional()).catch(err => console.error('[DES] twist journal save failed', err));
+}
+
+/**
+ * Gets the current chat's world knife decks (worldDecks.js).
+ * @returns {Object[]} The live array
+ */
+export function getChatWorldDecks() {
+    if (!chat_metadata) return [];
+    if (!chat_metadata.dooms_tracker) {
+        chat_metadata.dooms_tracker = {};
+    }
+    if (!Array.isArray(chat_metadata.dooms_tracker.worldKnifeDecks)) {
+        chat_metadata.dooms_tracker.worldKnifeDecks = [];
+    }
+    return chat_metadata.dooms_tracker.worldKnifeDecks;
+}
+
+/**
+ * Persists the current chat's world knife decks after an edit or a draw.
+ */
+export function saveChatWorldDecks() {
+    if (!chat_metadata) return;
+    // Immediate save: decks change on an edit or a drawn knife; see setDoomCounterState.
+    Promise.resolve(saveChatConditional()).catch(err => console.error('[DES] world decks save failed', err));
+}
+
 /**
  * Migrates old settings format to new trackerConfig format
  * Converts statNames to customStats array and sets up default config
@@ -1208,6 +1384,46 @@ export function setDefaultPreset(presetId) {
 export function isDefaultPreset(presetId) {
     return extensionSettings.presetManager?.defaultPresetId === presetId;
 }
+/**
+ * Custom prompts that shape the tracker. A preset imported from a preset
+ * pack can carry its own values for these (preset.prompts); they are in
+ * effect while that preset is active.
+ */
+export const PRESET_PROMPT_KEYS = [
+    'customTrackerInstructionsPrompt',
+    'customTrackerContinuationPrompt',
+    'customContextInstructionsPrompt',
+    'customNewFieldsBoostPrompt',
+    'customCharacterThoughtsPrompt',
+    'customWeatherPrompt'
+];
+/**
+ * The current values of the preset prompt keys
+ * @returns {Object<string, string>}
+ */
+function capturePresetPrompts() {
+    return Object.fromEntries(PRESET_PROMPT_KEYS.map(key => [key, extensionSettings[key] || '']));
+}
+/**
+ * Puts a preset's prompts in effect. The user's own prompts are set aside the
+ * first time a preset with prompts loads, and come back when a preset
+ * without prompts loads.
+ * @param {Object} preset - The preset being loaded
+ */
+function applyPresetPrompts(preset) {
+    const manager = extensionSettings.presetManager;
+    if (preset.prompts) {
+        if (!manager.promptsBeforePreset) {
+            manager.promptsBeforePreset = capturePresetPrompts();
+        }
+        for (const key of PRESET_PROMPT_KEYS) {
+            extensionSettings[key] = preset.prompts[key] || '';
+        }
+    } else if (manager.promptsBeforePreset) {
+        Object.assign(extensionSettings, manager.promptsBeforePreset);
+        delete manager.promptsBeforePreset;
+    }
+}
 /**
  * Creates a new preset from the current trackerConfig
  * @param {string} name - Name for the new preset
@@ -1215,6 +1431,7 @@ export function isDefaultPreset(presetId) {
  */
 export function createPreset(name) {
     const presetId = `preset_${Date.now()}`;
+    const activePreset = extensionSettings.presetManager.presets[extensionSettings.presetManager.activePresetId];
     extensionSettings.presetManager.presets[presetId] = {
         id: presetId,
         name: name,
@@ -1223,6 +1440,10 @@ export function createPreset(name) {
             ? JSON.parse(JSON.stringify(extensionSettings.historyPersistence))
             : null
     };
+    // A copy of a preset with its own prompts keeps them
+    if (activePreset?.prompts) {
+        extensionSettings.presetManager.presets[presetId].prompts = capturePresetPrompts();
+    }
     // Also set it as the active preset so edits go to the new preset
     extensionSettings.presetManager.activePresetId = presetId;
     saveSettings();
@@ -1239,11 +1460,15 @@ export function saveToPreset(presetId) {
         preset.historyPersistence = extensionSettings.historyPersistence
             ? JSON.parse(JSON.stringify(extensionSettings.historyPersistence))
             : null;
+        // Prompts edited while the preset is active belong to it
+        if (preset.prompts && presetId === extensionSettings.presetManager.activePresetId) {
+            preset.prompts = capturePresetPrompts();
+        }
         saveSettings();
     }
 }
 /**
- * Loads a preset's trackerConfig and historyPersistence as the active configuration
+ * Loads a preset's trackerConfig, historyPersistence and prompts (if it has any) as the active configuration
  * @param {string} presetId - The preset ID to load
  * @returns {boolean} True if loaded successfully, false otherwise
  */
@@ -1273,6 +1498,7 @@ export function loadPreset(presetId) {
                 contextPreamble: ''
             };
         }
+        applyPresetPrompts(preset);
         extensionSettings.presetManager.activePresetId = presetId;
         saveSettings();
         return true;
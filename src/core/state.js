@@ -19,6 +19,12 @@ export let extensionSettings = {
         contextInstructions: { depth: 1, role: '' },
     },
     connectionProfile: '', // Connection Manager profile name for tracker generation (empty = use current)
+    // Together mode: follow-up tracker-only request when a reply has no parsable tracker
+    trackerRepair: {
+        enabled: false,
+        retries: 1, // Repair requests per reply (1-3)
+        connectionProfile: '' // Profile for the repair request (empty = use current)
+    },
     // NOTE: showUserStats and showInventory have been removed (see git history)
     showInfoBox: true,
     showCharacterThoughts: true,
@@ -110,6 +116,14 @@ export let extensionSettings = {
         // Theme integration
         themeControlled: false,
     },
+    // In-world calendar & clock engine (worldClock.js) — normalizes the model's
+    // date/time, computes moon phase and time since rest, flags time running backwards
+    calendar: {
+        enabled: false,
+        activeCalendar: 'gregorian', // 'gregorian' or the id of a custom calendar
+        customCalendars: [],         // [{id, name, months: [{name, days}], weekdays: [], weekdayOffset, moons: [{name, cycleDays, offsetDays}]}]
+        warnBackwards: true          // Mark the scene time when it's earlier than the previous reply's
+    },
     // Inline Banners — cinematic transition cards between messages
     inlineBanners: {
         enabled: false,                    // Master toggle
@@ -131,6 +145,7 @@ export let extensionSettings = {
     performanceMode: false, // Kill animations/blur/transitions + pause particles for minimum GPU/CPU cost
     fabPosition: 'center', // 'center' = centered on screen (new-player default); {left, top} after user drags
     compactPrompts: true, // Use terser tracker instructions (~40% fewer tokens); set false to restore verbose v1 phrasing
+    trackerPatchMode: false, // Opt-in: model outputs only changed tracker fields, merged onto committedTrackerData (trackerPatch.js)
     mobileQuickJumpEnabled: true, // Mobile-only floating button to jump back to your last sent message
     whatsNewSeenVersion: '', // Last extension version whose What's New screen was shown
     whatsNewOptOut: false, // Permanent opt-out of the What's New screen (Display-settings toggle only)
@@ -232,7 +247,8 @@ export let extensionSettings = {
     },
     quests: {
         main: "None",        // Current main quest title
-        optional: []         // Array of optional quest titles
+        optional: [],        // Array of optional quest titles
+        log: []              // Structured quest records incl. ended ones (see questLog.js)
     },
     infoBox: JSON.stringify({
         date: { value: new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) },
@@ -397,7 +413,26 @@ export let extensionSettings = {
         twistMessageTruncation: 1200,          // Max characters per message in twist prompt (200-3000)
         twistInjectionDepth: 0,                // Insertion depth for the twist prompt (0 = bottom of context, higher = further back)
         trapMode: false,                       // Silent mode: hides countdown, generates 1 twist, auto-injects without showing the user
+        // Draw weights when a trigger picks its source; each world deck carries its own weight
+        characterKnifeWeight: 1,               // Weight of each present character with armed knives
+        aiTwistWeight: 0,                      // Weight of AI-generated twists (0 = only when no knife can be drawn)
+        // Pacing profile (pacingProfiles.js) — phases that override the three
+        // detection settings above as the story goes on. A chat's own choice
+        // wins over a character's, which wins over this default ('' = static)
+        pacingProfile: '',
+        pacingAssociations: {},                // entityKey → profile id
     },
+    // User-defined story meters (storyMeters.js) — extra 1-10 scales with their
+    // own instruction, boundary, streak/countdown and trigger action
+    storyMeters: [],                           // [{id, name, emoji, key, instruction, enabled, triggerWhen, boundary, streakLength, countdownLength, action, template, knifeTheme}]
+    // Global world knife decks (worldDecks.js) — knives tied to places, factions
+    // or the setting; per-chat decks live in chat_metadata
+    worldKnifeDecks: [],                       // [{id, name, emoji, description, weight, enabled, knives: [{id, text, used, theme?, conditions?}]}]
+    // User-defined knife generation themes (knifeThemes.js), offered as chips
+    // after the built-in ones; edited in the Prompts Editor
+    customKnifeThemes: [],                     // [{id, label, emoji, guidance, count?}]
+    // User-defined Doom Counter pacing profiles (pacingProfiles.js)
+    pacingProfiles: [],                        // [{id, name, resetOn, phases: [{name, replies, lowTensionCeiling, lowTensionThreshold, countdownLength}]}]
     // Preset management for tracker configurations
     presetManager: {
         // Map of preset ID to preset data (contains name and trackerConfig)
@@ -451,6 +486,7 @@ export const NEW_PLAYER_PROFILE = {
     'autoGenerateAvatars': false,
     'syncExpressionsToPresentCharacters': false,
     'performanceMode': false,
+    'trackerPatchMode': false,
     'historyPersistence.enabled': false,
     'inlineBanners.enabled': false,
     'doomCounter.enabled': false,
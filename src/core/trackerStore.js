@@ -0,0 +1,57 @@
+/**
+ * Tracker Store Module
+ * Readers for the per-message stores DES keeps on chat replies
+ * (dooms_tracker_swipes, dooms_tension). Each store is keyed by swipe id and
+ * lives in message.extra for the current session and in
+ * swipe_info[swipeId].extra once the chat was loaded from file, the same
+ * fallback loadChatData() reads.
+ */
+import { chat } from '../../../../../../script.js';
+import { isSyntheticTrackerMessage } from '../utils/messageGuards.js';
+
+/**
+ * @param {Object} message - chat[] entry
+ * @returns {boolean} Whether the message is a reply DES tracks (not a user,
+ *   system or synthetic tracker message)
+ */
+export function isTrackedMessage(message) {
+    return !!message && !message.is_user && !message.is_system && !isSyntheticTrackerMessage(message);
+}
+
+/**
+ * The latest reply DES tracks: the one manual edits write their stored
+ * tracker into.
+ * @returns {number} -1 when there is none
+ */
+export function latestReplyIndex() {
+    if (!Array.isArray(chat)) return -1;
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (isTrackedMessage(chat[i])) return i;
+    }
+    return -1;
+}
+
+/**
+ * A per-swipe store on a message, from extra or, for chats loaded from file,
+ * from the current swipe's swipe_info.
+ * @param {Object} message - chat[] entry
+ * @param {string} key - Store name, e.g. 'dooms_tension'
+ * @returns {Object|null} The store keyed by swipe id
+ */
+export function getSwipeStore(message, key) {
+    const swipeId = message.swipe_id || 0;
+    return message.extra?.[key] || message.swipe_info?.[swipeId]?.extra?.[key] || null;
+}
+
+/**
+ * Tracker data stored for a message's current swipe.
+ * @param {Object} message - chat[] entry
+ * @returns {Object|null} {quests, infoBox, characterThoughts}, or null when
+ *   the swipe has no tracker
+ */
+export function getStoredTracker(message) {
+    const swipeId = message.swipe_id || 0;
+    const data = message.extra?.dooms_tracker_swipes?.[swipeId]
+        || message.swipe_info?.[swipeId]?.extra?.dooms_tracker_swipes?.[swipeId];
+    return data && (data.quests || data.infoBox || data.characterThoughts) ? data : null;
+}
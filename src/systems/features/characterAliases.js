@@ -18,6 +18,7 @@ import { extensionSettings, lastGeneratedData } from '../../core/state.js';
 import { chat_metadata, saveSettingsDebounced } from '../../../../../../../script.js';
 import { namesAreSimilar, normalizeName } from '../../utils/nameSimilarity.js';
 import { escapeHtml } from '../../utils/html.js';
+import { recordEdit } from './editHistory.js';
 
 /**
  * Builds a lowercase alias → canonical-name lookup from settings.
@@ -477,7 +478,8 @@ function queueAliasDecision(name, canonMap, userKeys) {
                     );
                 }
                 if (decision === true) {
-                    await adoptVariantAsAlias(canonical, name);
+                    await recordEdit({ label: `Merged "${name}" as an alias`, where: canonical }, ['tracker', 'roster'],
+                        () => adoptVariantAsAlias(canonical, name));
                 } else if (decision === false) {
                     if (!extensionSettings.aliasDismissals) extensionSettings.aliasDismissals = {};
                     extensionSettings.aliasDismissals[pairKey] = true;
@@ -520,12 +522,14 @@ function queueAliasDecision(name, canonMap, userKeys) {
  * options.suggestSimilar (live-generation call sites only), merely-similar
  * new names raise a yes/no duplicate-decision popup instead (Tier 2):
  * yes adopts the alias and scrubs the duplicate, no dismisses permanently.
+ * options.record = false folds structural variants without recording them
+ * (mid-stream previews, which must not change settings).
  *
  * @param {string|Object|null} thoughts - characterThoughts data
- * @param {{suggestSimilar?: boolean}} [options]
+ * @param {{suggestSimilar?: boolean, record?: boolean}} [options]
  * @returns {string|Object|null} The data with alias names canonicalized
  */
-export function applyCharacterAliases(thoughts, { suggestSimilar = false } = {}) {
+export function applyCharacterAliases(thoughts, { suggestSimilar = false, record = true } = {}) {
     if (!thoughts) return thoughts;
     const lookup = buildAliasLookup();
 
@@ -560,7 +564,7 @@ export function applyCharacterAliases(thoughts, { suggestSimilar = false } = {})
                 // except on user personas: the fold itself is wanted (no NPC
                 // card for a decorated player name), but aliases are an
                 // NPC-only concept and must never be recorded on a user card.
-                if (!userKeys.has(normalizeName(structural)) && addCharacterAlias(structural, raw)) aliasesRecorded = true;
+                if (record && !userKeys.has(normalizeName(structural)) && addCharacterAlias(structural, raw)) aliasesRecorded = true;
             } else if (suggestSimilar) {
                 queueAliasDecision(raw, canonMap, userKeys);
             }
@@ -0,0 +1,354 @@
+/**
+ * Chat Bundles — one versioned file with everything DES keeps for a chat:
+ * the per-chat tracker blob (chat_metadata.dooms_tracker), the character
+ * roster, every message's stored trackers and tension reading, and the
+ * portraits of the characters the chat references. Importing re-attaches it
+ * to another chat or install: messages are matched by index and text hash,
+ * and the import is planned first so the user sees what it will overwrite.
+ *
+ * File: {
+ *     $schema: 'dooms-chat-bundle-v1', version: 1, exportDate, chatName, characterName,
+ *     chat: { quests, committedTrackerData, doomCounterState, characterSheets, ... },
+ *     roster: { knownCharacters, removedCharacters, bannedCharacters, characterColors },
+ *     messages: [{ index, hash, name, isUser, swipes: { [swipeId]: snapshot }, tension? }],
+ *     portraits: { [name]: dataUrl }
+ * }
+ */
+import { chat, chat_metadata } from '../../../../../../../script.js';
+import { getContext } from '../../../../../../extensions.js';
+import { getStringHash, getBase64Async } from '../../../../../../utils.js';
+import { extensionSettings } from '../../core/state.js';
+import {
+    saveSettings,
+    saveChatData,
+    loadChatData,
+    getActiveKnownCharacters,
+    getActiveRemovedCharacters,
+    getActiveBannedCharacters,
+    getActiveCharacterColors
+} from '../../core/persistence.js';
+import { isDataUrl, persistPortrait, stashCurrentPortraitToHistory } from '../../utils/avatars.js';
+import { cloneJSON, downloadJSON, parseJSONFile, checkFormatVersion } from '../../utils/fileTransfer.js';
+import { isPlainObject } from '../../utils/trackerParse.js';
+import { parseCharacterEntriesFromThoughts } from '../generation/apiClient.js';
+import { getSnapshotSwipeIds, getSwipeSnapshot } from './trackerTimeline.js';
+
+export const CHAT_BUNDLE_VERSION = 1;
+const CHAT_BUNDLE_SCHEMA = `dooms-chat-bundle-v${CHAT_BUNDLE_VERSION}`;
+
+/** Fields of chat_metadata.dooms_tracker a bundle carries, with preview labels. */
+export const CHAT_BUNDLE_FIELDS = {
+    quests: 'Quest log',
+    committedTrackerData: 'Committed tracker',
+    lastGeneratedData: 'Displayed tracker',
+    doomCounterState: 'Doom Counter',
+    knivesEnabled: 'Knives toggle',
+    characterSheets: 'Character sheets',
+    twistJournal: 'Twist Journal',
+    storyMeters: 'Story meters',
+    worldKnifeDecks: 'Chat world decks',
+    pacingProfileId: 'Pacing profile',
+    syncedExpressionPortraits: 'Expression portraits',
+    syncedExpressionLabels: 'Expression labels'
+};
+
+/** Whether a stored field holds anything worth warning about overwriting. */
+function hasContent(value) {
+    if (value == null || value === '' || value === false) return false;
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'object') return Object.values(value).some(hasContent);
+    return true;
+}
+
+/** The hash a message is recognised by: its visible text. */
+function messageHash(message) {
+    return getStringHash(String(message?.mes ?? ''));
+}
+
+/** Every stored swipe snapshot of a message, including the swipe_info copies. */
+function messageSwipes(message) {
+    const swipes = {};
+    for (const swipeId of getSnapshotSwipeIds(message)) {
+        swipes[swipeId] = cloneJSON(getSwipeSnapshot(message, swipeId));
+    }
+    return swipes;
+}
+
+/** Names the chat refers to: the roster, sheets, and everyone in a stored tracker. */
+function referencedCharacterNames(messages, sheets) {
+    const names = new Set([...Object.keys(getActiveKnownCharacters()), ...Object.keys(sheets || {})]);
+    const addFrom = (thoughts) => {
+        if (!thoughts) return;
+        try {
+            for (const entry of parseCharacterEntriesFromThoughts(thoughts)) {
+                if (entry?.name) names.add(String(entry.name).trim());
+            }
+        } catch (e) {
+            // A snapshot that doesn't parse just contributes no names
+        }
+    };
+    for (const entry of messages) {
+        for (const snapshot of Object.values(entry.swipes)) addFrom(snapshot?.characterThoughts);
+    }
+    return names;
+}
+
+/** A portrait setting as a data URL: on-disk portraits are fetched. Null if it can't be read. */
+async function portraitDataUrl(value) {
+    if (isDataUrl(value)) return value;
+    try {
+        const response = await fetch(value);
+        if (!response.ok) return null;
+        return await getBase64Async(await response.blob());
+    } catch (e) {
+        console.warn('[Dooms Tracker] Chat bundle: portrait not readable:', value, e);
+        return null;
+    }
+}
+
+// ─── Export ────────────────────────────────────────────────────────────────
+
+/**
+ * Builds a bundle of the current chat.
+ * @returns {Promise<Object>} The bundle, ready for JSON.stringify
+ */
+export async function buildChatBundle() {
+    // Rebuild chat_metadata.dooms_tracker from the in-memory state first
+    saveChatData();
+    const saved = chat_metadata?.dooms_tracker || {};
+    const state = {};
+    for (const field of Object.keys(CHAT_BUNDLE_FIELDS)) {
+        if (saved[field] !== undefined) state[field] = cloneJSON(saved[field]);
+    }
+
+    const messages = [];
+    (Array.isArray(chat) ? chat : []).forEach((message, index) => {
+        if (!message) return;
+        const swipes = messageSwipes(message);
+        const tension = message.extra?.dooms_tension;
+        if (!Object.keys(swipes).length && tension === undefined) return;
+        const entry = { index, hash: messageHash(message), name: message.name || '', isUser: !!message.is_user, swipes };
+        if (tension !== undefined) entry.tension = cloneJSON(tension);
+        messages.push(entry);
+    });
+
+    const portraits = {};
+    for (const name of referencedCharacterNames(messages, state.characterSheets)) {
+        const value = extensionSettings.npcAvatars?.[name];
+        if (!value) continue;
+        const dataUrl = await portraitDataUrl(value);
+        if (dataUrl) portraits[name] = dataUrl;
+    }
+
+    const context = getContext();
+    return {
+        $schema: CHAT_BUNDLE_SCHEMA,
+        version: CHAT_BUNDLE_VERSION,
+        exportDate: new Date().toISOString(),
+        chatName: String(context?.chatId || ''),
+        characterName: String(context?.name2 || ''),
+        chat: state,
+        roster: {
+            knownCharacters: cloneJSON(getActiveKnownCharacters()),
+            removedCharacters: cloneJSON(getActiveRemovedCharacters()),
+            bannedCharacters: cloneJSON(getActiveBannedCharacters()),
+            characterColors: cloneJSON(getActiveCharacterColors())
+        },
+        messages,
+        portraits
+    };
+}
+
+/**
+ * Saves a bundle as a .json download.
+ * @param {Object} bundle
+ */
+export function downloadChatBundle(bundle) {
+    downloadJSON(bundle, `des-chat-${(bundle.chatName || 'bundle').replace(/[^\w.-]+/g, '_')}.json`);
+}
+
+// ─── Import ────────────────────────────────────────────────────────────────
+
+/**
+ * Reads a bundle file, throwing a readable Error when it isn't one.
+ * @param {string} text - File contents
+ * @returns {Object} The bundle with every section present
+ */
+export function parseChatBundle(text) {
+    const data = parseJSONFile(text);
+    if (!isPlainObject(data) || !isPlainObject(data.chat) || !Array.isArray(data.messages)) {
+        throw new Error('This is not a chat bundle (no chat state or message list).');
+    }
+    const version = checkFormatVersion(data.version, CHAT_BUNDLE_VERSION, 'bundle');
+    const state = {};
+    for (const field of Object.keys(CHAT_BUNDLE_FIELDS)) {
+        if (data.chat[field] !== undefined) state[field] = data.chat[field];
+    }
+    const roster = isPlainObject(data.roster) ? data.roster : {};
+    return {
+        version,
+        exportDate: String(data.exportDate || ''),
+        chatName: String(data.chatName || ''),
+        characterName: String(data.characterName || ''),
+        chat: state,
+        roster: {
+            knownCharacters: isPlainObject(roster.knownCharacters) ? roster.knownCharacters : {},
+            removedCharacters: Array.isArray(roster.removedCharacters) ? roster.removedCharacters.map(String) : [],
+            bannedCharacters: Array.isArray(roster.bannedCharacters) ? roster.bannedCharacters.map(String) : [],
+            characterColors: isPlainObject(roster.characterColors) ? roster.characterColors : {}
+        },
+        messages: data.messages
+            .filter(entry => isPlainObject(entry) && Number.isInteger(entry.index) && entry.index >= 0)
+            .map(entry => ({
+                index: entry.index,
+                hash: entry.hash,
+                name: String(entry.name || ''),
+                isUser: !!entry.isUser,
+                swipes: isPlainObject(entry.swipes) ? entry.swipes : {},
+                tension: entry.tension
+            })),
+        portraits: Object.fromEntries(Object.entries(isPlainObject(data.portraits) ? data.portraits : {})
+            .filter(([name, value]) => String(name).trim() && isDataUrl(value)))
+    };
+}
+
+/**
+ * Finds the message each bundle entry belongs to in the open chat: the same
+ * index with the same text, else the one message elsewhere with that text.
+ * With byIndex, an entry whose index exists but whose text differs (an
+ * edited message) still attaches there.
+ */
+function matchMessage(entry, hashes, byIndex) {
+    const message = chat[entry.index];
+    if (message && hashes[entry.index] === entry.hash && !!message.is_user === entry.isUser) {
+        return { target: entry.index, matchedBy: 'index' };
+    }
+    const candidates = [];
+    hashes.forEach((hash, index) => {
+        if (hash === entry.hash && !!chat[index]?.is_user === entry.isUser) candidates.push(index);
+    });
+    if (candidates.length === 1) return { target: candidates[0], matchedBy: 'hash' };
+    if (byIndex && message && !!message.is_user === entry.isUser) return { target: entry.index, matchedBy: 'position' };
+    return { target: null, matchedBy: null };
+}
+
+/**
+ * Works out what importing a bundle into the open chat would do, without
+ * writing anything.
+ * @param {Object} bundle - From parseChatBundle
+ * @param {{byIndex?: boolean, replacePortraits?: boolean}} [options]
+ * @returns {{
+ *     bundle: Object, options: Object,
+ *     fields: Array<{field: string, label: string, overwrites: boolean}>,
+ *     roster: {added: string[], overwritten: string[]},
+ *     messages: Array<{entry: Object, target: number|null, matchedBy: 'index'|'hash'|'position'|null, overwrites: boolean}>,
+ *     portraits: {added: string[], replaced: string[], kept: string[]}
+ * }}
+ */
+export function planChatBundleImport(bundle, { byIndex = false, replacePortraits = false } = {}) {
+    const current = chat_metadata?.dooms_tracker || {};
+    const fields = Object.keys(bundle.chat).map(field => ({
+        field,
+        label: CHAT_BUNDLE_FIELDS[field],
+        overwrites: hasContent(current[field])
+    }));
+
+    const known = getActiveKnownCharacters();
+    const roster = { added: [], overwritten: [] };
+    for (const name of Object.keys(bundle.roster.knownCharacters)) {
+        (known[name] ? roster.overwritten : roster.added).push(name);
+    }
+
+    const hashes = (Array.isArray(chat) ? chat : []).map(messageHash);
+    const messages = bundle.messages.map(entry => {
+        const { target, matchedBy } = matchMessage(entry, hashes, byIndex);
+        const message = target === null ? null : chat[target];
+        const overwrites = !!message && (getSnapshotSwipeIds(message).length > 0 || message.extra?.dooms_tension !== undefined);
+        return { entry, target, matchedBy, overwrites };
+    });
+
+    const portraits = { added: [], replaced: [], kept: [] };
+    for (const name of Object.keys(bundle.portraits)) {
+        if (!extensionSettings.npcAvatars?.[name]) portraits.added.push(name);
+        else (replacePortraits ? portraits.replaced : portraits.kept).push(name);
+    }
+
+    return { bundle, options: { byIndex, replacePortraits }, fields, roster, messages, portraits };
+}
+
+/**
+ * Replaces a message's stored trackers with a bundle entry's, for the swipes
+ * the message has. The swipe_info copies loadChatData() falls back to are
+ * set or cleared to match, so a stale one can't come back on reload.
+ * @param {Object} message - chat[] entry
+ * @param {Object} swipes - { [swipeId]: snapshot } from the bundle
+ */
+function writeMessageSwipes(message, swipes) {
+    const swipeCount = Array.isArray(message.swipes) && message.swipes.length ? message.swipes.length : 1;
+    const stored = {};
+    for (let swipeId = 0; swipeId < swipeCount; swipeId++) {
+        const snapshot = swipes[swipeId];
+        if (snapshot) stored[swipeId] = cloneJSON(snapshot);
+        const info = message.swipe_info?.[swipeId];
+        if (!info) continue;
+        if (snapshot) {
+            if (!info.extra) info.extra = {};
+            if (!info.extra.dooms_tracker_swipes) info.extra.dooms_tracker_swipes = {};
+            info.extra.dooms_tracker_swipes[swipeId] = cloneJSON(snapshot);
+        } else if (info.extra?.dooms_tracker_swipes) {
+            delete info.extra.dooms_tracker_swipes[swipeId];
+        }
+    }
+    message.extra.dooms_tracker_swipes = stored;
+}
+
+/**
+ * Writes a planned import: the chat's tracker state is replaced, roster
+ * entries are merged in (the bundle's wins for a name both have), matched
+ * messages take the bundle's trackers, and portraits are saved to disk.
+ * The chat state is then reloaded and saved; the caller re-renders.
+ * @param {Object} plan - From planChatBundleImport
+ * @returns {Promise<{messages: number, portraits: number}>} What was written
+ */
+export async function applyChatBundleImport(plan) {
+    const { bundle } = plan;
+    if (!isPlainObject(chat_metadata.dooms_tracker)) chat_metadata.dooms_tracker = {};
+    for (const { field } of plan.fields) {
+        chat_metadata.dooms_tracker[field] = cloneJSON(bundle.chat[field]);
+    }
+
+    Object.assign(getActiveKnownCharacters(), cloneJSON(bundle.roster.knownCharacters));
+    Object.assign(getActiveCharacterColors(), cloneJSON(bundle.roster.characterColors));
+    for (const [field, list] of [['removedCharacters', getActiveRemovedCharacters()], ['bannedCharacters', getActiveBannedCharacters()]]) {
+        for (const name of bundle.roster[field]) {
+            if (!list.includes(name)) list.push(name);
+        }
+    }
+
+    let messages = 0;
+    for (const { entry, target } of plan.messages) {
+        const message = target === null ? null : chat[target];
+        if (!message) continue;
+        if (!message.extra) message.extra = {};
+        if (Object.keys(entry.swipes).length) writeMessageSwipes(message, entry.swipes);
+        if (entry.tension !== undefined) message.extra.dooms_tension = cloneJSON(entry.tension);
+        messages++;
+    }
+
+    let portraits = 0;
+    if (!extensionSettings.npcAvatars) extensionSettings.npcAvatars = {};
+    for (const name of [...plan.portraits.added, ...plan.portraits.replaced]) {
+        try {
+            // The portrait being replaced goes to history, like a regenerated one
+            stashCurrentPortraitToHistory(name);
+            extensionSettings.npcAvatars[name] = await persistPortrait(null, name, bundle.portraits[name]);
+            portraits++;
+        } catch (e) {
+            console.error(`[Dooms Tracker] Chat bundle: portrait for "${name}" not saved:`, e);
+        }
+    }
+    saveSettings();
+    loadChatData();
+    await saveChatData({ immediate: true });
+    return { messages, portraits };
+}
@@ -0,0 +1,278 @@
+/**
+ * Edit History — undo and redo for the user's manual edits: tracker fields,
+ * quests, adding and removing characters, lock toggles, alias merges and
+ * roster changes. Each chat keeps its own stacks, in memory only.
+ *
+ * An edit is recorded by running it through recordEdit() with the scopes it
+ * touches. The scopes are captured before and after; undo puts the "before"
+ * capture back and redo the "after" one. Either is refused when the scope
+ * has changed since (a new reply, a swipe, an edit from elsewhere), so an
+ * undo never throws away something the list doesn't show.
+ *
+ * Scopes:
+ *   tracker — displayed and committed tracker, quest log, the latest reply's stored tracker
+ *             (both its message.extra and swipe_info copies)
+ *   locks   — lockedItems
+ *   roster  — known, removed and banished characters, colors, pins, aliases, relationships, knives
+ * Portraits are not captured: a roster delete removes the files from disk,
+ * and undoing it brings the character back without one.
+ */
+import { chat, chat_metadata } from '../../../../../../../script.js';
+import { getContext } from '../../../../../../extensions.js';
+import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { saveSettings, saveChatData } from '../../core/persistence.js';
+import { latestReplyIndex } from '../../core/trackerStore.js';
+import { cloneJSON } from '../../utils/fileTransfer.js';
+
+/** Edits kept per chat; the oldest are dropped first. */
+const MAX_ENTRIES = 50;
+
+const TRACKER_KEYS = ['quests', 'infoBox', 'characterThoughts'];
+
+/** Roster settings, global or (with per-chat tracking) in the chat metadata. */
+const ROSTER_SETTINGS = [
+    'knownCharacters', 'removedCharacters', 'bannedCharacters', 'characterColors', 'pinnedCharacters',
+    'characterAliases', 'aliasDismissals', 'heroPositions', 'characterInjection', 'characterAppearance',
+    'characterRelationships', 'characterKnives'
+];
+const ROSTER_CHAT = ['knownCharacters', 'removedCharacters', 'bannedCharacters', 'characterColors'];
+
+function pick(source, keys) {
+    const picked = {};
+    for (const key of keys) {
+        if (source?.[key] !== undefined) picked[key] = cloneJSON(source[key]);
+    }
+    return picked;
+}
+
+/** Puts picked keys back, removing the ones that weren't there. */
+function restoreKeys(target, keys, picked) {
+    for (const key of keys) {
+        if (picked[key] === undefined) delete target[key];
+        else target[key] = cloneJSON(picked[key]);
+    }
+}
+
+/**
+ * Puts back a swipe's stored tracker in one of its two stores (message.extra,
+ * or swipe_info[swipeId].extra for chats loaded from file), removing it when
+ * the capture had none.
+ */
+function restoreStoredTracker(extra, swipeId, stored) {
+    if (stored) {
+        if (!extra.dooms_tracker_swipes) extra.dooms_tracker_swipes = {};
+        extra.dooms_tracker_swipes[swipeId] = cloneJSON(stored);
+    } else if (extra.dooms_tracker_swipes) {
+        delete extra.dooms_tracker_swipes[swipeId];
+    }
+}
+
+const SCOPES = {
+    tracker: {
+        capture() {
+            const index = latestReplyIndex();
+            const message = chat[index];
+            const swipeId = message?.swipe_id || 0;
+            return {
+                lastGenerated: pick(lastGeneratedData, TRACKER_KEYS),
+                committed: pick(committedTrackerData, TRACKER_KEYS),
+                quests: cloneJSON(extensionSettings.quests),
+                reply: index < 0 ? null : {
+                    index,
+                    swipeId,
+                    stored: cloneJSON(message.extra?.dooms_tracker_swipes?.[swipeId]) ?? null,
+                    swipeInfo: cloneJSON(message.swipe_info?.[swipeId]?.extra?.dooms_tracker_swipes?.[swipeId]) ?? null
+                }
+            };
+        },
+        restore(state) {
+            restoreKeys(lastGeneratedData, TRACKER_KEYS, state.lastGenerated);
+            restoreKeys(committedTrackerData, TRACKER_KEYS, state.committed);
+            extensionSettings.quests = cloneJSON(state.quests);
+            const message = state.reply && chat[state.reply.index];
+            if (message) {
+                const { swipeId } = state.reply;
+                if (!message.extra) message.extra = {};
+                restoreStoredTracker(message.extra, swipeId, state.reply.stored);
+                // loadChatData() falls back to this copy, so it has to match
+                const info = message.swipe_info?.[swipeId];
+                if (info) {
+                    if (!info.extra) info.extra = {};
+                    restoreStoredTracker(info.extra, swipeId, state.reply.swipeInfo);
+                }
+            }
+            saveSettings();
+            saveChatData();
+        }
+    },
+    locks: {
+        capture() {
+            return cloneJSON(extensionSettings.lockedItems || {});
+        },
+        restore(state) {
+            extensionSettings.lockedItems = cloneJSON(state);
+            saveSettings();
+        }
+    },
+    roster: {
+        capture() {
+            return {
+                settings: pick(extensionSettings, ROSTER_SETTINGS),
+                chat: extensionSettings.perChatCharacterTracking && chat_metadata
+                    ? pick(chat_metadata.dooms_tracker, ROSTER_CHAT)
+                    : null
+            };
+        },
+        restore(state) {
+            restoreKeys(extensionSettings, ROSTER_SETTINGS, state.settings);
+            if (state.chat && chat_metadata) {
+                if (!chat_metadata.dooms_tracker) chat_metadata.dooms_tracker = {};
+                restoreKeys(chat_metadata.dooms_tracker, ROSTER_CHAT, state.chat);
+            }
+            saveSettings();
+            saveChatData();
+        }
+    }
+};
+
+/** Undo and redo stacks by chat id. */
+const _histories = new Map();
+const _listeners = new Set();
+
+function currentHistory() {
+    const chatId = getContext()?.chatId;
+    if (!chatId) return null;
+    if (!_histories.has(chatId)) _histories.set(chatId, { undo: [], redo: [] });
+    return _histories.get(chatId);
+}
+
+function capture(scopes) {
+    return JSON.stringify(Object.fromEntries(scopes.map(scope => [scope, SCOPES[scope].capture()])));
+}
+
+function notify() {
+    for (const listener of _listeners) {
+        try {
+            listener();
+        } catch (error) {
+            console.warn('[Dooms Tracker] Edit history listener failed:', error);
+        }
+    }
+}
+
+let _nextId = 1;
+/** Set while an edit is being recorded, so edits made inside it aren't recorded twice. */
+let _recording = false;
+
+function push(history, details, scopes, before) {
+    const after = capture(scopes);
+    if (after === before) return;
+    history.undo.push({
+        id: _nextId++,
+        label: details.label,
+        where: details.where || '',
+        scopes,
+        before,
+        after,
+        time: Date.now()
+    });
+    if (history.undo.length > MAX_ENTRIES) history.undo.shift();
+    history.redo.length = 0;
+    notify();
+}
+
+/**
+ * Runs an edit and records it for undo when it changed anything. An async
+ * edit is recorded once it settles.
+ * @param {{label: string, where?: string}} details - What was changed, and where ("Elara", "Scene")
+ * @param {Array<'tracker'|'locks'|'roster'>} scopes - What the edit can touch
+ * @param {Function} edit
+ * @returns {*} Whatever the edit returns
+ */
+export function recordEdit(details, scopes, edit) {
+    const history = currentHistory();
+    if (!history || _recording) return edit();
+    const before = capture(scopes);
+    _recording = true;
+    let result;
+    try {
+        result = edit();
+    } catch (error) {
+        _recording = false;
+        throw error;
+    }
+    if (result && typeof result.then === 'function') {
+        return result.finally(() => {
+            _recording = false;
+            push(history, details, scopes, before);
+        });
+    }
+    _recording = false;
+    push(history, details, scopes, before);
+    return result;
+}
+
+/**
+ * The current chat's edits: done ones newest first, then undone ones in the
+ * order redo would bring them back.
+ * @returns {{undo: Array<Object>, redo: Array<Object>}}
+ */
+export function getEditHistory() {
+    const history = currentHistory();
+    if (!history) return { undo: [], redo: [] };
+    return { undo: [...history.undo].reverse(), redo: [...history.redo].reverse() };
+}
+
+/**
+ * Moves one edit between the stacks, putting its "before" (undo) or
+ * "after" (redo) capture back.
+ * @returns {{ok: true, entry: Object}|{ok: false, reason: 'empty'|'changed', entry?: Object}}
+ */
+function step(from, to, expected, target) {
+    const history = currentHistory();
+    const entry = history?.[from].at(-1);
+    if (!entry) return { ok: false, reason: 'empty' };
+    if (capture(entry.scopes) !== entry[expected]) return { ok: false, reason: 'changed', entry };
+    const state = JSON.parse(entry[target]);
+    for (const scope of entry.scopes) SCOPES[scope].restore(state[scope]);
+    history[from].pop();
+    history[to].push(entry);
+    notify();
+    return { ok: true, entry };
+}
+
+/**
+ * Undoes the latest edit of the current chat.
+ * @returns {{ok: true, entry: Object}|{ok: false, reason: 'empty'|'changed', entry?: Object}} 'changed' when
+ *     the tracker, locks or roster changed since the edit
+ */
+export function undoEdit() {
+    return step('undo', 'redo', 'after', 'before');
+}
+
+/**
+ * Redoes the latest undone edit of the current chat.
+ * @returns {{ok: true, entry: Object}|{ok: false, reason: 'empty'|'changed', entry?: Object}}
+ */
+export function redoEdit() {
+    return step('redo', 'undo', 'before', 'after');
+}
+
+/** Forgets the current chat's edits. */
+export function clearEditHistory() {
+    const history = currentHistory();
+    if (!history) return;
+    history.undo.length = 0;
+    history.redo.length = 0;
+    notify();
+}
+
+/**
+ * Calls a listener whenever an edit is recorded, undone or redone.
+ * @param {Function} listener
+ * @returns {Function} Unsubscribes
+ */
+export function onEditHistoryChanged(listener) {
+    _listeners.add(listener);
+    return () => _listeners.delete(listener);
+}
@@ -138,7 +138,7 @@ export async function ensureTrackerCleaningRegex(st_extension_settings, saveSett
         const regexScript = {
             id: uuidv4(),
             scriptName: scriptName,
-            findRegex: '/```json\\s*\\n\\{[\\s\\S]*?(?:\"quests\"|\"infoBox\"|\"characters\"|\"userStats\")[\\s\\S]*?\\}\\s*\\n```/gm',
+            findRegex: '/```json\\s*\\n\\{[\\s\\S]*?(?:\"quests\"|\"infoBox\"|\"characters\"|\"userStats\"|\"trackerPatch\")[\\s\\S]*?\\}\\s*\\n```/gm',
             replaceString: '',
             trimStrings: [],
             placement: [2], // 2 = Input (affects outgoing prompt)
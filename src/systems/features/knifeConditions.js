@@ -0,0 +1,155 @@
+/**
+ * Knife Conditions Module
+ * Optional story conditions on a knife (Character Workshop → Knives). A knife
+ * with conditions is only drawn by the Doom Counter when all of them hold for
+ * the current scene:
+ *
+ *   location     — the scene's location contains the text
+ *   present      — the named character is also in the scene
+ *   relationship — the knife owner's relationship to the player is this
+ *   dateAfter    — the in-world date is after this date (active calendar)
+ *   tensionAbove — the Doom Counter tension reading is above this number
+ *
+ * Storage: knife.conditions = [{ type, value }]
+ * Conditions are checked against the committed tracker data (the scene the
+ * next reply will be written from), falling back to the latest generated
+ * data before anything has been committed.
+ */
+import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { parseTrackerJson } from '../../utils/trackerParse.js';
+import { parseDate, toDayIndex } from '../../utils/calendar.js';
+import { getActiveCalendar } from './worldClock.js';
+
+export const KNIFE_CONDITION_TYPES = {
+    location: { label: 'Location contains', placeholder: 'Docks' },
+    present: { label: 'Also present', placeholder: 'Character name' },
+    relationship: { label: 'Relationship is', placeholder: 'Enemy' },
+    dateAfter: { label: 'Date is after', placeholder: '1492-03-01' },
+    tensionAbove: { label: 'Tension above', placeholder: '6' }
+};
+
+function fieldText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    return String(value.value || '');
+}
+
+function characterList(raw) {
+    const data = parseTrackerJson(raw);
+    if (!data) return [];
+    return Array.isArray(data) ? data : (data.characters || []);
+}
+
+/**
+ * Snapshot of the scene the conditions are checked against. Build it once
+ * per pick and pass it to evaluateKnifeConditions for every knife.
+ * @returns {{location: string, date: string, tension: number|null,
+ *   present: Set<string>, relationships: Map<string, string>}}
+ */
+export function getKnifeConditionContext() {
+    const info = parseTrackerJson(committedTrackerData.infoBox || lastGeneratedData.infoBox) || {};
+    const characters = characterList(committedTrackerData.characterThoughts || lastGeneratedData.characterThoughts);
+    const present = new Set();
+    const relationships = new Map();
+    for (const c of characters) {
+        if (!c?.name) continue;
+        const lower = String(c.name).toLowerCase();
+        if (c.present !== false) present.add(lower);
+        const rel = c.Relationship || c.relationship?.status || c.relationship;
+        if (typeof rel === 'string' && rel) relationships.set(lower, rel);
+    }
+    // Workshop relationship overrides win over what the model reported
+    for (const [name, rel] of Object.entries(extensionSettings.characterRelationships || {})) {
+        if (rel) relationships.set(name.toLowerCase(), rel);
+    }
+    const rawTension = info.doomTension && typeof info.doomTension === 'object' ? info.doomTension.value : info.doomTension;
+    const tension = Number(rawTension);
+    return {
+        location: fieldText(info.location),
+        date: fieldText(info.date),
+        tension: rawTension !== undefined && rawTension !== null && Number.isFinite(tension) ? tension : null,
+        present,
+        relationships
+    };
+}
+
+/**
+ * Human-readable form of one condition.
+ * @param {{type: string, value: string}} condition
+ * @returns {string}
+ */
+export function describeKnifeCondition(condition) {
+    const type = KNIFE_CONDITION_TYPES[condition?.type];
+    return type ? `${type.label} "${condition.value}"` : `Unknown condition "${condition?.type}"`;
+}
+
+/**
+ * Checks one condition.
+ * @returns {{met: boolean, detail: string}} detail says what the scene has now
+ */
+function checkCondition(condition, ownerName, isUser, context) {
+    const value = String(condition.value || '').trim();
+    switch (condition.type) {
+        case 'location':
+            return {
+                met: context.location.toLowerCase().includes(value.toLowerCase()),
+                detail: `location: ${context.location || 'unknown'}`
+            };
+        case 'present':
+            return {
+                met: context.present.has(value.toLowerCase()),
+                detail: context.present.has(value.toLowerCase()) ? `${value} is here` : `${value} isn't in the scene`
+            };
+        case 'relationship': {
+            if (isUser) return { met: false, detail: 'a persona has no relationship to the player' };
+            const rel = context.relationships.get(String(ownerName).toLowerCase()) || '';
+            return { met: rel.toLowerCase() === value.toLowerCase(), detail: `relationship: ${rel || 'unknown'}` };
+        }
+        case 'dateAfter': {
+            const calendar = getActiveCalendar();
+            const after = parseDate(value, calendar);
+            if (!after) return { met: false, detail: `"${value}" isn't a date in the ${calendar.name} calendar` };
+            const now = parseDate(context.date, calendar, after.year);
+            if (!now) return { met: false, detail: `date: ${context.date || 'unknown'}` };
+            return { met: toDayIndex(calendar, now) > toDayIndex(calendar, after), detail: `date: ${context.date}` };
+        }
+        case 'tensionAbove': {
+            const threshold = Number(value);
+            if (!Number.isFinite(threshold)) return { met: false, detail: `"${value}" isn't a number` };
+            return {
+                met: context.tension !== null && context.tension > threshold,
+                detail: `tension: ${context.tension ?? 'unknown'}`
+            };
+        }
+        default:
+            return { met: false, detail: 'unknown condition' };
+    }
+}
+
+/**
+ * Checks all of a knife's conditions.
+ * @param {Object} knife
+ * @param {string} ownerName - Character (or persona) the knife belongs to
+ * @param {boolean} isUser - True for persona knives
+ * @param {ReturnType<typeof getKnifeConditionContext>} [context]
+ * @returns {{eligible: boolean, results: Array<{condition: Object, met: boolean, detail: string}>}}
+ */
+export function evaluateKnifeConditions(knife, ownerName, isUser, context = getKnifeConditionContext()) {
+    // Rows left empty in the editor don't count
+    const conditions = (Array.isArray(knife?.conditions) ? knife.conditions : [])
+        .filter(condition => String(condition?.value || '').trim());
+    const results = conditions.map(condition => ({ condition, ...checkCondition(condition, ownerName, isUser, context) }));
+    return { eligible: results.every(result => result.met), results };
+}
+
+/**
+ * One-line explanation of a knife's eligibility, for pickers and tooltips.
+ * @param {ReturnType<typeof evaluateKnifeConditions>} evaluation
+ * @returns {string}
+ */
+export function summarizeKnifeEligibility(evaluation) {
+    if (!evaluation.results.length) return 'No conditions — always eligible';
+    const failed = evaluation.results.filter(result => !result.met);
+    if (!failed.length) return `Eligible: ${evaluation.results.map(result => describeKnifeCondition(result.condition)).join('; ')}`;
+    return `Not eligible: ${failed.map(result => `${describeKnifeCondition(result.condition)} (${result.detail})`).join('; ')}`;
+}
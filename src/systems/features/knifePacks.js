@@ -0,0 +1,228 @@
+/**
+ * Knife Packs Module
+ * Versioned JSON files for moving knives between installs and sharing them:
+ * one character's knives, a hand-picked selection, a world deck, or a themed
+ * pack (every Betrayal knife, say). Importing matches each character by name
+ * or alias (resolveCharacterAlias), skips knives the owner already has, and is
+ * planned first so the user can review the diff before anything is written.
+ *
+ * File: {
+ *     $schema: 'dooms-knife-pack-v1', version: 1, name, exportDate,
+ *     owners: [
+ *         { type: 'character', name, isUser, knives: [{ text, theme?, conditions? }] },
+ *         { type: 'deck', name, emoji, description, weight, knives: [...] }
+ *     ]
+ * }
+ * Knives are exported without ids or used flags and always import armed.
+ */
+import { extensionSettings } from '../../core/state.js';
+import { saveSettings } from '../../core/persistence.js';
+import { downloadJSON, parseJSONFile, checkFormatVersion } from '../../utils/fileTransfer.js';
+import { resolveCharacterAlias } from './characterAliases.js';
+import { getWorldDecks, saveWorldDecks, storeWorldDeck, getAllWorldDecks } from './worldDecks.js';
+
+export const KNIFE_PACK_VERSION = 1;
+const KNIFE_PACK_SCHEMA = `dooms-knife-pack-v${KNIFE_PACK_VERSION}`;
+
+/** Comparison key for duplicate detection — case and spacing don't count. */
+function knifeKey(text) {
+    return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function packKnife(knife) {
+    const packed = { text: String(knife.text).trim() };
+    if (knife.theme) packed.theme = String(knife.theme);
+    if (Array.isArray(knife.conditions) && knife.conditions.length) {
+        packed.conditions = knife.conditions
+            .filter(c => c && c.type)
+            .map(c => ({ type: String(c.type), value: String(c.value || '') }));
+    }
+    return packed;
+}
+
+/**
+ * Every knife owner with at least one knife: NPCs, personas and world decks.
+ * @returns {Array<{type: 'character'|'deck', name: string, isUser?: boolean, deckId?: string, knives: Object[]}>}
+ */
+export function getKnifeOwners() {
+    const owners = [];
+    for (const [name, knives] of Object.entries(extensionSettings.characterKnives || {})) {
+        if (Array.isArray(knives) && knives.length) owners.push({ type: 'character', name, isUser: false, knives });
+    }
+    for (const [name, data] of Object.entries(extensionSettings.userCharacters || {})) {
+        if (Array.isArray(data?.knives) && data.knives.length) owners.push({ type: 'character', name, isUser: true, knives: data.knives });
+    }
+    for (const deck of getAllWorldDecks()) {
+        if (deck.knives.length) owners.push({ type: 'deck', name: deck.name, deckId: deck.id, deck, knives: deck.knives });
+    }
+    return owners;
+}
+
+/**
+ * Builds a pack from owners and the knives picked from each.
+ * @param {string} name - Pack name
+ * @param {Array<{owner: Object, knives: Object[]}>} selection - Owners from getKnifeOwners()
+ * @returns {Object} The pack, ready for JSON.stringify
+ */
+export function buildKnifePack(name, selection) {
+    return {
+        $schema: KNIFE_PACK_SCHEMA,
+        version: KNIFE_PACK_VERSION,
+        name: String(name || '').trim() || 'Knife Pack',
+        exportDate: new Date().toISOString(),
+        owners: selection
+            .filter(({ knives }) => knives.length)
+            .map(({ owner, knives }) => owner.type === 'deck'
+                ? {
+                    type: 'deck',
+                    name: owner.deck.name,
+                    emoji: owner.deck.emoji,
+                    description: owner.deck.description,
+                    weight: owner.deck.weight,
+                    knives: knives.map(packKnife)
+                }
+                : { type: 'character', name: owner.name, isUser: !!owner.isUser, knives: knives.map(packKnife) })
+    };
+}
+
+/**
+ * Reads a pack file, upgrading older versions and dropping malformed entries.
+ * @param {string} text - File contents
+ * @returns {Object} Normalized pack
+ * @throws {Error} When the file isn't a knife pack this version can read
+ */
+export function parseKnifePack(text) {
+    const data = parseJSONFile(text);
+    if (!data || typeof data !== 'object' || !Array.isArray(data.owners)) {
+        throw new Error('This is not a knife pack (no owners list).');
+    }
+    const version = checkFormatVersion(data.version, KNIFE_PACK_VERSION, 'pack');
+    const owners = data.owners
+        .filter(owner => owner && String(owner.name || '').trim() && Array.isArray(owner.knives))
+        .map(owner => ({
+            ...owner,
+            type: owner.type === 'deck' ? 'deck' : 'character',
+            name: String(owner.name).trim(),
+            isUser: owner.type !== 'deck' && !!owner.isUser,
+            knives: owner.knives
+                .map(knife => typeof knife === 'string' ? { text: knife } : knife)
+                .filter(knife => knife && String(knife.text || '').trim())
+                .map(packKnife)
+        }))
+        .filter(owner => owner.knives.length);
+    if (!owners.length) throw new Error('The pack has no knives in it.');
+    return { name: String(data.name || '').trim() || 'Knife Pack', version, owners };
+}
+
+/**
+ * Finds where a pack owner's knives would go in this install.
+ * @returns {{targetName: string, matchedBy: 'name'|'alias'|'new', existing: Object[], deck?: Object, scope?: string}}
+ */
+function resolveImportTarget(owner) {
+    const lower = owner.name.toLowerCase();
+    if (owner.type === 'deck') {
+        for (const scope of ['chat', 'global']) {
+            const deck = getWorldDecks(scope).find(entry => String(entry.name || '').toLowerCase() === lower);
+            if (deck) return { targetName: deck.name, matchedBy: 'name', existing: deck.knives || [], deck, scope };
+        }
+        return { targetName: owner.name, matchedBy: 'new', existing: [] };
+    }
+    if (owner.isUser) {
+        const key = Object.keys(extensionSettings.userCharacters || {}).find(name => name.toLowerCase() === lower);
+        return key
+            ? { targetName: key, matchedBy: 'name', existing: extensionSettings.userCharacters[key].knives || [] }
+            : { targetName: owner.name, matchedBy: 'new', existing: [] };
+    }
+    const resolved = resolveCharacterAlias(owner.name);
+    const matchedBy = resolved.toLowerCase() !== lower ? 'alias' : 'name';
+    const knifeMap = extensionSettings.characterKnives || {};
+    const key = Object.keys(knifeMap).find(name => name.toLowerCase() === resolved.toLowerCase());
+    if (key) return { targetName: key, matchedBy, existing: knifeMap[key] || [] };
+    return { targetName: resolved, matchedBy: matchedBy === 'alias' ? 'alias' : 'new', existing: [] };
+}
+
+/**
+ * Plans an import without changing anything — the preview diff.
+ * @param {Object} pack - From parseKnifePack()
+ * @returns {Array<{owner: Object, targetName: string, matchedBy: string, missing: boolean, add: Object[], duplicates: Object[]}>}
+ *   Owners of the same target are merged. A persona can't be created by an
+ *   import (it needs a Workshop record), so a persona owner with no matching
+ *   persona is `missing` and adds nothing.
+ */
+export function planKnifePackImport(pack) {
+    const plans = new Map();
+    for (const owner of pack.owners) {
+        const target = resolveImportTarget(owner);
+        const id = `${owner.type}:${owner.isUser ? 'user:' : ''}${target.targetName.toLowerCase()}`;
+        if (!plans.has(id)) {
+            plans.set(id, {
+                owner,
+                ...target,
+                missing: owner.isUser && target.matchedBy === 'new',
+                seen: new Set(target.existing.map(knife => knifeKey(knife.text))),
+                add: [],
+                duplicates: []
+            });
+        }
+        const plan = plans.get(id);
+        if (plan.missing) continue;
+        for (const knife of owner.knives) {
+            const key = knifeKey(knife.text);
+            if (plan.seen.has(key)) {
+                plan.duplicates.push(knife);
+                continue;
+            }
+            plan.seen.add(key);
+            plan.add.push(knife);
+        }
+    }
+    return [...plans.values()].map(({ seen, existing, ...plan }) => plan);
+}
+
+/**
+ * Writes a planned import.
+ * @param {ReturnType<typeof planKnifePackImport>} plan
+ * @param {Object} [options]
+ * @param {'chat'|'global'} [options.deckScope='global'] - Where new world decks go
+ * @returns {number} Knives added
+ */
+export function applyKnifePackImport(plan, { deckScope = 'global' } = {}) {
+    const now = Date.now();
+    let added = 0;
+    let settingsChanged = false;
+    const touchedScopes = new Set();
+    for (const entry of plan) {
+        if (!entry.add.length) continue;
+        const knives = entry.add.map((knife, i) => ({ id: `knife_${now}_${added + i}`, ...knife, used: false }));
+        added += knives.length;
+        if (entry.owner.type === 'deck') {
+            if (entry.deck) {
+                entry.deck.knives = [...(entry.deck.knives || []), ...knives];
+                touchedScopes.add(entry.scope);
+            } else {
+                const { name, emoji, description, weight } = entry.owner;
+                storeWorldDeck({ id: `deck-${now.toString(36)}-${added}`, name, emoji, description, weight, knives }, deckScope);
+            }
+        } else if (entry.owner.isUser) {
+            const persona = extensionSettings.userCharacters[entry.targetName];
+            persona.knives = [...(persona.knives || []), ...knives];
+            settingsChanged = true;
+        } else {
+            if (!extensionSettings.characterKnives) extensionSettings.characterKnives = {};
+            const list = extensionSettings.characterKnives[entry.targetName] || [];
+            extensionSettings.characterKnives[entry.targetName] = [...list, ...knives];
+            settingsChanged = true;
+        }
+    }
+    touchedScopes.forEach(scope => saveWorldDecks(scope));
+    if (settingsChanged) saveSettings();
+    return added;
+}
+
+/**
+ * Saves a pack as a .json download.
+ * @param {Object} pack - From buildKnifePack()
+ */
+export function downloadKnifePack(pack) {
+    downloadJSON(pack, `knife-pack-${pack.name.replace(/[^\w.-]+/g, '_')}.json`);
+}
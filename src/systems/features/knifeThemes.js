@@ -0,0 +1,82 @@
+/**
+ * Knife Themes Module
+ * Themes steer knife generation (doomCounter.generateKnifeSuggestions and
+ * generateWorldKnifeSuggestions) so every batch doesn't drift toward
+ * betrayal/villainy — Regrets and Fortune in particular produce knives that
+ * make a character sympathetic or lucky rather than compromised. They show as
+ * chips in the Character Workshop and World Decks, and kept knives remember
+ * their theme id, which story meters and knife packs filter by.
+ *
+ * Built-in themes are fixed; user themes are created in the Prompts Editor.
+ * Storage: extensionSettings.customKnifeThemes = [{ id, label, emoji, guidance, count? }]
+ */
+import { extensionSettings } from '../../core/state.js';
+
+/** Knives asked for when a theme has no default count of its own. */
+export const DEFAULT_KNIFE_COUNT = 5;
+export const MAX_KNIFE_COUNT = 10;
+
+export const BUILTIN_KNIFE_THEMES = [
+    { id: 'mixed',    emoji: '🎲', label: 'Mixed',      guidance: 'Mix sympathetic, neutral, and compromising beats across the options — debts, secrets, old flames, rivals, regrets, lucky breaks. Do NOT make every knife paint the character as a villain or traitor.' },
+    { id: 'betrayal', emoji: '🗡️', label: 'Betrayal',   guidance: 'Focus on betrayal where {{user}} is the betrayed party — divided loyalties, double lives, deals with the wrong side, and broken promises that are set to cut {{user}} specifically, not strangers or off-screen characters.' },
+    { id: 'enemies',  emoji: '⚔️', label: 'Enemies',    guidance: 'Focus on rivals, grudges, and people from the character\'s past hunting them or wanting them ruined — danger that comes FOR the character, not treachery BY them.' },
+    { id: 'debts',    emoji: '💰', label: 'Debts',      guidance: 'Focus on money owed, favors about to be called in, contracts, and obligations the character cannot easily pay.' },
+    { id: 'flames',   emoji: '💔', label: 'Old Flames', guidance: 'Focus on past romances, heartbreak, lost loves, exes, and unresolved feelings that resurface.' },
+    { id: 'secrets',  emoji: '🤫', label: 'Secrets',    guidance: 'Focus on hidden identities, concealed pasts, and truths the character keeps — not necessarily shameful ones: some secrets are protective, sad, or wondrous.' },
+    { id: 'regrets',  emoji: '🩹', label: 'Regrets',    guidance: 'Focus on guilt, grief, old wounds, and mistakes that haunt the character — sympathetic beats that make them vulnerable rather than villainous.' },
+    { id: 'fortune',  emoji: '🍀', label: 'Fortune',    guidance: 'Focus on POSITIVE surprises: inheritances, secret talents, old friends returning with help, debts owed TO the character, lucky breaks from their past.' },
+];
+
+/**
+ * Fills in missing fields of a user theme with defaults.
+ * @param {Object} theme
+ * @returns {{id: string, label: string, emoji: string, guidance: string, count: number|null, custom: true}}
+ */
+export function normalizeKnifeTheme(theme) {
+    const count = parseInt(theme?.count);
+    return {
+        id: String(theme?.id || `theme-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`),
+        label: String(theme?.label || '').trim() || 'Untitled',
+        emoji: String(theme?.emoji || '').trim() || '🔪',
+        guidance: String(theme?.guidance || '').trim(),
+        count: Number.isFinite(count) && count > 0 ? Math.min(MAX_KNIFE_COUNT, count) : null,
+        custom: true
+    };
+}
+
+/**
+ * The user's own themes, normalized.
+ * @returns {Object[]}
+ */
+export function getCustomKnifeThemes() {
+    const themes = Array.isArray(extensionSettings.customKnifeThemes) ? extensionSettings.customKnifeThemes : [];
+    return themes.filter(theme => theme && theme.id).map(normalizeKnifeTheme);
+}
+
+/**
+ * Every theme offered for generation: built-ins first, then the user's.
+ * @returns {Object[]}
+ */
+export function getKnifeThemes() {
+    return [...BUILTIN_KNIFE_THEMES, ...getCustomKnifeThemes()];
+}
+
+/**
+ * Finds a theme by id. Knives can keep the id of a theme that was since
+ * deleted, so callers must handle null.
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getKnifeTheme(id) {
+    if (!id) return null;
+    return getKnifeThemes().find(theme => theme.id === id) || null;
+}
+
+/**
+ * How many knives to ask for with a theme.
+ * @param {Object|null} theme
+ * @returns {number}
+ */
+export function getKnifeThemeCount(theme) {
+    return theme?.count || DEFAULT_KNIFE_COUNT;
+}
@@ -0,0 +1,336 @@
+/**
+ * Pacing Profiles Module
+ * Act structures for the Doom Counter. Its detection settings (low tension
+ * ceiling, streak threshold, countdown length) are otherwise the same for the
+ * whole chat; a profile splits the story into phases that each override them —
+ * a quiet first act, a tense last one — and moves on after a number of replies.
+ * An episodic profile starts over from its first phase whenever the scene's
+ * location changes. A phase field left empty uses the Doom Counter setting.
+ *
+ * Which profile runs is resolved chat → character → default:
+ *   Per chat:      chat_metadata.dooms_tracker.pacingProfileId
+ *   Per character: extensionSettings.doomCounter.pacingAssociations[entityKey]
+ *   Default:       extensionSettings.doomCounter.pacingProfile
+ * ('' leaves the choice to the next level; 'static' at chat or character level
+ * turns pacing off there, and the default '' means the static settings.)
+ * User profiles: extensionSettings.pacingProfiles = [profile]
+ * profile = { id, name, resetOn: 'never'|'location',
+ *             phases: [{ name, replies, lowTensionCeiling, lowTensionThreshold, countdownLength }] }
+ * Progress lives in the Doom Counter state: state.pacing = { profileId, phase, replies, location }
+ */
+import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import {
+    saveSettings,
+    getDoomCounterState,
+    setDoomCounterState,
+    getChatPacingProfileId,
+    setChatPacingProfileId,
+    getCurrentEntityKey,
+    getCurrentEntityName
+} from '../../core/persistence.js';
+import { parseTrackerJson } from '../../utils/trackerParse.js';
+
+export const PACING_RESETS = {
+    never: 'Never — the last phase runs to the end',
+    location: 'When the location changes (episodic)'
+};
+
+/** Assignment that turns pacing off for a chat or character. */
+export const PACING_STATIC = 'static';
+
+export const PACING_SCOPES = {
+    chat: 'This chat',
+    character: 'This character',
+    global: 'All chats (default)'
+};
+
+/** Slider ranges of the Doom Counter settings a phase can override. */
+const PHASE_LIMITS = {
+    lowTensionCeiling: [2, 6],
+    lowTensionThreshold: [3, 10],
+    countdownLength: [1, 8]
+};
+
+const BASE_DEFAULTS = {
+    lowTensionCeiling: 4,
+    lowTensionThreshold: 5,
+    countdownLength: 3
+};
+
+export const BUILTIN_PACING_PROFILES = [
+    {
+        id: 'three-act',
+        name: 'Three-Act',
+        resetOn: 'never',
+        phases: [
+            { name: 'Act I', replies: 20, lowTensionCeiling: 3, lowTensionThreshold: 8, countdownLength: 4 },
+            { name: 'Act II', replies: 40, lowTensionCeiling: 4, lowTensionThreshold: 5, countdownLength: 3 },
+            { name: 'Act III', replies: 0, lowTensionCeiling: 5, lowTensionThreshold: 3, countdownLength: 2 }
+        ]
+    },
+    {
+        id: 'slow-burn',
+        name: 'Slow Burn',
+        resetOn: 'never',
+        phases: [
+            { name: 'Simmer', replies: 30, lowTensionCeiling: 2, lowTensionThreshold: 10, countdownLength: 6 },
+            { name: 'Warm', replies: 30, lowTensionCeiling: 3, lowTensionThreshold: 7, countdownLength: 4 },
+            { name: 'Boil', replies: 0, lowTensionCeiling: 4, lowTensionThreshold: 5, countdownLength: 3 }
+        ]
+    },
+    {
+        id: 'episodic',
+        name: 'Episodic',
+        resetOn: 'location',
+        phases: [
+            { name: 'Opening', replies: 5, lowTensionCeiling: 2, lowTensionThreshold: 10, countdownLength: 5 },
+            { name: 'Build', replies: 15, lowTensionCeiling: 4, lowTensionThreshold: 5, countdownLength: 3 },
+            { name: 'Climax', replies: 0, lowTensionCeiling: 5, lowTensionThreshold: 3, countdownLength: 2 }
+        ]
+    }
+];
+
+function clampSetting(value, [min, max]) {
+    if (value === '' || value === null || value === undefined) return null;
+    const num = parseInt(value);
+    return Number.isFinite(num) ? Math.min(max, Math.max(min, num)) : null;
+}
+
+/**
+ * Fills in missing fields of a profile and clamps phase settings to the
+ * Doom Counter slider ranges.
+ * @param {Object} profile
+ * @returns {Object} Normalized copy
+ */
+export function normalizePacingProfile(profile) {
+    const phases = (Array.isArray(profile?.phases) ? profile.phases : [])
+        .filter(phase => phase && typeof phase === 'object')
+        .map((phase, i) => {
+            const replies = parseInt(phase.replies);
+            const normalized = {
+                name: String(phase.name || '').trim() || `Phase ${i + 1}`,
+                replies: Number.isFinite(replies) && replies > 0 ? Math.min(500, replies) : 0
+            };
+            for (const [key, range] of Object.entries(PHASE_LIMITS)) {
+                normalized[key] = clampSetting(phase[key], range);
+            }
+            return normalized;
+        });
+    return {
+        id: String(profile?.id || `pacing-${Date.now().toString(36)}`),
+        name: String(profile?.name || '').trim() || 'Pacing',
+        resetOn: profile?.resetOn === 'location' ? 'location' : 'never',
+        phases: phases.length ? phases : [{ name: 'Phase 1', replies: 0, lowTensionCeiling: null, lowTensionThreshold: null, countdownLength: null }]
+    };
+}
+
+/**
+ * Every profile that can be chosen: built-ins first, then the user's.
+ * @returns {Array<Object>} Normalized profiles; user ones have `custom: true`
+ */
+export function getPacingProfiles() {
+    const custom = Array.isArray(extensionSettings.pacingProfiles) ? extensionSettings.pacingProfiles : [];
+    return [
+        ...BUILTIN_PACING_PROFILES.map(normalizePacingProfile),
+        ...custom.filter(profile => profile && profile.id).map(profile => ({ ...normalizePacingProfile(profile), custom: true }))
+    ];
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null} Normalized profile
+ */
+export function getPacingProfile(id) {
+    if (!id) return null;
+    return getPacingProfiles().find(profile => profile.id === id) || null;
+}
+
+/**
+ * Adds or replaces a user profile.
+ * @param {Object} profile
+ * @returns {Object} The stored (normalized) profile
+ */
+export function storePacingProfile(profile) {
+    if (!Array.isArray(extensionSettings.pacingProfiles)) extensionSettings.pacingProfiles = [];
+    const stored = normalizePacingProfile(profile);
+    const list = extensionSettings.pacingProfiles;
+    const index = list.findIndex(entry => entry.id === stored.id);
+    if (index >= 0) list[index] = stored;
+    else list.push(stored);
+    saveSettings();
+    return stored;
+}
+
+/**
+ * Deletes a user profile and the default/character choices naming it. Chats
+ * that chose it fall back to the character or default choice.
+ * @param {string} profileId
+ */
+export function removePacingProfile(profileId) {
+    if (!Array.isArray(extensionSettings.pacingProfiles)) return;
+    extensionSettings.pacingProfiles = extensionSettings.pacingProfiles.filter(entry => entry.id !== profileId);
+    const dc = extensionSettings.doomCounter || {};
+    if (dc.pacingProfile === profileId) dc.pacingProfile = '';
+    for (const [entityKey, id] of Object.entries(dc.pacingAssociations || {})) {
+        if (id === profileId) delete dc.pacingAssociations[entityKey];
+    }
+    saveSettings();
+}
+
+/**
+ * The profile id chosen at one scope ('' when none is).
+ * @param {'chat'|'character'|'global'} scope
+ * @returns {string}
+ */
+export function getPacingAssignment(scope) {
+    const dc = extensionSettings.doomCounter || {};
+    if (scope === 'chat') return getChatPacingProfileId();
+    if (scope === 'character') {
+        const entityKey = getCurrentEntityKey();
+        return entityKey ? String(dc.pacingAssociations?.[entityKey] || '') : '';
+    }
+    return String(dc.pacingProfile || '');
+}
+
+/**
+ * Chooses the profile for one scope; '' clears the choice there.
+ * @param {'chat'|'character'|'global'} scope
+ * @param {string} profileId
+ * @returns {boolean} False when there is no character to associate with
+ */
+export function setPacingAssignment(scope, profileId) {
+    const id = String(profileId || '');
+    if (scope === 'chat') {
+        setChatPacingProfileId(id);
+        return true;
+    }
+    if (!extensionSettings.doomCounter) extensionSettings.doomCounter = {};
+    const dc = extensionSettings.doomCounter;
+    if (scope === 'character') {
+        const entityKey = getCurrentEntityKey();
+        if (!entityKey) return false;
+        if (!dc.pacingAssociations || typeof dc.pacingAssociations !== 'object') dc.pacingAssociations = {};
+        if (id) dc.pacingAssociations[entityKey] = id;
+        else delete dc.pacingAssociations[entityKey];
+    } else {
+        dc.pacingProfile = id;
+    }
+    saveSettings();
+    return true;
+}
+
+/**
+ * The profile that runs in this chat and where it was chosen. A choice that
+ * names a deleted profile is skipped.
+ * @returns {{profile: Object|null, scope: 'chat'|'character'|'global'|null}}
+ *   scope is where the choice was made, null when none was
+ */
+export function getActivePacingProfile() {
+    for (const scope of ['chat', 'character', 'global']) {
+        const id = getPacingAssignment(scope);
+        if (id === PACING_STATIC) return { profile: null, scope };
+        const profile = getPacingProfile(id);
+        if (profile) return { profile, scope };
+    }
+    return { profile: null, scope: null };
+}
+
+/** Display name of the character (or group) a character-scope choice applies to. */
+export function getPacingEntityName() {
+    return getCurrentEntityKey() ? getCurrentEntityName() : null;
+}
+
+function currentLocation() {
+    const info = parseTrackerJson(lastGeneratedData.infoBox || committedTrackerData.infoBox) || {};
+    const location = info.location;
+    if (!location) return '';
+    return String(typeof location === 'object' ? location.value || '' : location).trim();
+}
+
+/**
+ * Where the chat stands in the active profile.
+ * @param {Object} [state] - Doom Counter state
+ * @returns {{profile: Object, phase: Object, index: number, replies: number, scope: string}|null}
+ *   null when no profile is active
+ */
+export function getPacingPhase(state = getDoomCounterState()) {
+    const { profile, scope } = getActivePacingProfile();
+    if (!profile) return null;
+    const pacing = state.pacing?.profileId === profile.id ? state.pacing : { phase: 0, replies: 0 };
+    const index = Math.min(Math.max(0, pacing.phase || 0), profile.phases.length - 1);
+    return { profile, phase: profile.phases[index], index, replies: pacing.replies || 0, scope };
+}
+
+/**
+ * Counts one reply toward the active profile, moving to the next phase when
+ * this one is over (or back to the first on a location change). Mutates the
+ * Doom Counter state; the caller saves it.
+ * @param {Object} state - Doom Counter state
+ * @returns {Object|null} The phase now in effect, when it changed
+ */
+export function advancePacing(state) {
+    const { profile } = getActivePacingProfile();
+    if (!profile) {
+        delete state.pacing;
+        return null;
+    }
+    const before = getPacingPhase(state);
+    const pacing = state.pacing?.profileId === profile.id
+        ? { ...state.pacing }
+        : { profileId: profile.id, phase: 0, replies: 0, location: '' };
+    pacing.phase = before.index;
+
+    const location = currentLocation();
+    if (profile.resetOn === 'location' && location && pacing.location
+        && location.toLowerCase() !== pacing.location.toLowerCase()) {
+        pacing.phase = 0;
+        pacing.replies = 0;
+    }
+    if (location) pacing.location = location;
+
+    pacing.replies = (pacing.replies || 0) + 1;
+    const phase = profile.phases[pacing.phase];
+    if (phase.replies && pacing.replies >= phase.replies && pacing.phase < profile.phases.length - 1) {
+        pacing.phase++;
+        pacing.replies = 0;
+    }
+    state.pacing = pacing;
+    return pacing.phase !== before.index ? profile.phases[pacing.phase] : null;
+}
+
+/**
+ * Sends the current chat back to the first phase of its profile.
+ */
+export function restartPacing() {
+    const state = getDoomCounterState();
+    delete state.pacing;
+    setDoomCounterState(state);
+}
+
+/**
+ * The Doom Counter detection settings in effect right now: the current
+ * phase's overrides over the static settings.
+ * @param {Object} [state] - Doom Counter state
+ * @returns {{lowTensionCeiling: number, lowTensionThreshold: number, countdownLength: number}}
+ */
+export function getPacingThresholds(state = getDoomCounterState()) {
+    const dc = extensionSettings.doomCounter || {};
+    const current = getPacingPhase(state);
+    const thresholds = {};
+    for (const key of Object.keys(PHASE_LIMITS)) {
+        thresholds[key] = current?.phase[key] ?? (dc[key] || BASE_DEFAULTS[key]);
+    }
+    return thresholds;
+}
+
+/**
+ * One-line description of the current phase, e.g. "Three-Act · Act II (12/40 replies)".
+ * @param {Object} [state] - Doom Counter state
+ * @returns {string} '' when no profile is active
+ */
+export function describePacing(state = getDoomCounterState()) {
+    const current = getPacingPhase(state);
+    if (!current) return '';
+    const length = current.phase.replies ? `${current.replies}/${current.phase.replies} replies` : `${current.replies} replies`;
+    return `${current.profile.name} · ${current.phase.name} (${length})`;
+}
@@ -0,0 +1,438 @@
+/**
+ * Preset Packs — one tracker preset as a shareable file: its scene fields,
+ * character fields, relationship types and emojis, history persistence and,
+ * optionally, the custom prompts that go with them (PRESET_PROMPT_KEYS).
+ * Importing is planned first, so the user can review the pack field by field
+ * against the preset it would replace (or the active one) before anything is
+ * written.
+ *
+ * File: {
+ *     $schema: 'dooms-preset-pack-v1', version: 1, exportDate, extensionVersion,
+ *     id, name, trackerConfig, historyPersistence, prompts?: { customTrackerInstructionsPrompt, ... }
+ * }
+ * Character associations are never exported. Tracker preset files from the
+ * Tracker Editor's Export button (trackerConfig and historyPersistence
+ * only) import as packs without prompts.
+ */
+import { extensionSettings } from '../../core/state.js';
+import { extensionVersion } from '../../core/config.js';
+import {
+    saveSettings,
+    getPresets,
+    getPreset,
+    getActivePresetId,
+    loadPreset,
+    getCurrentEntityKey,
+    PRESET_PROMPT_KEYS
+} from '../../core/persistence.js';
+import { cloneJSON, downloadJSON, parseJSONFile, checkFormatVersion } from '../../utils/fileTransfer.js';
+
+export const PRESET_PACK_VERSION = 1;
+const PRESET_PACK_SCHEMA = `dooms-preset-pack-v${PRESET_PACK_VERSION}`;
+
+/** Prompts Editor names of the prompts a pack can carry. */
+export const PRESET_PROMPT_LABELS = {
+    customTrackerInstructionsPrompt: 'Tracker instructions',
+    customTrackerContinuationPrompt: 'Tracker continuation',
+    customContextInstructionsPrompt: 'Context instructions',
+    customNewFieldsBoostPrompt: 'New fields boost',
+    customCharacterThoughtsPrompt: 'Character thoughts',
+    customWeatherPrompt: 'Weather'
+};
+
+/** Labels for the built-in scene widgets. */
+const WIDGET_LABELS = {
+    date: 'Date',
+    time: 'Time',
+    location: 'Location',
+    weather: 'Weather',
+    temperature: 'Temperature',
+    recentEvents: 'Recent events',
+    moonPhase: 'Moon phase',
+    tension: 'Tension',
+    timeSinceRest: 'Time since rest',
+    conditions: 'Conditions',
+    terrain: 'Terrain'
+};
+
+const HISTORY_LABELS = {
+    enabled: 'Enabled',
+    messageCount: 'Messages',
+    injectionPosition: 'Injection position',
+    contextPreamble: 'Context preamble',
+    sendAllEnabledOnRefresh: 'Send all enabled fields on refresh'
+};
+
+/**
+ * Migrates old tracker preset format to current format
+ * @param {Object} config - The tracker config to migrate
+ * @returns {Object} - Migrated tracker config
+ */
+export function migrateTrackerPreset(config) {
+    // Create a deep copy to avoid modifying the original
+    const migrated = JSON.parse(JSON.stringify(config));
+    // Migrate relationships structure (v3.0.0 -> v3.1.0)
+    if (migrated.presentCharacters) {
+        // Old format: relationshipEmojis directly on presentCharacters
+        // New format: relationships.relationshipEmojis
+        if (migrated.presentCharacters.relationshipEmojis &&
+            !migrated.presentCharacters.relationships) {
+            migrated.presentCharacters.relationships = {
+                enabled: migrated.presentCharacters.enableRelationships || true,
+                relationshipEmojis: migrated.presentCharacters.relationshipEmojis
+            };
+            // Keep legacy fields for backward compatibility
+            migrated.presentCharacters.relationshipFields = Object.keys(migrated.presentCharacters.relationshipEmojis);
+        }
+        // Ensure relationships object exists
+        if (!migrated.presentCharacters.relationships) {
+            migrated.presentCharacters.relationships = {
+                enabled: false,
+                relationshipEmojis: {}
+            };
+        }
+        // Ensure relationshipEmojis exists within relationships
+        if (!migrated.presentCharacters.relationships.relationshipEmojis) {
+            migrated.presentCharacters.relationships.relationshipEmojis = {};
+        }
+        // Add persistInHistory to customFields if missing (v3.4.0)
+        if (migrated.presentCharacters.customFields) {
+            migrated.presentCharacters.customFields = migrated.presentCharacters.customFields.map(field => ({
+                ...field,
+                persistInHistory: field.persistInHistory ?? false
+            }));
+        }
+        // Add persistInHistory to thoughts if missing (v3.4.0)
+        if (migrated.presentCharacters.thoughts && migrated.presentCharacters.thoughts.persistInHistory === undefined) {
+            migrated.presentCharacters.thoughts.persistInHistory = false;
+        }
+    }
+    // NOTE: userStats migration preserved for backward compat with old preset files
+    // The userStats section is no longer actively used but may exist in imported presets
+    // Ensure quests config exists at top level
+    if (!migrated.quests) {
+        migrated.quests = { persistInHistory: false };
+    }
+    // Add persistInHistory to infoBox widgets if missing (v3.4.0)
+    if (migrated.infoBox && migrated.infoBox.widgets) {
+        for (const [widgetId, widget] of Object.entries(migrated.infoBox.widgets)) {
+            if (widget.persistInHistory === undefined) {
+                // Default to false for backwards compatibility - user must explicitly enable
+                widget.persistInHistory = false;
+            }
+        }
+    }
+    // Ensure custom scene fields array exists on infoBox (added after presets shipped)
+    if (migrated.infoBox) {
+        if (!Array.isArray(migrated.infoBox.customFields)) {
+            migrated.infoBox.customFields = [];
+        } else {
+            migrated.infoBox.customFields = migrated.infoBox.customFields.map(field => ({
+                ...field,
+                persistInHistory: field.persistInHistory ?? false
+            }));
+        }
+    }
+    return migrated;
+}
+
+/**
+ * The user's own values for the preset prompts: the ones set aside while a
+ * preset with prompts is active, otherwise the current ones.
+ * @returns {Object<string, string>}
+ */
+function getUserPrompts() {
+    const source = extensionSettings.presetManager?.promptsBeforePreset || extensionSettings;
+    return Object.fromEntries(PRESET_PROMPT_KEYS.map(key => [key, source[key] || '']));
+}
+
+/**
+ * Only the prompts that differ from the defaults, or null when none do.
+ * @param {Object|null|undefined} prompts
+ * @returns {Object<string, string>|null}
+ */
+function customPrompts(prompts) {
+    if (!prompts || typeof prompts !== 'object') return null;
+    const kept = {};
+    for (const key of PRESET_PROMPT_KEYS) {
+        if (typeof prompts[key] === 'string' && prompts[key].trim()) kept[key] = prompts[key];
+    }
+    return Object.keys(kept).length ? kept : null;
+}
+
+/**
+ * Builds a pack from a saved preset. The active preset is taken from the
+ * live settings, so unsaved Tracker Editor changes aren't in it.
+ * @param {string} presetId
+ * @param {{includePrompts?: boolean}} [options] - includePrompts adds the preset's prompts, or the
+ *     user's own custom prompts for a preset without any
+ * @returns {Object} The pack, ready for JSON.stringify
+ */
+export function buildPresetPack(presetId, { includePrompts = true } = {}) {
+    const preset = getPreset(presetId);
+    if (!preset?.trackerConfig) throw new Error('That preset no longer exists.');
+    const pack = {
+        $schema: PRESET_PACK_SCHEMA,
+        version: PRESET_PACK_VERSION,
+        exportDate: new Date().toISOString(),
+        extensionVersion: extensionVersion || '',
+        id: preset.id,
+        name: preset.name,
+        trackerConfig: cloneJSON(preset.trackerConfig),
+        historyPersistence: preset.historyPersistence ? cloneJSON(preset.historyPersistence) : null
+    };
+    const prompts = includePrompts ? customPrompts(preset.prompts || getUserPrompts()) : null;
+    if (prompts) pack.prompts = prompts;
+    return pack;
+}
+
+/**
+ * Saves a pack as a .json download.
+ * @param {Object} pack
+ */
+export function downloadPresetPack(pack) {
+    const slug = String(pack.name || 'preset').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+    downloadJSON(pack, `des-preset-${slug}.json`);
+}
+
+/**
+ * Reads a pack file, throwing a readable Error when it isn't one.
+ * @param {string} text - File contents
+ * @returns {{version: number, legacy: boolean, id: string, name: string, exportDate: string, trackerConfig: Object,
+ *     historyPersistence: Object|null, prompts: Object<string, string>|null}}
+ */
+export function parsePresetPack(text) {
+    const data = parseJSONFile(text);
+    const config = data?.trackerConfig;
+    if (!config || typeof config !== 'object' || !config.infoBox || !config.presentCharacters) {
+        throw new Error('This is not a tracker preset pack (no tracker layout in it).');
+    }
+    // Tracker Editor exports have no $schema and a version of their own ('1.1')
+    const legacy = data.$schema !== PRESET_PACK_SCHEMA;
+    const version = legacy ? 1 : checkFormatVersion(data.version, PRESET_PACK_VERSION, 'pack');
+    const history = data.historyPersistence;
+    return {
+        version,
+        legacy,
+        id: typeof data.id === 'string' ? data.id : '',
+        name: String(data.name || '').trim() || 'Imported Preset',
+        exportDate: String(data.exportDate || ''),
+        trackerConfig: migrateTrackerPreset(config),
+        historyPersistence: history && typeof history === 'object' && !Array.isArray(history) ? cloneJSON(history) : null,
+        prompts: customPrompts(data.prompts)
+    };
+}
+
+// ─── Comparing ─────────────────────────────────────────────────────────────
+
+/**
+ * Rows comparing two keyed lists of described items.
+ * @param {string} section
+ * @param {Map<string, {label: string, text: string}>} before
+ * @param {Map<string, {label: string, text: string}>} after
+ */
+function compareItems(section, before, after) {
+    const rows = [];
+    for (const [key, item] of after) {
+        const previous = before.get(key);
+        if (!previous) rows.push({ section, label: item.label, kind: 'added', before: '', after: item.text });
+        else rows.push({ section, label: item.label, kind: previous.text === item.text ? 'same' : 'changed', before: previous.text, after: item.text });
+    }
+    for (const [key, item] of before) {
+        if (!after.has(key)) rows.push({ section, label: item.label, kind: 'removed', before: item.text, after: '' });
+    }
+    return rows;
+}
+
+function byName(list, describe) {
+    const items = new Map();
+    for (const entry of Array.isArray(list) ? list : []) {
+        const name = String(entry?.name || '').trim();
+        if (name) items.set(name.toLowerCase(), { label: name, text: describe(entry) });
+    }
+    return items;
+}
+
+function describeField(field) {
+    const parts = [field.icon, field.description || ''].filter(Boolean);
+    if (field.type && field.type !== 'text') parts.push(`[${field.type}${Array.isArray(field.options) && field.options.length ? `: ${field.options.join(', ')}` : ''}]`);
+    if (!field.enabled) parts.push('(off)');
+    if (field.persistInHistory) parts.push('(kept in history)');
+    return parts.join(' ');
+}
+
+function widgetItems(config) {
+    const items = new Map();
+    for (const [key, widget] of Object.entries(config?.infoBox?.widgets || {})) {
+        const details = [widget?.enabled ? 'on' : 'off'];
+        if (widget?.format) details.push(widget.format);
+        if (widget?.unit) details.push(`°${widget.unit}`);
+        if (widget?.persistInHistory) details.push('kept in history');
+        items.set(key, { label: WIDGET_LABELS[key] || key, text: details.join(', ') });
+    }
+    return items;
+}
+
+function relationshipItems(config) {
+    const relationships = config?.presentCharacters?.relationships || {};
+    const items = new Map([['__enabled', { label: 'Relationships', text: relationships.enabled ? 'on' : 'off' }]]);
+    for (const [name, emoji] of Object.entries(relationships.relationshipEmojis || {})) {
+        items.set(name.toLowerCase(), { label: name, text: String(emoji) });
+    }
+    return items;
+}
+
+function characterItems(config) {
+    const present = config?.presentCharacters || {};
+    const items = byName(present.customFields, describeField);
+    const thoughts = present.thoughts || {};
+    items.set('__thoughts', {
+        label: thoughts.name || 'Thoughts',
+        text: `${thoughts.enabled ? '' : '(off) '}${thoughts.description || ''}`.trim()
+    });
+    const stats = present.characterStats || {};
+    const statNames = (stats.customStats || []).filter(stat => stat?.enabled && stat.name).map(stat => stat.name);
+    items.set('__stats', { label: 'Character stats', text: stats.enabled ? statNames.join(', ') || 'on' : 'off' });
+    return items;
+}
+
+function historyItems(history) {
+    const items = new Map();
+    for (const [key, value] of Object.entries(history || {})) {
+        items.set(key, { label: HISTORY_LABELS[key] || key, text: String(value) });
+    }
+    return items;
+}
+
+function promptItems(prompts) {
+    const items = new Map();
+    for (const key of PRESET_PROMPT_KEYS) {
+        items.set(key, { label: PRESET_PROMPT_LABELS[key], text: prompts?.[key] || '(default)' });
+    }
+    return items;
+}
+
+/**
+ * What a preset puts in effect when it loads. The active preset is read
+ * from the live settings, which may have been edited since it was saved.
+ * @param {Object|null} preset
+ * @returns {{trackerConfig: Object, historyPersistence: Object, prompts: Object<string, string>}}
+ */
+function getPresetInEffect(preset) {
+    if (preset && preset.id === getActivePresetId()) {
+        return {
+            trackerConfig: extensionSettings.trackerConfig,
+            historyPersistence: extensionSettings.historyPersistence || {},
+            prompts: Object.fromEntries(PRESET_PROMPT_KEYS.map(key => [key, extensionSettings[key] || '']))
+        };
+    }
+    return {
+        trackerConfig: preset?.trackerConfig || {},
+        // loadPreset() falls back to these for a preset saved without them
+        historyPersistence: preset?.historyPersistence || {
+            enabled: false,
+            messageCount: 5,
+            injectionPosition: 'assistant_message_end',
+            contextPreamble: ''
+        },
+        prompts: preset?.prompts || getUserPrompts()
+    };
+}
+
+/**
+ * Field-by-field differences between a pack and a preset.
+ * @param {Object} pack - From parsePresetPack
+ * @param {Object|null} preset - The preset it would replace or sit beside
+ * @returns {Array<{section: string, label: string, kind: 'added'|'removed'|'changed'|'same', before: string, after: string}>}
+ */
+export function comparePresetPack(pack, preset) {
+    const current = getPresetInEffect(preset);
+    const config = current.trackerConfig;
+    const rows = [
+        ...compareItems('Scene fields', widgetItems(config), widgetItems(pack.trackerConfig)),
+        ...compareItems('Custom scene fields', byName(config.infoBox?.customFields, describeField), byName(pack.trackerConfig.infoBox?.customFields, describeField)),
+        ...compareItems('Character fields', characterItems(config), characterItems(pack.trackerConfig)),
+        ...compareItems('Relationships', relationshipItems(config), relationshipItems(pack.trackerConfig))
+    ];
+    if (pack.historyPersistence) {
+        rows.push(...compareItems('History persistence', historyItems(current.historyPersistence), historyItems(pack.historyPersistence)));
+    }
+    if (pack.prompts) {
+        rows.push(...compareItems('Prompts', promptItems(current.prompts), promptItems(pack.prompts)));
+    }
+    return rows;
+}
+
+// ─── Importing ─────────────────────────────────────────────────────────────
+
+/**
+ * The existing preset a pack collides with: the same id (a pack exported
+ * from this install) or, failing that, the same name.
+ * @param {Object} pack
+ * @returns {Object|null}
+ */
+function findCollision(pack) {
+    const presets = Object.values(getPresets());
+    return (pack.id && presets.find(preset => preset.id === pack.id))
+        || presets.find(preset => preset.name.toLowerCase() === pack.name.toLowerCase())
+        || null;
+}
+
+function uniquePresetName(name) {
+    const taken = new Set(Object.values(getPresets()).map(preset => preset.name.toLowerCase()));
+    if (!taken.has(name.toLowerCase())) return name;
+    let counter = 1;
+    while (taken.has(`${name} (${counter})`.toLowerCase())) counter++;
+    return `${name} (${counter})`;
+}
+
+/**
+ * Works out what importing a pack would do, without changing anything.
+ * @param {Object} pack - From parsePresetPack
+ * @param {{replace?: boolean, associate?: boolean}} [options] - replace overwrites the colliding preset instead of
+ *     adding a renamed copy; associate makes the preset the current character's
+ * @returns {{pack: Object, options: Object, collision: Object|null, replace: boolean, name: string,
+ *     comparedWith: Object|null, rows: Array<Object>, entityKey: string|null}}
+ */
+export function planPresetPackImport(pack, { replace = false, associate = false } = {}) {
+    const collision = findCollision(pack);
+    const replacing = replace && !!collision;
+    // Compare with the preset being replaced, else the one the user has now
+    const comparedWith = collision || getPreset(getActivePresetId());
+    return {
+        pack,
+        options: { replace, associate },
+        collision,
+        replace: replacing,
+        name: replacing ? collision.name : uniquePresetName(pack.name),
+        comparedWith,
+        rows: comparePresetPack(pack, comparedWith),
+        entityKey: associate ? getCurrentEntityKey() : null
+    };
+}
+
+/**
+ * Imports a planned pack as a preset. It is loaded when it replaces the
+ * active preset or becomes the current character's.
+ * @param {Object} plan - From planPresetPackImport
+ * @returns {{presetId: string, loaded: boolean}}
+ */
+export function applyPresetPackImport(plan) {
+    const { pack } = plan;
+    const manager = extensionSettings.presetManager;
+    const presetId = plan.replace ? plan.collision.id : `preset_${Date.now()}`;
+    const preset = {
+        id: presetId,
+        name: plan.name,
+        trackerConfig: cloneJSON(pack.trackerConfig),
+        historyPersistence: pack.historyPersistence ? cloneJSON(pack.historyPersistence) : (plan.replace ? plan.collision.historyPersistence || null : null)
+    };
+    if (pack.prompts) preset.prompts = Object.fromEntries(PRESET_PROMPT_KEYS.map(key => [key, pack.prompts[key] || '']));
+    manager.presets[presetId] = preset;
+
+    if (plan.entityKey) manager.characterAssociations[plan.entityKey] = presetId;
+    const loaded = presetId === manager.activePresetId || !!plan.entityKey;
+    if (loaded) loadPreset(presetId);
+    else saveSettings();
+    return { presetId, loaded };
+}
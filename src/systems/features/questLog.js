@@ -0,0 +1,464 @@
+/**
+ * Quest Log Module
+ * Structured quests: every quest has a stable id, a description, objectives
+ * with checkboxes, and a status (active, completed, failed, abandoned). The
+ * log keeps each quest's record after it ends, with the chat index of the
+ * message where it started and the one where it ended.
+ *
+ * The AI's quests JSON only carries the quests that are in play; it ends a
+ * quest by setting its status (or by dropping it, which counts as completed).
+ * syncQuestLog() folds a reply's quests into the log when that reply's
+ * tracker is committed (storyEvents.commitTracker), so the log is the history
+ * and the tracker JSON stays small. Until then — while the reply can still be
+ * swiped, regenerated or streamed — its quests are only folded into a copy,
+ * getDisplayedQuestLog(), which is what the Quests panel shows.
+ *
+ * Storage: extensionSettings.quests = {
+ *     main: string, optional: string[],   // displayed titles, as before
+ *     log: QuestRecord[]                  // saved per chat with the rest of quests
+ * }
+ * Quest locks: lockedItems.quests.main, lockedItems.quests.optional[questId]
+ * Objective locks: lockedItems.quests.objectives[questId][objectiveIndex]
+ */
+import { chat } from '../../../../../../../script.js';
+import { extensionSettings, lastGeneratedData } from '../../core/state.js';
+import { latestReplyIndex } from '../../core/trackerStore.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+
+export const QUEST_STATUSES = ['active', 'completed', 'failed', 'abandoned'];
+
+export const QUEST_STATUS_LABELS = {
+    active: 'Active',
+    completed: 'Completed',
+    failed: 'Failed',
+    abandoned: 'Abandoned'
+};
+
+/** Words the AI uses for an ended quest, mapped to a status. */
+const STATUS_ALIASES = {
+    complete: 'completed',
+    done: 'completed',
+    finished: 'completed',
+    success: 'completed',
+    succeeded: 'completed',
+    fail: 'failed',
+    lost: 'failed',
+    abandon: 'abandoned',
+    dropped: 'abandoned',
+    cancelled: 'abandoned',
+    canceled: 'abandoned',
+    open: 'active',
+    ongoing: 'active',
+    'in progress': 'active'
+};
+
+/**
+ * Strips lock wrappers ({value, locked}) down to the bare value.
+ */
+function unwrap(raw) {
+    let value = raw;
+    while (value && typeof value === 'object' && !Array.isArray(value) && value.value !== undefined) {
+        value = value.value;
+    }
+    return value;
+}
+
+function toText(raw) {
+    const value = unwrap(raw);
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? '' : String(value).trim();
+}
+
+/**
+ * @param {string} title - Quest title (or an id to clean up)
+ * @returns {string} Slug id ("Find the Sword" → "find-the-sword")
+ */
+export function questIdFromTitle(title) {
+    return String(title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'quest';
+}
+
+/**
+ * @param {*} raw - Status from the AI or a stored record
+ * @returns {string} One of QUEST_STATUSES ('active' when unset or unknown)
+ */
+export function normalizeQuestStatus(raw) {
+    const text = toText(raw).toLowerCase();
+    if (QUEST_STATUSES.includes(text)) return text;
+    return STATUS_ALIASES[text] || 'active';
+}
+
+function normalizeObjective(raw) {
+    const value = unwrap(raw);
+    if (typeof value === 'string') {
+        const text = value.trim();
+        return text ? { text, done: false } : null;
+    }
+    if (!value || typeof value !== 'object') return null;
+    const text = toText(value.text ?? value.title ?? value.description ?? value.name);
+    if (!text) return null;
+    const done = unwrap(value.done ?? value.completed ?? value.complete);
+    return { text, done: done === true || String(done).toLowerCase() === 'true' || normalizeQuestStatus(value.status) === 'completed' };
+}
+
+/**
+ * Reads one quest from the AI's JSON (or legacy text) into a plain shape.
+ * Accepts bare strings, {title}, lock wrappers, and the structured form.
+ * @param {*} raw - Quest entry
+ * @returns {{id: string, title: string, description: string, status: string, objectives: Array<{text: string, done: boolean}>}|null}
+ *   Null for empty entries and the "None" placeholder
+ */
+export function normalizeQuest(raw) {
+    const value = unwrap(raw);
+    let title = '';
+    let source = {};
+    if (typeof value === 'string') {
+        title = value.trim();
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        source = value;
+        title = toText(value.title ?? value.name ?? value.quest);
+        if (!title) title = toText(value.description);
+    }
+    if (!title || title.toLowerCase() === 'none') return null;
+    const objectives = Array.isArray(source.objectives) ? source.objectives.map(normalizeObjective).filter(Boolean) : [];
+    return {
+        // Ids end up in lock paths, which are dot-separated: keep them slug-shaped
+        id: questIdFromTitle(toText(source.id) || title),
+        title,
+        description: toText(source.description) === title ? '' : toText(source.description),
+        status: normalizeQuestStatus(source.status),
+        objectives
+    };
+}
+
+/**
+ * @param {*} raw - Quest entry from tracker JSON
+ * @returns {boolean} Whether the entry is a quest still in play
+ */
+export function isActiveQuest(raw) {
+    const quest = normalizeQuest(raw);
+    return !!quest && quest.status === 'active';
+}
+
+/**
+ * @returns {Array<Object>} The current chat's quest log (created when missing)
+ */
+export function getQuestLog() {
+    if (!extensionSettings.quests || typeof extensionSettings.quests !== 'object') {
+        extensionSettings.quests = { main: 'None', optional: [] };
+    }
+    if (!Array.isArray(extensionSettings.quests.log)) {
+        extensionSettings.quests.log = [];
+    }
+    return extensionSettings.quests.log;
+}
+
+/**
+ * @param {string} id - Quest id
+ * @param {Array<Object>} [log] - Log to search (the stored one by default)
+ * @returns {Object|undefined} The log record with that id
+ */
+export function getQuest(id, log = getQuestLog()) {
+    return log.find(record => record.id === id);
+}
+
+/**
+ * @param {'main'|'optional'} [kind] - Only quests of this kind
+ * @param {Array<Object>} [log] - Log to read (the stored one by default)
+ * @returns {Array<Object>} Active quest records, in log order
+ */
+export function getActiveQuests(kind, log = getQuestLog()) {
+    return log.filter(record => record.status === 'active' && (!kind || record.kind === kind));
+}
+
+/**
+ * @param {Array<Object>} [log] - Log to read (the stored one by default)
+ * @returns {Array<Object>} Ended quest records, most recently ended first
+ */
+export function getQuestHistory(log = getQuestLog()) {
+    return log
+        .filter(record => record.status !== 'active')
+        .sort((a, b) => (b.endedAt ?? -1) - (a.endedAt ?? -1));
+}
+
+/**
+ * Sets the flat main/optional titles from a quests object. Those titles are
+ * what scene headers and older readers of extensionSettings.quests use, and
+ * follow the displayed tracker.
+ * @param {Object} data - Parsed quests JSON ({main, optional})
+ */
+export function setQuestTitles(data) {
+    getQuestLog();
+    const mains = (Array.isArray(data?.main) ? data.main : [data?.main]).map(normalizeQuest);
+    const main = mains.find(quest => quest && quest.status === 'active');
+    extensionSettings.quests.main = main ? main.title : 'None';
+    extensionSettings.quests.optional = (Array.isArray(data?.optional) ? data.optional : [])
+        .map(normalizeQuest)
+        .filter(quest => quest && quest.status === 'active')
+        .map(quest => quest.title);
+}
+
+/**
+ * Rewrites the flat main/optional titles from the active records.
+ */
+function refreshQuestTitles() {
+    const main = getActiveQuests('main')[0];
+    extensionSettings.quests.main = main ? main.title : 'None';
+    extensionSettings.quests.optional = getActiveQuests('optional').map(record => record.title);
+}
+
+function uniqueQuestId(base, log = getQuestLog()) {
+    let id = base;
+    for (let n = 2; log.some(record => record.id === id); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+}
+
+/**
+ * Finds the log record for a quest entry: by id, then by title (the AI
+ * sometimes rewrites an id but rarely a title in the same turn).
+ * @param {Object} quest - Normalized quest (see normalizeQuest)
+ * @param {Array<Object>} [log] - Log to search (the stored one by default)
+ * @returns {Object|undefined}
+ */
+export function findQuestRecord(quest, log = getQuestLog()) {
+    const title = quest.title.toLowerCase();
+    return log.find(record => record.id === quest.id) ||
+        log.find(record => record.title.toLowerCase() === title);
+}
+
+/**
+ * Folds a parsed quests object into a log. Quests seen for the first time
+ * start at `messageIndex`; a status change away from active ends them there.
+ * An active quest missing from the data is logged as completed — unless it
+ * started at or after `messageIndex`, in which case it only ever existed in a
+ * reply that was replaced (swipe/regenerate) and is dropped.
+ */
+function foldQuests(log, data, messageIndex) {
+    const incoming = [];
+    const mains = Array.isArray(data?.main) ? data.main : [data?.main];
+    for (const raw of mains) incoming.push([normalizeQuest(raw), 'main']);
+    for (const raw of Array.isArray(data?.optional) ? data.optional : []) incoming.push([normalizeQuest(raw), 'optional']);
+    const seen = new Set();
+    for (const [quest, kind] of incoming) {
+        if (!quest) continue;
+        let record = findQuestRecord(quest, log);
+        if (!record) {
+            record = {
+                id: uniqueQuestId(quest.id, log),
+                kind,
+                title: quest.title,
+                description: '',
+                status: 'active',
+                objectives: [],
+                startedAt: messageIndex,
+                endedAt: null
+            };
+            log.push(record);
+        }
+        record.kind = kind;
+        record.title = quest.title;
+        if (quest.description) record.description = quest.description;
+        if (quest.objectives.length) record.objectives = quest.objectives;
+        if (quest.status === 'active') {
+            record.status = 'active';
+            record.endedAt = null;
+        } else {
+            if (record.status === 'active' || record.endedAt === null) record.endedAt = messageIndex;
+            record.status = quest.status;
+        }
+        seen.add(record.id);
+    }
+    for (let i = log.length - 1; i >= 0; i--) {
+        const record = log[i];
+        if (record.status !== 'active' || seen.has(record.id)) continue;
+        if (record.startedAt >= messageIndex) {
+            log.splice(i, 1);
+        } else {
+            record.status = 'completed';
+            record.endedAt = messageIndex;
+        }
+    }
+}
+
+/**
+ * Folds a committed reply's quests into the stored log.
+ * @param {Object} data - Parsed quests JSON ({main, optional})
+ * @param {number} messageIndex - Chat index of the reply the data belongs to
+ */
+export function syncQuestLog(data, messageIndex) {
+    foldQuests(getQuestLog(), data, messageIndex);
+    refreshQuestTitles();
+}
+
+/**
+ * @returns {Object|null} The displayed tracker's parsed quests JSON
+ */
+function getDisplayedQuests() {
+    const raw = lastGeneratedData.quests;
+    const data = typeof raw === 'string' ? repairJSON(raw) : raw;
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+}
+
+/**
+ * The log as the displayed tracker has it: a copy of the stored log with the
+ * displayed quests folded in at the latest reply. Those are the latest
+ * reply's quests until it is committed (afterwards folding them again changes
+ * nothing). Nothing is written.
+ * @returns {Array<Object>}
+ */
+export function getDisplayedQuestLog() {
+    const displayed = getDisplayedQuests();
+    if (!displayed) return getQuestLog();
+    const log = JSON.parse(JSON.stringify(getQuestLog()));
+    const index = latestReplyIndex();
+    foldQuests(log, displayed, index < 0 ? Math.max(0, chat.length - 1) : index);
+    return log;
+}
+
+/**
+ * Makes the displayed log the stored one, so a manual edit applies to the
+ * quests the user is looking at. The edit then commits the quests the way
+ * every manual tracker edit does.
+ */
+function adoptDisplayedQuestLog() {
+    const displayed = getDisplayedQuestLog();
+    if (displayed !== getQuestLog()) extensionSettings.quests.log = displayed;
+}
+
+/**
+ * The stored record for a manual edit, after adopting the displayed log.
+ */
+function editableQuest(id) {
+    adoptDisplayedQuestLog();
+    return getQuest(id);
+}
+
+/**
+ * Builds the quests tracker object from the active records — the shape the
+ * AI is asked for, without the log bookkeeping.
+ * @param {Array<Object>} [log] - Log to read (the stored one by default)
+ * @returns {{main: Object|string, optional: Array<Object>}}
+ */
+export function buildQuestsTrackerData(log = getQuestLog()) {
+    const toTracker = record => ({
+        id: record.id,
+        title: record.title,
+        ...(record.description ? { description: record.description } : {}),
+        status: record.status,
+        objectives: record.objectives.map(objective => ({ text: objective.text, done: objective.done }))
+    });
+    const main = getActiveQuests('main', log)[0];
+    return {
+        main: main ? toTracker(main) : 'None',
+        optional: getActiveQuests('optional', log).map(toTracker)
+    };
+}
+
+/**
+ * Adds a quest by hand. A new main quest replaces the active one, which is
+ * logged as abandoned.
+ * @param {'main'|'optional'} kind
+ * @param {string} title
+ * @returns {Object} The new record
+ */
+export function addQuest(kind, title) {
+    adoptDisplayedQuestLog();
+    const messageIndex = Math.max(0, chat.length - 1);
+    if (kind === 'main') {
+        for (const record of getActiveQuests('main')) {
+            record.status = 'abandoned';
+            record.endedAt = messageIndex;
+        }
+    }
+    const record = {
+        id: uniqueQuestId(questIdFromTitle(title)),
+        kind,
+        title,
+        description: '',
+        status: 'active',
+        objectives: [],
+        startedAt: messageIndex,
+        endedAt: null
+    };
+    getQuestLog().push(record);
+    refreshQuestTitles();
+    return record;
+}
+
+/**
+ * Moves a quest to a status by hand, stamping or clearing its end.
+ * @param {string} id - Quest id
+ * @param {string} status - One of QUEST_STATUSES
+ */
+export function setQuestStatus(id, status) {
+    const record = editableQuest(id);
+    if (!record) return;
+    const next = normalizeQuestStatus(status);
+    if (next === 'active') {
+        if (record.kind === 'main') {
+            // Reopening a main quest demotes the current one rather than ending it.
+            for (const other of getActiveQuests('main')) other.kind = 'optional';
+        }
+        record.endedAt = null;
+    } else if (record.status === 'active') {
+        record.endedAt = Math.max(0, chat.length - 1);
+    }
+    record.status = next;
+    refreshQuestTitles();
+}
+
+/**
+ * Edits a quest's title or description by hand.
+ * @param {string} id - Quest id
+ * @param {{title?: string, description?: string}} changes
+ */
+export function updateQuest(id, changes) {
+    const record = editableQuest(id);
+    if (!record) return;
+    if (typeof changes.title === 'string' && changes.title.trim()) record.title = changes.title.trim();
+    if (typeof changes.description === 'string') record.description = changes.description.trim();
+    refreshQuestTitles();
+}
+
+/**
+ * Deletes a quest from the log entirely (no history kept).
+ * @param {string} id - Quest id
+ */
+export function removeQuest(id) {
+    adoptDisplayedQuestLog();
+    const log = getQuestLog();
+    const index = log.findIndex(record => record.id === id);
+    if (index !== -1) log.splice(index, 1);
+    refreshQuestTitles();
+}
+
+/**
+ * @param {string} id - Quest id
+ * @param {string} text - Objective text
+ */
+export function addObjective(id, text) {
+    const record = editableQuest(id);
+    if (record && text.trim()) record.objectives.push({ text: text.trim(), done: false });
+}
+
+/**
+ * @param {string} id - Quest id
+ * @param {number} index - Objective index
+ * @param {{text?: string, done?: boolean}} changes
+ */
+export function updateObjective(id, index, changes) {
+    const objective = editableQuest(id)?.objectives[index];
+    if (!objective) return;
+    if (typeof changes.text === 'string' && changes.text.trim()) objective.text = changes.text.trim();
+    if (typeof changes.done === 'boolean') objective.done = changes.done;
+}
+
+/**
+ * @param {string} id - Quest id
+ * @param {number} index - Objective index
+ */
+export function removeObjective(id, index) {
+    const record = editableQuest(id);
+    if (record && index >= 0 && index < record.objectives.length) record.objectives.splice(index, 1);
+}
@@ -0,0 +1,211 @@
+/**
+ * Settings Backup — the whole extensionSettings object as one versioned
+ * file, and a restore that takes only the sections the user picks.
+ * Presets (presetManager) only ever captured the tracker layout; this covers
+ * everything else: themes and styling, prompts, the Doom Counter, characters
+ * and portraits, lorebook campaigns.
+ *
+ * A backup from an older version is run through migrateSettings() on a
+ * detached copy first, so its migrations apply before any section is copied
+ * over the live settings.
+ *
+ * File: {
+ *     $schema: 'dooms-settings-backup-v1', version: 1, exportDate, extensionVersion,
+ *     redacted: ['externalApiSettings'],
+ *     settings: { ...extensionSettings }
+ * }
+ * The external API key is never in settings (it lives in localStorage), so
+ * it is never in a backup; redaction additionally leaves out the API URL
+ * and model.
+ */
+import { extensionSettings, setExtensionSettings } from '../../core/state.js';
+import { extensionVersion } from '../../core/config.js';
+import { migrateSettings, saveSettings } from '../../core/persistence.js';
+import { cloneJSON, downloadJSON, parseJSONFile, checkFormatVersion } from '../../utils/fileTransfer.js';
+
+export const SETTINGS_BACKUP_VERSION = 1;
+const SETTINGS_BACKUP_SCHEMA = `dooms-settings-backup-v${SETTINGS_BACKUP_VERSION}`;
+
+/** Settings a redacted backup leaves out. */
+const REDACTED_KEYS = ['externalApiSettings'];
+
+/**
+ * Chat display state that loadChatData() replaces on every chat switch —
+ * never backed up.
+ */
+const SKIPPED_KEYS = ['settingsVersion', 'quests', 'infoBox', 'characterThoughts'];
+
+/**
+ * Restore sections, in the order the restore dialog lists them. A key in
+ * none of them falls into 'other'.
+ */
+export const SETTINGS_BACKUP_SECTIONS = {
+    appearance: {
+        label: 'Appearance',
+        hint: 'Theme and colors, panel and button positions, portrait bar, chat bubbles, scene tracker layout, weather effects, which panels show',
+        keys: [
+            'theme', 'customColors', 'enableAnimations', 'performanceMode', 'panelPosition', 'fabPosition',
+            'mobileFabPosition', 'mobileFabWidgets', 'desktopStripWidgets', 'mobileRefreshPosition', 'debugFabPosition',
+            'fab', 'thoughtIconPosition', 'portraitAlignment', 'portraitPosition', 'portraitSideColumns',
+            'portraitSideHeight', 'portraitBarSettings', 'chatBubbleMode', 'chatBubbleSettings', 'infoPanelMode',
+            'infoPanelSettings', 'sceneTracker', 'inlineBanners', 'enableDynamicWeather', 'weatherBackground',
+            'weatherForeground', 'enableSnowflakes', 'heroPositions', 'showInfoBox', 'showCharacterThoughts',
+            'showQuests', 'showThoughtsInChat', 'showTrackerJsonInChat', 'showPortraitBar', 'mobileComposeOverlay',
+            'mobileQuickJumpEnabled', 'showHtmlToggle', 'showDialogueColoringToggle', 'showDynamicWeatherToggle',
+            'showNarratorMode', 'showAutoAvatars', 'showExpressionInTooltip', 'hideDefaultExpressionDisplay',
+            'showUserInPCP', 'showLockIcons'
+        ]
+    },
+    prompts: {
+        label: 'Prompts',
+        hint: 'Every custom prompt from the Prompts Editor, portrait instructions and knife themes',
+        keys: [
+            'customNarratorPrompt', 'customContextInstructionsPrompt', 'customHtmlPrompt', 'customDialogueColoringPrompt',
+            'customTrackerInstructionsPrompt', 'customTrackerContinuationPrompt', 'customWeatherPrompt',
+            'customCharacterThoughtsPrompt', 'customPlotTwistTemplatePrompt', 'customKnifeTemplatePrompt',
+            'customKnifeGeneratorRulesPrompt', 'customNewFieldsBoostPrompt', 'customTwistGeneratorRulesPrompt',
+            'customAutoPortraitPrompt', 'avatarLLMCustomInstruction', 'customKnifeThemes'
+        ]
+    },
+    characters: {
+        label: 'Characters',
+        hint: 'Roster, portraits and their history, colors, aliases, relationships, knives, user characters',
+        keys: [
+            'knownCharacters', 'removedCharacters', 'bannedCharacters', 'characterColors', 'pinnedCharacters',
+            'npcAvatars', 'npcAvatarsFullRes', 'npcAvatarHistory', 'generatedPortraits', 'userCharacters',
+            'activeUserCharacter', 'characterAliases', 'aliasDismissals', 'characterRelationships', 'characterKnives',
+            'characterInjection', 'characterAppearance', 'userStats'
+        ]
+    },
+    lorebook: {
+        label: 'Lorebook organization',
+        hint: 'Lore Library campaigns, their order and which books they hold',
+        keys: ['lorebook']
+    },
+    generation: {
+        label: 'Generation',
+        hint: 'Mode and connection, tracker layout and presets, locks, Doom Counter, story meters, world decks, pacing, calendars, portrait automation, external API',
+        keys: [
+            'enabled', 'generationMode', 'autoUpdate', 'updateDepth', 'connectionProfile', 'trackerRepair', 'promptInjection',
+            'narratorMode', 'enableHtmlPrompt', 'enableDialogueColoring', 'compactPrompts', 'trackerPatchMode',
+            'trackerConfig', 'historyPersistence', 'presetManager', 'lockedItems', 'skipInjectionsForGuided',
+            'enableRandomizedPlot', 'enableNaturalPlot', 'externalApiSettings', 'calendar', 'doomCounter',
+            'storyMeters', 'worldKnifeDecks', 'pacingProfiles', 'syncExpressionsToPresentCharacters',
+            'portraitEnhancementMode', 'autoPortraitMode', 'expressionClassifierApi', 'expressionBatchMode',
+            'autoGenerateAvatars', 'portraitAutoImport', 'injectAttachPortrait', 'perChatCharacterTracking'
+        ]
+    },
+    other: {
+        label: 'Everything else',
+        hint: 'Debug mode, system log size, What\'s New state and other settings not listed above',
+        keys: []
+    }
+};
+
+/**
+ * The section a setting belongs to.
+ * @param {string} key
+ * @returns {string} A SETTINGS_BACKUP_SECTIONS id
+ */
+export function getSettingsSection(key) {
+    for (const [id, section] of Object.entries(SETTINGS_BACKUP_SECTIONS)) {
+        if (section.keys.includes(key)) return id;
+    }
+    return 'other';
+}
+
+/**
+ * Builds a backup of the current settings.
+ * @param {{redactApi?: boolean}} [options] - redactApi leaves out the external API URL and model
+ * @returns {Object} The backup, ready for JSON.stringify
+ */
+export function buildSettingsBackup({ redactApi = true } = {}) {
+    const settings = cloneJSON(extensionSettings);
+    const redacted = redactApi ? REDACTED_KEYS.filter(key => key in settings) : [];
+    for (const key of redacted) delete settings[key];
+    // settingsVersion goes in so an older backup's migrations can run on restore
+    return {
+        $schema: SETTINGS_BACKUP_SCHEMA,
+        version: SETTINGS_BACKUP_VERSION,
+        exportDate: new Date().toISOString(),
+        extensionVersion: extensionVersion || '',
+        redacted,
+        settings
+    };
+}
+
+/**
+ * Saves a backup as a .json download.
+ * @param {Object} backup
+ */
+export function downloadSettingsBackup(backup) {
+    downloadJSON(backup, `des-settings-${backup.exportDate.slice(0, 10)}.json`);
+}
+
+/**
+ * Reads a backup file, throwing a readable Error when it isn't one.
+ * @param {string} text - File contents
+ * @returns {{version: number, exportDate: string, extensionVersion: string, redacted: string[], settings: Object,
+ *     sections: Object<string, string[]>}} sections lists the keys the backup has per section
+ */
+export function parseSettingsBackup(text) {
+    const data = parseJSONFile(text);
+    const settings = data?.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('This is not a settings backup (no settings in it).');
+    }
+    // loadSettings() rejects a blob without these, and would restore nothing
+    if (typeof settings.enabled !== 'boolean' || typeof settings.autoUpdate !== 'boolean') {
+        throw new Error('The backup is incomplete (its core settings are missing).');
+    }
+    const version = checkFormatVersion(data.version, SETTINGS_BACKUP_VERSION, 'backup', 'restore');
+    const sections = {};
+    for (const key of Object.keys(settings)) {
+        if (SKIPPED_KEYS.includes(key)) continue;
+        const id = getSettingsSection(key);
+        (sections[id] ||= []).push(key);
+    }
+    if (!Object.keys(sections).length) throw new Error('The backup has no settings in it.');
+    return {
+        version,
+        exportDate: String(data.exportDate || ''),
+        extensionVersion: String(data.extensionVersion || ''),
+        redacted: Array.isArray(data.redacted) ? data.redacted.map(String) : [],
+        settings,
+        sections
+    };
+}
+
+/**
+ * Restores the chosen sections of a backup over the live settings and
+ * saves them. Settings outside those sections, and settings the backup
+ * doesn't have (such as redacted ones), keep their current values.
+ * @param {Object} backup - From parseSettingsBackup
+ * @param {string[]} sectionIds - SETTINGS_BACKUP_SECTIONS ids to restore
+ * @returns {number} How many settings were restored
+ */
+export function restoreSettingsBackup(backup, sectionIds) {
+    const current = cloneJSON(extensionSettings);
+    const currentVersion = current.settingsVersion || 1;
+
+    // Migrate a copy of the backup merged over the live settings, the way
+    // loadSettings() merges a saved blob, without touching either
+    const migrated = { ...cloneJSON(extensionSettings), ...cloneJSON(backup.settings) };
+    migrated.settingsVersion = backup.settings.settingsVersion || 1;
+    migrateSettings(migrated, backup.settings);
+
+    const restored = current;
+    let count = 0;
+    for (const key of Object.keys(backup.settings)) {
+        if (SKIPPED_KEYS.includes(key) || !sectionIds.includes(getSettingsSection(key))) continue;
+        restored[key] = migrated[key];
+        count++;
+    }
+    // Migrations that finish later (portraits moving to disk) bump the
+    // version themselves, so keep the lower of the two
+    restored.settingsVersion = Math.min(currentVersion, migrated.settingsVersion || currentVersion);
+
+    setExtensionSettings(restored);
+    saveSettings();
+    return count;
+}
@@ -0,0 +1,173 @@
+/**
+ * Tension History Module
+ * Keeps the Doom Counter's per-turn tension reading with the reply it came
+ * from, so the story's pacing can be charted after the fact.
+ *
+ * Storage: message.extra.dooms_tension[swipeId] = {
+ *     value: 1-10 | null,      // doomTension read for this swipe
+ *     triggered: boolean,      // the Doom Counter fired on this turn
+ *     twist: 'twist'|'knife'|null, twistText  // reply written with a chosen twist/knife injected
+ * }
+ * Like dooms_tracker_swipes it lives in message.extra for the current session
+ * and in swipe_info[swipeId].extra once loaded from file, so it follows
+ * swipes and survives deleted messages. Replies from before this module (or
+ * backfilled ones) fall back to the doomTension in their stored info box.
+ */
+import { chat } from '../../../../../../../script.js';
+import { isTrackedMessage, getSwipeStore, getStoredTracker } from '../../core/trackerStore.js';
+import { getPacingThresholds } from './pacingProfiles.js';
+
+/** Twist chosen in the picker and injected for the reply being generated; stamped on that reply when it arrives. */
+let _pendingTwistMark = null;
+
+function findLastTrackedIndex() {
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (isTrackedMessage(chat[i])) return i;
+    }
+    return -1;
+}
+
+/**
+ * Notes that a chosen twist or knife was injected into the prompt; the next
+ * recorded turn is marked with it.
+ * @param {'twist'|'knife'} kind
+ * @param {string} text
+ */
+export function noteTwistInjected(kind, text) {
+    _pendingTwistMark = { kind, text: String(text || '') };
+}
+
+/**
+ * Records the tension of the latest reply (current swipe).
+ * @param {number|null} value - Tension 1-10, or null when the reply had none
+ * @param {{triggered?: boolean}} [flags]
+ */
+export function recordTensionTurn(value, { triggered = false } = {}) {
+    const index = findLastTrackedIndex();
+    if (index < 0) return;
+    const message = chat[index];
+    if (!message.extra) message.extra = {};
+    if (!message.extra.dooms_tension) message.extra.dooms_tension = { ...getSwipeStore(message, 'dooms_tension') };
+    const swipeId = message.swipe_id || 0;
+    const previous = message.extra.dooms_tension[swipeId] || {};
+    const record = {
+        value: value ?? null,
+        triggered: triggered || !!previous.triggered,
+        twist: previous.twist || null,
+        twistText: previous.twistText || ''
+    };
+    if (_pendingTwistMark) {
+        record.twist = _pendingTwistMark.kind;
+        record.twistText = _pendingTwistMark.text;
+        _pendingTwistMark = null;
+    }
+    message.extra.dooms_tension[swipeId] = record;
+}
+
+function readStoredInfoBox(message) {
+    const infoBox = getStoredTracker(message)?.infoBox;
+    if (!infoBox) return null;
+    if (typeof infoBox !== 'string') return infoBox;
+    try {
+        return JSON.parse(infoBox);
+    } catch (e) {
+        return null;
+    }
+}
+
+function toTension(raw) {
+    const num = Number(raw && typeof raw === 'object' ? raw.value : raw);
+    return Number.isFinite(num) && num >= 1 && num <= 10 ? Math.round(num) : null;
+}
+
+/**
+ * Every assistant turn in the chat with its tension and markers.
+ * @returns {Array<{messageIndex: number, swipeId: number, value: number|null,
+ *   triggered: boolean, twist: string|null, twistText: string, location: string}>}
+ */
+export function getTensionHistory() {
+    const turns = [];
+    if (!Array.isArray(chat)) return turns;
+    chat.forEach((message, messageIndex) => {
+        if (!isTrackedMessage(message)) return;
+        const swipeId = message.swipe_id || 0;
+        const record = getSwipeStore(message, 'dooms_tension')?.[swipeId] || null;
+        const info = readStoredInfoBox(message);
+        const location = info?.location ? String(typeof info.location === 'string' ? info.location : info.location.value || '') : '';
+        const value = record && record.value !== null && record.value !== undefined ? toTension(record.value) : toTension(info?.doomTension);
+        if (value === null && !record) return;
+        turns.push({
+            messageIndex,
+            swipeId,
+            value,
+            triggered: !!record?.triggered,
+            twist: record?.twist || null,
+            twistText: record?.twistText || '',
+            location: location.trim()
+        });
+    });
+    return turns;
+}
+
+/**
+ * Groups turns into scenes: a scene runs until the location changes (turns
+ * without a location stay in the current scene).
+ * @param {ReturnType<typeof getTensionHistory>} turns
+ * @returns {Array<{location: string, start: number, end: number, turns: number, average: number|null}>}
+ *   start/end are message indices
+ */
+export function groupScenes(turns) {
+    const scenes = [];
+    let current = null;
+    for (const turn of turns) {
+        const key = turn.location.toLowerCase();
+        if (!current || (key && key !== current.key)) {
+            current = { key: key || current?.key || '', location: turn.location || current?.location || '', start: turn.messageIndex, end: turn.messageIndex, values: [] };
+            scenes.push(current);
+        }
+        current.end = turn.messageIndex;
+        if (turn.value !== null) current.values.push(turn.value);
+    }
+    return scenes.map(({ location, start, end, values }) => ({
+        location,
+        start,
+        end,
+        turns: values.length,
+        average: values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null
+    }));
+}
+
+/**
+ * Summary numbers for the pacing dashboard.
+ * @param {ReturnType<typeof getTensionHistory>} turns
+ * @returns {{turns: number, average: number|null, peak: {value: number, messageIndex: number}|null,
+ *   longestCalm: {length: number, start: number, end: number}|null,
+ *   triggers: number, twists: number, knives: number, ceiling: number}}
+ */
+export function summarizeTension(turns) {
+    // The ceiling in effect now — a pacing profile may change it per phase
+    const ceiling = getPacingThresholds().lowTensionCeiling;
+    const rated = turns.filter(turn => turn.value !== null);
+    let peak = null;
+    let longestCalm = null;
+    let run = null;
+    for (const turn of rated) {
+        if (!peak || turn.value > peak.value) peak = { value: turn.value, messageIndex: turn.messageIndex };
+        if (turn.value <= ceiling) {
+            run = run ? { ...run, length: run.length + 1, end: turn.messageIndex } : { length: 1, start: turn.messageIndex, end: turn.messageIndex };
+            if (!longestCalm || run.length > longestCalm.length) longestCalm = run;
+        } else {
+            run = null;
+        }
+    }
+    return {
+        turns: rated.length,
+        average: rated.length ? rated.reduce((sum, turn) => sum + turn.value, 0) / rated.length : null,
+        peak,
+        longestCalm,
+        triggers: turns.filter(turn => turn.triggered).length,
+        twists: turns.filter(turn => turn.twist === 'twist').length,
+        knives: turns.filter(turn => turn.twist === 'knife').length,
+        ceiling
+    };
+}
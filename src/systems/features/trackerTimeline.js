@@ -0,0 +1,248 @@
+/**
+ * Tracker Timeline — reads the tracker snapshot every reply stores per swipe
+ * (message.extra.dooms_tracker_swipes) and compares them field by field:
+ * each reply against the reply before it, or two swipes of one reply.
+ * A snapshot can be restored as the committed state.
+ *
+ * Snapshots are flattened to rows of text (Scene › Location, Elara ›
+ * Thoughts, Quests › Find the key), so every field — built-in, custom scene
+ * field, character detail or stat — is compared the same way.
+ */
+import { chat } from '../../../../../../../script.js';
+import { lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { saveChatData, updateMessageSwipeData } from '../../core/persistence.js';
+import { parseTrackerObject } from '../../utils/trackerParse.js';
+import { isSyntheticTrackerMessage } from '../../utils/messageGuards.js';
+import { parseCharacterEntriesFromThoughts } from '../generation/apiClient.js';
+import { getCustomSceneFields } from '../generation/jsonPromptHelpers.js';
+import { findTrackedReplyIndex } from '../generation/storyEvents.js';
+import { normalizeQuest, syncQuestLog } from './questLog.js';
+
+/** Labels for the built-in scene keys; custom fields use their Tracker Editor label. */
+const SCENE_LABELS = {
+    date: 'Date',
+    time: 'Time',
+    location: 'Location',
+    weather: 'Weather',
+    temperature: 'Temperature',
+    recentEvents: 'Recent events',
+    moonPhase: 'Moon phase',
+    tension: 'Tension',
+    doomTension: 'Doom tension',
+    timeSinceRest: 'Time since rest',
+    conditions: 'Conditions',
+    terrain: 'Terrain'
+};
+
+/** Character keys that aren't fields of their own. */
+const CHARACTER_SKIP = new Set(['name', 'details', 'stats']);
+
+/**
+ * A reply's stored tracker for one swipe, with the same swipe_info fallback
+ * the historical-context builder uses.
+ * @param {Object} message
+ * @param {number} swipeId
+ * @returns {{quests: *, infoBox: *, characterThoughts: *}|null}
+ */
+export function getSwipeSnapshot(message, swipeId) {
+    return message?.extra?.dooms_tracker_swipes?.[swipeId]
+        || message?.swipe_info?.[swipeId]?.extra?.dooms_tracker_swipes?.[swipeId]
+        || null;
+}
+
+/**
+ * Swipe ids of a reply that have a stored tracker, in order.
+ * @param {Object} message
+ * @returns {number[]}
+ */
+export function getSnapshotSwipeIds(message) {
+    const ids = new Set(Object.keys(message?.extra?.dooms_tracker_swipes || {}).map(Number));
+    (message?.swipe_info || []).forEach((info, swipeId) => {
+        if (info?.extra?.dooms_tracker_swipes?.[swipeId]) ids.add(swipeId);
+    });
+    return [...ids].filter(Number.isInteger).sort((a, b) => a - b);
+}
+
+/**
+ * Every reply with a stored tracker, oldest first, each with the snapshot
+ * of the swipe on screen.
+ * @returns {Array<{messageIndex: number, name: string, swipeId: number, swipeIds: number[], snapshot: Object}>}
+ */
+export function getTrackerTimeline() {
+    const entries = [];
+    if (!Array.isArray(chat)) return entries;
+    chat.forEach((message, messageIndex) => {
+        if (!message || message.is_user || message.is_system || isSyntheticTrackerMessage(message)) return;
+        const swipeId = message.swipe_id || 0;
+        const snapshot = getSwipeSnapshot(message, swipeId);
+        if (!snapshot) return;
+        entries.push({ messageIndex, name: message.name || '', swipeId, swipeIds: getSnapshotSwipeIds(message), snapshot });
+    });
+    return entries;
+}
+
+// ─── Flattening ────────────────────────────────────────────────────────────
+
+/** A stored field as display text: wrappers unwrapped, lists joined. */
+function text(value) {
+    if (value == null) return '';
+    if (Array.isArray(value)) return value.map(text).filter(Boolean).join(', ');
+    if (typeof value === 'object') {
+        if ('start' in value || 'end' in value) {
+            const start = text(value.start);
+            const end = text(value.end);
+            return start && end && start !== end ? `${start} → ${end}` : start || end;
+        }
+        if ('value' in value) return `${text(value.value)}${value.unit ? `°${value.unit}` : ''}`;
+        if ('status' in value) return text(value.status);
+        if ('content' in value) return text(value.content);
+        return Object.values(value).map(text).filter(Boolean).join(' ');
+    }
+    return String(value).trim();
+}
+
+function parseCharacters(raw) {
+    try {
+        return raw ? parseCharacterEntriesFromThoughts(raw) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * A snapshot as rows keyed by section and field.
+ * @param {Object} snapshot
+ * @returns {{rows: Map<string, {section: string, label: string, text: string}>, characters: Map<string, string>}}
+ *   rows by key; characters maps lower-cased name to name
+ */
+export function flattenSnapshot(snapshot) {
+    const rows = new Map();
+    const characters = new Map();
+    const add = (key, section, label, value) => {
+        const shown = text(value);
+        if (shown) rows.set(key, { section, label, text: shown });
+    };
+
+    const customLabels = new Map(getCustomSceneFields().map(field => [field.key, field.label]));
+    const scene = parseTrackerObject(snapshot?.infoBox);
+    if (scene) {
+        for (const [key, value] of Object.entries(scene)) {
+            add(`scene.${key}`, 'Scene', customLabels.get(key) || SCENE_LABELS[key] || key, value);
+        }
+    } else if (typeof snapshot?.infoBox === 'string' && snapshot.infoBox.trim()) {
+        add('scene', 'Scene', 'Info box', snapshot.infoBox);
+    }
+
+    for (const character of parseCharacters(snapshot?.characterThoughts)) {
+        const name = String(character.name).trim();
+        const id = name.toLowerCase();
+        characters.set(id, name);
+        // A row of its own so a character without fields still shows in comparisons
+        add(`char.${id}`, name, 'Present', 'yes');
+        for (const [key, value] of Object.entries(character)) {
+            if (!CHARACTER_SKIP.has(key)) add(`char.${id}.${key.toLowerCase()}`, name, key.charAt(0).toUpperCase() + key.slice(1), value);
+        }
+        for (const group of ['details', 'stats']) {
+            for (const [key, value] of Object.entries(character[group] || {})) {
+                add(`char.${id}.${group}.${key.toLowerCase()}`, name, key, value);
+            }
+        }
+    }
+
+    const quests = parseTrackerObject(snapshot?.quests);
+    if (quests) {
+        const list = [[quests.main, 'Main'], ...(Array.isArray(quests.optional) ? quests.optional : []).map(quest => [quest, 'Optional'])];
+        for (const [raw, kind] of list) {
+            const quest = normalizeQuest(raw);
+            if (!quest) continue;
+            const done = quest.objectives.filter(objective => objective.done).length;
+            const objectives = quest.objectives.length ? ` (${done}/${quest.objectives.length} objectives)` : '';
+            add(`quest.${quest.id}`, 'Quests', `${kind}: ${quest.title}`, `${quest.status}${objectives}`);
+        }
+    }
+    return { rows, characters };
+}
+
+/**
+ * What changed between two snapshots: characters who arrived or left, then
+ * every field that was added, removed or changed. Fields of an arriving or
+ * leaving character aren't listed separately.
+ * @param {Object|null} before - Null for the first snapshot of a chat
+ * @param {Object} after
+ * @returns {Array<{kind: 'arrived'|'left'|'added'|'removed'|'changed', section: string, label: string, before: string, after: string}>}
+ */
+export function diffSnapshots(before, after) {
+    const from = flattenSnapshot(before);
+    const to = flattenSnapshot(after);
+    const changes = [];
+    const moved = new Set();
+    for (const [id, name] of to.characters) {
+        if (!from.characters.has(id)) {
+            changes.push({ kind: 'arrived', section: name, label: '', before: '', after: '' });
+            moved.add(id);
+        }
+    }
+    for (const [id, name] of from.characters) {
+        if (!to.characters.has(id)) {
+            changes.push({ kind: 'left', section: name, label: '', before: '', after: '' });
+            moved.add(id);
+        }
+    }
+    const inMoved = key => [...moved].some(id => key === `char.${id}` || key.startsWith(`char.${id}.`));
+    for (const [key, row] of to.rows) {
+        if (inMoved(key)) continue;
+        const previous = from.rows.get(key);
+        if (!previous) {
+            changes.push({ kind: 'added', section: row.section, label: row.label, before: '', after: row.text });
+        } else if (previous.text !== row.text) {
+            changes.push({ kind: 'changed', section: row.section, label: row.label, before: previous.text, after: row.text });
+        }
+    }
+    for (const [key, row] of from.rows) {
+        if (!to.rows.has(key) && !inMoved(key)) {
+            changes.push({ kind: 'removed', section: row.section, label: row.label, before: row.text, after: '' });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Two snapshots as aligned rows for a side-by-side view, in the order the
+ * fields first appear.
+ * @returns {Array<{section: string, label: string, left: string, right: string, differs: boolean}>}
+ */
+export function alignSnapshots(left, right) {
+    const a = flattenSnapshot(left).rows;
+    const b = flattenSnapshot(right).rows;
+    const keys = [...new Set([...a.keys(), ...b.keys()])];
+    return keys.map(key => {
+        const row = a.get(key) || b.get(key);
+        const leftText = a.get(key)?.text || '';
+        const rightText = b.get(key)?.text || '';
+        return { section: row.section, label: row.label, left: leftText, right: rightText, differs: leftText !== rightText };
+    });
+}
+
+// ─── Restoring ─────────────────────────────────────────────────────────────
+
+/**
+ * Makes a snapshot the current tracker: shown in the panels, carried by the
+ * next prompt, and written into the latest reply's swipe like a manual edit.
+ * The quest log takes the snapshot's quests at that reply — those it lacks
+ * are ended the way a quest the AI drops is.
+ * @param {{quests: *, infoBox: *, characterThoughts: *}} snapshot
+ */
+export function restoreSnapshot(snapshot) {
+    const stringify = value => (value && typeof value === 'object') ? JSON.stringify(value, null, 2) : (value || null);
+    lastGeneratedData.quests = stringify(snapshot.quests);
+    lastGeneratedData.infoBox = stringify(snapshot.infoBox);
+    lastGeneratedData.characterThoughts = stringify(snapshot.characterThoughts);
+    committedTrackerData.quests = lastGeneratedData.quests;
+    committedTrackerData.infoBox = lastGeneratedData.infoBox;
+    committedTrackerData.characterThoughts = lastGeneratedData.characterThoughts;
+    updateMessageSwipeData();
+    const quests = parseTrackerObject(snapshot.quests);
+    const replyIndex = findTrackedReplyIndex();
+    if (quests && replyIndex >= 0) syncQuestLog(quests, replyIndex);
+    saveChatData();
+}
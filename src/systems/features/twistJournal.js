@@ -0,0 +1,202 @@
+/**
+ * Twist Journal Module
+ * Per-chat record of every Doom Counter trigger: the twists or knives that
+ * were offered (rerolls included), which one was chosen, and the reply it
+ * was woven into. Trap Mode entries are kept hidden until the user reveals
+ * them, and options that weren't chosen can be queued up again later.
+ *
+ * Storage: chat_metadata.dooms_tracker.twistJournal = [{
+ *     id, createdAt,
+ *     trap: boolean,               // drawn silently by Trap Mode
+ *     meter: string|null,          // story meter that triggered (storyMeters.js), null for the Doom Counter
+ *     revealed: boolean,           // trap entries start hidden
+ *     options: [{ emoji, title, description, knifeId?, knifeOwner?, knifeOwnerIsUser?, knifeDeckId?, requeued? }],
+ *     chosen: number|null,         // index into options
+ *     status: 'choosing'|'pending'|'injected'|'cancelled'|'discarded',
+ *     messageIndex: number|null, swipeId: number|null,  // reply the twist was injected into
+ *     requeuedFrom: string|null    // entry id the option was re-queued from
+ * }]
+ */
+import { chat } from '../../../../../../../script.js';
+import { getTwistJournal, saveTwistJournal } from '../../core/persistence.js';
+import { isSyntheticTrackerMessage } from '../../utils/messageGuards.js';
+
+/** Entries kept per chat; the oldest are dropped past this. */
+const JOURNAL_LIMIT = 200;
+
+/** Entry injected into the prompt and waiting for its reply to arrive. */
+let _awaitingReplyId = null;
+
+function toOption(card) {
+    const option = {
+        emoji: String(card?.emoji || (card?.knifeId ? '🔪' : '⚡')),
+        title: String(card?.title || ''),
+        description: String(card?.description || '')
+    };
+    if (card?.knifeId) {
+        option.knifeId = card.knifeId;
+        option.knifeOwner = card.knifeOwner || '';
+        option.knifeOwnerIsUser = !!card.knifeOwnerIsUser;
+        if (card.knifeDeckId) option.knifeDeckId = card.knifeDeckId;
+    }
+    return option;
+}
+
+function findEntry(id) {
+    return getTwistJournal().find(entry => entry.id === id) || null;
+}
+
+/**
+ * The chosen option of an entry, or null.
+ * @param {Object} entry
+ * @returns {Object|null}
+ */
+export function getChosenOption(entry) {
+    return entry && entry.chosen !== null && entry.chosen !== undefined ? entry.options[entry.chosen] || null : null;
+}
+
+/**
+ * Starts a journal entry for a trigger.
+ * @param {{trap?: boolean, meter?: string|null, cards?: Object[], chosen?: number|null, requeuedFrom?: string|null}} [init]
+ *   Pass chosen to record an already-made pick (Trap Mode, re-queue)
+ * @returns {string} Entry id
+ */
+export function startJournalEntry({ trap = false, meter = null, cards = [], chosen = null, requeuedFrom = null } = {}) {
+    const journal = getTwistJournal();
+    const entry = {
+        id: `twist-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        createdAt: Date.now(),
+        trap: !!trap,
+        meter,
+        revealed: !trap,
+        options: cards.map(toOption),
+        chosen: null,
+        status: 'choosing',
+        messageIndex: null,
+        swipeId: null,
+        requeuedFrom
+    };
+    if (chosen !== null && entry.options[chosen]) {
+        entry.chosen = chosen;
+        entry.status = 'pending';
+    }
+    journal.push(entry);
+    if (journal.length > JOURNAL_LIMIT) journal.splice(0, journal.length - JOURNAL_LIMIT);
+    saveTwistJournal();
+    return entry.id;
+}
+
+/**
+ * Adds a rerolled set of cards to an entry that is still being chosen.
+ * @param {string} id
+ * @param {Object[]} cards
+ * @returns {number} Index of the first added option (offset for the picker's card indices)
+ */
+export function addJournalOptions(id, cards) {
+    const entry = findEntry(id);
+    if (!entry) return 0;
+    const offset = entry.options.length;
+    entry.options.push(...cards.map(toOption));
+    saveTwistJournal();
+    return offset;
+}
+
+/**
+ * Records the user's pick; the twist now waits for injection.
+ * @param {string} id
+ * @param {number} optionIndex
+ */
+export function chooseJournalOption(id, optionIndex) {
+    const entry = findEntry(id);
+    if (!entry || !entry.options[optionIndex]) return;
+    entry.chosen = optionIndex;
+    entry.status = 'pending';
+    saveTwistJournal();
+}
+
+/**
+ * Marks an entry as closed without a twist.
+ * @param {string} id
+ */
+export function cancelJournalEntry(id) {
+    const entry = findEntry(id);
+    if (!entry || entry.status !== 'choosing') return;
+    entry.status = 'cancelled';
+    saveTwistJournal();
+}
+
+/**
+ * A pending twist was thrown away before injection (counter reset).
+ */
+export function discardPendingJournalEntry() {
+    const entry = getTwistJournal().findLast(e => e.status === 'pending');
+    if (!entry) return;
+    entry.status = 'discarded';
+    saveTwistJournal();
+}
+
+/**
+ * The pending twist was injected into a prompt; the reply it produces is
+ * attached by attachJournalReply().
+ */
+export function markJournalInjected() {
+    const entry = getTwistJournal().findLast(e => e.status === 'pending');
+    if (!entry) return;
+    entry.status = 'injected';
+    _awaitingReplyId = entry.id;
+    saveTwistJournal();
+}
+
+/**
+ * Attaches the latest reply to the entry injected into its prompt.
+ * Called once per received reply.
+ */
+export function attachJournalReply() {
+    if (!_awaitingReplyId) return;
+    const entry = findEntry(_awaitingReplyId);
+    _awaitingReplyId = null;
+    if (!entry || !Array.isArray(chat)) return;
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (!message || message.is_user || message.is_system || isSyntheticTrackerMessage(message)) continue;
+        entry.messageIndex = i;
+        entry.swipeId = message.swipe_id || 0;
+        saveTwistJournal();
+        return;
+    }
+}
+
+/**
+ * Reveals a hidden Trap Mode entry.
+ * @param {string} id
+ */
+export function revealJournalEntry(id) {
+    const entry = findEntry(id);
+    if (!entry || entry.revealed) return;
+    entry.revealed = true;
+    saveTwistJournal();
+}
+
+/**
+ * Flags an unchosen option as re-queued so it isn't offered twice.
+ * @param {string} id
+ * @param {number} optionIndex
+ * @returns {Object|null} Copy of the option, or null when it can't be re-queued
+ */
+export function takeJournalOption(id, optionIndex) {
+    const entry = findEntry(id);
+    const option = entry?.options[optionIndex];
+    if (!option || optionIndex === entry.chosen || option.requeued || !entry.revealed) return null;
+    option.requeued = true;
+    saveTwistJournal();
+    const { requeued, ...copy } = option;
+    return copy;
+}
+
+/**
+ * Journal entries, newest first.
+ * @returns {Object[]}
+ */
+export function getJournalEntries() {
+    return getTwistJournal().slice().reverse();
+}
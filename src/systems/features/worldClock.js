@@ -0,0 +1,285 @@
+/**
+ * World Clock Module
+ * Runs the calendar engine (utils/calendar.js) over the chat's tracker
+ * history: reads the date and time of every stored reply in order, fills in
+ * what the model left out (a missing date carries over, a clock that wraps
+ * past midnight moves to the next day), and derives for the current reply:
+ *
+ *   - the normalized date and time shown by scene headers and clock widgets
+ *   - the moon phase, from the active calendar's moons
+ *   - the time since the last rest (a gap of 6+ hours between replies counts
+ *     as a rest, as does the model reporting a shorter time than we computed)
+ *   - the time elapsed since the previous reply, and a warning when time
+ *     went backwards
+ *
+ * Settings: extensionSettings.calendar = {
+ *     enabled, activeCalendar, customCalendars: Calendar[], warnBackwards
+ * }
+ * Nothing here writes tracker data; the model's text stays as it was stored.
+ */
+import { chat } from '../../../../../../../script.js';
+import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { isTrackedMessage, getStoredTracker } from '../../core/trackerStore.js';
+import {
+    GREGORIAN_CALENDAR,
+    MINUTES_PER_DAY,
+    formatDate,
+    formatDuration,
+    formatMoonPhases,
+    formatTime,
+    fromDayIndex,
+    parseDate,
+    parseDuration,
+    parseTime,
+    toDayIndex,
+    validateCalendar
+} from '../../utils/calendar.js';
+
+/** Replies further back than this aren't read for the timeline. */
+const HISTORY_LIMIT = 200;
+
+/** A gap between replies this long is treated as the characters having rested. */
+const REST_GAP_MINUTES = 6 * 60;
+
+let cached = { key: null, result: null };
+
+function getCalendarSettings() {
+    return extensionSettings.calendar || {};
+}
+
+/**
+ * @returns {boolean} Whether the calendar engine is on
+ */
+export function isWorldClockEnabled() {
+    return !!getCalendarSettings().enabled;
+}
+
+/**
+ * @returns {Object[]} The built-in calendar followed by the user's custom ones
+ */
+export function getCalendars() {
+    const custom = Array.isArray(getCalendarSettings().customCalendars) ? getCalendarSettings().customCalendars : [];
+    return [GREGORIAN_CALENDAR, ...custom];
+}
+
+/**
+ * @returns {Object} The active calendar (Gregorian when the selection is unknown or invalid)
+ */
+export function getActiveCalendar() {
+    const id = getCalendarSettings().activeCalendar;
+    const found = getCalendars().find(calendar => calendar.id === id);
+    if (!found) return GREGORIAN_CALENDAR;
+    try {
+        return validateCalendar(found);
+    } catch (e) {
+        return GREGORIAN_CALENDAR;
+    }
+}
+
+/**
+ * Whether the engine supplies the moon phase, so the model doesn't need to be asked for it.
+ * @returns {boolean}
+ */
+export function isMoonPhaseComputed() {
+    return isWorldClockEnabled() && getActiveCalendar().moons.length > 0;
+}
+
+function fieldText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    return value.value || '';
+}
+
+/** Pulls the raw date/time/rest text out of an info box blob. */
+function readInfoBox(infoBox) {
+    let info = infoBox;
+    if (typeof info === 'string') {
+        try {
+            info = JSON.parse(info);
+        } catch (e) {
+            return null;
+        }
+    }
+    if (!info || typeof info !== 'object') return null;
+    let start = '';
+    let end = '';
+    if (typeof info.time === 'string') {
+        const parts = info.time.split(/\s*(?:→|->|–|—| to )\s*/);
+        start = parts[0] || '';
+        end = parts[1] || '';
+    } else if (info.time) {
+        start = info.time.start || info.time.value || '';
+        end = info.time.end || '';
+    }
+    const entry = { date: fieldText(info.date), start, end, rest: fieldText(info.timeSinceRest) };
+    return entry.date || entry.start || entry.end ? entry : null;
+}
+
+/**
+ * Places one reply's date/time on the timeline, continuing from the
+ * previous point when the reply leaves something out.
+ * @returns {Object|null} Point, or null when nothing in the text could be read
+ */
+function resolvePoint(entry, calendar, previous) {
+    const date = parseDate(entry.date, calendar, previous?.date?.year ?? null);
+    const startMinutes = parseTime(entry.start);
+    const endMinutes = parseTime(entry.end);
+    if (!date && startMinutes === null && endMinutes === null) return null;
+    const start = startMinutes ?? endMinutes;
+    let end = endMinutes ?? startMinutes;
+
+    let dayIndex;
+    if (date) {
+        dayIndex = toDayIndex(calendar, date);
+    } else if (previous) {
+        dayIndex = previous.dayIndex;
+        // No date: a clock that reads earlier than where we left off has wrapped past midnight
+        if (start !== null && dayIndex * MINUTES_PER_DAY + start < previous.end) dayIndex += 1;
+    } else {
+        dayIndex = 0;
+    }
+    const startAbs = dayIndex * MINUTES_PER_DAY + (start ?? 0);
+    if (end !== null && end < (start ?? 0)) end += MINUTES_PER_DAY;
+    const endAbs = dayIndex * MINUTES_PER_DAY + (end ?? start ?? 0);
+    const dated = !!date || !!previous?.dated;
+    return {
+        // A date carried over from earlier replies follows any midnight wrap
+        date: date || (dated ? fromDayIndex(calendar, dayIndex) : null),
+        dated,
+        hasTime: start !== null,
+        dayIndex,
+        start: startAbs,
+        end: endAbs,
+        startMinutes: start,
+        endMinutes: endMinutes === null ? null : end,
+        rest: parseDuration(entry.rest)
+    };
+}
+
+/**
+ * Reads the stored date/time of earlier replies, oldest first, skipping the
+ * message the current tracker data belongs to.
+ */
+function collectHistory() {
+    const entries = [];
+    let lastAssistant = -1;
+    for (let i = chat.length - 1; i >= 0; i--) {
+        if (isTrackedMessage(chat[i])) {
+            lastAssistant = i;
+            break;
+        }
+    }
+    for (let i = lastAssistant - 1; i >= 0 && entries.length < HISTORY_LIMIT; i--) {
+        if (!isTrackedMessage(chat[i])) continue;
+        const infoBox = getStoredTracker(chat[i])?.infoBox;
+        const entry = infoBox ? readInfoBox(infoBox) : null;
+        if (entry) entries.unshift(entry);
+    }
+    return entries;
+}
+
+function buildWorldClock(currentEntry, history, calendar, settings) {
+    const points = [];
+    let previous = null;
+    for (const entry of history) {
+        const point = resolvePoint(entry, calendar, previous);
+        if (!point) continue;
+        points.push(point);
+        previous = point;
+    }
+    const current = resolvePoint(currentEntry, calendar, previous);
+    if (!current) return null;
+    points.push(current);
+    const result = {
+        time: '',
+        date: '',
+        moonPhase: '',
+        timeSinceRest: '',
+        elapsed: '',
+        timeWarning: ''
+    };
+
+    if (current.startMinutes !== null) {
+        result.time = current.endMinutes !== null && current.endMinutes !== current.startMinutes
+            ? `${formatTime(current.startMinutes)} → ${formatTime(current.endMinutes)}`
+            : formatTime(current.startMinutes);
+    }
+    if (current.date) {
+        const dateFormat = extensionSettings.trackerConfig?.infoBox?.widgets?.date?.format;
+        result.date = formatDate(calendar, current.date, dateFormat);
+    }
+    if (current.dated && calendar.moons.length) {
+        result.moonPhase = formatMoonPhases(calendar, current.dayIndex);
+    }
+
+    const wentBack = !!previous && current.start < previous.end;
+    if (previous) {
+        const gap = current.start - previous.end;
+        if (wentBack) {
+            if (settings.warnBackwards !== false && current.hasTime) {
+                result.timeWarning = `Time went backwards: the previous reply ended at ${formatTime(previous.end)}` +
+                    (current.dayIndex !== previous.dayIndex ? ` (${formatDuration(-gap)} later than this one)` : '');
+            }
+        } else {
+            result.elapsed = formatDuration(gap);
+        }
+    }
+
+    // Time since rest: scan forward, restarting the count at each rest.
+    // Meaningless once time has gone backwards — keep the model's value then.
+    if (wentBack) return result;
+    let restAt = null;
+    let prior = null;
+    for (const point of points) {
+        if (prior && point.start - prior.end >= REST_GAP_MINUTES) restAt = point.start;
+        if (point.rest !== null && (restAt === null || (point.end - restAt) - point.rest > 60)) {
+            restAt = point.end - point.rest;
+        }
+        prior = point;
+    }
+    if (restAt !== null) result.timeSinceRest = formatDuration(Math.max(0, current.end - restAt));
+    return result;
+}
+
+/**
+ * The world clock for the current tracker data. Memoized on the chat and
+ * tracker state, so renderers can call it freely.
+ * @returns {{time: string, date: string, moonPhase: string, timeSinceRest: string,
+ *   elapsed: string, timeWarning: string}|null} Normalized values ('' where
+ *   they couldn't be worked out), or null when the engine is off or the
+ *   current reply has no readable date or time
+ */
+export function getWorldClock() {
+    if (!isWorldClockEnabled()) return null;
+    const infoBox = lastGeneratedData.infoBox || committedTrackerData.infoBox;
+    if (!infoBox) return null;
+    const settings = getCalendarSettings();
+    const last = chat[chat.length - 1];
+    const key = JSON.stringify([infoBox, chat.length, last?.swipe_id, settings,
+        extensionSettings.trackerConfig?.infoBox?.widgets?.date?.format]);
+    if (cached.key === key) return cached.result;
+
+    const currentEntry = readInfoBox(infoBox);
+    const result = currentEntry ? buildWorldClock(currentEntry, collectHistory(), getActiveCalendar(), settings) : null;
+    cached = { key, result };
+    return result;
+}
+
+/**
+ * Writes the world clock's values over scene data from extractSceneData().
+ * The model's own moon phase / rest text is kept when the engine can't
+ * compute one.
+ * @param {Object} sceneData - Mutated in place
+ * @returns {Object} sceneData
+ */
+export function applyWorldClock(sceneData) {
+    const clock = getWorldClock();
+    if (!clock) return sceneData;
+    if (clock.time) sceneData.time = clock.time;
+    if (clock.date) sceneData.date = clock.date;
+    if (clock.moonPhase) sceneData.moonPhase = clock.moonPhase;
+    if (clock.timeSinceRest) sceneData.timeSinceRest = clock.timeSinceRest;
+    sceneData.timeElapsed = clock.elapsed;
+    sceneData.timeWarning = clock.timeWarning;
+    return sceneData;
+}
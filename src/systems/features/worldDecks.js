@@ -0,0 +1,138 @@
+/**
+ * World Decks Module
+ * Knives that belong to the setting rather than to a character — places,
+ * factions, the city itself ("The city's power grid fails"). A deck is either
+ * global (offered in every chat) or kept with one chat, and carries a draw
+ * weight the Doom Counter weighs against character knives and AI twists
+ * (doomCounter.getSceneKnifeCandidates / pickKnifeOwner).
+ *
+ * Global:   extensionSettings.worldKnifeDecks = [deck]
+ * Per chat: chat_metadata.dooms_tracker.worldKnifeDecks = [deck]
+ * deck = { id, name, emoji, description, weight, enabled,
+ *          knives: [{ id, text, used, theme?, conditions? }] }
+ */
+import { extensionSettings } from '../../core/state.js';
+import { saveSettings, getChatWorldDecks, saveChatWorldDecks } from '../../core/persistence.js';
+
+export const WORLD_DECK_SCOPES = {
+    chat: 'This chat',
+    global: 'All chats'
+};
+
+/**
+ * Fills in missing fields of a deck with defaults.
+ * @param {Object} deck
+ * @returns {Object} Normalized copy
+ */
+export function normalizeWorldDeck(deck) {
+    const weight = Number(deck?.weight);
+    return {
+        id: String(deck?.id || `deck-${Date.now().toString(36)}`),
+        name: String(deck?.name || '').trim() || 'World',
+        emoji: String(deck?.emoji || '').trim() || '🌍',
+        description: String(deck?.description || '').trim(),
+        weight: Number.isFinite(weight) ? Math.min(10, Math.max(0, weight)) : 1,
+        enabled: deck?.enabled !== false,
+        knives: Array.isArray(deck?.knives) ? deck.knives.filter(k => k && k.text).map(k => ({ ...k })) : []
+    };
+}
+
+/**
+ * The live deck list of one scope.
+ * @param {'chat'|'global'} scope
+ * @returns {Object[]}
+ */
+export function getWorldDecks(scope) {
+    if (scope === 'chat') return getChatWorldDecks();
+    if (!Array.isArray(extensionSettings.worldKnifeDecks)) {
+        extensionSettings.worldKnifeDecks = [];
+    }
+    return extensionSettings.worldKnifeDecks;
+}
+
+/**
+ * Saves the deck list of one scope.
+ * @param {'chat'|'global'} scope
+ */
+export function saveWorldDecks(scope) {
+    if (scope === 'chat') saveChatWorldDecks();
+    else saveSettings();
+}
+
+/**
+ * Every deck this chat can draw from, chat decks first.
+ * @returns {Array<Object>} Normalized decks with a `scope` field
+ */
+export function getAllWorldDecks() {
+    return [
+        ...getWorldDecks('chat').map(deck => ({ ...normalizeWorldDeck(deck), scope: 'chat' })),
+        ...getWorldDecks('global').map(deck => ({ ...normalizeWorldDeck(deck), scope: 'global' }))
+    ];
+}
+
+/**
+ * Finds a deck by id in either scope.
+ * @param {string} deckId
+ * @returns {{deck: Object, scope: 'chat'|'global'}|null} The live deck
+ */
+export function findWorldDeck(deckId) {
+    for (const scope of Object.keys(WORLD_DECK_SCOPES)) {
+        const deck = getWorldDecks(scope).find(entry => entry.id === deckId);
+        if (deck) return { deck, scope };
+    }
+    return null;
+}
+
+/**
+ * Adds or replaces a deck in a scope, moving it out of the other scope.
+ * @param {Object} deck
+ * @param {'chat'|'global'} scope
+ * @returns {Object} The stored (normalized) deck
+ */
+export function storeWorldDeck(deck, scope) {
+    const stored = normalizeWorldDeck(deck);
+    const previous = findWorldDeck(stored.id);
+    if (previous && previous.scope !== scope) {
+        removeWorldDeck(stored.id);
+    }
+    const list = getWorldDecks(scope);
+    const index = list.findIndex(entry => entry.id === stored.id);
+    if (index >= 0) list[index] = stored;
+    else list.push(stored);
+    saveWorldDecks(scope);
+    return stored;
+}
+
+/**
+ * Deletes a deck.
+ * @param {string} deckId
+ */
+export function removeWorldDeck(deckId) {
+    const found = findWorldDeck(deckId);
+    if (!found) return;
+    const list = getWorldDecks(found.scope);
+    list.splice(list.indexOf(found.deck), 1);
+    saveWorldDecks(found.scope);
+}
+
+/**
+ * Arms or disarms (spends) one knife of a deck.
+ * @param {string} deckId
+ * @param {string} knifeId
+ * @param {boolean} armed
+ */
+export function setWorldKnifeArmed(deckId, knifeId, armed) {
+    const found = findWorldDeck(deckId);
+    if (!found || !Array.isArray(found.deck.knives)) return;
+    found.deck.knives = found.deck.knives.map(k => k.id === knifeId ? { ...k, used: !armed } : k);
+    saveWorldDecks(found.scope);
+}
+
+/**
+ * Marks one of a deck's knives as used (spent).
+ * @param {string} deckId
+ * @param {string} knifeId
+ */
+export function markWorldKnifeUsed(deckId, knifeId) {
+    setWorldKnifeArmed(deckId, knifeId, false);
+}
@@ -27,6 +27,7 @@ import { harvestNewSpeakerColors } from '../rendering/chatBubbles.js';
 import { recordSeparateTrackerPrompt } from './inspector.js';
 import { renderInfoBox } from '../rendering/infoBox.js';
 import { removeLocks } from './lockManager.js';
+import { commitTracker } from './storyEvents.js';
 import { applyCharacterAliases } from '../features/characterAliases.js';
 import { renderThoughts, updateChatThoughts } from '../rendering/thoughts.js';
 import { renderQuests } from '../rendering/quests.js';
@@ -240,6 +241,61 @@ export function getAvailableConnectionProfiles() {
         return [];
     }
 }
+/**
+ * Switches to the connection profile used for a tracker-only request.
+ * Connection profiles bundle their own preset, so switching profiles changes
+ * the active preset as a side-effect — the current preset is saved first and
+ * restored by restoreTrackerProfile().
+ * @param {string} profileName - Profile to switch to ('' = use current)
+ * @returns {Promise<{originalProfileName: string, originalPresetName: string|null}|null>}
+ *   What to restore afterwards, or null when nothing was switched
+ */
+export async function switchToTrackerProfile(profileName) {
+    if (!profileName) return null;
+    if (!isConnectionProfileAvailable(profileName)) {
+        console.warn(`[Dooms Tracker] Connection profile "${profileName}" not found, using current connection`);
+        return null;
+    }
+    const originalProfileName = await getCurrentProfileName() || '<None>';
+    if (originalProfileName === profileName) return null;
+    const originalPresetName = await getCurrentPresetName();
+    console.log(`[Dooms Tracker] Switching to connection profile: ${profileName} (saving preset: ${originalPresetName})`);
+    if (!await switchToProfile(profileName)) {
+        console.warn('[Dooms Tracker] Failed to switch connection profile, continuing with current');
+        return null;
+    }
+    return { originalProfileName, originalPresetName };
+}
+/**
+ * Restores the connection profile AND preset saved by switchToTrackerProfile().
+ * Without the preset restore the tracker profile's preset leaks into the
+ * user's primary profile.
+ * @param {{originalProfileName: string, originalPresetName: string|null}|null} profileSwitch
+ */
+export async function restoreTrackerProfile(profileSwitch) {
+    if (!profileSwitch) return;
+    const { originalProfileName, originalPresetName } = profileSwitch;
+    try {
+        console.log(`[Dooms Tracker] Restoring connection profile: ${originalProfileName}`);
+        const restored = await switchToProfile(originalProfileName);
+        if (!restored) {
+            toastr.warning(
+                `Failed to restore connection profile "${originalProfileName}". Please switch back manually.`,
+                "Doom's Tracker"
+            );
+        }
+        if (originalPresetName) {
+            console.log(`[Dooms Tracker] Restoring preset: ${originalPresetName}`);
+            await switchToPreset(originalPresetName);
+        }
+    } catch (restoreError) {
+        console.error('[Dooms Tracker] Failed to restore connection profile:', restoreError);
+        toastr.warning(
+            `Failed to restore connection profile "${originalProfileName}". Please switch back manually.`,
+            "Doom's Tracker"
+        );
+    }
+}
 /**
  * Updates RPG tracker data using separate API call (separate mode only).
  * Makes a dedicated API call to generate tracker data, then stores it
@@ -267,9 +323,7 @@ export async function updateRPGData(renderInfoBox, renderThoughts) {
         return;
     }
     const isExternalMode = extensionSettings.generationMode === 'external';
-    let originalProfileName = null;
-    let originalPresetName = null;
-    let profileSwitched = false;
+    let profileSwitch = null;
     try {
         setIsGenerating(true);
         // Update button to show "Updating..." state
@@ -279,27 +333,8 @@ export async function updateRPGData(renderInfoBox, renderThoughts) {
         $updateBtn.html(`<i class="fa-solid fa-spinner fa-spin"></i> ${updatingText}`).prop('disabled', true);
         $stripRefreshBtn.html('<i class="fa-solid fa-spinner fa-spin"></i>').prop('disabled', true);
         // Switch connection profile if configured (separate mode only, not external)
-        if (!isExternalMode && extensionSettings.connectionProfile) {
-            if (isConnectionProfileAvailable(extensionSettings.connectionProfile)) {
-                originalProfileName = await getCurrentProfileName() || '<None>';
-                if (originalProfileName !== extensionSettings.connectionProfile) {
-                    // Save the current preset BEFORE switching profiles.
-                    // Connection profiles bundle their own preset, so switching
-                    // profiles changes the active preset as a side-effect.
-                    // We restore it in the finally block to avoid clobbering
-                    // the user's primary preset.
-                    originalPresetName = await getCurrentPresetName();
-                    console.log(`[Dooms Tracker] Switching to connection profile: ${extensionSettings.connectionProfile} (saving preset: ${originalPresetName})`);
-                    const switched = await switchToProfile(extensionSettings.connectionProfile);
-                    if (switched) {
-                        profileSwitched = true;
-                    } else {
-                        console.warn('[Dooms Tracker] Failed to switch connection profile, continuing with current');
-                    }
-                }
-            } else {
-                console.warn(`[Dooms Tracker] Connection profile "${extensionSettings.connectionProfile}" not found, using current connection`);
-            }
+        if (!isExternalMode) {
+            profileSwitch = await switchToTrackerProfile(extensionSettings.connectionProfile);
         }
         const prompt = await generateSeparateUpdatePrompt();
         // Capture for the Context Inspector — this is the second API call
@@ -395,9 +430,7 @@ export async function updateRPGData(renderInfoBox, renderThoughts) {
                 (committedTrackerData.characterThoughts && committedTrackerData.characterThoughts.trim() !== '' && committedTrackerData.characterThoughts !== 'Present Characters\n---\n')
             );
             if (!hasAnyCommittedContent) {
-                committedTrackerData.quests = parsedData.quests;
-                committedTrackerData.infoBox = parsedData.infoBox;
-                committedTrackerData.characterThoughts = parsedData.characterThoughts;
+                commitTracker(parsedData);
             }
             // Render the updated data
             renderInfoBox();
@@ -438,36 +471,7 @@ export async function updateRPGData(renderInfoBox, renderThoughts) {
             toastr.error(error.message, "Doom's Enhancement Suite External API Error");
         }
     } finally {
-        // Restore connection profile AND preset if we switched.
-        // Profiles bundle their own preset, so switching profiles changes
-        // the active preset as a side-effect.  We saved the user's original
-        // preset before the switch and restore it here so the user's primary
-        // Chat Completion preset isn't silently overwritten.
-        if (profileSwitched) {
-            try {
-                console.log(`[Dooms Tracker] Restoring connection profile: ${originalProfileName}`);
-                const restored = await switchToProfile(originalProfileName);
-                if (!restored) {
-                    toastr.warning(
-                        `Failed to restore connection profile "${originalProfileName}". Please switch back manually.`,
-                        "Doom's Tracker"
-                    );
-                }
-                // Restore the chat completion preset that was active before
-                // the profile switch.  Without this the secondary profile's
-                // preset leaks into the primary profile.
-                if (originalPresetName) {
-                    console.log(`[Dooms Tracker] Restoring preset: ${originalPresetName}`);
-                    await switchToPreset(originalPresetName);
-                }
-            } catch (restoreError) {
-                console.error('[Dooms Tracker] Failed to restore connection profile:', restoreError);
-                toastr.warning(
-                    `Failed to restore connection profile "${originalProfileName}". Please switch back manually.`,
-                    "Doom's Tracker"
-                );
-            }
-        }
+        await restoreTrackerProfile(profileSwitch);
         setIsGenerating(false);
         // Restore button to original state
         const $updateBtn = $('#rpg-manual-update');
@@ -483,6 +487,103 @@ export async function updateRPGData(renderInfoBox, renderThoughts) {
         eventSource.emit(DOOMS_TRACKER_UPDATE_COMPLETE);
     }
 }
+/**
+ * Recovery pass for together mode: when a reply arrived without a parsable
+ * tracker, asks for the tracker JSON alone using the separate-mode prompt
+ * (recent history including that reply, plus the committed trackers) and
+ * writes the result into the reply's `dooms_tracker_swipes` entry.
+ * Configured by extensionSettings.trackerRepair (retries, connection profile).
+ *
+ * @param {number} messageIndex - chat[] index of the reply that had no tracker
+ * @returns {Promise<boolean>} True if a tracker was recovered and stored
+ */
+export async function repairMissingTracker(messageIndex) {
+    const repair = extensionSettings.trackerRepair;
+    if (!repair?.enabled || isGenerating) {
+        return false;
+    }
+    const message = chat[messageIndex];
+    if (!message || message.is_user || isSyntheticTrackerMessage(message)) {
+        return false;
+    }
+    const swipeId = message.swipe_id || 0;
+    const attempts = Math.min(3, Math.max(1, parseInt(repair.retries, 10) || 1));
+    let profileSwitch = null;
+    let parsedData = null;
+    try {
+        setIsGenerating(true);
+        profileSwitch = await switchToTrackerProfile(repair.connectionProfile);
+        const prompt = await generateSeparateUpdatePrompt();
+        try {
+            recordSeparateTrackerPrompt(JSON.stringify(prompt, null, 2));
+        } catch (e) {
+            console.warn('[Dooms Tracker] Inspector: recordSeparateTrackerPrompt failed', e);
+        }
+        for (let attempt = 1; attempt <= attempts && !parsedData; attempt++) {
+            const response = await safeGenerateRaw({
+                prompt: prompt,
+                quietToLoud: false
+            });
+            const parsed = response ? parseResponse(response) : null;
+            if (parsed && !parsed.parsingFailed) {
+                parsedData = parsed;
+            } else {
+                console.warn(`[Dooms Tracker] Tracker repair attempt ${attempt}/${attempts} returned no tracker`);
+            }
+        }
+    } catch (error) {
+        console.error('[Dooms Tracker] Tracker repair failed:', error);
+    } finally {
+        await restoreTrackerProfile(profileSwitch);
+        setIsGenerating(false);
+    }
+    if (!parsedData) {
+        toastr.warning(i18n.getTranslation('errors.parsingError'), '', { timeOut: 5000 });
+        return false;
+    }
+    // The user may have swiped, deleted, or switched chats while we waited —
+    // the result belongs to that exact swipe or nowhere.
+    if (chat[messageIndex] !== message || (message.swipe_id || 0) !== swipeId) {
+        console.warn('[Dooms Tracker] Tracker repair finished after its message changed; discarding result');
+        return false;
+    }
+    if (parsedData.quests) {
+        parsedData.quests = removeLocks(parsedData.quests);
+        lastGeneratedData.quests = parsedData.quests;
+        parseQuests(parsedData.quests);
+    }
+    if (parsedData.infoBox) {
+        parsedData.infoBox = removeLocks(parsedData.infoBox);
+        lastGeneratedData.infoBox = parsedData.infoBox;
+    }
+    if (parsedData.characterThoughts) {
+        parsedData.characterThoughts = applyCharacterAliases(removeLocks(parsedData.characterThoughts), { suggestSimilar: true });
+        lastGeneratedData.characterThoughts = parsedData.characterThoughts;
+        try {
+            harvestNewSpeakerColors(message.mes || '', parsedData.characterThoughts);
+        } catch (e) {
+            console.warn('[Dooms Tracker] harvestNewSpeakerColors failed:', e);
+        }
+    }
+    if (!message.extra) {
+        message.extra = {};
+    }
+    if (!message.extra.dooms_tracker_swipes) {
+        message.extra.dooms_tracker_swipes = {};
+    }
+    message.extra.dooms_tracker_swipes[swipeId] = {
+        quests: parsedData.quests,
+        infoBox: parsedData.infoBox,
+        characterThoughts: parsedData.characterThoughts
+    };
+    renderInfoBox();
+    renderThoughts();
+    renderQuests();
+    updateChatThoughts();
+    // Save to chat metadata (immediate: this is the turn's commit point)
+    saveChatData({ immediate: true });
+    return true;
+}
 /**
  * Parses character names from Present Characters thoughts data
  * @param {string} characterThoughtsData - Raw character thoughts data
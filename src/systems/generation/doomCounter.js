@@ -21,6 +21,20 @@ import { safeGenerateRaw } from '../../utils/responseExtractor.js';
 import { DEFAULT_TWIST_GENERATOR_RULES_PROMPT, DEFAULT_KNIFE_GENERATOR_RULES_PROMPT } from './defaultPrompts.js';
 import { escapeHtml } from '../../utils/html.js';
 import { repairJSON } from '../../utils/jsonRepair.js';
+import { recordTensionTurn } from '../features/tensionHistory.js';
+import { getKnifeConditionContext, evaluateKnifeConditions, describeKnifeCondition } from '../features/knifeConditions.js';
+import { getAllWorldDecks, markWorldKnifeUsed } from '../features/worldDecks.js';
+import { advancePacing, getPacingThresholds, describePacing } from '../features/pacingProfiles.js';
+import { emitStoryEvent, findTrackedReplyIndex } from './storyEvents.js';
+import {
+    startJournalEntry,
+    addJournalOptions,
+    chooseJournalOption,
+    cancelJournalEntry,
+    discardPendingJournalEntry,
+    attachJournalReply,
+    takeJournalOption
+} from '../features/twistJournal.js';
 
 /** Logs to the debug panel only when debugMode is on — parts of this module run per AI message. */
 function debugLog(message, data = null) {
@@ -47,6 +61,17 @@ export const DOOM_TENSION_SLOT = 'dooms-doom-counter-tension';
  * @returns {number|null} Tension value 1-10, or null if not found
  */
 export function readTensionValue() {
+    return readScaleValue('doomTension');
+}
+
+/**
+ * Reads a 1-10 scale field (doomTension or a story meter's key) from the
+ * last generated infoBox.
+ *
+ * @param {string} key - infoBox JSON key
+ * @returns {number|null} Value 1-10, or null if not found
+ */
+export function readScaleValue(key) {
     let infoBox = lastGeneratedData.infoBox;
     if (!infoBox) return null;
 
@@ -55,8 +80,7 @@ export function readTensionValue() {
         try { infoBox = JSON.parse(infoBox); } catch { return null; }
     }
 
-    // Look for doomTension field (our custom numeric field)
-    const raw = infoBox.doomTension;
+    const raw = infoBox[key];
     if (raw === undefined || raw === null) return null;
 
     // Handle {value: N} or plain number
@@ -96,13 +120,19 @@ export function onResponseReceived() {
 
     const state = getDoomCounterState();
     const tension = readTensionValue();
-    const dc = extensionSettings.doomCounter;
-    const ceiling = dc.lowTensionCeiling || 4;
+    // Every reply counts toward the pacing profile's phase, whose thresholds
+    // then apply to this reply
+    const enteredPhase = advancePacing(state);
+    if (enteredPhase) debugLog(`[Doom Counter] Pacing: entering ${enteredPhase.name}`);
+    const { lowTensionCeiling: ceiling, lowTensionThreshold: threshold, countdownLength } = getPacingThresholds(state);
+    attachJournalReply();
 
     // Already triggered or has a pending twist — don't change state, just report it.
     // This prevents re-triggering on every message while the modal is open or
     // a twist is waiting to be injected.
     if (state.triggered || state.pendingTwist) {
+        recordTensionTurn(tension);
+        setDoomCounterState(state);
         return {
             triggered: state.triggered,
             countdownActive: state.countdownActive,
@@ -114,6 +144,7 @@ export function onResponseReceived() {
 
     // If no tension data, don't change anything
     if (tension === null) {
+        recordTensionTurn(null);
         setDoomCounterState(state);
         return {
             triggered: false,
@@ -128,8 +159,9 @@ export function onResponseReceived() {
     if (tension > ceiling) {
         state.lowStreakCount = 0;
         state.countdownActive = false;
-        state.countdownCount = dc.countdownLength || 3;
+        state.countdownCount = countdownLength;
         state.triggered = false;
+        recordTensionTurn(tension);
         setDoomCounterState(state);
         return {
             triggered: false,
@@ -144,9 +176,9 @@ export function onResponseReceived() {
     state.lowStreakCount++;
 
     // Phase 1 → Phase 2 transition
-    if (!state.countdownActive && state.lowStreakCount >= (dc.lowTensionThreshold || 5)) {
+    if (!state.countdownActive && state.lowStreakCount >= threshold) {
         state.countdownActive = true;
-        state.countdownCount = dc.countdownLength || 3;
+        state.countdownCount = countdownLength;
         debugLog(`[Doom Counter] Countdown activated! ${state.countdownCount} messages remaining.`);
     }
 
@@ -164,6 +196,7 @@ export function onResponseReceived() {
         }
     }
 
+    recordTensionTurn(tension, { triggered: state.triggered });
     setDoomCounterState(state);
 
     return {
@@ -180,12 +213,12 @@ export function onResponseReceived() {
  * Called after a twist is chosen, or manually.
  */
 export function resetCounters() {
-    const dc = extensionSettings.doomCounter;
     const state = getDoomCounterState();
     state.lowStreakCount = 0;
     state.countdownActive = false;
-    state.countdownCount = dc?.countdownLength || 3;
+    state.countdownCount = getPacingThresholds(state).countdownLength;
     state.triggered = false;
+    if (state.pendingTwist) discardPendingJournalEntry();
     state.pendingTwist = null;
     state.pendingTwistIsKnife = false;
     state.pendingKnifeCharacter = null;
@@ -201,7 +234,9 @@ export function resetCounters() {
 // character with armed knives is chosen at random and their knives are offered
 // instead of AI-generated twists. NPC knives live in
 // extensionSettings.characterKnives[name]; user-persona knives live on
-// extensionSettings.userCharacters[name].knives.
+// extensionSettings.userCharacters[name].knives. World decks (worldDecks.js)
+// hold knives tied to places, factions or the setting; they are drawn with
+// their own weights alongside the characters.
 
 /** Short card title for a knife — the first few words of its text. */
 function knifeCardTitle(text) {
@@ -215,15 +250,34 @@ function armedKnivesOf(list) {
 }
 
 /**
- * Gathers the characters currently in the scene that hold armed knives.
+ * Short "✓ …" line listing the conditions a drawn knife met ('' when it has none).
+ * @param {Object} knife
+ * @param {{characterName: string, isUser: boolean}} owner
+ * @returns {string}
+ */
+function knifeConditionSummary(knife, owner) {
+    const { results } = evaluateKnifeConditions(knife, owner.characterName, owner.isUser);
+    return results.length ? `✓ ${results.map(result => describeKnifeCondition(result.condition)).join(' · ')}` : '';
+}
+
+/**
+ * Gathers everything a trigger can draw knives from: the characters in the
+ * scene that hold armed knives, and the enabled world decks with armed knives.
  * Present NPCs come from the latest characterThoughts tracker data; the
- * player's active persona is always considered present.
+ * player's active persona is always considered present. Knives whose
+ * conditions (knifeConditions.js) don't hold for the scene are left out, and
+ * so are sources with a weight of 0.
  *
- * @returns {Array<{characterName: string, isUser: boolean, knives: Array}>}
+ * @returns {Array<{characterName: string, isUser: boolean, deckId?: string, emoji?: string, weight: number, knives: Array}>}
+ *   characterName is the deck name for world decks
  */
 export function getSceneKnifeCandidates() {
     if (!isDoomKnivesEnabled()) return [];
     const candidates = [];
+    const conditionContext = getKnifeConditionContext();
+    const characterWeight = Math.max(0, Number(extensionSettings.doomCounter?.characterKnifeWeight ?? 1) || 0);
+    const eligibleKnivesOf = (name, isUser, list) => armedKnivesOf(list)
+        .filter(k => evaluateKnifeConditions(k, name, isUser, conditionContext).eligible);
 
     // Present NPCs from the latest tracker data
     const presentLower = new Set();
@@ -242,8 +296,8 @@ export function getSceneKnifeCandidates() {
     const knifeMap = extensionSettings.characterKnives || {};
     for (const [name, knives] of Object.entries(knifeMap)) {
         if (!presentLower.has(name.toLowerCase())) continue;
-        const armed = armedKnivesOf(knives);
-        if (armed.length) candidates.push({ characterName: name, isUser: false, knives: armed });
+        const armed = eligibleKnivesOf(name, false, knives);
+        if (armed.length) candidates.push({ characterName: name, isUser: false, weight: characterWeight, knives: armed });
     }
 
     // The player's persona is always in the scene
@@ -256,12 +310,73 @@ export function getSceneKnifeCandidates() {
         const lower = String(activeName).toLowerCase();
         const key = Object.keys(userChars).find(k => k.toLowerCase() === lower);
         if (key) {
-            const armed = armedKnivesOf(userChars[key].knives);
-            if (armed.length) candidates.push({ characterName: key, isUser: true, knives: armed });
+            const armed = eligibleKnivesOf(key, true, userChars[key].knives);
+            if (armed.length) candidates.push({ characterName: key, isUser: true, weight: characterWeight, knives: armed });
         }
     }
 
-    return candidates;
+    for (const deck of getAllWorldDecks()) {
+        if (!deck.enabled) continue;
+        const armed = eligibleKnivesOf(deck.name, false, deck.knives);
+        if (armed.length) candidates.push({ characterName: deck.name, isUser: false, deckId: deck.id, emoji: deck.emoji, weight: deck.weight, knives: armed });
+    }
+
+    return candidates.filter(candidate => candidate.weight > 0);
+}
+
+/**
+ * Weighted pick of the source a trigger draws from.
+ * @param {ReturnType<typeof getSceneKnifeCandidates>} candidates
+ * @param {Object} [options]
+ * @param {boolean} [options.allowTwists=true] - Let AI-generated twists win the
+ *   draw with doomCounter.aiTwistWeight
+ * @returns {Object|null} The chosen candidate, or null for AI-generated twists
+ */
+export function pickKnifeOwner(candidates, { allowTwists = true } = {}) {
+    const twistWeight = allowTwists ? Math.max(0, Number(extensionSettings.doomCounter?.aiTwistWeight) || 0) : 0;
+    const total = candidates.reduce((sum, candidate) => sum + candidate.weight, 0) + twistWeight;
+    let roll = Math.random() * total;
+    for (const candidate of candidates) {
+        roll -= candidate.weight;
+        if (roll < 0) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Marks a drawn knife as used, on its character or its world deck.
+ * @param {{characterName: string, isUser: boolean, deckId?: string|null}} owner
+ * @param {string} knifeId
+ */
+export function markKnifeUsed(owner, knifeId) {
+    if (owner.deckId) markWorldKnifeUsed(owner.deckId, knifeId);
+    else markCharacterKnifeUsed(owner.characterName, knifeId, owner.isUser);
+}
+
+/** The owner of a drawn knife card (the reverse of knifeCard's owner fields). */
+function cardOwner(card) {
+    return { characterName: card.knifeOwner, isUser: !!card.knifeOwnerIsUser, deckId: card.knifeDeckId || null };
+}
+
+/**
+ * Picker card for one of a candidate's knives.
+ * @param {Object} knife
+ * @param {Object} owner - Candidate from getSceneKnifeCandidates
+ * @returns {Object}
+ */
+function knifeCard(knife, owner) {
+    const card = {
+        emoji: owner.deckId ? owner.emoji : '🔪',
+        title: knifeCardTitle(knife.text),
+        description: knife.text,
+        knifeId: knife.id,
+        knifeOwner: owner.characterName,
+        knifeOwnerIsUser: owner.isUser,
+        // Why a conditional knife is in play right now
+        why: knifeConditionSummary(knife, owner)
+    };
+    if (owner.deckId) card.knifeDeckId = owner.deckId;
+    return card;
 }
 
 /**
@@ -314,15 +429,7 @@ export async function generateKnifeSuggestions(characterName, { isUser = false,
         relationship = extensionSettings.characterRelationships?.[characterName] || '';
     }
 
-    // Recent conversation for tone/setting (same budget as the twist generator)
-    const dc = extensionSettings.doomCounter || {};
-    const contextMessages = dc.twistContextMessages || 15;
-    const messageTruncation = dc.twistMessageTruncation || 1200;
-    const chatMessages = context.chat || [];
-    const recentChat = chatMessages.slice(-contextMessages).map(m => {
-        const role = m.is_user ? playerName : (m.name || 'AI');
-        return `${role}: ${(m.mes || '').substring(0, messageTruncation)}`;
-    }).join('\n');
+    const recentChat = recentChatForKnives(context, playerName);
 
     // Theme guidance may reference the player via {{user}} — resolve it to
     // the actual name so the AI targets the right person.
@@ -357,15 +464,91 @@ Return ONLY a JSON array of exactly ${count} strings.`;
         ],
         quietToLoud: false
     });
+    return parseKnifeSuggestions(response, count);
+}
+
+/**
+ * Generates knife suggestions for a world deck (worldDecks.js) — story beats
+ * tied to a place, faction or the setting instead of one character. Same
+ * flow as generateKnifeSuggestions: the player picks which to keep.
+ *
+ * @param {{name: string, description?: string}} deck
+ * @param {Object} [options]
+ * @param {number} [options.count=5] - Number of suggestions to generate
+ * @param {Array<string>} [options.existingKnives=[]] - Knife texts to avoid duplicating
+ * @param {{label: string, guidance: string}|null} [options.theme=null] - Style/theme steering the batch
+ * @returns {Promise<Array<string>>} Suggested knife texts
+ */
+export async function generateWorldKnifeSuggestions(deck, { count = 5, existingKnives = [], theme = null } = {}) {
+    const context = getContext();
+    const playerName = context.name1 || 'the player';
+    const recentChat = recentChatForKnives(context, playerName);
+    const themeLine = theme?.guidance
+        ? `- Theme: ${theme.label}. ${theme.guidance.replace(/\{\{user\}\}/g, playerName)} Apply it to the place, faction or world rather than to one person.`
+        : '- Vary the type across the options: disasters, shortages, political shifts, rumors, festivals, discoveries, strokes of luck';
+
+    const systemPrompt = `You are generating "Knives" for a roleplay story. A Knife is a pre-planned story beat that lies dormant until the story needs drama, then comes into play with consequences. These knives belong to the WORLD, not to any one character: events in a place, moves by a faction, or shifts in the setting itself (e.g. "The city's power grid fails.").
+
+Write knives for this part of the world:
+- Name: ${deck.name}
+${deck.description ? `- Description: ${deck.description}\n` : ''}
+${existingKnives.length ? `Existing knives — do NOT duplicate or rephrase these:\n${existingKnives.map(t => `  • ${t}`).join('\n')}\n` : ''}
+Recent conversation (for tone and setting):
+${recentChat || '(no messages yet)'}
+
+Requirements:
+${themeLine}
+- Each knife is 1-2 sentences, written as a factual premise about ${deck.name}
+- Make them specific and consequence-laden: something that changes the situation ${playerName} and the other characters are in
+- Describe people by role ("the harbor master", "a rival guild") instead of inventing named characters
+- Fit the story's established tone and setting; don't contradict the description above
+
+Return ONLY a JSON array of exactly ${count} strings.`;
+
+    const response = await safeGenerateRaw({
+        prompt: [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: `Generate ${count} knives for ${deck.name}.` }
+        ],
+        quietToLoud: false
+    });
+    return parseKnifeSuggestions(response, count);
+}
+
+/**
+ * Recent conversation for tone/setting (same budget as the twist generator).
+ * @param {Object} context - getContext()
+ * @param {string} playerName
+ * @returns {string}
+ */
+function recentChatForKnives(context, playerName) {
+    const dc = extensionSettings.doomCounter || {};
+    const contextMessages = dc.twistContextMessages || 15;
+    const messageTruncation = dc.twistMessageTruncation || 1200;
+    const chatMessages = context.chat || [];
+    return chatMessages.slice(-contextMessages).map(m => {
+        const role = m.is_user ? playerName : (m.name || 'AI');
+        return `${role}: ${(m.mes || '').substring(0, messageTruncation)}`;
+    }).join('\n');
+}
+
+/**
+ * Reads the JSON array of knife texts out of a generator response.
+ * @param {string} response
+ * @param {number} count
+ * @returns {Array<string>}
+ */
+function parseKnifeSuggestions(response, count) {
     if (!response) throw new Error('No response from API');
 
     const jsonMatch = response.match(/\[[\s\S]*\]/);
     if (!jsonMatch) throw new Error('No JSON array found in response');
 
     // repairJSON tolerates markdown fences, thinking tags, and trailing
-    // commas; it returns null on unrecoverable input, which fails the
-    // Array.isArray check below and keeps the caller's error path intact.
-    const parsed = repairJSON(jsonMatch[0], { allowFunctionEval: false });
+    // commas without evaluating anything; it returns null on unrecoverable
+    // input, which fails the Array.isArray check below and keeps the
+    // caller's error path intact.
+    const parsed = repairJSON(jsonMatch[0]);
     if (!Array.isArray(parsed)) throw new Error('Invalid knife data returned');
 
     return parsed
@@ -384,7 +567,7 @@ Return ONLY a JSON array of exactly ${count} strings.`;
  * @param {number} twistCount - Number of twist options to generate (2-4)
  * @returns {Array<{role: string, content: string}>} Message array for API call
  */
-function buildTwistPrompt(twistCount) {
+function buildTwistPrompt(twistCount, meter = null) {
     const context = getContext();
     const chatMessages = context.chat || [];
 
@@ -453,7 +636,11 @@ function buildTwistPrompt(twistCount) {
         return `${role}: ${text}`;
     }).join('\n');
 
-    const systemPrompt = `You are a creative plot twist generator for an ongoing roleplay story. The story has been calm for several exchanges and could use something unexpected to shift the dynamic.
+    // A story meter steers the twists toward what set it off instead of "calm"
+    const situation = meter
+        ? `The story's ${meter.name} has been ${meter.triggerWhen === 'low' ? 'low' : 'high'} for several exchanges${meter.instruction ? ` (${meter.name}: ${meter.instruction})` : ''}. Build every twist around that.`
+        : 'The story has been calm for several exchanges and could use something unexpected to shift the dynamic.';
+    const systemPrompt = `You are a creative plot twist generator for an ongoing roleplay story. ${situation}
 
 CRITICAL — Character knowledge:
 - The PLAYER CHARACTER is named "${playerName}" — they are already in the story, do NOT introduce them as a new or unknown character.
@@ -488,11 +675,12 @@ ${extensionSettings.customTwistGeneratorRulesPrompt || DEFAULT_TWIST_GENERATOR_R
  * Generates twist options via a separate API call.
  *
  * @param {number} [count] - Number of twists to generate (defaults to settings)
+ * @param {Object|null} [meter] - Story meter that triggered, to steer the twists
  * @returns {Promise<Array<{emoji: string, title: string, description: string}>>} Array of twist options
  */
-export async function generateTwistOptions(count) {
+export async function generateTwistOptions(count, meter = null) {
     const twistCount = count || extensionSettings.doomCounter?.twistChoiceCount || 3;
-    const prompt = buildTwistPrompt(twistCount);
+    const prompt = buildTwistPrompt(twistCount, meter);
 
     try {
         const response = await safeGenerateRaw({
@@ -510,7 +698,7 @@ export async function generateTwistOptions(count) {
             throw new Error('No JSON array found in response');
         }
 
-        const twists = repairJSON(jsonMatch[0], { allowFunctionEval: false });
+        const twists = repairJSON(jsonMatch[0]);
         if (!Array.isArray(twists) || twists.length === 0) {
             throw new Error('Invalid twist data returned');
         }
@@ -534,6 +722,15 @@ export async function generateTwistOptions(count) {
 
 // ─── Orchestration ────────────────────────────────────────────────────────────
 
+/**
+ * Emits the doom-triggered story event for a twist or knife that was just
+ * queued for the next reply.
+ * @param {{text: string, knife: boolean, owner: string|null, meter: string|null, trap: boolean}} twist
+ */
+function emitDoomTriggered(twist) {
+    emitStoryEvent({ type: 'doom-triggered', subject: twist.owner, before: null, after: twist, messageIndex: findTrackedReplyIndex() });
+}
+
 /** Guard flag — prevents the modal from being opened multiple times concurrently. */
 let _triggerInProgress = false;
 
@@ -547,16 +744,22 @@ export function isTriggerInProgress() {
 
 /**
  * Main trigger flow: inject inline twist element into chat → generate twists → show cards → store pending twist.
- * Called when the Doom Counter triggers naturally or via "Trigger Now" button.
+ * Called when the Doom Counter triggers naturally or via "Trigger Now" button,
+ * and by story meters whose action is 'options' (storyMeters.js).
  *
  * The inline element appears at the bottom of chat so the user can still read
  * the last message while choosing a twist.
  *
+ * @param {Object} [options]
+ * @param {Object|null} [options.meter=null] - Story meter that triggered: twists
+ *   are steered by it, knives and Trap Mode are skipped, and the Doom Counter's
+ *   own streak is left alone
  * @returns {Promise<void>}
  */
-export async function triggerDoomCounter() {
+export async function triggerDoomCounter({ meter = null } = {}) {
     const dc = extensionSettings.doomCounter;
     if (!dc) return;
+    const triggerLabel = meter ? `${meter.emoji} The ${meter.name} meter has triggered...` : 'The Doom Counter has triggered...';
 
     // Prevent concurrent triggers (e.g. rapid clicks or re-trigger on next message)
     if (_triggerInProgress) {
@@ -566,22 +769,23 @@ export async function triggerDoomCounter() {
     _triggerInProgress = true;
 
     // ── Trap Mode: silent trigger, 1 twist, auto-inject ──────────────
-    if (dc.trapMode) {
+    if (dc.trapMode && !meter) {
         try {
-            // Character knives take priority: one present character with armed
-            // knives is chosen at random, then one of their knives.
-            const candidates = getSceneKnifeCandidates();
+            // A weighted draw picks a present character or world deck with
+            // armed knives (or AI twists), then one of its knives.
+            const owner = pickKnifeOwner(getSceneKnifeCandidates());
             let chosenText;
             let isKnife = false;
             let knifeCharacter = null;
-            if (candidates.length > 0) {
-                const owner = candidates[Math.floor(Math.random() * candidates.length)];
+            let card;
+            if (owner) {
                 const knife = owner.knives[Math.floor(Math.random() * owner.knives.length)];
-                markCharacterKnifeUsed(owner.characterName, knife.id, owner.isUser);
+                markKnifeUsed(owner, knife.id);
                 chosenText = knife.text;
                 isKnife = true;
                 knifeCharacter = owner.characterName;
-                debugLog(`[Doom Counter] Trap mode: one of ${owner.characterName}'s knives was silently drawn.`);
+                card = knifeCard(knife, owner);
+                debugLog(`[Doom Counter] Trap mode: a knife from ${owner.characterName}${owner.deckId ? ' (world deck)' : ''} was silently drawn.`);
             } else {
                 debugLog('[Doom Counter] Trap mode triggered — generating silent twist...');
                 const twists = await generateTwistOptions(1);
@@ -590,6 +794,7 @@ export async function triggerDoomCounter() {
                     return;
                 }
                 chosenText = twists[0].description;
+                card = twists[0];
                 debugLog(`[Doom Counter] Trap mode twist silently injected: "${twists[0].title}"`);
             }
 
@@ -600,8 +805,11 @@ export async function triggerDoomCounter() {
             state.triggered = false;
             state.lowStreakCount = 0;
             state.countdownActive = false;
-            state.countdownCount = dc.countdownLength || 3;
+            state.countdownCount = getPacingThresholds(state).countdownLength;
             setDoomCounterState(state);
+            // Journaled hidden — the user can reveal it later
+            startJournalEntry({ trap: true, cards: [card], chosen: 0 });
+            emitDoomTriggered({ text: chosenText, knife: isKnife, owner: knifeCharacter, meter: null, trap: true });
 
             updateDoomCounterUI();
         } catch (error) {
@@ -617,7 +825,7 @@ export async function triggerDoomCounter() {
         <div class="dooms-dc-inline">
             <div class="dooms-dc-inline-header">
                 <i class="fa-solid fa-skull"></i>
-                <span>The Doom Counter has triggered...</span>
+                <span>${escapeHtml(triggerLabel)}</span>
             </div>
             <div class="dooms-dc-inline-body">
                 <div class="dooms-dc-loading">
@@ -643,7 +851,7 @@ export async function triggerDoomCounter() {
         const $body = $inline.find('.dooms-dc-inline-body');
 
         const renderLoading = () => {
-            $inline.find('.dooms-dc-inline-header span').text('The Doom Counter has triggered...');
+            $inline.find('.dooms-dc-inline-header span').text(triggerLabel);
             $body.html(`
                 <div class="dooms-dc-loading">
                     <div class="dooms-dc-loading-dots">
@@ -654,22 +862,27 @@ export async function triggerDoomCounter() {
             `);
         };
 
-        // mode: 'knives' (one character's pre-planted story beats) or 'twists' (AI-generated)
+        // mode: 'knives' (one character's pre-planted story beats), 'deck'
+        // (a world deck's) or 'twists' (AI-generated)
         const renderCards = (cards, mode, knifeOwnerName) => {
             const cardsHtml = cards.map((card, index) => `
                 <div class="dooms-dc-card${card.knifeId ? ' dooms-dc-card-knife' : ''}" data-index="${index}" tabindex="0">
                     <div class="dooms-dc-card-emoji">${escapeHtml(card.emoji)}</div>
                     <div class="dooms-dc-card-title">${escapeHtml(card.title)}</div>
                     <div class="dooms-dc-card-desc">${escapeHtml(card.description)}</div>
+                    ${card.why ? `<div class="dooms-dc-card-why">${escapeHtml(card.why)}</div>` : ''}
                 </div>
             `).join('');
 
             $body.empty();
-            $inline.find('.dooms-dc-inline-header span').text(mode === 'knives'
-                ? `${knifeOwnerName}'s knives are drawn — choose:`
-                : 'Choose your fate:');
+            const headers = {
+                knives: `${knifeOwnerName}'s knives are drawn — choose:`,
+                deck: `The ${knifeOwnerName} deck is drawn — choose:`,
+                twists: 'Choose your fate:'
+            };
+            $inline.find('.dooms-dc-inline-header span').text(headers[mode]);
             $body.append(`<div class="dooms-dc-cards dooms-dc-cards-enter">${cardsHtml}</div>`);
-            const altAction = mode === 'knives'
+            const altAction = mode !== 'twists'
                 ? `<button type="button" class="dooms-dc-action-btn dooms-dc-generate">
                        <i class="fa-solid fa-dice"></i> Generate twists instead
                    </button>`
@@ -694,27 +907,24 @@ export async function triggerDoomCounter() {
             }
         };
 
-        // Character knives take priority — one present character with armed
-        // knives is chosen at random and their knives are offered (no API call).
-        const candidates = getSceneKnifeCandidates();
+        // A weighted draw picks a present character or world deck with armed
+        // knives, whose knives are offered (no API call), or AI twists.
+        const candidates = meter ? [] : getSceneKnifeCandidates();
+        const owner = pickKnifeOwner(candidates);
         let currentCards;
-        if (candidates.length > 0) {
-            const owner = candidates[Math.floor(Math.random() * candidates.length)];
-            debugLog(`[Doom Counter] ${owner.characterName} drew their knives (${owner.knives.length} armed, ${candidates.length} candidate characters).`);
-            currentCards = owner.knives.map(k => ({
-                emoji: '🔪',
-                title: knifeCardTitle(k.text),
-                description: k.text,
-                knifeId: k.id,
-                knifeOwner: owner.characterName,
-                knifeOwnerIsUser: owner.isUser
-            }));
-            renderCards(currentCards, 'knives', owner.characterName);
+        if (owner) {
+            debugLog(`[Doom Counter] ${owner.characterName} drew ${owner.deckId ? 'from the world deck' : 'their knives'} (${owner.knives.length} armed, ${candidates.length} candidates).`);
+            currentCards = owner.knives.map(k => knifeCard(k, owner));
+            renderCards(currentCards, owner.deckId ? 'deck' : 'knives', owner.characterName);
         } else {
             debugLog('[Doom Counter] Generating twist options...');
-            currentCards = await generateTwistOptions(dc.twistChoiceCount || 3);
+            currentCards = await generateTwistOptions(dc.twistChoiceCount || 3, meter);
             renderCards(currentCards, 'twists');
         }
+        // Every option offered (rerolls included) goes in the journal; card
+        // indices are offset by the options already recorded.
+        const journalId = startJournalEntry({ cards: currentCards, meter: meter?.name || null });
+        let journalOffset = 0;
 
         // ── Wait for user to pick a card, reroll/generate, or cancel ────────
         let generating = false;
@@ -723,6 +933,7 @@ export async function triggerDoomCounter() {
                 if (generating) return;
                 const index = parseInt($(this).data('index'));
                 const card = currentCards[index];
+                chooseJournalOption(journalId, journalOffset + index);
 
                 $(this).addClass('dooms-dc-card-selected');
                 $inline.find('.dooms-dc-card').not(this).addClass('dooms-dc-card-dimmed');
@@ -730,7 +941,9 @@ export async function triggerDoomCounter() {
 
                 // Collapse to a compact "chosen" summary after a brief pause
                 setTimeout(() => {
-                    $inline.find('.dooms-dc-inline-header span').text(card.knifeId ? `${card.knifeOwner}'s knife is drawn` : 'Twist selected');
+                    const selected = card.knifeDeckId ? `A card from the ${card.knifeOwner} deck is drawn`
+                        : card.knifeId ? `${card.knifeOwner}'s knife is drawn` : 'Twist selected';
+                    $inline.find('.dooms-dc-inline-header span').text(selected);
                     $body.html(`
                         <div class="dooms-dc-chosen">
                             <span class="dooms-dc-chosen-emoji">${escapeHtml(card.emoji)}</span>
@@ -758,7 +971,8 @@ export async function triggerDoomCounter() {
                 try {
                     debugLog('[Doom Counter] Generating twist options...');
                     renderLoading();
-                    currentCards = await generateTwistOptions(dc.twistChoiceCount || 3);
+                    currentCards = await generateTwistOptions(dc.twistChoiceCount || 3, meter);
+                    journalOffset = addJournalOptions(journalId, currentCards);
                     renderCards(currentCards, 'twists');
                 } finally {
                     generating = false;
@@ -774,6 +988,11 @@ export async function triggerDoomCounter() {
         // ── Cancelled: dismiss without a twist and reset the counter ────────
         if (chosen === null) {
             debugLog('[Doom Counter] Twist selection cancelled by user.');
+            cancelJournalEntry(journalId);
+            if (meter) {
+                $inline.remove();
+                return;
+            }
             resetCounters();
             updateDoomCounterUI();
             return;
@@ -781,7 +1000,7 @@ export async function triggerDoomCounter() {
 
         // A chosen knife is spent — mark it used so it isn't offered again
         if (chosen.knifeId) {
-            markCharacterKnifeUsed(chosen.knifeOwner, chosen.knifeId, chosen.knifeOwnerIsUser);
+            markKnifeUsed(cardOwner(chosen), chosen.knifeId);
         }
 
         // Store the chosen twist/knife for injection on next generation
@@ -789,13 +1008,22 @@ export async function triggerDoomCounter() {
         state.pendingTwist = chosen.description;
         state.pendingTwistIsKnife = !!chosen.knifeId;
         state.pendingKnifeCharacter = chosen.knifeId ? chosen.knifeOwner : null;
-        state.triggered = false;
-        state.lowStreakCount = 0;
-        state.countdownActive = false;
-        state.countdownCount = dc.countdownLength || 3;
+        if (!meter) {
+            state.triggered = false;
+            state.lowStreakCount = 0;
+            state.countdownActive = false;
+            state.countdownCount = getPacingThresholds(state).countdownLength;
+        }
         setDoomCounterState(state);
 
         debugLog(`[Doom Counter] ${chosen.knifeId ? 'Knife' : 'Twist'} chosen: "${chosen.description}"`);
+        emitDoomTriggered({
+            text: chosen.description,
+            knife: !!chosen.knifeId,
+            owner: chosen.knifeId ? chosen.knifeOwner : null,
+            meter: meter?.name || null,
+            trap: false
+        });
 
         // Update the settings panel display
         updateDoomCounterUI();
@@ -870,6 +1098,35 @@ export function clearPendingTwist() {
     setDoomCounterState(state);
 }
 
+/**
+ * Queues an option the user passed over earlier (from the Twist Journal) as
+ * the pending twist. Knives are spent just as if picked from the cards.
+ *
+ * @param {string} entryId - Journal entry the option was offered in
+ * @param {number} optionIndex
+ * @returns {boolean} False when a twist is already pending or the option can't be used
+ */
+export function requeueJournalTwist(entryId, optionIndex) {
+    const state = getDoomCounterState();
+    if (state.pendingTwist || _triggerInProgress) return false;
+    const option = takeJournalOption(entryId, optionIndex);
+    if (!option) return false;
+
+    if (option.knifeId) {
+        markKnifeUsed(cardOwner(option), option.knifeId);
+    }
+    state.pendingTwist = option.description;
+    state.pendingTwistIsKnife = !!option.knifeId;
+    state.pendingKnifeCharacter = option.knifeId ? option.knifeOwner : null;
+    state.triggered = false;
+    setDoomCounterState(state);
+    startJournalEntry({ cards: [option], chosen: 0, requeuedFrom: entryId });
+
+    debugLog(`[Doom Counter] Re-queued ${option.knifeId ? 'knife' : 'twist'}: "${option.description}"`);
+    updateDoomCounterUI();
+    return true;
+}
+
 // ─── Tension Prompt Injection ─────────────────────────────────────────────────
 
 /**
@@ -902,13 +1159,14 @@ export function updateDoomCounterUI() {
     }
 
     const state = getDoomCounterState();
-    const threshold = dc.lowTensionThreshold || 5;
+    const threshold = getPacingThresholds(state).lowTensionThreshold;
 
     // Trap mode: hide all status indicators
     if (dc.trapMode) {
         $('#rpg-dc-status').html('<span style="color: #666;">🪤 Trap mode — status hidden</span>');
         $('#rpg-dc-streak').text('?');
         $('#rpg-dc-streak-max').text('?');
+        $('#rpg-dc-pacing').text('?');
         $('#rpg-dc-countdown-display').hide();
         $('#rpg-dc-badge').text('trap');
         return;
@@ -917,6 +1175,7 @@ export function updateDoomCounterUI() {
     // Update streak display
     $('#rpg-dc-streak').text(state.lowStreakCount);
     $('#rpg-dc-streak-max').text(threshold);
+    $('#rpg-dc-pacing').text(describePacing(state) || 'Static (settings above)');
 
     // Update status
     if (state.pendingTwist) {
@@ -14,8 +14,13 @@ import {
     setIsAwaitingNewMessage
 } from '../../core/state.js';
 import { getActiveCharacterColors } from '../../core/persistence.js';
+import { isMoonPhaseComputed } from '../features/worldClock.js';
+import { noteTwistInjected } from '../features/tensionHistory.js';
+import { markJournalInjected } from '../features/twistJournal.js';
+import { getStoryMeters, takePendingMeterInjections, STORY_METER_SLOT } from './storyMeters.js';
 import { evaluateSuppression } from './suppression.js';
 import { parseQuests } from './parser.js';
+import { commitTracker } from './storyEvents.js';
 import { getPendingTwist, isPendingTwistAKnife, getPendingKnifeCharacter, clearPendingTwist, buildDoomTensionInstruction, DOOM_TWIST_SLOT, DOOM_TENSION_SLOT } from './doomCounter.js';
 import {
     generateTrackerExample,
@@ -75,6 +80,8 @@ function detectNewFields() {
 
     for (const field of enabledOptional) {
         if (!widgets[field]?.enabled) continue;
+        // Computed by the calendar engine, not asked of the model
+        if (field === 'moonPhase' && isMoonPhaseComputed()) continue;
         // If the committed data has no value for this field, it's new
         const inCommitted = committed && committed[field] !== undefined && committed[field] !== null && committed[field] !== '';
         if (!inCommitted) {
@@ -710,23 +717,29 @@ export async function onGenerationStarted(type, data, dryRun) {
     //    The user explicitly chose a twist via the modal — suppressing it would
     //    silently discard their choice. Tracker instructions are suppressed during
     //    guided generations, but the twist is a one-shot user action, not a tracker.
-    if (extensionSettings.doomCounter?.enabled) {
+    //    Story meters with the 'options' action queue their twist here too.
+    if (extensionSettings.doomCounter?.enabled || getStoryMeters().length) {
         const pendingTwist = getPendingTwist();
         const twistDepth = extensionSettings.doomCounter?.twistInjectionDepth || 0;
         if (pendingTwist) {
             // Knives (player-authored story beats) get their own wrapper template.
             // Read the flag BEFORE clearPendingTwist(), which resets it.
+            // Trap Mode twists stay secret: the tension chart only marks the turn.
+            const markText = extensionSettings.doomCounter?.trapMode ? '' : pendingTwist;
             let twistPrompt;
             if (isPendingTwistAKnife()) {
                 const knifeTemplate = extensionSettings.customKnifeTemplatePrompt || DEFAULT_KNIFE_TEMPLATE_PROMPT;
                 const knifeCharacter = getPendingKnifeCharacter() || 'a character in the scene';
                 twistPrompt = `\n${knifeTemplate.replace('{knife}', pendingTwist).replace('{character}', knifeCharacter)}\n`;
+                noteTwistInjected('knife', markText);
             } else {
                 const twistTemplate = extensionSettings.customPlotTwistTemplatePrompt || DEFAULT_PLOT_TWIST_TEMPLATE_PROMPT;
                 twistPrompt = `\n${twistTemplate.replace('{twist}', pendingTwist)}\n`;
+                noteTwistInjected('twist', markText);
             }
             setExtensionPrompt(DOOM_TWIST_SLOT, twistPrompt, extension_prompt_types.IN_CHAT, twistDepth, false);
             // Clear the pending twist after injecting — it's a one-shot
+            markJournalInjected();
             clearPendingTwist();
             console.log(`[Doom Counter] Twist injected into prompt at depth ${twistDepth}.`);
         } else {
@@ -736,6 +749,14 @@ export async function onGenerationStarted(type, data, dryRun) {
         // Clear twist slot if disabled
         setExtensionPrompt(DOOM_TWIST_SLOT, '', extension_prompt_types.IN_CHAT, 0, false);
     }
+    // 2. Story meter templates and drawn knives — one-shot, same depth as the twist.
+    const meterInjections = takePendingMeterInjections().map(({ text, knife, character }) => {
+        if (!knife) return `\n${text}\n`;
+        const knifeTemplate = extensionSettings.customKnifeTemplatePrompt || DEFAULT_KNIFE_TEMPLATE_PROMPT;
+        return `\n${knifeTemplate.replace('{knife}', text).replace('{character}', character || 'a character in the scene')}\n`;
+    });
+    setExtensionPrompt(STORY_METER_SLOT, meterInjections.join(''), extension_prompt_types.IN_CHAT, extensionSettings.doomCounter?.twistInjectionDepth || 0, false);
+    if (meterInjections.length) console.log(`[Story Meters] ${meterInjections.length} meter injection(s) added to the prompt.`);
     // ──────────────────────────────────────────────────────────────────────────
 
     const currentChatLength = chat ? chat.length : 0;
@@ -760,9 +781,7 @@ export async function onGenerationStarted(type, data, dryRun) {
             //     characterThoughts: lastGeneratedData.characterThoughts ? `${lastGeneratedData.characterThoughts.substring(0, 100)}...` : 'null'
             // });
             // Commit displayed data (from before user sent message)
-            committedTrackerData.quests = lastGeneratedData.quests;
-            committedTrackerData.infoBox = lastGeneratedData.infoBox;
-            committedTrackerData.characterThoughts = lastGeneratedData.characterThoughts;
+            commitTracker(lastGeneratedData);
             // Track chat length to prevent duplicate commits
             lastCommittedChatLength = currentChatLength;
             //     userStats: committedTrackerData.userStats ? `${committedTrackerData.userStats.substring(0, 50)}...` : 'null',
@@ -795,9 +814,7 @@ export async function onGenerationStarted(type, data, dryRun) {
             //      infoBox: lastGeneratedData.infoBox ? 'exists' : 'null',
             //      characterThoughts: lastGeneratedData.characterThoughts ? 'exists' : 'null'
             // });
-            committedTrackerData.quests = lastGeneratedData.quests;
-            committedTrackerData.infoBox = lastGeneratedData.infoBox;
-            committedTrackerData.characterThoughts = lastGeneratedData.characterThoughts;
+            commitTracker(lastGeneratedData);
             // Reset flag after committing (ready for next cycle)
         } else {
             //      userStats: committedTrackerData.userStats ? 'exists' : 'null',
@@ -6,18 +6,10 @@ import { extensionSettings, committedTrackerData } from '../../core/state.js';
 import { getContext } from '../../../../../../extensions.js';
 import { i18n } from '../../core/i18n.js';
 import { getWeatherKeywordsAsPromptString } from '../ui/weatherEffects.js';
-/**
- * Converts a field name to snake_case for use as JSON key
- * Example: "Test Tracker" -> "test_tracker"
- * @param {string} name - Field name to convert
- * @returns {string} snake_case version
- */
-function toSnakeCase(name) {
-    return name
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '_')
-        .replace(/^_+|_+$/g, '');
-}
+import { getFieldType, buildFieldValueInstruction, describeTypedField } from '../../utils/fieldTypes.js';
+import { toSnakeCase } from '../../utils/textUtils.js';
+import { isWorldClockEnabled, getActiveCalendar, isMoonPhaseComputed } from '../features/worldClock.js';
+import { getStoryMeters, buildStoryMeterInstructions } from './storyMeters.js';
 /**
  * Extracts the base name (before parentheses) and converts to snake_case for use as JSON key.
  * Parenthetical content is treated as a description/hint, not part of the key.
@@ -40,11 +32,13 @@ const RESERVED_INFOBOX_KEYS = ['date', 'time', 'location', 'weather', 'temperatu
  * Filters out fields with empty/reserved/duplicate keys so prompt, rendering, and
  * history persistence all agree on exactly which fields exist.
  *
- * @returns {Array<{key: string, name: string, label: string, icon: string, description: string, persistInHistory: boolean}>}
+ * @returns {Array<{key: string, name: string, label: string, icon: string, description: string, persistInHistory: boolean,
+ *   type: string, min: number|undefined, max: number|undefined, options: string[]|undefined}>}
+ *   Each entry also carries the field's type settings, so it can be passed to utils/fieldTypes.js directly
  */
 export function getCustomSceneFields() {
     const fields = extensionSettings.trackerConfig?.infoBox?.customFields || [];
-    const seen = new Set(RESERVED_INFOBOX_KEYS);
+    const seen = new Set([...RESERVED_INFOBOX_KEYS, ...getStoryMeters().map(meter => meter.key)]);
     const result = [];
     for (const field of fields) {
         if (!field || !field.enabled || !field.name) continue;
@@ -57,7 +51,11 @@ export function getCustomSceneFields() {
             label: field.name.replace(/\s*\(.*\)\s*$/, '').trim(),
             icon: field.icon || '✨',
             description: field.description || field.name,
-            persistInHistory: field.persistInHistory === true
+            persistInHistory: field.persistInHistory === true,
+            type: getFieldType(field),
+            min: field.min,
+            max: field.max,
+            options: field.options
         });
     }
     return result;
@@ -71,15 +69,43 @@ export function getCustomSceneFields() {
  * @returns {string} JSON format instruction for quests
  */
 export function buildQuestsJSONInstruction() {
+    const quest = (id, title) =>
+        `{"id": "${id}", "title": "${title}", "description": "One-line summary", "status": "active|completed|failed|abandoned", ` +
+        '"objectives": [{"text": "Objective", "done": false}]}';
     let instruction = '{\n';
-    instruction += '  "main": {"title": "Quest title"},\n';
+    instruction += `  "main": ${quest('short-stable-id', 'Quest title')},\n`;
     instruction += '  "optional": [\n';
-    instruction += '    {"title": "Quest1"},\n';
-    instruction += '    {"title": "Quest2"}\n';
+    instruction += `    ${quest('quest1-id', 'Quest1')}\n`;
     instruction += '  ]\n';
     instruction += '}';
     return instruction;
 }
+/**
+ * Rules for the structured quest fields, appended after the JSON format block.
+ * @param {boolean} compact - Use the short wording
+ * @returns {string}
+ */
+export function buildQuestsRules(compact) {
+    return compact
+        ? 'Quests: keep each id unchanged between turns. To end a quest, set its status to completed, failed or abandoned for one turn, then leave it out.'
+        : 'Quests: keep each quest\'s "id" exactly the same from turn to turn, and tick objectives off with "done": true as they are achieved. ' +
+          'When a quest ends, set its "status" to "completed", "failed" or "abandoned" for that one turn so it is recorded in the quest log, then leave it out afterwards. ' +
+          'A quest that simply disappears is recorded as completed.';
+}
+/**
+ * Names the months and weekdays of the active custom calendar so the model
+ * writes dates the calendar engine can read. Empty for the real-world calendar
+ * or when the engine is off.
+ * @returns {string} Hint appended to the date format (already JSON-escaped)
+ */
+function buildCalendarDateHint() {
+    if (!isWorldClockEnabled()) return '';
+    const calendar = getActiveCalendar();
+    if (calendar.gregorian) return '';
+    const escape = text => String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    return ` — ${escape(calendar.name)} calendar; months: ${calendar.months.map(m => escape(m.name)).join(', ')}; ` +
+        `weekdays: ${calendar.weekdays.map(escape).join(', ')}; write the year as a number`;
+}
 /**
  * Builds Info Box JSON format instruction
  * @returns {string} JSON format instruction for info box
@@ -99,7 +125,7 @@ export function buildInfoBoxJSONInstruction() {
     let hasFields = false;
     if (widgets.date?.enabled) {
         const dateFormat = widgets.date.format || 'Weekday, Month, Year';
-        instruction += `  "date": {"value": "${dateFormat}"}`;
+        instruction += `  "date": {"value": "${dateFormat}${buildCalendarDateHint()}"}`;
         hasFields = true;
     }
     if (widgets.time?.enabled) {
@@ -127,7 +153,8 @@ export function buildInfoBoxJSONInstruction() {
         hasFields = true;
     }
     const compact = extensionSettings.compactPrompts !== false;
-    if (widgets.moonPhase?.enabled) {
+    // The calendar engine computes the moon phase itself
+    if (widgets.moonPhase?.enabled && !isMoonPhaseComputed()) {
         instruction += (hasFields ? ',\n' : '') + (compact
             ? '  "moonPhase": "New Moon|Waxing Crescent|First Quarter|Waxing Gibbous|Full Moon|Waning Gibbous|Last Quarter|Waning Crescent"'
             : '  "moonPhase": "Current moon phase (New Moon / Waxing Crescent / First Quarter / Waxing Gibbous / Full Moon / Waning Gibbous / Last Quarter / Waning Crescent)"');
@@ -159,8 +186,7 @@ export function buildInfoBoxJSONInstruction() {
     }
     // User-defined custom scene fields
     for (const field of getCustomSceneFields()) {
-        const desc = field.description.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-        instruction += (hasFields ? ',\n' : '') + `  "${field.key}": "${desc}"`;
+        instruction += (hasFields ? ',\n' : '') + `  "${field.key}": ${buildFieldValueInstruction(field, field.description)}`;
         hasFields = true;
     }
     // Doom Counter: inject numeric tension scale (1-10) for automated tension tracking
@@ -170,6 +196,11 @@ export function buildInfoBoxJSONInstruction() {
             : '  "doomTension": <number 1-10 rating the current scene tension. 1=completely calm/peaceful/boring, 5=moderate tension/anticipation, 10=extreme danger/conflict/crisis>');
         hasFields = true;
     }
+    // Story meters: one numeric 1-10 field each
+    for (const line of buildStoryMeterInstructions(compact)) {
+        instruction += (hasFields ? ',\n' : '') + line;
+        hasFields = true;
+    }
     instruction += '\n}';
     return instruction;
 }
@@ -203,7 +234,7 @@ export function buildCharactersJSONInstruction() {
             const field = enabledFields[i];
             const fieldKey = toSnakeCase(field.name);
             const comma = i < enabledFields.length - 1 ? ',' : '';
-            instruction += `      "${fieldKey}": "${field.description}"${comma}\n`;
+            instruction += `      "${fieldKey}": ${buildFieldValueInstruction(field, field.description)}${comma}\n`;
         }
         instruction += '    }';
     }
@@ -232,6 +263,58 @@ export function buildCharactersJSONInstruction() {
     instruction += ']';
     return instruction;
 }
+/**
+ * Notes for the number and boolean custom fields in the format block, whose
+ * JSON placeholders are bare values: each field's range and description.
+ * @param {string[]} enabledTrackers - Enabled section keys ('quests', 'infoBox', 'characters')
+ * @returns {string} Notes text, or '' when no such field is enabled
+ */
+export function buildTypedFieldNotes(enabledTrackers) {
+    const lines = [];
+    if (enabledTrackers.includes('infoBox')) {
+        for (const field of getCustomSceneFields()) {
+            const note = describeTypedField(field, field.description);
+            if (note) lines.push(`- infoBox "${field.key}": ${note}`);
+        }
+    }
+    if (enabledTrackers.includes('characters')) {
+        const fields = extensionSettings.trackerConfig?.presentCharacters?.customFields?.filter(f => f && f.enabled && f.name) || [];
+        for (const field of fields) {
+            const note = describeTypedField(field, field.description);
+            if (note) lines.push(`- character details "${toSnakeCase(field.name)}": ${note}`);
+        }
+    }
+    return lines.length ? 'Number and true/false fields (write the bare value, no quotes):\n' + lines.join('\n') : '';
+}
+/**
+ * Builds the patch-mode format instruction (opt-in trackerPatchMode): the
+ * model sends only what changed since the previous trackers, wrapped in a
+ * `trackerPatch` object that trackerPatch.js merges onto the committed data.
+ * @param {string[]} enabledTrackers - Enabled section keys ('quests', 'infoBox', 'characters')
+ * @returns {string} Patch format instruction
+ */
+export function buildTrackerPatchJSONInstruction(enabledTrackers) {
+    const lines = [];
+    if (enabledTrackers.includes('infoBox')) {
+        lines.push('    "infoBox": {"time": {"start": "TimeStart", "end": "TimeEnd"}}');
+    }
+    if (enabledTrackers.includes('characters')) {
+        lines.push('    "characters": [{"name": "CharacterName", "thoughts": {"content": "New thought"}}]');
+        lines.push('    "removeCharacters": ["Name of a character who left the scene"]');
+    }
+    if (enabledTrackers.includes('quests')) {
+        lines.push('    "quests": {"main": {"title": "Quest title"}, "optional": []}');
+    }
+    let instruction = '\n\nFORMAT (patch): the previous trackers stay in effect. Provide EXACTLY ONE JSON code block containing ONLY what changed since them:\n\n```json\n{\n  "trackerPatch": {\n';
+    instruction += lines.join(',\n');
+    instruction += '\n  }\n}\n```\n\n';
+    if (extensionSettings.compactPrompts !== false) {
+        instruction += 'Omit unchanged sections and fields; null deletes an infoBox field. Characters match by name: give new characters in full, existing ones with changed fields only. Quests, when changed, are given in full. Nothing changed = {"trackerPatch": {}}.';
+    } else {
+        instruction += 'Leave out every section and field that did not change — they carry over automatically. Set an infoBox field to null to delete it. Characters are matched by name: list characters who just arrived with all of their fields, and for characters already present list only the fields that changed. Put characters who left the scene in "removeCharacters". If the quests changed, give the whole quests object. If nothing changed at all, output {"trackerPatch": {}}.';
+    }
+    return instruction;
+}
 /**
  * Adds lock information to instruction text
  * @param {string} baseInstruction - Base instruction text
@@ -5,6 +5,7 @@
  */
 import { extensionSettings } from '../../core/state.js';
 import { repairJSON } from '../../utils/jsonRepair.js';
+import { normalizeQuest, findQuestRecord } from '../features/questLog.js';
 /**
  * Apply locks to tracker data before sending to AI.
  * Adds "locked": true to locked items in JSON format.
@@ -44,6 +45,31 @@ export function applyLocks(trackerData, trackerType) {
  * @returns {string} JSON string with locks applied
  */
 function applyQuestsLocks(data, lockedItems) {
+    // Objective and optional-quest locks are keyed by quest id so they
+    // survive quests moving between slots. Objective locks go first: they
+    // need the bare quest object.
+    const objectiveLocks = lockedItems.objectives || {};
+    const questId = (quest) => {
+        const normalized = normalizeQuest(quest);
+        return normalized ? findQuestRecord(normalized)?.id || normalized.id : null;
+    };
+    const lockObjectives = (quest) => {
+        if (!quest || typeof quest !== 'object' || !Array.isArray(quest.objectives)) return quest;
+        const locks = objectiveLocks[questId(quest)];
+        if (!locks) return quest;
+        return {
+            ...quest,
+            objectives: quest.objectives.map((objective, index) => {
+                if (locks[index] !== true) return objective;
+                return typeof objective === 'string'
+                    ? { text: objective, locked: true }
+                    : { ...objective, locked: true };
+            })
+        };
+    };
+    if (data.main) {
+        data.main = lockObjectives(data.main);
+    }
     // Lock main quest
     if (data.main && lockedItems.main === true) {
         data.main = { value: data.main, locked: true };
@@ -51,8 +77,10 @@ function applyQuestsLocks(data, lockedItems) {
     // Lock individual optional quests
     if (data.optional && Array.isArray(data.optional)) {
         data.optional = data.optional.map((quest, index) => {
-            const bracketPath = `optional[${index}]`;
-            if (lockedItems[bracketPath]) {
+            const id = questId(quest);
+            quest = lockObjectives(quest);
+            // `optional[i]` is the older, position-keyed form of the lock
+            if ((id && lockedItems.optional?.[id] === true) || lockedItems[`optional[${index}]`]) {
                 return typeof quest === 'string'
                     ? { title: quest, locked: true }
                     : { ...quest, locked: true };
@@ -5,7 +5,19 @@
  */
 import { extensionSettings, addDebugLog } from '../../core/state.js';
 import { saveSettings } from '../../core/persistence.js';
-import { repairJSON } from '../../utils/jsonRepair.js';
+import { parseLenientJSON, describeJSONRepairs } from '../../utils/jsonRepair.js';
+import {
+    TRACKER_PATCH_KEY,
+    isTrackerPatch,
+    applyTrackerPatch,
+    getCommittedTrackerSections,
+    requestFullTracker,
+    clearFullTrackerRequest
+} from './trackerPatch.js';
+import { getCustomSceneFields } from './jsonPromptHelpers.js';
+import { getFieldType, coerceFieldValue } from '../../utils/fieldTypes.js';
+import { toSnakeCase } from '../../utils/textUtils.js';
+import { setQuestTitles } from '../features/questLog.js';
 // NOTE: FEATURE_FLAGS, extractInventory, separateEmojiFromText imports removed — userStats system archived
 /**
  * Extracts the base name (before parentheses) and converts to snake_case for use as JSON key.
@@ -14,11 +26,7 @@ import { repairJSON } from '../../utils/jsonRepair.js';
  * @returns {string} snake_case key from the base name only
  */
 function toFieldKey(name) {
-    const baseName = name.replace(/\s*\(.*\)\s*$/, '').trim();
-    return baseName
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '_')
-        .replace(/^_+|_+$/g, '');
+    return toSnakeCase(name.replace(/\s*\(.*\)\s*$/, '').trim());
 }
 /**
  * Helper to strip enclosing brackets from text and remove placeholder brackets
@@ -92,15 +100,126 @@ function debugLog(message, data = null) {
         addDebugLog(message, data);
     }
 }
+/**
+ * Parses one JSON candidate from the response with the tolerant (parse-only)
+ * reader, logging any repairs it had to apply so malformed model output can
+ * be diagnosed from the debug log.
+ * @param {string} jsonContent - JSON text extracted from the response
+ * @param {string} label - Where the text came from, for the log line
+ * @returns {object|null} Parsed data or null
+ */
+function parseTrackerJSON(jsonContent, label) {
+    const { data, repairs } = parseLenientJSON(jsonContent);
+    if (repairs.length > 0) {
+        debugLog(`[RPG Parser] JSON repairs applied (${label}):`, describeJSONRepairs(repairs));
+    }
+    return data;
+}
+/**
+ * Resolves a `{"trackerPatch": {...}}` object (patch output mode) into full
+ * tracker sections merged onto committedTrackerData. A patch that can't be
+ * merged is dropped: the turn carries the committed tracker unchanged, and
+ * the next prompt falls back to the full format.
+ * @param {Object} parsed - Parsed object carrying the trackerPatch key
+ * @param {Object} result - parseResponse result to fill
+ * @param {{preview: boolean, patched: boolean}} parse - preview leaves the
+ *     full-format fallback alone; patched is set for the caller
+ * @returns {boolean} True if the result was filled from the patch
+ */
+function resolveTrackerPatch(parsed, result, parse) {
+    parse.patched = true;
+    try {
+        Object.assign(result, applyTrackerPatch(parsed[TRACKER_PATCH_KEY]));
+        debugLog('[RPG Parser] ✓ Merged tracker patch onto committed data');
+        return true;
+    } catch (e) {
+        Object.assign(result, getCommittedTrackerSections());
+        if (parse.preview) return false;
+        console.warn('[RPG Parser] ⚠️ Tracker patch rejected, keeping the committed tracker and asking for the full format next turn:', e.message);
+        requestFullTracker();
+        return false;
+    }
+}
+/**
+ * Validates typed custom fields (utils/fieldTypes.js) in parsed tracker
+ * sections: numbers are clamped, enums snapped to their canonical option,
+ * and values that don't fit the field's type are dropped. Sections that
+ * aren't JSON, or have no typed fields, are returned untouched.
+ * @param {Object} result - parseResponse result
+ * @returns {Object} The same result, with typed fields normalized
+ */
+function applyFieldTypes(result) {
+    const sceneFields = getCustomSceneFields().filter(field => getFieldType(field) !== 'text');
+    const characterFields = (extensionSettings.trackerConfig?.presentCharacters?.customFields || [])
+        .filter(field => field && field.enabled && field.name && getFieldType(field) !== 'text');
+    const normalize = (container, key, field, label) => {
+        if (!container || container[key] === undefined || container[key] === null) return false;
+        const typed = coerceFieldValue(field, container[key]);
+        if (typed === undefined) {
+            debugLog(`[RPG Parser] Dropped ${label}: ${JSON.stringify(container[key])} is not a valid ${getFieldType(field)}`);
+            delete container[key];
+            return true;
+        }
+        if (JSON.stringify(typed) === JSON.stringify(container[key])) return false;
+        container[key] = typed;
+        return true;
+    };
+    if (sceneFields.length && result.infoBox) {
+        const infoBox = parseLenientJSON(result.infoBox).data;
+        if (infoBox && typeof infoBox === 'object' && !Array.isArray(infoBox)) {
+            let changed = false;
+            for (const field of sceneFields) {
+                changed = normalize(infoBox, field.key, field, field.label) || changed;
+            }
+            if (changed) result.infoBox = JSON.stringify(infoBox);
+        }
+    }
+    if (characterFields.length && result.characterThoughts) {
+        const parsed = parseLenientJSON(result.characterThoughts).data;
+        const characters = Array.isArray(parsed) ? parsed : parsed?.characters;
+        if (Array.isArray(characters)) {
+            let changed = false;
+            for (const character of characters) {
+                if (!character?.details || typeof character.details !== 'object') continue;
+                for (const field of characterFields) {
+                    // AI output uses the snake_case key, manual edits the field name
+                    for (const key of new Set([toSnakeCase(field.name), field.name])) {
+                        changed = normalize(character.details, key, field, `${character.name} ${field.name}`) || changed;
+                    }
+                }
+            }
+            if (changed) result.characterThoughts = JSON.stringify(parsed);
+        }
+    }
+    return result;
+}
 /**
  * Parses the model response to extract the different data sections.
  * Extracts tracker data from markdown code blocks in the AI response.
  * Handles both separate code blocks and combined code blocks gracefully.
+ * Typed custom fields are validated on the way out (applyFieldTypes).
  *
  * @param {string} responseText - The raw AI response text
- * @returns {{userStats: string|null, infoBox: string|null, characterThoughts: string|null}} Parsed tracker data
+ * @param {{preview?: boolean}} [options] - preview: parse only, leaving the
+ *     patch-mode fallback state alone (mid-stream display updates)
+ * @returns {{quests: string|null, infoBox: string|null, characterThoughts: string|null, parsingFailed?: boolean}} Parsed tracker data
+ */
+export function parseResponse(responseText, { preview = false } = {}) {
+    const parse = { preview, patched: false };
+    const result = applyFieldTypes(extractTrackerSections(responseText, parse));
+    // A complete tracker in any format re-anchors the model: patches may resume
+    if (!preview && !parse.patched && (result.quests || result.infoBox || result.characterThoughts)) {
+        clearFullTrackerRequest();
+    }
+    return result;
+}
+/**
+ * Extracts the raw tracker sections from a response (see parseResponse).
+ * @param {string} responseText - The raw AI response text
+ * @param {{preview: boolean, patched: boolean}} parse - See resolveTrackerPatch
+ * @returns {Object} Parsed tracker data
  */
-export function parseResponse(responseText) {
+function extractTrackerSections(responseText, parse) {
     const result = {
         quests: null,
         infoBox: null,
@@ -165,7 +284,7 @@ export function parseResponse(responseText) {
         debugLog(`[RPG Parser] ✓ Found ${extractedObjects.length} raw JSON objects (v3 format)`);
         // First, try to parse as unified JSON structure (new v3.1 format)
         if (extractedObjects.length === 1) {
-            const parsed = repairJSON(extractedObjects[0]);
+            const parsed = parseTrackerJSON(extractedObjects[0], 'unified object');
             if (parsed && (parsed.quests || parsed.infoBox || parsed.characters)) {
                 if (parsed.quests) {
                     result.quests = JSON.stringify(parsed.quests);
@@ -185,8 +304,10 @@ export function parseResponse(responseText) {
         // Fall back to parsing multiple separate JSON objects (legacy v3.0 format)
         for (let idx = 0; idx < extractedObjects.length; idx++) {
             const jsonContent = extractedObjects[idx];
-            const parsed = repairJSON(jsonContent);
-            if (parsed) {
+            const parsed = parseTrackerJSON(jsonContent, `raw object ${idx + 1}`);
+            if (isTrackerPatch(parsed)) {
+                resolveTrackerPatch(parsed, result, parse);
+            } else if (parsed) {
                 // Check if object is wrapped (e.g., {"quests": {...}})
                 // Unwrap single-key objects that match our tracker types
                 let unwrapped = parsed;
@@ -230,8 +351,10 @@ export function parseResponse(responseText) {
             const match = jsonMatches[idx];
             const jsonContent = match[1].trim();
             if (!jsonContent) continue;
-            const parsed = repairJSON(jsonContent);
-            if (parsed) {
+            const parsed = parseTrackerJSON(jsonContent, `code block ${idx + 1}`);
+            if (isTrackerPatch(parsed)) {
+                resolveTrackerPatch(parsed, result, parse);
+            } else if (parsed) {
                 // Detect tracker type by checking for top-level fields
                 if (parsed.main !== undefined || parsed.optional !== undefined) {
                     result.quests = jsonContent;
@@ -271,7 +394,7 @@ export function parseResponse(responseText) {
             for (const match of xmlJsonMatches) {
                 const jsonContent = match[1].trim();
                 if (!jsonContent) continue;
-                const parsed = repairJSON(jsonContent);
+                const parsed = parseTrackerJSON(jsonContent, 'XML code block');
                 if (parsed) {
                     if (parsed.type === 'quests' || parsed.main !== undefined || parsed.optional !== undefined) {
                         result.quests = jsonContent;
@@ -373,10 +496,12 @@ export function parseResponse(responseText) {
         console.error('[RPG Parser] ❌ No tracker data found in response - parsing failed');
     }
     return result;
-} // End parseResponse
+} // End extractTrackerSections
 /**
  * Parses quests from the AI response and updates extensionSettings.quests.
- * Handles both JSON format (v3) and legacy text format.
+ * Handles both JSON format (v3) and legacy text format. Only the flat
+ * main/optional titles change; the quest log takes a reply's quests when its
+ * tracker is committed (see questLog.js).
  *
  * @param {string} questsText - The raw quests JSON/text from AI response
  */
@@ -388,30 +513,10 @@ export function parseQuests(questsText) {
         const trimmed = questsText.trim();
         // Try JSON format first
         if (trimmed && (trimmed.startsWith('{') || trimmed.startsWith('['))) {
-            const questsData = repairJSON(questsText);
+            const questsData = parseTrackerJSON(questsText, 'quests');
             if (questsData) {
                 debugLog('[RPG Parser] ✓ Parsed quests as JSON format');
-                // Convert quest objects to strings
-                const convertQuest = (quest) => {
-                    if (!quest) return '';
-                    if (typeof quest === 'string') return quest;
-                    if (typeof quest === 'object') {
-                        // Check for locked format: {value, locked}
-                        let extracted = quest;
-                        while (typeof extracted === 'object' && extracted.value !== undefined) {
-                            extracted = extracted.value;
-                        }
-                        if (typeof extracted === 'string') return extracted;
-                        return quest.title || quest.description || JSON.stringify(quest);
-                    }
-                    return String(quest);
-                };
-                extensionSettings.quests = {
-                    main: convertQuest(questsData.main),
-                    optional: Array.isArray(questsData.optional)
-                        ? questsData.optional.map(convertQuest)
-                        : []
-                };
+                setQuestTitles(questsData);
                 debugLog('[RPG Parser] ✓ Quests extracted:', extensionSettings.quests);
                 saveSettings();
                 return;
@@ -419,24 +524,29 @@ export function parseQuests(questsText) {
         }
         // Fallback: text format parsing
         debugLog('[RPG Parser] Falling back to text format for quests');
+        const textQuests = {
+            main: extensionSettings.quests?.main,
+            optional: extensionSettings.quests?.optional || []
+        };
         const mainQuestMatch = questsText.match(/Main Quests?:\s*(.+)/i);
         if (mainQuestMatch) {
-            extensionSettings.quests.main = mainQuestMatch[1].trim();
+            textQuests.main = mainQuestMatch[1].trim();
             debugLog('[RPG Parser] Main quest extracted:', mainQuestMatch[1].trim());
         }
         const optionalQuestsMatch = questsText.match(/Optional Quests:\s*(.+)/i);
         if (optionalQuestsMatch) {
             const questsTextVal = optionalQuestsMatch[1].trim();
             if (questsTextVal && questsTextVal !== 'None') {
-                extensionSettings.quests.optional = questsTextVal
+                textQuests.optional = questsTextVal
                     .split(',')
                     .map(q => q.trim())
                     .filter(q => q && q !== 'None');
             } else {
-                extensionSettings.quests.optional = [];
+                textQuests.optional = [];
             }
-            debugLog('[RPG Parser] Optional quests extracted:', extensionSettings.quests.optional);
+            debugLog('[RPG Parser] Optional quests extracted:', textQuests.optional);
         }
+        setQuestTitles(textQuests);
         saveSettings();
         debugLog('[RPG Parser] Quests saved successfully');
         debugLog('[RPG Parser] =======================================================');
@@ -8,12 +8,17 @@ import { selected_group, getGroupMembers, getGroupChat, groups } from '../../../
 import { extensionSettings, committedTrackerData, lastGeneratedData } from '../../core/state.js';
 import {
     buildQuestsJSONInstruction,
+    buildQuestsRules,
     buildInfoBoxJSONInstruction,
     buildCharactersJSONInstruction,
+    buildTypedFieldNotes,
+    buildTrackerPatchJSONInstruction,
     addLockInstruction,
     toFieldKey
 } from './jsonPromptHelpers.js';
 import { applyLocks } from './lockManager.js';
+import { shouldRequestTrackerPatch } from './trackerPatch.js';
+import { isActiveQuest } from '../features/questLog.js';
 // NOTE: InventoryV2 type import removed — inventory system removed (see git history)
 /**
  * Default HTML prompt text
@@ -153,9 +158,11 @@ export function generateTrackerExample() {
  * @param {boolean} includeHtmlPrompt - Whether to include the HTML prompt (true for main generation, false for separate tracker generation)
  * @param {boolean} includeContinuation - Whether to include "After updating the trackers, continue..." instruction
  * @param {boolean} includeAttributes - Whether to include RPG attributes (false for separate tracker generation)
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPatch=true] - false forces the full format even in patch mode
  * @returns {string} Formatted instruction text for the AI
  */
-export function generateTrackerInstructions(includeHtmlPrompt = true, includeContinuation = true) {
+export function generateTrackerInstructions(includeHtmlPrompt = true, includeContinuation = true, { allowPatch = true } = {}) {
     const userName = getContext().name1;
     let instructions = '';
     // Check if any trackers are enabled
@@ -192,7 +199,15 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
             enabledTrackers.push('characters');
         }
         if (enabledTrackers.length > 0) {
-            instructions += '\n\nFORMAT:\n\nProvide EXACTLY ONE JSON code block with ALL tracker sections wrapped in a single object:\n\n```json\n{\n';
+            // Patch mode: ask for the delta, keeping the full shape below as
+            // the field reference for whatever the patch does include.
+            const patchMode = allowPatch && shouldRequestTrackerPatch();
+            if (patchMode) {
+                instructions += buildTrackerPatchJSONInstruction(enabledTrackers);
+                instructions += '\n\nField formats (full tracker shape, for reference only — do not repeat unchanged parts):\n\n```json\n{\n';
+            } else {
+                instructions += '\n\nFORMAT:\n\nProvide EXACTLY ONE JSON code block with ALL tracker sections wrapped in a single object:\n\n```json\n{\n';
+            }
             if (extensionSettings.showQuests) {
                 instructions += '  "quests": ';
                 const questsJSON = buildQuestsJSONInstruction();
@@ -210,9 +225,20 @@ export function generateTrackerInstructions(includeHtmlPrompt = true, includeCon
                 const charactersJSON = buildCharactersJSONInstruction();
                 instructions += charactersJSON.split('\n').map((line, i) => i === 0 ? line : '  ' + line).join('\n');
             }
-            instructions += compact
-                ? '\n}\n```\n\nONE unified JSON object only — never separate blocks.'
-                : '\n}\n```\n\nDo NOT output multiple separate JSON objects. Everything must be in ONE unified object with the keys shown above.';
+            if (patchMode) {
+                instructions += '\n}\n```';
+            } else {
+                instructions += compact
+                    ? '\n}\n```\n\nONE unified JSON object only — never separate blocks.'
+                    : '\n}\n```\n\nDo NOT output multiple separate JSON objects. Everything must be in ONE unified object with the keys shown above.';
+            }
+            const typedFieldNotes = buildTypedFieldNotes(enabledTrackers);
+            if (typedFieldNotes) {
+                instructions += '\n\n' + typedFieldNotes;
+            }
+            if (extensionSettings.showQuests) {
+                instructions += '\n\n' + buildQuestsRules(compact);
+            }
         }
         // Only add continuation instruction if includeContinuation is true
         if (includeContinuation) {
@@ -328,16 +354,17 @@ function formatTrackerDataForContext(jsonData, trackerType, userName) {
                     const mainQuest = getValue(data.main);
                     if (mainQuest && mainQuest !== 'None') formatted += `Main Quest: ${mainQuest}\n`;
                 } else if (Array.isArray(data.main) && data.main.length > 0) {
-                    const questsList = data.main.map(q => getValue(q)).filter(q => q);
+                    const questsList = data.main.filter(isActiveQuest).map(q => getValue(q)).filter(q => q);
                     if (questsList.length > 0) formatted += `Main Quests: ${questsList.join(', ')}\n`;
-                } else if (typeof data.main === 'object') {
+                } else if (typeof data.main === 'object' && isActiveQuest(data.main)) {
                     const mainQuest = getValue(data.main);
                     if (mainQuest && mainQuest !== 'None') formatted += `Main Quest: ${mainQuest}\n`;
                 }
             }
             // Optional quests
             if (data.optional && Array.isArray(data.optional) && data.optional.length > 0) {
-                const questsList = data.optional.map(q => getValue(q)).filter(q => q);
+                // Quests that ended this turn are in the quest log, not in play
+                const questsList = data.optional.filter(isActiveQuest).map(q => getValue(q)).filter(q => q);
                 if (questsList.length > 0) formatted += `Optional Quests: ${questsList.join(', ')}\n`;
             }
         } else if (trackerType === 'infoBox') {
@@ -498,12 +525,12 @@ export function formatHistoricalTrackerData(trackerData, trackerConfig, userName
                     ? JSON.parse(trackerData.quests)
                     : trackerData.quests;
                 let questsFormatted = '';
-                if (questsData.main) {
+                if (questsData.main && isActiveQuest(questsData.main)) {
                     const mainQuest = getValue(questsData.main);
                     if (mainQuest && mainQuest !== 'None') questsFormatted += `Quest: ${mainQuest}, `;
                 }
                 if (questsData.optional && Array.isArray(questsData.optional) && questsData.optional.length > 0) {
-                    const questsList = questsData.optional.map(q => getValue(q)).filter(q => q);
+                    const questsList = questsData.optional.filter(isActiveQuest).map(q => getValue(q)).filter(q => q);
                     if (questsList.length > 0) questsFormatted += `Side Quests: ${questsList.join(', ')}, `;
                 }
                 if (questsFormatted) {
@@ -672,50 +699,52 @@ export function generateContextualSummary() {
  * Generates the RPG tracking prompt text (for backward compatibility with separate mode).
  * Uses COMMITTED data (not displayed data) for generation context.
  *
+ * @param {{quests: string|null, infoBox: string|null, characterThoughts: string|null}} [previous]
+ *   Tracker shown as <previous> (default: committedTrackerData)
  * @returns {string} Full prompt text for separate tracker generation
  */
-export function generateRPGPromptText() {
+export function generateRPGPromptText(previous = committedTrackerData) {
     // Use COMMITTED data for generation context, not displayed data
     const userName = getContext().name1;
     let promptText = '';
     promptText += `Here are the previous trackers in the roleplay that you should consider when responding:\n`;
     promptText += `<previous>\n`;
     // Build unified JSON structure for previous trackers (v3.1 format)
-    const hasAnyPreviousData = committedTrackerData.quests || committedTrackerData.infoBox || committedTrackerData.characterThoughts;
+    const hasAnyPreviousData = previous.quests || previous.infoBox || previous.characterThoughts;
     if (hasAnyPreviousData) {
         const unifiedPrevious = {};
-        if (extensionSettings.showQuests && committedTrackerData.quests) {
+        if (extensionSettings.showQuests && previous.quests) {
             try {
-                const lockedData = applyLocks(committedTrackerData.quests, 'quests');
+                const lockedData = applyLocks(previous.quests, 'quests');
                 const parsed = JSON.parse(lockedData);
                 unifiedPrevious.quests = parsed;
             } catch {
-                promptText += `${committedTrackerData.quests}\n\n`;
+                promptText += `${previous.quests}\n\n`;
             }
         }
-        if (extensionSettings.showInfoBox && committedTrackerData.infoBox) {
+        if (extensionSettings.showInfoBox && previous.infoBox) {
             try {
                 // Try to parse as JSON - apply locks before adding to previous
-                const lockedData = applyLocks(committedTrackerData.infoBox, 'infoBox');
+                const lockedData = applyLocks(previous.infoBox, 'infoBox');
                 const parsed = JSON.parse(lockedData);
                 unifiedPrevious.infoBox = parsed;
             } catch {
                 // Old text format - show it separately for backward compat
-                promptText += `${committedTrackerData.infoBox}\n\n`;
+                promptText += `${previous.infoBox}\n\n`;
             }
         }
         // Include Present Characters data if it exists, regardless of current showCharacterThoughts setting
         // This ensures existing character data is preserved in context even if the setting is toggled off
-        if (committedTrackerData.characterThoughts) {
+        if (previous.characterThoughts) {
             try {
                 let parsed;
                 // Check if it's already a JavaScript object/array (not a JSON string)
-                if (typeof committedTrackerData.characterThoughts === 'object') {
+                if (typeof previous.characterThoughts === 'object') {
                     // Already parsed - apply locks and use directly
-                    parsed = applyLocks(committedTrackerData.characterThoughts, 'characters');
+                    parsed = applyLocks(previous.characterThoughts, 'characters');
                 } else {
                     // It's a JSON string - apply locks and parse
-                    const lockedData = applyLocks(committedTrackerData.characterThoughts, 'characters');
+                    const lockedData = applyLocks(previous.characterThoughts, 'characters');
                     parsed = JSON.parse(lockedData);
                 }
                 // Only include if there's actual character data (non-empty array or object with content)
@@ -725,9 +754,9 @@ export function generateRPGPromptText() {
                 }
             } catch (e) {
                 // Old text format - show it separately for backward compat
-                const charText = typeof committedTrackerData.characterThoughts === 'string'
-                    ? committedTrackerData.characterThoughts
-                    : JSON.stringify(committedTrackerData.characterThoughts, null, 2);
+                const charText = typeof previous.characterThoughts === 'string'
+                    ? previous.characterThoughts
+                    : JSON.stringify(previous.characterThoughts, null, 2);
                 promptText += `${charText}\n`;
             }
         }
@@ -740,17 +769,24 @@ export function generateRPGPromptText() {
     }
     promptText += `</previous>\n`;
     // Don't include HTML prompt or continuation instruction for separate tracker generation
-    promptText += generateTrackerInstructions(false, false);
+    // Patches merge onto committedTrackerData, so any other baseline needs the full format
+    promptText += generateTrackerInstructions(false, false, { allowPatch: previous === committedTrackerData });
     return promptText;
 }
 /**
  * Generates the full prompt for SEPARATE generation mode (with chat history).
  * Creates a message array suitable for the generateRaw API.
  *
+ * The options let tracker backfill build the prompt for an older point in
+ * the chat; with none given this is the regular end-of-chat update.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.endIndex] - History ends before this chat index (default: chat.length)
+ * @param {number} [options.depth] - Messages of history to include (default: updateDepth)
+ * @param {Object} [options.previous] - Tracker shown as <previous> (default: committedTrackerData)
  * @returns {Array<{role: string, content: string}>} Array of message objects for API
  */
-export async function generateSeparateUpdatePrompt() {
-    const depth = extensionSettings.updateDepth;
+export async function generateSeparateUpdatePrompt({ endIndex = chat.length, depth = extensionSettings.updateDepth, previous = committedTrackerData } = {}) {
     const userName = getContext().name1;
     const trackerConfig = extensionSettings.trackerConfig;
     const historyPersistence = extensionSettings.historyPersistence;
@@ -776,8 +812,7 @@ export async function generateSeparateUpdatePrompt() {
     });
     // /hide command automatically handles checkpoint filtering
     // Add chat history as separate user/assistant messages with per-message historical context
-    const recentMessages = chat.slice(-depth);
-    const startIndex = chat.length - depth;
+    const recentMessages = chat.slice(Math.max(0, endIndex - depth), endIndex);
     const position = historyPersistence?.injectionPosition || 'assistant_message_end';
     // Build a map of which messages should get context based on position setting
     // Key: message index in recentMessages, Value: context string
@@ -868,7 +903,7 @@ export async function generateSeparateUpdatePrompt() {
     }
     // Build the instruction message
     let instructionMessage = `</history>\n\n`;
-    instructionMessage += generateRPGPromptText().replace('start your response with', 'respond with');
+    instructionMessage += generateRPGPromptText(previous).replace('start your response with', 'respond with');
     instructionMessage += `\nProvide ONLY the requested data in the exact JSON format specified above. Do not include any roleplay response, other text, or commentary. Remember, all placeholders MUST be replaced with actual content. Do NOT wrap the JSON in code fences (\`\`\`json). Output the JSON object directly.`;
     messages.push({
         role: 'user',
@@ -0,0 +1,231 @@
+/**
+ * Story Events Module
+ * Turns tracker commits into typed story events — a character entered or
+ * left, the location changed, tension spiked — so features and other
+ * extensions can react without diffing tracker JSON themselves.
+ *
+ * Every commit of displayed tracker data into committedTrackerData goes
+ * through commitTracker(), which compares the previous and new committed
+ * data and emits one event per change. Commits happen when the user moves
+ * the story on (sends the next message), so a reply's events fire once
+ * it's been kept — never for a swipe that was thrown away. doom-triggered
+ * is emitted by the Doom Counter when a twist or knife is queued.
+ *
+ * Event: { type, subject, before, after, messageIndex } — subject is the
+ * character name or quest id for per-character/per-quest events, else null;
+ * messageIndex is the reply whose tracker the event came from.
+ */
+import { chat } from '../../../../../../../script.js';
+import { extensionSettings, committedTrackerData, addDebugLog } from '../../core/state.js';
+import { isSyntheticTrackerMessage } from '../../utils/messageGuards.js';
+import { parseTrackerObject, trackerText, readSceneTime, readSceneWeather } from '../../utils/trackerParse.js';
+import { parseCharacterEntriesFromThoughts } from './apiClient.js';
+import { normalizeQuest, syncQuestLog } from '../features/questLog.js';
+
+export const STORY_EVENT_TYPES = [
+    'character-entered',
+    'character-left',
+    'relationship-changed',
+    'location-changed',
+    'time-advanced',
+    'weather-changed',
+    'tension-spiked',
+    'quest-started',
+    'quest-completed',
+    'quest-failed',
+    'quest-abandoned',
+    'doom-triggered'
+];
+
+/** Rise in doomTension, in one commit, that counts as a spike. */
+export const TENSION_SPIKE = 3;
+
+/** Subscribers by event type; '*' hears every event. */
+const listeners = new Map();
+
+/**
+ * Subscribes to a story event type, or '*' for all of them.
+ * @param {string} type
+ * @param {Function} handler - Called with the event object
+ * @returns {Function} Unsubscribes
+ */
+export function onStoryEvent(type, handler) {
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(handler);
+    return () => listeners.get(type)?.delete(handler);
+}
+
+/**
+ * Delivers an event to its subscribers. A throwing subscriber is logged and
+ * skipped so it can't interrupt the commit that raised the event.
+ * @param {Object} event
+ */
+export function emitStoryEvent(event) {
+    if (extensionSettings.debugMode) addDebugLog(`[Story Events] ${event.type}${event.subject ? ` (${event.subject})` : ''}`, event);
+    for (const handler of [...(listeners.get(event.type) || []), ...(listeners.get('*') || [])]) {
+        try {
+            handler({ ...event });
+        } catch (error) {
+            console.warn(`[Dooms Tracker] Story event "${event.type}" handler failed:`, error);
+        }
+    }
+}
+
+/**
+ * Index of the latest reply that carries tracker data — the one a commit
+ * takes its data from (a streaming placeholder has none yet).
+ * @returns {number} -1 when there is none
+ */
+export function findTrackedReplyIndex() {
+    if (!Array.isArray(chat)) return -1;
+    for (let i = chat.length - 1; i >= 0; i--) {
+        const message = chat[i];
+        if (!message || message.is_user || message.is_system || isSyntheticTrackerMessage(message)) continue;
+        if (message.extra?.dooms_tracker_swipes) return i;
+    }
+    return -1;
+}
+
+// ─── Diffing ───────────────────────────────────────────────────────────────
+
+function sceneTension(scene) {
+    const value = Number(trackerText(scene.doomTension));
+    return Number.isFinite(value) && value >= 1 && value <= 10 ? Math.round(value) : null;
+}
+
+function relationshipOf(character) {
+    const relationship = character.relationship ?? character.Relationship;
+    return trackerText(relationship && typeof relationship === 'object' && 'status' in relationship ? relationship.status : relationship);
+}
+
+function charactersByName(raw) {
+    let entries = [];
+    try {
+        entries = raw ? parseCharacterEntriesFromThoughts(raw) : [];
+    } catch (e) {
+        entries = [];
+    }
+    return new Map(entries.map(character => [String(character.name).trim().toLowerCase(), character]));
+}
+
+function questsById(raw) {
+    const data = parseTrackerObject(raw) || {};
+    const quests = new Map();
+    for (const entry of [data.main, ...(Array.isArray(data.optional) ? data.optional : [])]) {
+        const quest = normalizeQuest(entry);
+        if (quest) quests.set(quest.id, quest);
+    }
+    return quests;
+}
+
+const QUEST_END_EVENTS = {
+    completed: 'quest-completed',
+    failed: 'quest-failed',
+    abandoned: 'quest-abandoned'
+};
+
+/**
+ * Story events between two committed tracker states.
+ * @param {{infoBox?: string, characterThoughts?: string, quests?: string}} before
+ * @param {{infoBox?: string, characterThoughts?: string, quests?: string}} after
+ * @returns {Array<{type: string, subject: string|null, before: *, after: *}>}
+ */
+export function diffTrackerData(before, after) {
+    const events = [];
+    const add = (type, subject, from, to) => events.push({ type, subject, before: from, after: to });
+
+    const characterBefore = charactersByName(before.characterThoughts);
+    const characterAfter = charactersByName(after.characterThoughts);
+    for (const [key, character] of characterAfter) {
+        const previous = characterBefore.get(key);
+        if (!previous) {
+            add('character-entered', character.name, null, character);
+        } else if (relationshipOf(previous) !== relationshipOf(character)) {
+            add('relationship-changed', character.name, relationshipOf(previous) || null, relationshipOf(character) || null);
+        }
+    }
+    for (const [key, character] of characterBefore) {
+        if (!characterAfter.has(key)) add('character-left', character.name, character, null);
+    }
+
+    // Scene fields are only compared when both sides have them, so a reply
+    // that left a field out doesn't read as it changing.
+    const sceneBefore = parseTrackerObject(before.infoBox) || {};
+    const sceneAfter = parseTrackerObject(after.infoBox) || {};
+    const locationBefore = trackerText(sceneBefore.location);
+    const locationAfter = trackerText(sceneAfter.location);
+    if (locationBefore && locationAfter && locationBefore.toLowerCase() !== locationAfter.toLowerCase()) {
+        add('location-changed', null, locationBefore, locationAfter);
+    }
+    const timeBefore = readSceneTime(sceneBefore);
+    const timeAfter = readSceneTime(sceneAfter);
+    const hasTime = time => time.date || time.start || time.end;
+    if (hasTime(timeBefore) && hasTime(timeAfter) && JSON.stringify(timeBefore) !== JSON.stringify(timeAfter)) {
+        add('time-advanced', null, timeBefore, timeAfter);
+    }
+    const weatherBefore = readSceneWeather(sceneBefore);
+    const weatherAfter = readSceneWeather(sceneAfter);
+    if (weatherBefore.forecast && weatherAfter.forecast && weatherBefore.forecast.toLowerCase() !== weatherAfter.forecast.toLowerCase()) {
+        add('weather-changed', null, weatherBefore, weatherAfter);
+    }
+    const tensionBefore = sceneTension(sceneBefore);
+    const tensionAfter = sceneTension(sceneAfter);
+    if (tensionBefore !== null && tensionAfter !== null && tensionAfter - tensionBefore >= TENSION_SPIKE) {
+        add('tension-spiked', null, tensionBefore, tensionAfter);
+    }
+
+    // A quest the AI drops counts as completed, as in the quest log
+    const questBefore = questsById(before.quests);
+    const questAfter = questsById(after.quests);
+    for (const [id, quest] of questAfter) {
+        const previous = questBefore.get(id);
+        const wasActive = previous?.status === 'active';
+        if (quest.status === 'active' && !wasActive) {
+            add('quest-started', id, previous || null, quest);
+        } else if (quest.status !== 'active' && previous && previous.status !== quest.status) {
+            add(QUEST_END_EVENTS[quest.status], id, previous, quest);
+        }
+    }
+    for (const [id, quest] of questBefore) {
+        if (!questAfter.has(id) && quest.status === 'active') {
+            add('quest-completed', id, quest, { ...quest, status: 'completed' });
+        }
+    }
+    return events;
+}
+
+// ─── Committing ────────────────────────────────────────────────────────────
+
+/**
+ * Commits tracker data (the displayed tracker, or a reply's stored one) as
+ * the state the next prompt carries, folds its quests into the quest log at
+ * that reply, and emits the story events for what changed. The first commit
+ * of a chat emits nothing: there is nothing to compare it with.
+ *
+ * @param {{quests: *, infoBox: *, characterThoughts: *}} data
+ * @param {number} [messageIndex] - Reply the data came from; defaults to the latest tracked reply
+ */
+export function commitTracker(data, messageIndex = findTrackedReplyIndex()) {
+    const before = {
+        quests: committedTrackerData.quests,
+        infoBox: committedTrackerData.infoBox,
+        characterThoughts: committedTrackerData.characterThoughts
+    };
+    committedTrackerData.quests = data.quests;
+    committedTrackerData.infoBox = data.infoBox;
+    committedTrackerData.characterThoughts = data.characterThoughts;
+    if (data.quests && messageIndex >= 0) {
+        const quests = parseTrackerObject(data.quests) || {};
+        if (Object.keys(quests).length) syncQuestLog(quests, messageIndex);
+    }
+
+    if (!before.quests && !before.infoBox && !before.characterThoughts) return;
+    let events;
+    try {
+        events = diffTrackerData(before, committedTrackerData);
+    } catch (error) {
+        console.warn('[Dooms Tracker] Story events: diff failed', error);
+        return;
+    }
+    for (const event of events) emitStoryEvent({ ...event, messageIndex });
+}
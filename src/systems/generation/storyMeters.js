@@ -0,0 +1,228 @@
+/**
+ * Story Meters Module
+ * User-defined 1-10 scales (romance, danger, mystery, morale…) that run
+ * alongside the Doom Counter. Each meter asks the model for its own info box
+ * field, counts a streak of replies on the watched side of its boundary,
+ * runs a countdown, and fires its action when the countdown runs out:
+ *
+ *   - 'options'  → the Doom Counter's twist picker, steered by the meter
+ *   - 'template' → the meter's own text is injected into the next reply
+ *   - 'knife'    → an armed knife of the chosen theme is drawn from a
+ *                  character in the scene or a world deck and injected like a
+ *                  Doom Counter knife
+ *
+ * Settings: extensionSettings.storyMeters = [{
+ *     id, name, emoji, key, instruction, enabled,
+ *     triggerWhen: 'low'|'high', boundary, streakLength, countdownLength,
+ *     action: 'options'|'template'|'knife', template, knifeTheme
+ * }]
+ * Per-chat state: chat_metadata.dooms_tracker.storyMeters[id] (persistence.js).
+ */
+import { extensionSettings } from '../../core/state.js';
+import { getStoryMeterState, setStoryMeterState } from '../../core/persistence.js';
+import { toFieldKey } from './jsonPromptHelpers.js';
+import { readScaleValue, getSceneKnifeCandidates, pickKnifeOwner, markKnifeUsed, triggerDoomCounter, getPendingTwist, isTriggerInProgress } from './doomCounter.js';
+
+/** Prompt slot ID for meter injections (templates and drawn knives) */
+export const STORY_METER_SLOT = 'dooms-story-meters';
+
+export const METER_ACTIONS = {
+    options: 'Generate twist options',
+    template: 'Inject a template',
+    knife: 'Draw a knife'
+};
+
+/**
+ * Fills in missing fields of a meter definition with defaults.
+ * @param {Object} meter
+ * @returns {Object} Normalized copy
+ */
+export function normalizeStoryMeter(meter) {
+    const clamp = (value, min, max, fallback) => {
+        const num = Math.round(Number(value));
+        return Number.isFinite(num) ? Math.min(max, Math.max(min, num)) : fallback;
+    };
+    const name = String(meter?.name || '').trim() || 'Meter';
+    return {
+        id: String(meter?.id || `meter-${Date.now().toString(36)}`),
+        name,
+        emoji: String(meter?.emoji || '').trim() || '📊',
+        key: String(meter?.key || '') || `meter_${toFieldKey(name) || 'custom'}`,
+        instruction: String(meter?.instruction || '').trim(),
+        enabled: meter?.enabled !== false,
+        triggerWhen: meter?.triggerWhen === 'low' ? 'low' : 'high',
+        boundary: clamp(meter?.boundary, 1, 10, 8),
+        streakLength: clamp(meter?.streakLength, 1, 20, 2),
+        countdownLength: clamp(meter?.countdownLength, 0, 20, 1),
+        action: METER_ACTIONS[meter?.action] ? meter.action : 'options',
+        template: String(meter?.template || ''),
+        knifeTheme: String(meter?.knifeTheme || '')
+    };
+}
+
+/**
+ * @returns {Object[]} All meter definitions, normalized (enabled or not)
+ */
+export function getAllStoryMeters() {
+    return Array.isArray(extensionSettings.storyMeters) ? extensionSettings.storyMeters.map(normalizeStoryMeter) : [];
+}
+
+/**
+ * @returns {Object[]} The enabled meters
+ */
+export function getStoryMeters() {
+    return getAllStoryMeters().filter(meter => meter.enabled);
+}
+
+/**
+ * Info box field lines asking the model for each enabled meter.
+ * @param {boolean} compact
+ * @returns {string[]}
+ */
+export function buildStoryMeterInstructions(compact) {
+    return getStoryMeters().map(meter => {
+        const scale = meter.instruction || `how strongly ${meter.name.toLowerCase()} is present in the current scene`;
+        return compact
+            ? `  "${meter.key}": <number 1-10: ${meter.name}, ${scale}>`
+            : `  "${meter.key}": <number 1-10 rating ${meter.name}: ${scale}. 1=none at all, 10=overwhelming>`;
+    });
+}
+
+/**
+ * Whether a reading is on the side of the boundary the meter watches.
+ * @param {Object} meter
+ * @param {number} value
+ * @returns {boolean}
+ */
+export function isMeterCharging(meter, value) {
+    return meter.triggerWhen === 'low' ? value <= meter.boundary : value >= meter.boundary;
+}
+
+/**
+ * Advances one meter's streak/countdown for a new reading.
+ * @param {Object} meter - Normalized definition
+ * @param {Object} state - Per-chat state (mutated)
+ * @param {number|null} value
+ * @returns {boolean} True when the meter triggered on this reading
+ */
+export function stepMeter(meter, state, value) {
+    state.lastValue = value;
+    if (value === null) return false;
+    if (!isMeterCharging(meter, value)) {
+        state.streak = 0;
+        state.countdownActive = false;
+        state.countdownCount = meter.countdownLength;
+        return false;
+    }
+    state.streak++;
+    if (!state.countdownActive && state.streak >= meter.streakLength) {
+        state.countdownActive = true;
+        state.countdownCount = meter.countdownLength;
+    } else if (state.countdownActive) {
+        state.countdownCount = Math.max(0, state.countdownCount - 1);
+    }
+    if (!state.countdownActive || state.countdownCount > 0) return false;
+    state.streak = 0;
+    state.countdownActive = false;
+    state.countdownCount = meter.countdownLength;
+    state.triggers = (state.triggers || 0) + 1;
+    return true;
+}
+
+/**
+ * Fires a meter's action.
+ * @param {Object} meter
+ * @param {number|null} value - The reading that set it off
+ */
+async function fireMeterAction(meter, value) {
+    const label = `${meter.emoji} ${meter.name}`;
+    if (meter.action === 'options') {
+        if (isTriggerInProgress() || getPendingTwist()) {
+            toastr.info(`${label} triggered, but a twist is already on its way.`);
+            return;
+        }
+        await triggerDoomCounter({ meter });
+        return;
+    }
+
+    if (meter.action === 'template') {
+        const text = meter.template
+            .replace(/\{meter\}/g, meter.name)
+            .replace(/\{value\}/g, value === null ? '?' : String(value))
+            .trim();
+        if (!text) {
+            toastr.warning(`${label} triggered, but it has no template to inject.`);
+            return;
+        }
+        const state = getStoryMeterState(meter.id);
+        state.pending = { text, knife: false, character: null };
+        setStoryMeterState(meter.id, state);
+        return;
+    }
+
+    // 'knife' — one armed knife of the meter's theme from a character in the
+    // scene or a world deck (weighted like the Doom Counter's own draw)
+    const candidates = getSceneKnifeCandidates()
+        .map(owner => ({ ...owner, knives: owner.knives.filter(knife => !meter.knifeTheme || knife.theme === meter.knifeTheme) }))
+        .filter(owner => owner.knives.length);
+    const owner = pickKnifeOwner(candidates, { allowTwists: false });
+    if (!owner) {
+        toastr.info(`${label} triggered, but nobody in the scene holds a matching armed knife (or Knives are off for this chat).`);
+        return;
+    }
+    const knife = owner.knives[Math.floor(Math.random() * owner.knives.length)];
+    markKnifeUsed(owner, knife.id);
+    const state = getStoryMeterState(meter.id);
+    state.pending = { text: knife.text, knife: true, character: owner.characterName };
+    setStoryMeterState(meter.id, state);
+}
+
+/**
+ * Reads every enabled meter from the latest reply and fires the ones whose
+ * countdown ran out. Called once per fresh reply, like the Doom Counter.
+ * @returns {Array<{meter: Object, value: number|null, triggered: boolean}>}
+ */
+export function evaluateStoryMeters() {
+    const results = [];
+    for (const meter of getStoryMeters()) {
+        const value = readScaleValue(meter.key);
+        const state = getStoryMeterState(meter.id);
+        const triggered = stepMeter(meter, state, value);
+        setStoryMeterState(meter.id, state);
+        results.push({ meter, value, triggered });
+        if (triggered) {
+            toastr.warning(`${meter.emoji} The ${meter.name} meter has triggered!`, '', { timeOut: 2000 });
+            // Same delay as the Doom Counter so the reply finishes rendering first
+            setTimeout(() => fireMeterAction(meter, value).catch(err => console.error(`[Story Meters] ${meter.name} action failed:`, err)), 600);
+        }
+    }
+    return results;
+}
+
+/**
+ * Takes the meter injections waiting for the next generation (templates and
+ * drawn knives), clearing them — they are one-shot like the Doom Counter twist.
+ * @returns {Array<{meter: Object, text: string, knife: boolean, character: string|null}>}
+ */
+export function takePendingMeterInjections() {
+    const taken = [];
+    for (const meter of getAllStoryMeters()) {
+        const state = getStoryMeterState(meter.id);
+        if (!state.pending) continue;
+        taken.push({ meter, ...state.pending });
+        state.pending = null;
+        setStoryMeterState(meter.id, state);
+    }
+    return taken;
+}
+
+/**
+ * Resets a meter's streak and countdown for this chat (its pending injection
+ * is dropped too).
+ * @param {string} id
+ */
+export function resetStoryMeter(id) {
+    const meter = getAllStoryMeters().find(entry => entry.id === id);
+    if (!meter) return;
+    setStoryMeterState(id, { ...getStoryMeterState(id), streak: 0, countdownActive: false, countdownCount: meter.countdownLength, pending: null });
+}
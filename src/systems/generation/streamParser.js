@@ -0,0 +1,202 @@
+/**
+ * Stream Parser Module
+ * Incrementally scans a streaming AI reply for tracker sections so the panels
+ * can update before the whole message has arrived (together mode only).
+ *
+ * ST's STREAM_TOKEN_RECEIVED hands us the accumulated reply text on every
+ * token. Rather than re-running parseResponse on the whole text each time,
+ * the scanner keeps its brace/string state between calls and only walks the
+ * new tail. A section is reported the moment its closing brace arrives:
+ *   - unified v3.1 object: each top-level `infoBox` / `characters` / `quests`
+ *     value inside the tracker object, as soon as that value closes
+ *   - legacy separate objects: the whole object, categorized by parseResponse
+ *
+ * Nothing here persists anything: objects are parsed in preview mode, which
+ * leaves the patch-mode fallback alone. onMessageReceived re-parses the final
+ * text and remains the only writer of the per-swipe store.
+ */
+import { extensionSettings, addDebugLog } from '../../core/state.js';
+import { parseResponse } from './parser.js';
+import { parseLenientJSON } from '../../utils/jsonRepair.js';
+
+/** Same bound parseResponse uses for its brace-matching scan. */
+const SCAN_LIMIT = 50000;
+
+/** Top-level keys of the unified tracker object → parseResponse result keys. */
+const SECTION_KEYS = {
+    infoBox: 'infoBox',
+    characters: 'characterThoughts',
+    quests: 'quests'
+};
+
+let active = false;
+let scan = createScanState();
+/** Last value reported per section, so identical re-reports are dropped. */
+let reported = {};
+
+function createScanState() {
+    return {
+        text: '',
+        pos: 0,
+        depth: 0,
+        inString: false,
+        escapeNext: false,
+        stringStart: -1,
+        lastKey: null,
+        objectStart: -1,
+        sectionKey: null,
+        sectionStart: -1,
+        objectHadSection: false
+    };
+}
+
+function debugLog(message, data = null) {
+    if (extensionSettings.debugMode) {
+        addDebugLog(message, data);
+    }
+}
+
+/**
+ * Removes finished thinking blocks and cuts the text at an unfinished one, so
+ * braces in the model's reasoning are never mistaken for tracker data. The
+ * result only ever grows while the reply streams, which is what lets the
+ * scanner resume from its previous position.
+ * @param {string} text - Accumulated reply text
+ * @returns {string}
+ */
+function stripThinking(text) {
+    let cleaned = text.replace(/<think>[\s\S]*?<\/think>/gi, '').replace(/<thinking>[\s\S]*?<\/thinking>/gi, '');
+    const open = cleaned.search(/<think(?:ing)?>/i);
+    if (open !== -1) cleaned = cleaned.slice(0, open);
+    return cleaned;
+}
+
+/**
+ * Starts a fresh scan for a new generation. Quiet, impersonate, and dry-run
+ * generations never stream into a chat message, so they leave the parser off.
+ * @param {string} type - Generation type from GENERATION_STARTED
+ * @param {Object} [data] - Generation options from GENERATION_STARTED
+ * @param {boolean} [dryRun] - True for prompt previews
+ */
+export function beginStreamParse(type, data, dryRun) {
+    scan = createScanState();
+    reported = {};
+    active = !dryRun && type !== 'quiet' && type !== 'impersonate' && !data?.quiet_prompt && !data?.quietImage;
+}
+
+/**
+ * Stops scanning. Called once the message is final (received, stopped, or
+ * ended) — from there on the regular message-received path owns the data.
+ */
+export function endStreamParse() {
+    active = false;
+    scan = createScanState();
+    reported = {};
+}
+
+/**
+ * @returns {boolean} Whether a streamed reply is currently being scanned
+ */
+export function isStreamParseActive() {
+    return active;
+}
+
+/**
+ * Feeds the accumulated reply text and returns the tracker sections that
+ * completed since the previous call.
+ * @param {string} text - Full reply text streamed so far
+ * @returns {{quests?: string, infoBox?: string, characterThoughts?: string}|null}
+ *   Newly completed sections in parseResponse's shape, or null if none
+ */
+export function feedStreamText(text) {
+    if (!active || typeof text !== 'string') return null;
+    const cleaned = stripThinking(text);
+    if (!cleaned.startsWith(scan.text)) {
+        // The streamed text was rewritten rather than extended (e.g. a
+        // reasoning block closed mid-scan) — rescan from the top.
+        scan = createScanState();
+    }
+    const limit = Math.min(cleaned.length, SCAN_LIMIT);
+    const updates = {};
+    const s = scan;
+    for (let i = s.pos; i < limit; i++) {
+        const char = cleaned[i];
+        if (s.inString) {
+            if (s.escapeNext) {
+                s.escapeNext = false;
+            } else if (char === '\\') {
+                s.escapeNext = true;
+            } else if (char === '"') {
+                s.inString = false;
+                if (s.depth === 1) s.lastKey = cleaned.slice(s.stringStart + 1, i);
+            }
+            continue;
+        }
+        if (s.depth === 0) {
+            if (char === '{') {
+                s.depth = 1;
+                s.objectStart = i;
+                s.lastKey = null;
+                s.objectHadSection = false;
+            }
+            continue;
+        }
+        if (char === '"') {
+            s.inString = true;
+            s.stringStart = i;
+        } else if (char === '{' || char === '[') {
+            if (s.depth === 1) {
+                s.sectionKey = s.lastKey;
+                s.sectionStart = i;
+            }
+            s.depth++;
+        } else if (char === '}' || char === ']') {
+            s.depth--;
+            if (s.depth === 1 && s.sectionKey) {
+                if (collectSection(s.sectionKey, cleaned.slice(s.sectionStart, i + 1), updates)) {
+                    s.objectHadSection = true;
+                }
+                s.sectionKey = null;
+            } else if (s.depth === 0) {
+                if (!s.objectHadSection) collectObject(cleaned.slice(s.objectStart, i + 1), updates);
+                s.sectionKey = null;
+            }
+        } else if (char === ',' && s.depth === 1) {
+            s.lastKey = null;
+        }
+    }
+    s.pos = limit;
+    s.text = cleaned.slice(0, limit);
+    return Object.keys(updates).length > 0 ? updates : null;
+}
+
+/**
+ * Records one completed unified-object section if its key is a tracker key.
+ * @returns {boolean} True if the key named a tracker section
+ */
+function collectSection(key, jsonText, updates) {
+    const resultKey = SECTION_KEYS[key];
+    if (!resultKey) return false;
+    const { data } = parseLenientJSON(jsonText);
+    if (data === null) return true;
+    report(resultKey, JSON.stringify(data), updates);
+    return true;
+}
+
+/**
+ * Categorizes a completed top-level object that carried no unified sections
+ * (legacy one-object-per-tracker output) with the regular parser.
+ */
+function collectObject(jsonText, updates) {
+    const parsed = parseResponse(jsonText, { preview: true });
+    for (const resultKey of ['quests', 'infoBox', 'characterThoughts']) {
+        if (parsed[resultKey]) report(resultKey, parsed[resultKey], updates);
+    }
+}
+
+function report(resultKey, value, updates) {
+    if (reported[resultKey] === value) return;
+    reported[resultKey] = value;
+    updates[resultKey] = value;
+    debugLog(`[RPG Stream Parser] ✓ ${resultKey} completed mid-stream`);
+}
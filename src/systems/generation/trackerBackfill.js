@@ -0,0 +1,330 @@
+/**
+ * Tracker Backfill Module
+ * Generates tracker history for chats that predate DES (or were imported):
+ * the chat is walked in windows of N assistant messages, each window gets one
+ * separate-mode tracker request, and the result is stored on the window's last
+ * assistant message — the turn whose state it describes. Each window's tracker becomes
+ * the <previous> tracker of the next, so the history reads as one continuous
+ * story rather than N independent guesses.
+ *
+ * Scene headers, transitions, and character stats all read the per-swipe
+ * store, so once a chat is backfilled they work for the whole chat.
+ *
+ * One run at a time. The run can be paused and resumed between windows and
+ * cancelled at any point; a window already in flight finishes first.
+ */
+import { chat } from '../../../../../../../script.js';
+import { getContext } from '../../../../../../extensions.js';
+import {
+    extensionSettings,
+    lastGeneratedData,
+    committedTrackerData,
+    isGenerating,
+    setIsGenerating,
+    addDebugLog
+} from '../../core/state.js';
+import { saveChatData } from '../../core/persistence.js';
+import { safeGenerateRaw } from '../../utils/responseExtractor.js';
+import { isTrackedMessage, getStoredTracker } from '../../core/trackerStore.js';
+import { generateSeparateUpdatePrompt } from './promptBuilder.js';
+import { generateWithExternalAPI, switchToTrackerProfile, restoreTrackerProfile } from './apiClient.js';
+import { parseResponse, parseQuests } from './parser.js';
+import { removeLocks } from './lockManager.js';
+import { applyCharacterAliases } from '../features/characterAliases.js';
+
+/** Rough characters-per-token ratio for the pre-run estimate. */
+const CHARS_PER_TOKEN = 4;
+/** Typical size of one full tracker reply, for the output side of the estimate. */
+const OUTPUT_TOKENS_PER_WINDOW = 700;
+
+let run = null;
+
+function debugLog(message, data = null) {
+    if (extensionSettings.debugMode) {
+        addDebugLog(message, data);
+    }
+}
+
+/**
+ * Splits the chat into backfill windows.
+ * @param {Object} options
+ * @param {number} options.windowSize - Assistant messages per window
+ * @param {boolean} [options.overwrite=false] - Regenerate messages that already have tracker data
+ * @returns {Array<{start: number, end: number, target: number, replies: number}>}
+ *   Windows whose last assistant message has no tracker yet (or all of them
+ *   with overwrite); `start`/`end` bound the chat slice the window covers (end
+ *   exclusive), `target` is the chat index the result is written to, `replies`
+ *   the number of assistant messages the window covers
+ */
+export function planBackfill({ windowSize, overwrite = false }) {
+    const size = Math.max(1, parseInt(windowSize, 10) || 1);
+    const windows = [];
+    let current = null;
+    let start = 0;
+    for (let i = 0; i < chat.length; i++) {
+        const message = chat[i];
+        if (!isTrackedMessage(message)) continue;
+        if (!current) current = { start, end: i + 1, target: i, replies: 0 };
+        current.replies++;
+        current.end = i + 1;
+        current.target = i;
+        if (current.replies === size) {
+            windows.push(current);
+            current = null;
+            start = i + 1;
+        }
+    }
+    if (current) windows.push(current);
+    return windows.filter(window => overwrite || !getStoredTracker(chat[window.target]));
+}
+
+/**
+ * History depth for a window: the whole window plus its lead-in, and never
+ * less than the regular update depth.
+ */
+function windowDepth(window) {
+    return Math.max(extensionSettings.updateDepth || 1, window.end - window.start);
+}
+
+/**
+ * Estimates the token cost of backfilling with the given options. Builds the
+ * real prompt for the first window to size the fixed part (instructions,
+ * character cards), then adds each window's history on top.
+ * @param {Object} options - Same as planBackfill
+ * @returns {Promise<{windows: number, messages: number, inputTokens: number, outputTokens: number}>}
+ */
+export async function estimateBackfill(options) {
+    const windows = planBackfill(options);
+    if (windows.length === 0) {
+        return { windows: 0, messages: 0, inputTokens: 0, outputTokens: 0 };
+    }
+    const historyChars = window => chat
+        .slice(Math.max(0, window.end - windowDepth(window)), window.end)
+        .reduce((sum, message) => sum + (message.mes?.length || 0), 0);
+    const first = windows[0];
+    const prompt = await generateSeparateUpdatePrompt({ endIndex: first.end, depth: windowDepth(first), previous: {} });
+    const promptChars = prompt.reduce((sum, message) => sum + message.content.length, 0);
+    const fixedChars = Math.max(0, promptChars - historyChars(first));
+    const totalChars = windows.reduce((sum, window) => sum + fixedChars + historyChars(window), 0);
+    return {
+        windows: windows.length,
+        messages: windows.reduce((sum, window) => sum + window.replies, 0),
+        inputTokens: Math.round(totalChars / CHARS_PER_TOKEN),
+        outputTokens: windows.length * OUTPUT_TOKENS_PER_WINDOW
+    };
+}
+
+/**
+ * The tracker in effect just before a chat index: the nearest earlier
+ * assistant message with stored data. Backfilled windows are written before
+ * the next one is planned, so this carries each result forward.
+ */
+function previousTrackerBefore(index) {
+    for (let i = index - 1; i >= 0; i--) {
+        if (!isTrackedMessage(chat[i])) continue;
+        const stored = getStoredTracker(chat[i]);
+        if (stored) return stored;
+    }
+    return {};
+}
+
+async function requestWindowTracker(window) {
+    const prompt = await generateSeparateUpdatePrompt({
+        endIndex: window.end,
+        depth: windowDepth(window),
+        previous: previousTrackerBefore(window.start)
+    });
+    const response = extensionSettings.generationMode === 'external'
+        ? await generateWithExternalAPI(prompt)
+        : await safeGenerateRaw({ prompt: prompt, quietToLoud: false });
+    const parsed = response ? parseResponse(response) : null;
+    if (!parsed || parsed.parsingFailed) return null;
+    if (parsed.quests) parsed.quests = removeLocks(parsed.quests);
+    if (parsed.infoBox) parsed.infoBox = removeLocks(parsed.infoBox);
+    if (parsed.characterThoughts) {
+        parsed.characterThoughts = applyCharacterAliases(removeLocks(parsed.characterThoughts));
+    }
+    return parsed;
+}
+
+function writeTracker(message, data) {
+    if (!message.extra) {
+        message.extra = {};
+    }
+    if (!message.extra.dooms_tracker_swipes) {
+        message.extra.dooms_tracker_swipes = {};
+    }
+    message.extra.dooms_tracker_swipes[message.swipe_id || 0] = {
+        quests: data.quests,
+        infoBox: data.infoBox,
+        characterThoughts: data.characterThoughts
+    };
+}
+
+/**
+ * @returns {boolean} Whether a backfill run is in progress
+ */
+export function isBackfillRunning() {
+    return run !== null;
+}
+
+/**
+ * Pauses the running backfill after the window in flight.
+ */
+export function pauseBackfill() {
+    if (run && !run.paused) {
+        run.paused = true;
+        run.onProgress(progressOf(run));
+    }
+}
+
+/**
+ * Resumes a paused backfill.
+ */
+export function resumeBackfill() {
+    if (run?.paused) {
+        run.paused = false;
+        run.onProgress(progressOf(run));
+        run.wake?.();
+    }
+}
+
+/**
+ * Cancels the running backfill. Windows already written are kept.
+ */
+export function cancelBackfill() {
+    if (run) {
+        run.cancelled = true;
+        run.wake?.();
+    }
+}
+
+function progressOf(state) {
+    return {
+        done: state.done,
+        total: state.total,
+        written: state.written,
+        failed: state.failed,
+        paused: state.paused
+    };
+}
+
+function waitWhilePaused(state) {
+    if (!state.paused || state.cancelled) return Promise.resolve();
+    return new Promise(resolve => {
+        state.wake = () => {
+            if (!state.paused || state.cancelled) {
+                state.wake = null;
+                resolve();
+            }
+        };
+    });
+}
+
+/**
+ * Runs a backfill over the current chat.
+ * @param {Object} options - Same as planBackfill
+ * @param {Function} [onProgress] - Called with {done, total, written, failed, paused}
+ *   after every window and on pause/resume
+ * @returns {Promise<{written: number, failed: number, cancelled: boolean}|null>}
+ *   Summary, or null when a run (or a tracker generation) is already active
+ */
+export async function runBackfill(options, onProgress = () => {}) {
+    if (run || isGenerating) return null;
+    const windows = planBackfill(options);
+    // The planned targets, to spot messages deleted (or shifted) mid-run
+    const targets = windows.map(window => chat[window.target]);
+    const chatId = getContext().chatId;
+    const state = run = {
+        paused: false,
+        cancelled: false,
+        wake: null,
+        onProgress,
+        done: 0,
+        total: windows.length,
+        written: 0,
+        failed: 0
+    };
+    let profileSwitch = null;
+    let lastWritten = null;
+    try {
+        if (extensionSettings.generationMode === 'separate') {
+            profileSwitch = await switchToTrackerProfile(extensionSettings.connectionProfile);
+        }
+        onProgress(progressOf(state));
+        for (const [windowIndex, window] of windows.entries()) {
+            await waitWhilePaused(state);
+            if (state.cancelled) break;
+            if (getContext().chatId !== chatId) {
+                console.warn('[Dooms Tracker] Backfill stopped: the chat was switched');
+                state.cancelled = true;
+                break;
+            }
+            // Messages deleted since the plan leave the window's indices
+            // pointing elsewhere (or past the end); skip it.
+            if (chat[window.target] !== targets[windowIndex]) {
+                console.warn(`[Dooms Tracker] Backfill window ${state.done + 1}/${state.total} skipped: its messages changed`);
+                state.done++;
+                onProgress(progressOf(state));
+                continue;
+            }
+            // Snapshot the target so a result that lands after the user
+            // swiped or deleted the message can't be written to the wrong turn.
+            const target = { index: window.target, message: chat[window.target], swipeId: chat[window.target].swipe_id || 0 };
+            let data = null;
+            try {
+                setIsGenerating(true);
+                data = await requestWindowTracker(window);
+            } catch (error) {
+                console.error('[Dooms Tracker] Backfill window failed:', error);
+            } finally {
+                setIsGenerating(false);
+            }
+            if (getContext().chatId !== chatId) {
+                console.warn('[Dooms Tracker] Backfill stopped: the chat was switched');
+                state.cancelled = true;
+                break;
+            }
+            if (data) {
+                if (chat[target.index] === target.message && (target.message.swipe_id || 0) === target.swipeId) {
+                    writeTracker(target.message, data);
+                    state.written++;
+                    lastWritten = { index: target.index, data };
+                }
+                debugLog(`[RPG Backfill] Window ${state.done + 1}/${state.total} → message ${target.index}`);
+            } else {
+                state.failed++;
+                console.warn(`[Dooms Tracker] Backfill window ${state.done + 1}/${state.total} returned no tracker`);
+            }
+            state.done++;
+            onProgress(progressOf(state));
+        }
+    } finally {
+        await restoreTrackerProfile(profileSwitch);
+        run = null;
+    }
+    // Nothing below may touch the chat that replaced the one backfilled.
+    if (getContext().chatId !== chatId) {
+        return { written: state.written, failed: state.failed, cancelled: true };
+    }
+    if (state.written > 0) {
+        // A backfilled last message is the chat's current tracker; make it
+        // the display and generation baseline so the next turn continues it.
+        let lastTracked = -1;
+        for (let i = chat.length - 1; i >= 0; i--) {
+            if (isTrackedMessage(chat[i])) {
+                lastTracked = i;
+                break;
+            }
+        }
+        if (lastWritten && lastWritten.index === lastTracked) {
+            for (const key of ['quests', 'infoBox', 'characterThoughts']) {
+                lastGeneratedData[key] = lastWritten.data[key];
+                committedTrackerData[key] = lastWritten.data[key];
+            }
+            if (lastWritten.data.quests) parseQuests(lastWritten.data.quests);
+        }
+        await saveChatData({ immediate: true });
+    }
+    return { written: state.written, failed: state.failed, cancelled: state.cancelled };
+}
@@ -0,0 +1,173 @@
+/**
+ * Tracker Patch Module
+ * Opt-in "patch" tracker output: instead of re-emitting every tracker section
+ * each turn, the model sends only what changed and DES merges that delta onto
+ * committedTrackerData. The merged result is full tracker data in the usual
+ * parseResponse shape, so swipe storage, rendering, and history injection
+ * never see a patch.
+ *
+ * Patch shape (wrapped so it can't be mistaken for a full tracker):
+ *   {"trackerPatch": {
+ *       "infoBox": {changed fields only; null removes a field},
+ *       "characters": [{"name": "...", changed fields only}],
+ *       "removeCharacters": ["Name"],
+ *       "quests": {full quests object, only when it changed}
+ *   }}
+ */
+import { extensionSettings, committedTrackerData } from '../../core/state.js';
+import { isPlainObject } from '../../utils/trackerParse.js';
+
+export const TRACKER_PATCH_KEY = 'trackerPatch';
+
+/**
+ * Set when a patch could not be applied; the next prompt asks for the full
+ * format once so the model re-anchors on a complete tracker.
+ */
+let fullTrackerRequested = false;
+
+/**
+ * Whether the next tracker prompt should ask for a patch. Needs the setting,
+ * a committed tracker to patch against, and no pending full-format fallback.
+ * @returns {boolean}
+ */
+export function shouldRequestTrackerPatch() {
+    if (!extensionSettings.trackerPatchMode || fullTrackerRequested) return false;
+    return !!(committedTrackerData.infoBox || committedTrackerData.characterThoughts || committedTrackerData.quests);
+}
+
+/**
+ * Asks for the full tracker format on the next generation (bad patch).
+ */
+export function requestFullTracker() {
+    fullTrackerRequested = true;
+}
+
+/**
+ * Clears the full-format fallback once a complete tracker has been parsed.
+ */
+export function clearFullTrackerRequest() {
+    fullTrackerRequested = false;
+}
+
+/**
+ * @param {*} parsed - Parsed JSON object from the response
+ * @returns {boolean} Whether the object is a tracker patch
+ */
+export function isTrackerPatch(parsed) {
+    return isPlainObject(parsed) &&
+        Object.prototype.hasOwnProperty.call(parsed, TRACKER_PATCH_KEY);
+}
+
+/**
+ * Throws on a patch that can't be merged safely. A bad patch is dropped
+ * whole — merging half of it would leave the tracker in a state the model
+ * never described.
+ */
+function validatePatch(patch) {
+    if (!isPlainObject(patch)) throw new Error('patch is not an object');
+    if (patch.infoBox !== undefined && !isPlainObject(patch.infoBox)) {
+        throw new Error('infoBox patch is not an object');
+    }
+    if (patch.quests !== undefined && !isPlainObject(patch.quests)) {
+        throw new Error('quests patch is not an object');
+    }
+    if (patch.characters !== undefined) {
+        if (!Array.isArray(patch.characters)) throw new Error('characters patch is not an array');
+        for (const character of patch.characters) {
+            if (!isPlainObject(character) || typeof character.name !== 'string' || !character.name.trim()) {
+                throw new Error('character patch entry has no name');
+            }
+        }
+    }
+    if (patch.removeCharacters !== undefined) {
+        if (!Array.isArray(patch.removeCharacters) || patch.removeCharacters.some(name => typeof name !== 'string')) {
+            throw new Error('removeCharacters is not a list of names');
+        }
+    }
+}
+
+/**
+ * Parses a committed tracker section, or returns the fallback when there is
+ * none. Text-format (non-JSON) committed data can't be patched.
+ */
+function parseBase(json, fallback) {
+    if (!json) return fallback;
+    try {
+        return JSON.parse(json);
+    } catch {
+        throw new Error('committed tracker is not JSON');
+    }
+}
+
+/**
+ * Merges a patch onto a committed object. Nested objects (a character's
+ * details, relationship and thoughts, the info box's weather or date) merge
+ * key by key; everything else, including arrays, is replaced. null removes
+ * a field.
+ */
+function mergeFields(base, patch) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete merged[key];
+        } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+            merged[key] = { ...merged[key], ...value };
+        } else {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+function mergeCharacter(base, patch) {
+    const merged = mergeFields(base, patch);
+    // Names match case-insensitively; keep the committed spelling.
+    merged.name = base.name;
+    return merged;
+}
+
+/**
+ * The committed tracker sections, in parseResponse's shape — what a turn
+ * carries when its patch is rejected.
+ * @returns {{quests: string|null, infoBox: string|null, characterThoughts: string|null}}
+ */
+export function getCommittedTrackerSections() {
+    return {
+        quests: committedTrackerData.quests || null,
+        infoBox: committedTrackerData.infoBox || null,
+        characterThoughts: committedTrackerData.characterThoughts || null
+    };
+}
+
+/**
+ * Merges a tracker patch onto committedTrackerData.
+ * @param {Object} patch - The value under the `trackerPatch` key
+ * @returns {{quests: string|null, infoBox: string|null, characterThoughts: string|null}}
+ *   Full merged tracker sections (JSON strings), as parseResponse returns them
+ * @throws {Error} When the patch is malformed or the committed data isn't JSON
+ */
+export function applyTrackerPatch(patch) {
+    validatePatch(patch);
+    const result = getCommittedTrackerSections();
+    if (patch.infoBox) {
+        result.infoBox = JSON.stringify(mergeFields(parseBase(committedTrackerData.infoBox, {}), patch.infoBox));
+    }
+    if (patch.characters || patch.removeCharacters) {
+        const base = parseBase(committedTrackerData.characterThoughts, []);
+        // Committed characters are stored either bare or {characters: [...]}
+        let characters = Array.isArray(base) ? [...base] : [...(base?.characters || [])];
+        const keyOf = name => String(name || '').trim().toLowerCase();
+        const removed = new Set((patch.removeCharacters || []).map(keyOf));
+        characters = characters.filter(c => !removed.has(keyOf(c?.name)));
+        for (const update of patch.characters || []) {
+            const index = characters.findIndex(c => keyOf(c?.name) === keyOf(update.name));
+            if (index === -1) characters.push(update);
+            else characters[index] = mergeCharacter(characters[index], update);
+        }
+        result.characterThoughts = JSON.stringify(characters);
+    }
+    if (patch.quests) {
+        result.quests = JSON.stringify(patch.quests);
+    }
+    return result;
+}
@@ -0,0 +1,161 @@
+/**
+ * Macros — {{des_*}} macros for Author's Notes, character cards and prompts,
+ * registered with SillyTavern's macro parser. Documented in
+ * docs/macros.md.
+ *
+ * Values come from the committed tracker (what the next prompt carries) and
+ * are read when the macro is evaluated. The parser only matches literal
+ * keys and passes no arguments, so {{des_char::Name::field}} is registered
+ * once per present character and field, which keeps the set to a few dozen
+ * keys however large the roster grows. That set, and the custom scene field
+ * macros, are re-synced on chat switches, tracker changes and before each
+ * generation.
+ */
+import { eventSource, event_types } from '../../../../../../../script.js';
+import { MacrosParser } from '../../../../../../macros.js';
+import { extensionSettings } from '../../core/state.js';
+import { readTrackerPath, readCharacterField, readSceneTime, readSceneWeather } from '../../utils/trackerParse.js';
+import { getCustomSceneFields } from '../generation/jsonPromptHelpers.js';
+import { getActiveQuests } from '../features/questLog.js';
+import { desApi } from './publicApi.js';
+
+/** Macros registered once; a custom scene field can't take one of these keys. */
+const FIXED_MACROS = ['des_location', 'des_time', 'des_date', 'des_weather', 'des_tension', 'des_present', 'des_quest'];
+
+/** Keys of the macros registered by the last sync, so stale ones can go. */
+const _dynamicKeys = new Set();
+
+let _registered = false;
+
+/**
+ * Names that can be a macro key as they are: letters, digits, spaces,
+ * apostrophes and hyphens. Anything else could clash with the {{a::b}}
+ * argument syntax or the parser's pattern matching.
+ */
+const MACRO_SAFE_NAME = /^[\p{L}\p{N} '-]+$/u;
+
+/** Keys that hold the text of a wrapped field: { value }, a relationship's { status }, thoughts' { content }. */
+const TEXT_KEYS = ['value', 'status', 'content'];
+
+/** Macro output: lists joined, wrapped fields unwrapped, other objects as JSON, nothing as ''. */
+function asText(value) {
+    if (value == null) return '';
+    if (Array.isArray(value)) return value.map(asText).filter(Boolean).join(', ');
+    if (typeof value === 'object') {
+        const key = TEXT_KEYS.find(k => k in value);
+        return key ? asText(value[key]) : JSON.stringify(value);
+    }
+    return String(value).trim();
+}
+
+function committedScene() {
+    return desApi.getScene({ committed: true }) || {};
+}
+
+function committedCharacters() {
+    return desApi.getCharacters({ committed: true }) || [];
+}
+
+function sceneField(path) {
+    return asText(readTrackerPath(committedScene(), path));
+}
+
+/** "start → end" like the tracker's text format; one of them when they match or one is missing. */
+function sceneTime() {
+    const { start, end } = readSceneTime(committedScene());
+    return start && end && start !== end ? `${start} → ${end}` : start || end;
+}
+
+function sceneWeather() {
+    const { emoji, forecast } = readSceneWeather(committedScene());
+    return [emoji, forecast].filter(Boolean).join(' ');
+}
+
+function characterField(name, field) {
+    const lower = name.toLowerCase();
+    const character = committedCharacters().find(entry => entry.name.toLowerCase() === lower);
+    return character ? asText(readCharacterField(character, field)) : '';
+}
+
+/** Fields {{des_char}} offers: the fixed ones plus the Tracker Editor's enabled fields and stats. */
+function characterFieldNames() {
+    const config = extensionSettings.trackerConfig?.presentCharacters;
+    const fields = ['emoji', 'relationship', 'thoughts'];
+    for (const field of config?.customFields || []) {
+        if (field?.enabled && field.name) fields.push(field.name);
+    }
+    if (config?.characterStats?.enabled) {
+        for (const stat of config.characterStats.customStats || []) {
+            if (stat?.enabled && stat.name) fields.push(stat.name);
+        }
+    }
+    return fields;
+}
+
+/**
+ * Registers the macros that depend on the chat and settings — one per custom
+ * scene field, and {{des_char::Name::field}} for every present character —
+ * and unregisters the ones that no longer apply.
+ */
+function syncDynamicMacros() {
+    const wanted = new Map();
+    for (const field of getCustomSceneFields()) {
+        if (FIXED_MACROS.includes(`des_${field.key}`)) continue;
+        wanted.set(`des_${field.key}`, {
+            value: () => sceneField(field.key),
+            description: `DES: the scene's ${field.label} field`
+        });
+    }
+    const names = new Map();
+    for (const entry of committedCharacters()) {
+        const trimmed = String(entry.name || '').trim();
+        if (MACRO_SAFE_NAME.test(trimmed) && !names.has(trimmed.toLowerCase())) names.set(trimmed.toLowerCase(), trimmed);
+    }
+    const fields = characterFieldNames();
+    for (const name of names.values()) {
+        for (const field of fields) {
+            wanted.set(`des_char::${name}::${field}`, {
+                value: () => characterField(name, field),
+                description: `DES: ${name}'s ${field}`
+            });
+        }
+    }
+
+    for (const key of [..._dynamicKeys]) {
+        if (wanted.has(key)) continue;
+        MacrosParser.unregisterMacro(key);
+        _dynamicKeys.delete(key);
+    }
+    for (const [key, macro] of wanted) {
+        if (_dynamicKeys.has(key)) continue;
+        MacrosParser.registerMacro(key, macro.value, macro.description);
+        _dynamicKeys.add(key);
+    }
+}
+
+/**
+ * Registers the {{des_*}} macros and keeps the per-field and per-character
+ * ones in sync. Called once the public API is installed.
+ */
+export function registerMacros() {
+    if (_registered) return;
+    _registered = true;
+
+    MacrosParser.registerMacro('des_location', () => sceneField('location'), 'DES: the scene\'s location');
+    MacrosParser.registerMacro('des_time', sceneTime, 'DES: the scene\'s time (start → end)');
+    MacrosParser.registerMacro('des_date', () => sceneField('date'), 'DES: the scene\'s date');
+    MacrosParser.registerMacro('des_weather', sceneWeather, 'DES: the scene\'s weather');
+    MacrosParser.registerMacro('des_tension', () => sceneField('doomTension'), 'DES: the Doom Counter tension reading (1–10)');
+    MacrosParser.registerMacro('des_present', () => committedCharacters().map(entry => entry.name).join(', '),
+        'DES: the present characters, comma-separated');
+    MacrosParser.registerMacro('des_quest', () => getActiveQuests('main')[0]?.title || '', 'DES: the active main quest');
+
+    syncDynamicMacros();
+    // The prompt is built after MESSAGE_SENT commits the last reply's tracker,
+    // so a character who just entered has their macros by then.
+    eventSource.on(event_types.CHAT_CHANGED, syncDynamicMacros);
+    eventSource.on(event_types.MESSAGE_SENT, syncDynamicMacros);
+    eventSource.on(event_types.GENERATION_STARTED, syncDynamicMacros);
+    desApi.on('change', syncDynamicMacros);
+    console.log('[Dooms Tracker] Macros registered ({{des_*}})');
+}
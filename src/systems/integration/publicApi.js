@@ -0,0 +1,441 @@
+/**
+ * Public API — window.DES_API, the supported way for other extensions to
+ * work with DES. Documented in docs/public-api.md; bump API_VERSION on any
+ * breaking change to the shapes below.
+ *
+ * Reads return copies of the tracker state the panels show. Writes go
+ * through the same paths as manual edits in the panels, but refuse items
+ * the user has locked unless the caller passes { force: true }. Each write
+ * returns { ok: true } or { ok: false, reason } — reasons: 'disabled',
+ * 'locked', 'not-found', 'invalid'.
+ */
+import { eventSource, event_types } from '../../../../../../../script.js';
+import { extensionSettings, lastGeneratedData, committedTrackerData, isGenerating } from '../../core/state.js';
+import {
+    saveSettings,
+    getActiveKnownCharacters,
+    getActiveRemovedCharacters,
+    getActiveBannedCharacters,
+    getDoomCounterState
+} from '../../core/persistence.js';
+import { repairJSON } from '../../utils/jsonRepair.js';
+import { cloneJSON } from '../../utils/fileTransfer.js';
+import { DOOMS_TRACKER_UPDATE_COMPLETE, parseCharacterEntriesFromThoughts, updateRPGData } from '../generation/apiClient.js';
+import { isItemLocked, setItemLock } from '../generation/lockManager.js';
+import { STORY_EVENT_TYPES, onStoryEvent } from '../generation/storyEvents.js';
+import { triggerDoomCounter, isTriggerInProgress } from '../generation/doomCounter.js';
+import {
+    QUEST_STATUSES,
+    getQuest,
+    getActiveQuests,
+    getDisplayedQuestLog,
+    buildQuestsTrackerData,
+    addQuest,
+    setQuestStatus,
+    updateQuest,
+    updateObjective
+} from '../features/questLog.js';
+import { renderInfoBox, updateInfoBoxField } from '../rendering/infoBox.js';
+import {
+    renderThoughts,
+    updateCharacterField,
+    addNewCharacter,
+    removeCharacter as removePresentCharacter,
+    updateChatThoughts
+} from '../rendering/thoughts.js';
+import { renderQuests, commitQuestEdit } from '../rendering/quests.js';
+import { updateChatSceneHeaders } from '../rendering/sceneHeaders.js';
+import { updatePortraitBar } from '../ui/portraitBar.js';
+import {
+    injectCharacterByName,
+    ejectFromScene,
+    isInjectPending,
+    setCharacterBanished
+} from '../ui/characterWorkshop.js';
+
+export const API_VERSION = 1;
+
+export const API_EVENTS = ['change', 'inject', 'story', ...STORY_EVENT_TYPES];
+
+/** Scene fields whose lock lives under a different key (lockManager's infoBox paths). */
+const SCENE_LOCK_PATHS = {
+    weatherEmoji: 'weather',
+    weatherForecast: 'weather',
+    timeStart: 'time',
+    timeEnd: 'time',
+    weekday: 'date',
+    month: 'date',
+    year: 'date'
+};
+
+/** Tracker types locks are kept under, and the panel that shows each one's lock icons. */
+const LOCK_PANELS = {
+    infoBox: renderInfoBox,
+    characters: renderThoughts,
+    quests: renderQuests
+};
+
+const listeners = new Map(API_EVENTS.map(event => [event, new Set()]));
+
+let _initialized = false;
+
+/**
+ * Calls every subscriber of an API event. A throwing subscriber is logged
+ * and skipped so it can't break DES or the other subscribers.
+ * @param {string} event - One of API_EVENTS
+ * @param {Object} detail
+ */
+function emitApiEvent(event, detail) {
+    for (const handler of listeners.get(event) || []) {
+        try {
+            handler({ ...detail });
+        } catch (error) {
+            console.warn(`[Dooms Tracker] DES_API "${event}" subscriber failed:`, error);
+        }
+    }
+}
+
+/**
+ * Tells API subscribers the tracker state changed.
+ * @param {'generation'|'swipe'|'delete'|'chat'|'restore'|'import'|'undo'|'api'} source - What changed it
+ */
+export function notifyTrackerChanged(source) {
+    emitApiEvent('change', { source });
+}
+
+/**
+ * The raw tracker strings: what the panels show, or with committed, what the
+ * next prompt carries.
+ * @param {boolean} committed
+ */
+function rawTracker(committed) {
+    const pick = key => committed
+        ? committedTrackerData[key] || null
+        : lastGeneratedData[key] || committedTrackerData[key] || null;
+    return { infoBox: pick('infoBox'), characterThoughts: pick('characterThoughts'), quests: pick('quests') };
+}
+
+function parseScene(raw) {
+    if (!raw) return null;
+    const parsed = typeof raw === 'string' ? repairJSON(raw) : raw;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+}
+
+/**
+ * Scene, characters and quests as plain objects. Scene is null for the
+ * legacy text format.
+ * @param {{committed?: boolean}} [options]
+ */
+function getTrackerState({ committed = false } = {}) {
+    const raw = rawTracker(committed);
+    return {
+        scene: cloneJSON(parseScene(raw.infoBox)),
+        characters: cloneJSON(parseCharacterEntriesFromThoughts(raw.characterThoughts)),
+        // The quest log is the source of truth for quests and carries the ids
+        // the quest writers take; quests are rebuilt from it (the stored log
+        // for committed, the log with the displayed quests folded in otherwise).
+        quests: cloneJSON(buildQuestsTrackerData(committed ? undefined : getDisplayedQuestLog())),
+        raw
+    };
+}
+
+function getRoster() {
+    const removed = new Set(getActiveRemovedCharacters().map(name => String(name).toLowerCase()));
+    const banned = new Set(getActiveBannedCharacters().map(name => String(name).toLowerCase()));
+    return Object.entries(getActiveKnownCharacters()).map(([name, entry]) => ({
+        name,
+        emoji: entry?.emoji || '',
+        hidden: removed.has(name.toLowerCase()),
+        banished: banned.has(name.toLowerCase()),
+        injecting: isInjectPending(name)
+    }));
+}
+
+function fail(reason) {
+    return { ok: false, reason };
+}
+
+/** Shared preamble of every writer: the extension must be on. */
+function writable() {
+    return extensionSettings.enabled !== false;
+}
+
+function setSceneField(field, value, { force = false } = {}) {
+    if (!writable()) return fail('disabled');
+    if (typeof field !== 'string' || !field || value == null) return fail('invalid');
+    if (!force && isItemLocked('infoBox', SCENE_LOCK_PATHS[field] || field)) return fail('locked');
+    updateInfoBoxField(field, String(value));
+    notifyTrackerChanged('api');
+    return { ok: true };
+}
+
+/** The present character by name, case-insensitively, as the panel shows it. */
+function findPresentCharacter(name) {
+    const lower = String(name).trim().toLowerCase();
+    return parseCharacterEntriesFromThoughts(rawTracker(false).characterThoughts)
+        .find(entry => entry.name.toLowerCase() === lower);
+}
+
+/**
+ * A whole-character lock is stored as true; field locks as { field: true }.
+ * Names match case-insensitively, for characters who aren't present.
+ */
+function isCharacterLocked(name) {
+    const lower = String(name).trim().toLowerCase();
+    return Object.entries(extensionSettings.lockedItems?.characters || {})
+        .some(([key, lock]) => lock === true && key.toLowerCase() === lower);
+}
+
+function setCharacterField(name, field, value, { force = false } = {}) {
+    if (!writable()) return fail('disabled');
+    if (typeof name !== 'string' || typeof field !== 'string' || !field || value == null) return fail('invalid');
+    const character = findPresentCharacter(name);
+    if (!character) return fail('not-found');
+    if (!force && (isCharacterLocked(character.name) || isItemLocked('characters', `${character.name}.${field}`))) return fail('locked');
+    updateCharacterField(character.name, field, String(value));
+    notifyTrackerChanged('api');
+    return { ok: true };
+}
+
+/** Adds a blank character to Present Characters, like the panel's Add Character button. */
+function addCharacter(name, { emoji } = {}) {
+    if (!writable()) return fail('disabled');
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed || findPresentCharacter(trimmed)) return fail('invalid');
+    // An empty tracker starts as a JSON list, the format the panel writes
+    if (!lastGeneratedData.characterThoughts) lastGeneratedData.characterThoughts = '[]';
+    addNewCharacter(trimmed, emoji ? String(emoji) : undefined);
+    if (!findPresentCharacter(trimmed)) return fail('invalid');
+    notifyTrackerChanged('api');
+    return { ok: true };
+}
+
+/** Removes a character from Present Characters, like the card's remove button. */
+function removeCharacter(name, { force = false } = {}) {
+    if (!writable()) return fail('disabled');
+    if (typeof name !== 'string' || !name.trim()) return fail('invalid');
+    const character = findPresentCharacter(name);
+    if (!character) return fail('not-found');
+    if (!force && isCharacterLocked(character.name)) return fail('locked');
+    removePresentCharacter(character.name);
+    notifyTrackerChanged('api');
+    return { ok: true };
+}
+
+/**
+ * Banishes a character or lifts it, like the Workshop's Banish toggle.
+ * Banishing also drops the card from Present Characters, so it's refused
+ * while the whole character is locked.
+ */
+function banishCharacter(name, banished = true, { force = false } = {}) {
+    if (!writable()) return fail('disabled');
+    if (typeof name !== 'string' || !name.trim()) return fail('invalid');
+    if (!force && banished && isCharacterLocked(name)) return fail('locked');
+    setCharacterBanished(name, !!banished);
+    notifyTrackerChanged('api');
+    return { ok: true };
+}
+
+/**
+ * Locks or unlocks an item, as its lock icon does.
+ * @param {'infoBox'|'characters'|'quests'} trackerType
+ * @param {string} path - e.g. 'location', 'Elara' (whole character), 'Elara.thoughts', 'main'
+ * @param {boolean} locked
+ */
+function setLocked(trackerType, path, locked) {
+    if (!writable()) return fail('disabled');
+    if (!LOCK_PANELS[trackerType] || typeof path !== 'string' || !path.trim()) return fail('invalid');
+    setItemLock(trackerType, path.trim(), !!locked);
+    saveSettings();
+    LOCK_PANELS[trackerType]();
+    notifyTrackerChanged('api');
+    return { ok: true };
+}
+
+/**
+ * A character's name as the roster or Present Characters has it,
+ * case-insensitively, or null when DES doesn't know them.
+ */
+function findKnownCharacterName(name) {
+    const lower = name.trim().toLowerCase();
+    const known = Object.keys(getActiveKnownCharacters()).find(key => key.toLowerCase() === lower);
+    return known || findPresentCharacter(name)?.name || null;
+}
+
+/**
+ * Queues a character to enter with the next reply, like the Workshop's
+ * Inject button. With persona, injects a user character instead.
+ */
+function injectCharacter(name, { persona = false } = {}) {
+    if (!writable()) return fail('disabled');
+    if (typeof name !== 'string' || !name.trim()) return fail('invalid');
+    if (persona) return injectCharacterByName(name, true) ? { ok: true } : fail('not-found');
+    const known = findKnownCharacterName(name);
+    if (!known) return fail('not-found');
+    injectCharacterByName(known, false);
+    return { ok: true };
+}
+
+/**
+ * Writes a character out with the next reply, like the Workshop's Eject
+ * button. The card leaves Present Characters at once, so it's refused while
+ * the whole character is locked.
+ */
+function ejectCharacter(name, { force = false } = {}) {
+    if (!writable()) return fail('disabled');
+    if (typeof name !== 'string' || !name.trim()) return fail('invalid');
+    const known = findKnownCharacterName(name);
+    if (!known) return fail('not-found');
+    if (!force && isCharacterLocked(known)) return fail('locked');
+    ejectFromScene(known);
+    notifyTrackerChanged('api');
+    return { ok: true };
+}
+
+/**
+ * Runs a tracker update now, like the Refresh button. Only separate and
+ * external modes have one; in together mode the tracker comes with the reply.
+ * @returns {Promise<boolean>} Whether an update ran
+ */
+async function refreshTracker() {
+    const mode = extensionSettings.generationMode;
+    if (!writable() || isGenerating || (mode !== 'separate' && mode !== 'external')) return false;
+    await updateRPGData(renderInfoBox, renderThoughts);
+    updateChatSceneHeaders();
+    updatePortraitBar();
+    updateChatThoughts();
+    return true;
+}
+
+/**
+ * Lock path of an active quest: 'main' or 'optional.<questId>', as the Quests
+ * panel renders them. Ended quests have no lock.
+ */
+function questLockPath(record) {
+    if (record.status !== 'active') return null;
+    return record.kind === 'main' ? 'main' : `optional.${record.id}`;
+}
+
+/**
+ * Runs a quest edit unless the quest (or objective) is locked, then commits
+ * it the way the Quests panel does.
+ */
+function writeQuest(id, objectiveIndex, force, edit) {
+    if (!writable()) return fail('disabled');
+    const record = getQuest(id, getDisplayedQuestLog());
+    if (!record) return fail('not-found');
+    if (objectiveIndex != null && !record.objectives[objectiveIndex]) return fail('not-found');
+    if (!force) {
+        const path = questLockPath(record);
+        if (path && isItemLocked('quests', path)) return fail('locked');
+        if (objectiveIndex != null && isItemLocked('quests', `objectives.${id}.${objectiveIndex}`)) return fail('locked');
+    }
+    edit(record);
+    commitQuestEdit();
+    notifyTrackerChanged('api');
+    return { ok: true };
+}
+
+/**
+ * Adds a quest, as the Quests panel's add button does. A new main quest
+ * replaces the active one, so it's refused while that one is locked.
+ * @returns {{ok: true, id: string}|{ok: false, reason: string}}
+ */
+function addQuestApi(kind, title, { force = false } = {}) {
+    if (!writable()) return fail('disabled');
+    if ((kind !== 'main' && kind !== 'optional') || typeof title !== 'string' || !title.trim()) return fail('invalid');
+    if (!force && kind === 'main' && getActiveQuests('main', getDisplayedQuestLog()).length && isItemLocked('quests', 'main')) return fail('locked');
+    const record = addQuest(kind, title.trim());
+    commitQuestEdit();
+    notifyTrackerChanged('api');
+    return { ok: true, id: record.id };
+}
+
+function setQuestStatusApi(id, status, { force = false } = {}) {
+    if (!QUEST_STATUSES.includes(status)) return fail('invalid');
+    return writeQuest(id, null, force, () => setQuestStatus(id, status));
+}
+
+function updateQuestApi(id, changes, { force = false } = {}) {
+    if (!changes || typeof changes !== 'object') return fail('invalid');
+    return writeQuest(id, null, force, () => updateQuest(id, changes));
+}
+
+function setObjectiveDone(id, index, done, { force = false } = {}) {
+    if (!Number.isInteger(index)) return fail('invalid');
+    return writeQuest(id, index, force, () => updateObjective(id, index, { done: !!done }));
+}
+
+function on(event, handler) {
+    if (!listeners.has(event)) throw new Error(`DES_API: unknown event "${event}" (expected one of: ${API_EVENTS.join(', ')})`);
+    if (typeof handler !== 'function') throw new Error('DES_API: handler must be a function');
+    listeners.get(event).add(handler);
+    return () => off(event, handler);
+}
+
+function off(event, handler) {
+    listeners.get(event)?.delete(handler);
+}
+
+/**
+ * The API object, also used directly by DES's own slash commands so they
+ * behave exactly as documented for other extensions.
+ */
+export const desApi = Object.freeze({
+    version: API_VERSION,
+    // Reading
+    getTrackerState,
+    getScene: options => getTrackerState(options).scene,
+    getCharacters: options => getTrackerState(options).characters,
+    getQuests: () => getTrackerState().quests,
+    getRoster,
+    getDoomCounter: () => ({ ...cloneJSON(getDoomCounterState()), triggerInProgress: isTriggerInProgress() }),
+    isLocked: (trackerType, path) => isItemLocked(trackerType, path),
+    // Subscribing
+    on,
+    off,
+    // Writing
+    setSceneField,
+    setCharacterField,
+    addCharacter,
+    removeCharacter,
+    banishCharacter,
+    setLocked,
+    addQuest: addQuestApi,
+    setQuestStatus: setQuestStatusApi,
+    updateQuest: updateQuestApi,
+    setObjectiveDone,
+    // Scene control
+    injectCharacter,
+    ejectCharacter,
+    isInjectPending,
+    refreshTracker,
+    triggerDoomCounter: async () => {
+        if (!writable() || !extensionSettings.doomCounter?.enabled || isTriggerInProgress()) return false;
+        await triggerDoomCounter();
+        return true;
+    }
+});
+
+/**
+ * Installs window.DES_API and relays DES's own events to its subscribers.
+ * Called once the extension's event handlers are registered, so relayed
+ * events fire after DES has finished its own work for them.
+ */
+export function initPublicApi() {
+    if (_initialized) return;
+    _initialized = true;
+
+    eventSource.on(DOOMS_TRACKER_UPDATE_COMPLETE, () => notifyTrackerChanged('generation'));
+    eventSource.on(event_types.CHAT_CHANGED, () => notifyTrackerChanged('chat'));
+    window.addEventListener('dooms:inject-state-changed', (e) => {
+        emitApiEvent('inject', { name: e.detail?.name, pending: !!e.detail?.pending });
+    });
+    onStoryEvent('*', (event) => {
+        emitApiEvent(event.type, cloneJSON(event));
+        emitApiEvent('story', cloneJSON(event));
+    });
+
+    window.DES_API = desApi;
+    console.log(`[Dooms Tracker] Public API v${API_VERSION} available as window.DES_API`);
+}
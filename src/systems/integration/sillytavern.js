@@ -21,11 +21,15 @@ import { saveChatData, loadChatData, autoSwitchPresetForEntity } from '../../cor
 import { i18n } from '../../core/i18n.js';
 // Generation & Parsing
 import { parseResponse, parseQuests } from '../generation/parser.js';
-import { updateRPGData, parseCharacterEntriesFromThoughts } from '../generation/apiClient.js';
+import { feedStreamText, endStreamParse } from '../generation/streamParser.js';
+import { updateRPGData, repairMissingTracker, parseCharacterEntriesFromThoughts } from '../generation/apiClient.js';
 import { removeLocks } from '../generation/lockManager.js';
+import { clearFullTrackerRequest } from '../generation/trackerPatch.js';
 import { onGenerationStarted, initHistoryInjectionListeners, clearBoostForAppearedFields } from '../generation/injector.js';
 // Doom Counter
 import { onResponseReceived as doomCounterOnResponse, triggerDoomCounter, updateDoomCounterUI, isTriggerInProgress } from '../generation/doomCounter.js';
+import { evaluateStoryMeters } from '../generation/storyMeters.js';
+import { commitTracker } from '../generation/storyEvents.js';
 // Rendering
 import { renderInfoBox } from '../rendering/infoBox.js';
 import { renderThoughts, updateChatThoughts } from '../rendering/thoughts.js';
@@ -34,14 +38,17 @@ import { updateChatSceneHeaders, resetSceneHeaderCache } from '../rendering/scen
 import { harvestNewSpeakerColors } from '../rendering/chatBubbles.js';
 import { updatePortraitBar } from '../ui/portraitBar.js';
 import { updateWeatherEffect } from '../ui/weatherEffects.js';
+import { refreshTensionChartIfOpen } from '../ui/tensionChartModal.js';
 // Name Ban
 import { applyCharacterAliases } from '../features/characterAliases.js';
 // Expression classification
 import { classifyAllCharacterExpressions, classifyActiveUserExpression, isExpressionSpritesModeEnabled } from './expressionSync.js';
 import { generateAutoPortraitsForCharacters, isAutoPortraitModeEnabled } from '../features/avatarGenerator.js';
 // Utils
+import { schedule } from '../../core/scheduler.js';
 import { getSafeThumbnailUrl } from '../../utils/avatars.js';
 import { isSyntheticTrackerMessage } from '../../utils/messageGuards.js';
+import { notifyTrackerChanged } from './publicApi.js';
 /**
  * Walks chat[] backwards to find the most recent real user message and
  * returns its text. Skips system entries and synthetic tracker messages
@@ -85,6 +92,26 @@ function safeRender(label, fn) {
     }
 }
 
+/**
+ * Evaluates Doom Counter tension for a fresh reply whose tracker data is in,
+ * auto-launching the inline twist picker when it triggers.
+ */
+function evaluateDoomCounter() {
+    const dcResult = doomCounterOnResponse();
+    updateDoomCounterUI();
+    refreshTensionChartIfOpen();
+    if (dcResult.triggered && !isTriggerInProgress()) {
+        toastr.warning('☠️ The Doom Counter has triggered!', '', { timeOut: 2000 });
+        // Small delay so the AI response finishes rendering before we append
+        setTimeout(() => triggerDoomCounter().catch(err => console.error('[Doom Counter] Auto-trigger failed:', err)), 600);
+    } else if (dcResult.countdownActive) {
+        toastr.info(
+            `Countdown: ${dcResult.countdownCount} remaining (tension: ${dcResult.tensionValue}/10)`,
+            '⏳ Doom Counter',
+            { timeOut: 3000 }
+        );
+    }
+}
 /**
  * Commits the tracker data from the last assistant message to be used as source for next generation.
  * This should be called when the user has replied to a message, ensuring all swipes of the next
@@ -104,9 +131,11 @@ export function commitTrackerData() {
                 const swipeId = message.swipe_id || 0;
                 const swipeData = message.extra.dooms_tracker_swipes[swipeId];
                 if (swipeData) {
-                    committedTrackerData.quests = swipeData.quests || null;
-                    committedTrackerData.infoBox = swipeData.infoBox || null;
-                    committedTrackerData.characterThoughts = swipeData.characterThoughts || null;
+                    commitTracker({
+                        quests: swipeData.quests || null,
+                        infoBox: swipeData.infoBox || null,
+                        characterThoughts: swipeData.characterThoughts || null
+                    }, i);
                 } else {
                 }
             } else {
@@ -141,16 +170,83 @@ export function onMessageSent() {
     // For separate/external mode with auto-update disabled, commit displayed tracker
     if ((extensionSettings.generationMode === 'separate' || extensionSettings.generationMode === 'external') && !extensionSettings.autoUpdate) {
         if (lastGeneratedData.quests || lastGeneratedData.infoBox || lastGeneratedData.characterThoughts) {
-            committedTrackerData.quests = lastGeneratedData.quests;
-            committedTrackerData.infoBox = lastGeneratedData.infoBox;
-            committedTrackerData.characterThoughts = lastGeneratedData.characterThoughts;
+            commitTracker(lastGeneratedData);
         }
     }
 }
+/**
+ * Display data from before the current stream's first section, put back when
+ * the reply is final or stopped. Null when nothing has streamed in.
+ */
+let streamDisplayBefore = null;
+
+function renderTrackerPanels() {
+    safeRender('renderInfoBox', renderInfoBox);
+    safeRender('renderThoughts', renderThoughts);
+    safeRender('renderQuests', renderQuests);
+    safeRender('updateChatSceneHeaders', updateChatSceneHeaders);
+    safeRender('updatePortraitBar', updatePortraitBar);
+    safeRender('updateWeatherEffect', updateWeatherEffect);
+}
+
+/**
+ * Puts back the display data a stream overwrote.
+ * @returns {boolean} True if there was anything to put back
+ */
+function restoreStreamDisplay() {
+    if (!streamDisplayBefore) return false;
+    Object.assign(lastGeneratedData, streamDisplayBefore);
+    streamDisplayBefore = null;
+    return true;
+}
+/**
+ * Event handler for streaming tokens (together mode).
+ * Pushes each tracker section to its panel as soon as the section's closing
+ * brace has streamed in, instead of waiting for the whole reply. Display
+ * only: the sections go into lastGeneratedData for the renderers, but nothing
+ * is saved, the quest log and aliases are left alone, and the previous display
+ * data comes back when the message is final (before its full parse) or the
+ * generation is stopped.
+ * @param {string} text - Accumulated reply text streamed so far
+ */
+export function onStreamTokenReceived(text) {
+    if (!extensionSettings.enabled || extensionSettings.generationMode !== 'together') return;
+    const sections = feedStreamText(text);
+    if (!sections) return;
+    if (!streamDisplayBefore) {
+        streamDisplayBefore = {
+            quests: lastGeneratedData.quests,
+            infoBox: lastGeneratedData.infoBox,
+            characterThoughts: lastGeneratedData.characterThoughts
+        };
+    }
+    if (sections.infoBox) {
+        lastGeneratedData.infoBox = removeLocks(sections.infoBox);
+        schedule('stream:infoBox', () => safeRender('renderInfoBox', renderInfoBox));
+    }
+    if (sections.characterThoughts) {
+        // No similar-name popups or recorded aliases mid-stream; the final pass does both.
+        lastGeneratedData.characterThoughts = applyCharacterAliases(removeLocks(sections.characterThoughts), { record: false });
+        schedule('stream:thoughts', () => safeRender('renderThoughts', renderThoughts));
+    }
+    if (sections.quests) {
+        lastGeneratedData.quests = removeLocks(sections.quests);
+        schedule('stream:quests', () => safeRender('renderQuests', renderQuests));
+    }
+    schedule('stream:dependents', () => {
+        safeRender('updateChatSceneHeaders', updateChatSceneHeaders);
+        safeRender('updatePortraitBar', updatePortraitBar);
+        safeRender('updateWeatherEffect', updateWeatherEffect);
+    });
+}
 /**
  * Event handler for when a message is generated.
  */
 export async function onMessageReceived(data) {
+    // The reply is final: stop mid-stream updates, and drop what they showed
+    // so the full parse below starts from the pre-stream display data.
+    endStreamParse();
+    restoreStreamDisplay();
     if (!extensionSettings.enabled) {
         return;
     }
@@ -274,25 +370,39 @@ export async function onMessageReceived(data) {
             if (parsedData.characterThoughts) {
                 setTimeout(() => updateChatThoughts(), 100);
             }
+            // Tracker repair: a fresh reply with no parsable tracker gets one
+            // tracker-only follow-up request (optional). The Doom Counter then
+            // waits for the repair, and scores the turn either way.
+            const awaitingRepair = parsedData.parsingFailed && isAwaitingNewMessage && extensionSettings.trackerRepair?.enabled;
+            if (isAwaitingNewMessage && !awaitingRepair) {
+                // Doom Counter and story meters: evaluate after parsing (only for
+                // fresh generations, not history loads) and before the save, which
+                // then carries the turn's tension record
+                if (extensionSettings.doomCounter?.enabled) evaluateDoomCounter();
+                evaluateStoryMeters();
+            }
             // Save to chat metadata (immediate: generation-end commit point)
             saveChatData({ immediate: true });
+            notifyTrackerChanged('generation');
 
-            // Doom Counter: evaluate tension after parsing (only for fresh generations, not history loads)
-            if (extensionSettings.doomCounter?.enabled && isAwaitingNewMessage) {
-                const dcResult = doomCounterOnResponse();
-                updateDoomCounterUI();
-                if (dcResult.triggered && !isTriggerInProgress()) {
-                    // Auto-launch the inline twist picker
-                    toastr.warning('☠️ The Doom Counter has triggered!', '', { timeOut: 2000 });
-                    // Small delay so the AI response finishes rendering before we append
-                    setTimeout(() => triggerDoomCounter().catch(err => console.error('[Doom Counter] Auto-trigger failed:', err)), 600);
-                } else if (dcResult.countdownActive) {
-                    toastr.info(
-                        `Countdown: ${dcResult.countdownCount} remaining (tension: ${dcResult.tensionValue}/10)`,
-                        '⏳ Doom Counter',
-                        { timeOut: 3000 }
-                    );
-                }
+            if (awaitingRepair) {
+                const messageIndex = chat.length - 1;
+                const repairedMessage = chat[messageIndex];
+                setTimeout(async () => {
+                    const repaired = await repairMissingTracker(messageIndex);
+                    // Deleted, or another chat opened, while the repair ran: not this turn's to score
+                    if (chat[messageIndex] !== repairedMessage) return;
+                    if (repaired) {
+                        notifyTrackerChanged('generation');
+                        safeRender('updateChatSceneHeaders', updateChatSceneHeaders);
+                        safeRender('updatePortraitBar', updatePortraitBar);
+                        safeRender('updateWeatherEffect', updateWeatherEffect);
+                    }
+                    if (extensionSettings.doomCounter?.enabled) evaluateDoomCounter();
+                    evaluateStoryMeters();
+                    // The repair saved before scoring: save the tension record too
+                    saveChatData({ immediate: true });
+                }, 500);
             }
         }
     } else if (extensionSettings.generationMode === 'separate' || extensionSettings.generationMode === 'external') {
@@ -328,20 +438,11 @@ export async function onMessageReceived(data) {
                             .catch(err => console.error('[DES] User expression classification failed:', err));
                     }
                 }
-                // Doom Counter: evaluate tension after separate mode update
+                // Doom Counter: evaluate tension after separate mode update,
+                // which saved already — save again for the tension record
                 if (extensionSettings.doomCounter?.enabled) {
-                    const dcResult = doomCounterOnResponse();
-                    updateDoomCounterUI();
-                    if (dcResult.triggered && !isTriggerInProgress()) {
-                        toastr.warning('☠️ The Doom Counter has triggered!', '', { timeOut: 2000 });
-                        setTimeout(() => triggerDoomCounter().catch(err => console.error('[Doom Counter] Auto-trigger failed:', err)), 600);
-                    } else if (dcResult.countdownActive) {
-                        toastr.info(
-                            `Countdown: ${dcResult.countdownCount} remaining (tension: ${dcResult.tensionValue}/10)`,
-                            '⏳ Doom Counter',
-                            { timeOut: 3000 }
-                        );
-                    }
+                    evaluateDoomCounter();
+                    saveChatData({ immediate: true });
                 }
             }, 500);
         }
@@ -378,6 +479,8 @@ export function onCharacterChanged() {
     // Load chat-specific data when switching chats
     resetSceneHeaderCache();
     loadChatData();
+    // A patch rejected in the last chat says nothing about this one's tracker
+    clearFullTrackerRequest();
     // Don't call commitTrackerData() here - it would overwrite the loaded committedTrackerData
     // with data from the last message, which may be null/empty. The loaded committedTrackerData
     // already contains the committed state from when we last left this chat.
@@ -489,6 +592,7 @@ export function onMessageSwiped(messageIndex) {
     updateWeatherEffect();
     // Update chat thought overlays
     updateChatThoughts();
+    notifyTrackerChanged('swipe');
 }
 /**
  * Event handler for when a message is deleted.
@@ -556,6 +660,7 @@ export function onMessageDeleted() {
     safeRender('updatePortraitBar', updatePortraitBar);
     safeRender('updateWeatherEffect', updateWeatherEffect);
     safeRender('updateChatThoughts', updateChatThoughts);
+    notifyTrackerChanged('delete');
 }
 /**
  * Update the persona avatar image when user switches personas
@@ -594,10 +699,20 @@ export function clearExtensionPrompts() {
     setExtensionPrompt('dooms-doom-counter-twist', '', extension_prompt_types.IN_PROMPT, 0, false);
     // Note: dooms-tracker-plot is not cleared here since it's passed via quiet_prompt option
 }
+/**
+ * Event handler for when the user stops a generation. Sections shown while a
+ * stopped reply streamed are dropped: the panels go back to what they showed
+ * before it.
+ */
+export async function onGenerationStopped() {
+    endStreamParse();
+    if (restoreStreamDisplay()) renderTrackerPanels();
+}
 /**
  * Event handler for when generation stops or ends
  */
 export async function onGenerationEnded() {
+    endStreamParse();
     // Note: isGenerating flag is cleared in onMessageReceived after parsing (together mode)
     // or in apiClient.js after separate generation completes (separate mode)
 }
@@ -0,0 +1,261 @@
+/**
+ * Slash Commands — the /des-* family, so STscript and Quick Replies can read
+ * and drive DES. Documented in docs/slash-commands.md.
+ *
+ * Every command goes through window.DES_API (publicApi.js), so it honours
+ * field locks and behaves exactly as the API does. Reads pipe their value
+ * out (objects as JSON); writes pipe out what they set — a name, an id, a
+ * status — or an empty string after warning why they were refused.
+ */
+import { SlashCommandParser } from '../../../../../../../scripts/slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../../../../../scripts/slash-commands/SlashCommand.js';
+import {
+    ARGUMENT_TYPE,
+    SlashCommandArgument,
+    SlashCommandNamedArgument
+} from '../../../../../../../scripts/slash-commands/SlashCommandArgument.js';
+import { isTrueBoolean } from '../../../../../../utils.js';
+import { readTrackerPath, readCharacterField } from '../../utils/trackerParse.js';
+import { desApi } from './publicApi.js';
+import { QUEST_STATUSES } from '../features/questLog.js';
+import { openCharacterRoster } from '../ui/characterRoster.js';
+import { openCharacterSheet } from '../ui/characterSheet.js';
+
+const REASONS = {
+    disabled: 'DES is turned off',
+    locked: 'that item is locked (add force=true to override)',
+    'not-found': 'no such character, quest or objective',
+    invalid: 'invalid arguments'
+};
+
+const TRACKER_TYPES = ['infoBox', 'characters', 'quests'];
+
+let _registered = false;
+
+/** An unnamed argument as trimmed text (it's absent when left out). */
+function trim(value) {
+    return String(value ?? '').trim();
+}
+
+/** A value as pipe text: objects as JSON, nothing as ''. */
+function toPipe(value) {
+    if (value == null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Turns a writer's result into pipe output: what it set on success,
+ * otherwise '' after a warning saying why.
+ */
+function outcome(command, result, output) {
+    if (result?.ok) return toPipe(output);
+    toastr.warning(`/${command}: ${REASONS[result?.reason] || 'failed'}.`);
+    return '';
+}
+
+function refuse(command, message) {
+    toastr.warning(`/${command}: ${message}`);
+    return '';
+}
+
+function findCharacter(name) {
+    const lower = trim(name).toLowerCase();
+    return desApi.getCharacters().find(character => character.name.toLowerCase() === lower) || null;
+}
+
+// ─── Argument helpers ──────────────────────────────────────────────────────
+
+function named(name, description, { type = ARGUMENT_TYPE.STRING, required = false, defaultValue, enumList } = {}) {
+    return SlashCommandNamedArgument.fromProps({ name, description, typeList: [type], isRequired: required, defaultValue, enumList });
+}
+
+function unnamed(description, { type = ARGUMENT_TYPE.STRING, required = true, enumList } = {}) {
+    return SlashCommandArgument.fromProps({ description, typeList: [type], isRequired: required, enumList });
+}
+
+const forceArg = () => named('force', 'ignore the user\'s lock on the item', { type: ARGUMENT_TYPE.BOOLEAN, defaultValue: 'false' });
+const trackerArg = () => named('tracker', 'tracker the item belongs to', { defaultValue: 'infoBox', enumList: TRACKER_TYPES });
+
+function register(name, callback, helpString, { namedArgs = [], unnamedArgs = [], returns = 'text' } = {}) {
+    SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+        name,
+        callback,
+        returns,
+        namedArgumentList: namedArgs,
+        unnamedArgumentList: unnamedArgs,
+        helpString
+    }));
+}
+
+// ─── Commands ──────────────────────────────────────────────────────────────
+
+function registerSceneCommands() {
+    register('des-scene', (args, field) => {
+        const scene = desApi.getScene({ committed: isTrueBoolean(args.committed) });
+        return toPipe(field ? readTrackerPath(scene, field) : scene);
+    }, 'Returns the scene tracker as JSON, or one field of it (dotted paths such as <code>time.start</code> work).', {
+        namedArgs: [named('committed', 'read the state the next prompt carries', { type: ARGUMENT_TYPE.BOOLEAN, defaultValue: 'false' })],
+        unnamedArgs: [unnamed('field', { required: false })]
+    });
+
+    register('des-scene-set', (args, value) => {
+        const result = desApi.setSceneField(args.field, value, { force: isTrueBoolean(args.force) });
+        return outcome('des-scene-set', result, value);
+    }, 'Sets a scene field, e.g. <code>/des-scene-set field=location The Drowned Chapel</code>. Returns the value.', {
+        namedArgs: [named('field', 'location, timeStart, timeEnd, weekday, month, year, weatherEmoji, weatherForecast, temperature, moonPhase, tension, … or a custom scene field', { required: true }), forceArg()],
+        unnamedArgs: [unnamed('value')]
+    });
+}
+
+function registerCharacterCommands() {
+    register('des-characters', () => toPipe(desApi.getCharacters().map(character => character.name)),
+        'Returns the names of the present characters as a JSON list.');
+
+    register('des-character', (args, name) => {
+        const character = findCharacter(name);
+        if (!character) return '';
+        return toPipe(args.field ? readCharacterField(character, args.field) : character);
+    }, 'Returns a present character as JSON, or one field of it. Empty when the character isn\'t present.', {
+        namedArgs: [named('field', 'field to read, e.g. thoughts or relationship.status')],
+        unnamedArgs: [unnamed('character name')]
+    });
+
+    register('des-character-set', (args, value) => {
+        const result = desApi.setCharacterField(args.name, args.field, value, { force: isTrueBoolean(args.force) });
+        return outcome('des-character-set', result, value);
+    }, 'Sets a present character\'s field (emoji, Relationship, thoughts, a stat or a custom field). Returns the value.', {
+        namedArgs: [named('name', 'character name', { required: true }), named('field', 'field to set', { required: true }), forceArg()],
+        unnamedArgs: [unnamed('value')]
+    });
+
+    register('des-add', (args, name) => outcome('des-add', desApi.addCharacter(name, { emoji: args.emoji }), trim(name)),
+        'Adds a blank character to Present Characters. Returns the name.', {
+            namedArgs: [named('emoji', 'emoji for the card')],
+            unnamedArgs: [unnamed('character name')]
+        });
+
+    register('des-remove', (args, name) => outcome('des-remove', desApi.removeCharacter(name, { force: isTrueBoolean(args.force) }), trim(name)),
+        'Removes a character from Present Characters. Returns the name.', {
+            namedArgs: [forceArg()],
+            unnamedArgs: [unnamed('character name')]
+        });
+
+    register('des-roster', () => toPipe(desApi.getRoster()),
+        'Returns the known characters as JSON: <code>[{ name, emoji, hidden, banished, injecting }]</code>.');
+
+    register('des-inject', (args, name) => outcome('des-inject', desApi.injectCharacter(name, { persona: isTrueBoolean(args.persona) }), trim(name)),
+        'Injects a character into the scene with the next reply, like the Workshop\'s Inject button. Returns the name.', {
+            namedArgs: [named('persona', 'inject a user character', { type: ARGUMENT_TYPE.BOOLEAN, defaultValue: 'false' })],
+            unnamedArgs: [unnamed('character name')]
+        });
+
+    register('des-eject', (args, name) => outcome('des-eject', desApi.ejectCharacter(name, { force: isTrueBoolean(args.force) }), trim(name)),
+        'Writes a character out of the scene with the next reply, like the Workshop\'s Eject button. Returns the name.', {
+            namedArgs: [forceArg()],
+            unnamedArgs: [unnamed('character name')]
+        });
+
+    register('des-banish', (args, name) => outcome('des-banish', desApi.banishCharacter(name, true, { force: isTrueBoolean(args.force) }), trim(name)),
+        'Banishes a character: the AI is told to keep them out of the story. Returns the name.', {
+            namedArgs: [forceArg()],
+            unnamedArgs: [unnamed('character name')]
+        });
+
+    register('des-unbanish', (args, name) => outcome('des-unbanish', desApi.banishCharacter(name, false), trim(name)),
+        'Lifts a character\'s banishment. Returns the name.', {
+            unnamedArgs: [unnamed('character name')]
+        });
+}
+
+function registerLockCommands() {
+    const lockCommand = (command, locked) => (args, path) => outcome(command,
+        desApi.setLocked(args.tracker || 'infoBox', path, locked), String(locked));
+
+    register('des-lock', lockCommand('des-lock', true),
+        'Locks an item so the AI can\'t change it, e.g. <code>/des-lock location</code> or <code>/des-lock tracker=characters Elara</code>. Returns <code>true</code>.', {
+            namedArgs: [trackerArg()],
+            unnamedArgs: [unnamed('item path')]
+        });
+
+    register('des-unlock', lockCommand('des-unlock', false),
+        'Unlocks an item. Returns <code>false</code>.', {
+            namedArgs: [trackerArg()],
+            unnamedArgs: [unnamed('item path')]
+        });
+
+    register('des-locked', (args, path) => String(desApi.isLocked(args.tracker || 'infoBox', path)),
+        'Returns <code>true</code> if the item is locked, else <code>false</code>.', {
+            namedArgs: [trackerArg()],
+            unnamedArgs: [unnamed('item path')]
+        });
+}
+
+function registerActionCommands() {
+    register('des-refresh', async () => String(await desApi.refreshTracker()),
+        'Runs a tracker update now, like the Refresh button (separate and external modes). Returns <code>true</code> if one ran.');
+
+    register('des-doom', async () => String(await desApi.triggerDoomCounter()),
+        'Triggers the Doom Counter now. Returns <code>true</code> if it ran, <code>false</code> when it\'s off or already running.');
+
+    register('des-open-roster', () => {
+        openCharacterRoster();
+        return '';
+    }, 'Opens the Character Roster.');
+
+    register('des-sheet', (args, name) => {
+        if (!trim(name)) return refuse('des-sheet', 'give a character name.');
+        openCharacterSheet(trim(name));
+        return '';
+    }, 'Opens a character\'s sheet.', {
+        unnamedArgs: [unnamed('character name')]
+    });
+}
+
+function registerQuestCommands() {
+    register('des-quests', () => toPipe(desApi.getQuests()),
+        'Returns the active quests as JSON: <code>{ main, optional }</code>, each quest with its <code>id</code>.');
+
+    register('des-quest-add', (args, title) => {
+        const result = desApi.addQuest(args.kind || 'optional', title, { force: isTrueBoolean(args.force) });
+        return outcome('des-quest-add', result, result.id);
+    }, 'Adds a quest. A new main quest replaces the active one. Returns the new quest\'s id.', {
+        namedArgs: [named('kind', 'quest kind', { defaultValue: 'optional', enumList: ['main', 'optional'] }), forceArg()],
+        unnamedArgs: [unnamed('quest title')]
+    });
+
+    register('des-quest-status', (args, status) => {
+        const result = desApi.setQuestStatus(args.id, trim(status), { force: isTrueBoolean(args.force) });
+        return outcome('des-quest-status', result, trim(status));
+    }, 'Sets a quest\'s status. Returns the status.', {
+        namedArgs: [named('id', 'quest id (see /des-quests)', { required: true }), forceArg()],
+        unnamedArgs: [unnamed('status', { enumList: QUEST_STATUSES })]
+    });
+
+    register('des-objective', (args, done) => {
+        const value = isTrueBoolean(done);
+        const result = desApi.setObjectiveDone(args.id, Number(args.index), value, { force: isTrueBoolean(args.force) });
+        return outcome('des-objective', result, String(value));
+    }, 'Ticks (<code>true</code>) or unticks (<code>false</code>) a quest objective. Returns the new state.', {
+        namedArgs: [
+            named('id', 'quest id', { required: true }),
+            named('index', 'objective number, from 0', { type: ARGUMENT_TYPE.NUMBER, required: true }),
+            forceArg()
+        ],
+        unnamedArgs: [unnamed('done', { type: ARGUMENT_TYPE.BOOLEAN, enumList: ['true', 'false'] })]
+    });
+}
+
+/**
+ * Registers the /des-* commands with SillyTavern's slash command parser.
+ * Safe to call more than once.
+ */
+export function registerSlashCommands() {
+    if (_registered) return;
+    _registered = true;
+    registerSceneCommands();
+    registerCharacterCommands();
+    registerLockCommands();
+    registerActionCommands();
+    registerQuestCommands();
+    console.log('[Dooms Tracker] Slash commands registered (/des-*)');
+}
@@ -11,12 +11,15 @@ import {
 } from '../../core/state.js';
 import { saveChatData, saveSettings } from '../../core/persistence.js';
 import { getCustomSceneFields } from '../generation/jsonPromptHelpers.js';
+import { coerceFieldValue, formatFieldValue, getFieldValueClasses, renderFieldRangeBar } from '../../utils/fieldTypes.js';
 import { i18n } from '../../core/i18n.js';
 import { isItemLocked, setItemLock } from '../generation/lockManager.js';
 import { repairJSON } from '../../utils/jsonRepair.js';
 import { separateEmojiFromText } from '../../utils/textUtils.js';
 import { escapeHtml, escapeAttr } from '../../utils/html.js';
 import { parseTrackerJson } from '../../utils/trackerParse.js';
+import { getWorldClock } from '../features/worldClock.js';
+import { recordEdit } from '../features/editHistory.js';
 /**
  * Updates the CSS variable for dynamic text scaling on the location field.
  * @param {jQuery} $element - The location element
@@ -52,11 +55,13 @@ export function initInfoBoxEventDelegation() {
             updateLocationTextSize($this);
         }
         // Handle recent events separately
-        if (field === 'event1' || field === 'event2' || field === 'event3') {
-            updateRecentEvent(field, value);
-        } else {
-            updateInfoBoxField(field, value);
-        }
+        recordEdit({ label: `Edited ${field}`, where: 'Scene' }, ['tracker'], () => {
+            if (field === 'event1' || field === 'event2' || field === 'event3') {
+                updateRecentEvent(field, value);
+            } else {
+                updateInfoBoxField(field, value);
+            }
+        });
     });
     // Update location size on input as well (real-time)
     $infoBoxContainer.on('input', '[data-field="location"]', function() {
@@ -78,7 +83,7 @@ export function initInfoBoxEventDelegation() {
         const path = $lockIcon.data('path');
         const isLocked = isItemLocked(tracker, path);
         const newLockState = !isLocked;
-        setItemLock(tracker, path, newLockState);
+        recordEdit({ label: newLockState ? 'Locked' : 'Unlocked', where: path }, ['locks'], () => setItemLock(tracker, path, newLockState));
         // Update icon
         $lockIcon.text(newLockState ? '🔒' : '🔓');
         $lockIcon.attr('title', newLockState ? 'Locked - AI cannot change this' : 'Unlocked - AI can change this');
@@ -327,6 +332,10 @@ export function renderInfoBox() {
                 extraFieldsData.terrain = typeof parsed.terrain === 'string' ? parsed.terrain : (parsed.terrain?.value || '');
             }
         } catch (e) { /* ignore */ }
+        // The calendar engine computes the moon phase instead of asking the model for it
+        if (!extraFieldsData.moonPhase) {
+            extraFieldsData.moonPhase = getWorldClock()?.moonPhase || '';
+        }
     }
     const extraWidgets = [
         { key: 'moonPhase',     icon: '🌙', label: 'Moon Phase',      placeholder: 'Unknown' },
@@ -355,18 +364,15 @@ export function renderInfoBox() {
         const parsedInfo = parseTrackerJson(infoBoxData);
         for (const field of customSceneFields) {
             const raw = parsedInfo?.[field.key];
-            let value = '';
-            if (typeof raw === 'string') value = raw;
-            else if (typeof raw === 'number' || typeof raw === 'boolean') value = String(raw);
-            else if (Array.isArray(raw)) value = raw.map(v => typeof v === 'string' ? v : (v?.value ?? '')).filter(Boolean).join(', ');
-            else if (raw && raw.value !== undefined && raw.value !== null) value = String(raw.value);
-            const display = value || 'Unknown';
+            const display = formatFieldValue(field, raw) || 'Unknown';
+            const typedClass = getFieldValueClasses(field, raw);
             html += `
                 <div class="rpg-dashboard rpg-dashboard-row-extra">
                     <div class="rpg-dashboard-widget rpg-extra-widget">
                         <div class="rpg-extra-icon">${escapeHtml(field.icon)}</div>
                         <div class="rpg-extra-label">${escapeHtml(field.label)}</div>
-                        <div class="rpg-extra-value rpg-editable" contenteditable="true" data-field="${escapeAttr(field.key)}" title="Click to edit">${escapeHtml(display)}</div>
+                        <div class="rpg-extra-value rpg-editable${typedClass ? ' ' + typedClass : ''}" contenteditable="true" data-field="${escapeAttr(field.key)}" title="Click to edit">${escapeHtml(display)}</div>
+                        ${renderFieldRangeBar(field, raw)}
                     </div>
                 </div>
             `;
@@ -524,8 +530,11 @@ export function updateInfoBoxField(field, value) {
             } else if (field === 'terrain') {
                 jsonData.terrain = value;
             } else if (field && getCustomSceneFields().some(f => f.key === field)) {
-                // User-defined custom scene fields store flat values under their snake_case key
-                jsonData[field] = value;
+                // User-defined custom scene fields store flat values under their
+                // snake_case key; typed fields keep text that doesn't fit as-is
+                const customField = getCustomSceneFields().find(f => f.key === field);
+                const typedValue = coerceFieldValue(customField, value);
+                jsonData[field] = typedValue === undefined ? value : typedValue;
             }
             // Save back as JSON
             lastGeneratedData.infoBox = JSON.stringify(jsonData, null, 2);
@@ -1,27 +1,74 @@
 /**
  * Quests Rendering Module
- * Handles UI rendering for quests system (main and optional quests)
+ * Handles UI rendering for quests system (main and optional quests, quest log)
  */
 import { extensionSettings, $questsContainer, committedTrackerData, lastGeneratedData } from '../../core/state.js';
-import { saveSettings, saveChatData } from '../../core/persistence.js';
+import { saveSettings, saveChatData, updateMessageSwipeData } from '../../core/persistence.js';
 import { isItemLocked, setItemLock } from '../generation/lockManager.js';
 import { escapeHtml } from '../../utils/html.js';
+import { recordEdit } from '../features/editHistory.js';
+import {
+    QUEST_STATUS_LABELS,
+    getActiveQuests,
+    getQuestHistory,
+    getDisplayedQuestLog,
+    buildQuestsTrackerData,
+    addQuest,
+    setQuestStatus,
+    updateQuest,
+    removeQuest,
+    addObjective,
+    updateObjective,
+    removeObjective
+} from '../features/questLog.js';
 /**
- * Syncs the current extensionSettings.quests to committedTrackerData.quests
- * This ensures quest changes made via UI are reflected in the data sent to AI
+ * Syncs the active quests to committedTrackerData.quests
+ * This ensures quest changes made via UI are reflected in the data sent to AI,
+ * and in the latest reply's swipe data so committing that reply keeps them.
  */
 function syncQuestsToCommittedData() {
-    const questsData = extensionSettings.quests || { main: 'None', optional: [] };
-    const questsJSON = JSON.stringify(questsData, null, 2);
+    const questsJSON = JSON.stringify(buildQuestsTrackerData(), null, 2);
     committedTrackerData.quests = questsJSON;
     lastGeneratedData.quests = questsJSON;
+    updateMessageSwipeData();
 }
 /**
- * Renders the quests sub-tab navigation (Main, Optional)
- * @param {string} activeTab - Currently active sub-tab ('main', 'optional')
+ * Commits a manual quest edit: AI-facing data, settings, chat, and panel.
+ */
+export function commitQuestEdit() {
+    syncQuestsToCommittedData();
+    saveSettings();
+    saveChatData();
+    renderQuests();
+}
+/**
+ * Keeps objective locks on the right objectives after one is removed
+ * (locks are stored by objective index).
+ * @param {string} questId - Quest id
+ * @param {number} removedIndex - Index of the removed objective
+ */
+function shiftObjectiveLocks(questId, removedIndex) {
+    const locks = extensionSettings.lockedItems?.quests?.objectives?.[questId];
+    if (!locks) return;
+    const shifted = {};
+    for (const [key, locked] of Object.entries(locks)) {
+        const index = parseInt(key, 10);
+        if (!locked || index === removedIndex) continue;
+        shifted[index > removedIndex ? index - 1 : index] = true;
+    }
+    extensionSettings.lockedItems.quests.objectives[questId] = shifted;
+}
+function renderLockIcon(path, extraClass = '') {
+    const locked = isItemLocked('quests', path);
+    return `<span class="rpg-section-lock-icon ${extraClass} ${locked ? 'locked' : ''}" data-tracker="quests" data-path="${escapeHtml(path)}" title="${locked ? 'Locked' : 'Unlocked'}">${locked ? '🔒' : '🔓'}</span>`;
+}
+/**
+ * Renders the quests sub-tab navigation (Main, Optional, Log)
+ * @param {string} activeTab - Currently active sub-tab ('main', 'optional', 'log')
+ * @param {number} historyCount - Number of ended quests in the log
  * @returns {string} HTML for sub-tab navigation
  */
-export function renderQuestsSubTabs(activeTab = 'main') {
+export function renderQuestsSubTabs(activeTab = 'main', historyCount = 0) {
     return `
         <div class="rpg-quests-subtabs">
             <button class="rpg-quests-subtab ${activeTab === 'main' ? 'active' : ''}" data-tab="main">
@@ -30,50 +77,89 @@ export function renderQuestsSubTabs(activeTab = 'main') {
             <button class="rpg-quests-subtab ${activeTab === 'optional' ? 'active' : ''}" data-tab="optional">
                 Optional Quests
             </button>
+            <button class="rpg-quests-subtab ${activeTab === 'log' ? 'active' : ''}" data-tab="log">
+                Quest Log${historyCount ? ` (${historyCount})` : ''}
+            </button>
+        </div>
+    `;
+}
+/**
+ * Renders a quest's objectives as a checklist.
+ * @param {Object} quest - Quest record
+ * @param {boolean} editable - Checkboxes, inline editing, and locks
+ * @returns {string} HTML
+ */
+function renderObjectives(quest, editable) {
+    const items = quest.objectives.map((objective, index) => {
+        if (!editable) {
+            return `
+                <li class="rpg-quest-objective ${objective.done ? 'done' : ''}">
+                    <i class="fa-${objective.done ? 'solid fa-square-check' : 'regular fa-square'}"></i>
+                    <span class="rpg-quest-objective-text">${escapeHtml(objective.text)}</span>
+                </li>`;
+        }
+        return `
+            <li class="rpg-quest-objective ${objective.done ? 'done' : ''}">
+                <input type="checkbox" class="rpg-quest-objective-check" data-quest-id="${escapeHtml(quest.id)}" data-index="${index}" ${objective.done ? 'checked' : ''} />
+                <span class="rpg-quest-objective-text rpg-editable" contenteditable="true" data-quest-id="${escapeHtml(quest.id)}" data-index="${index}" title="Click to edit">${escapeHtml(objective.text)}</span>
+                ${renderLockIcon(`objectives.${quest.id}.${index}`, 'rpg-objective-lock-icon')}
+                <button class="rpg-quest-objective-remove" data-action="remove-objective" data-quest-id="${escapeHtml(quest.id)}" data-index="${index}" title="Remove objective">
+                    <i class="fa-solid fa-xmark"></i>
+                </button>
+            </li>`;
+    }).join('');
+    const addRow = editable
+        ? `<input type="text" class="rpg-quest-objective-input" data-quest-id="${escapeHtml(quest.id)}" placeholder="Add an objective..." />`
+        : '';
+    return (items ? `<ul class="rpg-quest-objectives">${items}</ul>` : '') + addRow;
+}
+/**
+ * Renders one active quest card.
+ * @param {Object} quest - Quest record
+ * @param {string} lockPath - Quest-level lock path ('main' or 'optional.<questId>')
+ * @returns {string} HTML
+ */
+function renderActiveQuestCard(quest, lockPath) {
+    const id = escapeHtml(quest.id);
+    return `
+        <div class="rpg-quest-item rpg-quest-card" data-quest-id="${id}">
+            ${renderLockIcon(lockPath)}
+            <div class="rpg-quest-body">
+                <div class="rpg-quest-title rpg-editable" contenteditable="true" data-quest-id="${id}" data-prop="title" title="Click to edit">${escapeHtml(quest.title)}</div>
+                <div class="rpg-quest-description rpg-editable" contenteditable="true" data-quest-id="${id}" data-prop="description" data-placeholder="Add a description..." title="Click to edit">${escapeHtml(quest.description || '')}</div>
+                ${renderObjectives(quest, true)}
+                <div class="rpg-quest-meta">Started at message #${quest.startedAt}</div>
+            </div>
+            <div class="rpg-quest-actions">
+                <button class="rpg-quest-remove" data-action="set-quest-status" data-quest-id="${id}" data-status="completed" title="Mark completed">
+                    <i class="fa-solid fa-check"></i>
+                </button>
+                <button class="rpg-quest-remove" data-action="set-quest-status" data-quest-id="${id}" data-status="failed" title="Mark failed">
+                    <i class="fa-solid fa-skull"></i>
+                </button>
+                <button class="rpg-quest-remove" data-action="set-quest-status" data-quest-id="${id}" data-status="abandoned" title="Abandon quest">
+                    <i class="fa-solid fa-ban"></i>
+                </button>
+            </div>
         </div>
     `;
 }
 /**
  * Renders the main quest view
- * @param {string} mainQuest - Current main quest title
+ * @param {Object|undefined} mainQuest - Active main quest record
  * @returns {string} HTML for main quest view
  */
 export function renderMainQuestView(mainQuest) {
-    const questDisplay = (mainQuest && mainQuest !== 'None') ? mainQuest : '';
-    const hasQuest = questDisplay.length > 0;
     return `
         <div class="rpg-quest-section">
             <div class="rpg-quest-header">
                 <h3 class="rpg-quest-section-title">Main Quests</h3>
-                ${!hasQuest ? `<button class="rpg-add-quest-btn" data-action="add-quest" data-field="main" title="Add main quests">
+                ${!mainQuest ? `<button class="rpg-add-quest-btn" data-action="add-quest" data-field="main" title="Add main quests">
                     <i class="fa-solid fa-plus"></i> Add Quest
                 </button>` : ''}
             </div>
             <div class="rpg-quest-content">
-                ${hasQuest ? `
-                    <div class="rpg-inline-form" id="rpg-edit-quest-form-main" style="display: none;">
-                        <input type="text" class="rpg-inline-input" id="rpg-edit-quest-main" value="${escapeHtml(questDisplay)}" />
-                        <div class="rpg-inline-buttons">
-                            <button class="rpg-inline-btn rpg-inline-cancel" data-action="cancel-edit-quest" data-field="main">
-                                <i class="fa-solid fa-times"></i> Cancel
-                            </button>
-                            <button class="rpg-inline-btn rpg-inline-save" data-action="save-edit-quest" data-field="main">
-                                <i class="fa-solid fa-check"></i> Save
-                            </button>
-                        </div>
-                    </div>
-                    <div class="rpg-quest-item" data-field="main">
-                        <div class="rpg-quest-title">${escapeHtml(questDisplay)}</div>
-                        <div class="rpg-quest-actions">
-                            <button class="rpg-quest-edit" data-action="edit-quest" data-field="main" title="Edit quest">
-                                <i class="fa-solid fa-edit"></i>
-                            </button>
-                            <button class="rpg-quest-remove" data-action="remove-quest" data-field="main" title="Complete/Remove quest">
-                                <i class="fa-solid fa-check"></i>
-                            </button>
-                        </div>
-                    </div>
-                ` : `
+                ${mainQuest ? renderActiveQuestCard(mainQuest, 'main') : `
                     <div class="rpg-inline-form" id="rpg-add-quest-form-main" style="display: none;">
                         <input type="text" class="rpg-inline-input" id="rpg-new-quest-main" placeholder="Enter main quests title..." />
                         <div class="rpg-inline-actions">
@@ -97,26 +183,15 @@ export function renderMainQuestView(mainQuest) {
 }
 /**
  * Renders the optional quests view
- * @param {string[]} optionalQuests - Array of optional quest titles
+ * @param {Object[]} optionalQuests - Active optional quest records
  * @returns {string} HTML for optional quests view
  */
 export function renderOptionalQuestsView(optionalQuests) {
-    const quests = optionalQuests.filter(q => q && q !== 'None');
     let questsHtml = '';
-    if (quests.length === 0) {
+    if (optionalQuests.length === 0) {
         questsHtml = '<div class="rpg-quest-empty">No active optional quests</div>';
     } else {
-        questsHtml = quests.map((quest, index) => {
-            return `
-            <div class="rpg-quest-item" data-field="optional" data-index="${index}">
-                <div class="rpg-quest-title rpg-editable" contenteditable="true" data-field="optional" data-index="${index}" title="Click to edit">${escapeHtml(quest)}</div>
-                <div class="rpg-quest-actions">
-                    <button class="rpg-quest-remove" data-action="remove-quest" data-field="optional" data-index="${index}" title="Complete/Remove quest">
-                        <i class="fa-solid fa-check"></i>
-                    </button>
-                </div>
-            </div>
-        `}).join('');
+        questsHtml = optionalQuests.map(quest => renderActiveQuestCard(quest, `optional.${quest.id}`)).join('');
     }
     return `
         <div class="rpg-quest-section">
@@ -149,6 +224,56 @@ export function renderOptionalQuestsView(optionalQuests) {
         </div>
     `;
 }
+/**
+ * Renders the quest log: quests that were completed, failed, or abandoned.
+ * @param {Object[]} history - Ended quest records, most recent first
+ * @returns {string} HTML for the quest log view
+ */
+export function renderQuestLogView(history) {
+    const questsHtml = history.length === 0
+        ? '<div class="rpg-quest-empty">No finished quests yet</div>'
+        : history.map(quest => {
+            const id = escapeHtml(quest.id);
+            const ended = quest.endedAt !== null && quest.endedAt !== undefined ? ` · ended at #${quest.endedAt}` : '';
+            return `
+            <div class="rpg-quest-item rpg-quest-card rpg-quest-ended rpg-quest-status-${quest.status}" data-quest-id="${id}">
+                <div class="rpg-quest-body">
+                    <div class="rpg-quest-title">
+                        ${escapeHtml(quest.title)}
+                        <span class="rpg-quest-status-badge">${QUEST_STATUS_LABELS[quest.status] || quest.status}</span>
+                    </div>
+                    ${quest.description ? `<div class="rpg-quest-description">${escapeHtml(quest.description)}</div>` : ''}
+                    ${renderObjectives(quest, false)}
+                    <div class="rpg-quest-meta">${quest.kind === 'main' ? 'Main quest' : 'Optional quest'} · started at #${quest.startedAt}${ended}</div>
+                </div>
+                <div class="rpg-quest-actions">
+                    <button class="rpg-quest-edit" data-action="set-quest-status" data-quest-id="${id}" data-status="active" title="Reopen quest">
+                        <i class="fa-solid fa-rotate-left"></i>
+                    </button>
+                    <button class="rpg-quest-remove" data-action="delete-quest" data-quest-id="${id}" title="Delete from log">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+        }).join('');
+    return `
+        <div class="rpg-quest-section">
+            <div class="rpg-quest-header">
+                <h3 class="rpg-quest-section-title">Quest Log</h3>
+            </div>
+            <div class="rpg-quest-content">
+                <div class="rpg-quest-list">
+                    ${questsHtml}
+                </div>
+                <div class="rpg-quest-hint">
+                    <i class="fa-solid fa-book"></i>
+                    Quests the story completed, failed, or abandoned. Message numbers match the chat.
+                </div>
+            </div>
+        </div>
+    `;
+}
 /**
  * Main render function for quests
  */
@@ -158,22 +283,19 @@ export function renderQuests() {
     }
     // Get current sub-tab from container or default to 'main'
     const activeSubTab = $questsContainer.data('active-subtab') || 'main';
-    // Get quests data - extract value if it's a locked object
-    let mainQuest = extensionSettings.quests.main || 'None';
-    // Recursively extract value if it's nested objects
-    while (typeof mainQuest === 'object' && mainQuest.value !== undefined) {
-        mainQuest = mainQuest.value;
-    }
-    const optionalQuests = extensionSettings.quests.optional || [];
+    const log = getDisplayedQuestLog();
+    const history = getQuestHistory(log);
     // Build HTML
     let html = '<div class="rpg-quests-wrapper">';
-    html += renderQuestsSubTabs(activeSubTab);
+    html += renderQuestsSubTabs(activeSubTab, history.length);
     // Render active sub-tab
     html += '<div class="rpg-quests-panels">';
     if (activeSubTab === 'main') {
-        html += renderMainQuestView(mainQuest);
+        html += renderMainQuestView(getActiveQuests('main', log)[0]);
+    } else if (activeSubTab === 'log') {
+        html += renderQuestLogView(history);
     } else {
-        html += renderOptionalQuestsView(optionalQuests);
+        html += renderOptionalQuestsView(getActiveQuests('optional', log));
     }
     html += '</div></div>';
     $questsContainer.html(html);
@@ -213,91 +335,107 @@ export function initQuestEventDelegation() {
         const input = $(`#rpg-new-quest-${field}`);
         const questTitle = input.val().trim();
         if (questTitle) {
-            if (field === 'main') {
-                extensionSettings.quests.main = questTitle;
-            } else {
-                if (!extensionSettings.quests.optional) {
-                    extensionSettings.quests.optional = [];
-                }
-                extensionSettings.quests.optional.push(questTitle);
-            }
-            // Sync quest changes to committedTrackerData so AI sees the addition
-            syncQuestsToCommittedData();
-            saveSettings();
-            saveChatData();
-            renderQuests();
+            recordEdit({ label: 'Added quest', where: 'Quests' }, ['tracker'], () => {
+                addQuest(field === 'main' ? 'main' : 'optional', questTitle);
+                // Sync quest changes to committedTrackerData so AI sees the addition
+                commitQuestEdit();
+            });
         }
     });
-    // Edit quest (main only)
-    $questsContainer.on('click', '[data-action="edit-quest"]', function() {
-        const field = $(this).data('field');
-        $(`#rpg-edit-quest-form-${field}`).show();
-        $('.rpg-quest-item[data-field="main"]').hide();
-        // Only auto-focus on desktop — on mobile this triggers the virtual keyboard
-        if (window.innerWidth > 1000) {
-            $(`#rpg-edit-quest-${field}`).focus();
-        }
+    // Complete / fail / abandon / reopen
+    $questsContainer.on('click', '[data-action="set-quest-status"]', function() {
+        const status = $(this).data('status');
+        recordEdit({ label: `Set quest ${status}`, where: 'Quests' }, ['tracker'], () => {
+            setQuestStatus($(this).attr('data-quest-id'), status);
+            commitQuestEdit();
+        });
     });
-    // Cancel edit quest
-    $questsContainer.on('click', '[data-action="cancel-edit-quest"]', function() {
-        const field = $(this).data('field');
-        $(`#rpg-edit-quest-form-${field}`).hide();
-        $('.rpg-quest-item[data-field="main"]').show();
+    // Delete from the log
+    $questsContainer.on('click', '[data-action="delete-quest"]', function() {
+        const questId = $(this).attr('data-quest-id');
+        recordEdit({ label: 'Deleted quest', where: 'Quests' }, ['tracker', 'locks'], () => {
+            removeQuest(questId);
+            delete extensionSettings.lockedItems?.quests?.optional?.[questId];
+            delete extensionSettings.lockedItems?.quests?.objectives?.[questId];
+            commitQuestEdit();
+        });
     });
-    // Save edit quest
-    $questsContainer.on('click', '[data-action="save-edit-quest"]', function() {
-        const field = $(this).data('field');
-        const input = $(`#rpg-edit-quest-${field}`);
-        const questTitle = input.val().trim();
-        if (questTitle) {
-            extensionSettings.quests.main = questTitle;
+    // Inline editing of quest title / description
+    $questsContainer.on('blur', '.rpg-quest-title.rpg-editable, .rpg-quest-description.rpg-editable', function() {
+        const $this = $(this);
+        const questId = $this.attr('data-quest-id');
+        const prop = $this.data('prop');
+        const text = $this.text().trim();
+        if (prop === 'title' && !text) {
+            renderQuests();
+            return;
+        }
+        recordEdit({ label: `Edited quest ${prop}`, where: 'Quests' }, ['tracker'], () => {
+            updateQuest(questId, { [prop]: text });
             // Sync quest changes to committedTrackerData so AI sees the edit
             syncQuestsToCommittedData();
             saveSettings();
             saveChatData();
-            renderQuests();
-        }
+        });
     });
-    // Remove quest
-    $questsContainer.on('click', '[data-action="remove-quest"]', function() {
-        const field = $(this).data('field');
-        const index = $(this).data('index');
-        if (field === 'main') {
-            extensionSettings.quests.main = 'None';
-        } else {
-            extensionSettings.quests.optional.splice(index, 1);
-        }
-        // Sync quest changes to committedTrackerData so AI sees the removal
-        syncQuestsToCommittedData();
-        saveSettings();
-        saveChatData();
-        renderQuests();
+    // Objective checkboxes
+    $questsContainer.on('change', '.rpg-quest-objective-check', function() {
+        const $this = $(this);
+        const done = $this.is(':checked');
+        recordEdit({ label: done ? 'Checked objective' : 'Unchecked objective', where: 'Quests' }, ['tracker'], () => {
+            updateObjective($this.attr('data-quest-id'), Number($this.data('index')), { done });
+            commitQuestEdit();
+        });
     });
-    // Inline editing for optional quests
-    $questsContainer.on('blur', '.rpg-quest-title.rpg-editable', function() {
+    // Inline editing of objective text
+    $questsContainer.on('blur', '.rpg-quest-objective-text.rpg-editable', function() {
         const $this = $(this);
-        const field = $this.data('field');
-        const index = $this.data('index');
-        const newTitle = $this.text().trim();
-        if (newTitle && field === 'optional' && index !== undefined) {
-            extensionSettings.quests.optional[index] = newTitle;
-            // Sync quest changes to committedTrackerData so AI sees the edit
+        const text = $this.text().trim();
+        if (!text) {
+            renderQuests();
+            return;
+        }
+        recordEdit({ label: 'Edited objective', where: 'Quests' }, ['tracker'], () => {
+            updateObjective($this.attr('data-quest-id'), Number($this.data('index')), { text });
             syncQuestsToCommittedData();
             saveSettings();
             saveChatData();
+        });
+    });
+    // Remove objective
+    $questsContainer.on('click', '[data-action="remove-objective"]', function() {
+        const questId = $(this).attr('data-quest-id');
+        const index = Number($(this).data('index'));
+        recordEdit({ label: 'Removed objective', where: 'Quests' }, ['tracker', 'locks'], () => {
+            removeObjective(questId, index);
+            shiftObjectiveLocks(questId, index);
+            commitQuestEdit();
+        });
+    });
+    // Enter key to add an objective
+    $questsContainer.on('keypress', '.rpg-quest-objective-input', function(e) {
+        if (e.which === 13) {
+            const text = String($(this).val()).trim();
+            if (text) {
+                recordEdit({ label: 'Added objective', where: 'Quests' }, ['tracker'], () => {
+                    addObjective($(this).attr('data-quest-id'), text);
+                    commitQuestEdit();
+                });
+            }
+        }
+    });
+    // Enter key in contenteditable fields commits instead of adding a line break
+    $questsContainer.on('keydown', '.rpg-quest-card .rpg-editable', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            $(this).blur();
         }
     });
     // Enter key to save in forms
     $questsContainer.on('keypress', '.rpg-inline-input', function(e) {
         if (e.which === 13) {
-            const field = $(this).attr('id').includes('edit') ?
-                $(this).attr('id').replace('rpg-edit-quest-', '') :
-                $(this).attr('id').replace('rpg-new-quest-', '');
-            if ($(this).attr('id').includes('edit')) {
-                $(`[data-action="save-edit-quest"][data-field="${field}"]`).click();
-            } else {
-                $(`[data-action="save-add-quest"][data-field="${field}"]`).click();
-            }
+            const field = $(this).attr('id').replace('rpg-new-quest-', '');
+            $(`[data-action="save-add-quest"][data-field="${field}"]`).click();
         }
     });
     // Lock icon toggle (support both click and touch)
@@ -309,7 +447,7 @@ export function initQuestEventDelegation() {
         const itemPath = $icon.data('path');
         const currentlyLocked = isItemLocked(trackerType, itemPath);
         // Toggle lock state
-        setItemLock(trackerType, itemPath, !currentlyLocked);
+        recordEdit({ label: currentlyLocked ? 'Unlocked' : 'Locked', where: itemPath }, ['locks'], () => setItemLock(trackerType, itemPath, !currentlyLocked));
         // Update icon
         const newIcon = !currentlyLocked ? '🔒' : '🔓';
         const newTitle = !currentlyLocked ? 'Locked' : 'Unlocked';
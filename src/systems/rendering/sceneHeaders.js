@@ -12,10 +12,14 @@
  *   - "ticker"   — collapsible bar pinned to top of chat
  */
 import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
-import { getDoomCounterState, getActiveCharacterColors, saveSettings } from '../../core/persistence.js';
+import { getDoomCounterState, getStoryMeterState, getActiveCharacterColors, saveSettings } from '../../core/persistence.js';
 import { getCustomSceneFields } from '../generation/jsonPromptHelpers.js';
+import { formatFieldValue, renderFieldValueHTML } from '../../utils/fieldTypes.js';
 import { escapeHtml } from '../../utils/html.js';
 import { parseTrackerJson } from '../../utils/trackerParse.js';
+import { applyWorldClock } from '../features/worldClock.js';
+import { getStoryMeters, isMeterCharging } from '../generation/storyMeters.js';
+import { getPacingPhase, getPacingThresholds, describePacing } from '../features/pacingProfiles.js';
 import { chat } from '../../../../../../../script.js';
 
 /** Cache of last rendered scene data JSON to skip redundant DOM rebuilds */
@@ -533,6 +537,8 @@ export function updateChatSceneHeaders() {
         extensionSettings.showCharacterThoughts ? (lastGeneratedData.characterThoughts || committedTrackerData.characterThoughts) : null,
         extensionSettings.showQuests ? extensionSettings.quests : null
     );
+    // Normalized date/time, computed moon phase and rest (no-op when the calendar engine is off)
+    if (infoBoxData) applyWorldClock(sceneData);
     const st = extensionSettings.sceneTracker || {};
     const layout = st.layout || 'grid';
     // If there's no meaningful data, remove existing header and return
@@ -550,7 +556,9 @@ export function updateChatSceneHeaders() {
     // Skip rebuild if data + settings are identical to last render
     // Include doom counter state in cache key so badge updates when streak/countdown changes
     const dcState = (extensionSettings.doomCounter?.enabled && extensionSettings.doomCounter?.debugDisplay && !extensionSettings.doomCounter?.trapMode) ? getDoomCounterState() : null;
-    const cacheKey = JSON.stringify({ sceneData, st, dcState });
+    // The pacing phase can change without the counter state (a new profile chosen)
+    const dcPacing = dcState ? describePacing(dcState) : '';
+    const cacheKey = JSON.stringify({ sceneData, st, dcState, dcPacing });
     if (cacheKey === _lastSceneDataJSON) {
         // Check if the element is still in the DOM
         if ($('.dooms-scene-header, .dooms-info-banner, .dooms-info-hud, .dooms-info-ticker-wrapper').length) {
@@ -656,6 +664,7 @@ export function extractSceneData(infoBoxData, characterThoughtsData, questsData)
         terrain: '',
         weather: '',
         doomTension: null,
+        meters: {},
         customFields: [],
         presentCharacters: [],
         activeQuest: '',
@@ -728,6 +737,14 @@ export function extractSceneData(infoBoxData, characterThoughtsData, questsData)
                     result.doomTension = Math.round(num);
                 }
             }
+            // Story meters (numeric 1-10, keyed by each meter's field)
+            for (const meter of getStoryMeters()) {
+                const rawMeter = info[meter.key];
+                const num = Number(rawMeter && typeof rawMeter === 'object' ? rawMeter.value : rawMeter);
+                if (rawMeter !== undefined && rawMeter !== null && !isNaN(num) && num >= 1 && num <= 10) {
+                    result.meters[meter.key] = Math.round(num);
+                }
+            }
             // Recent Events (limit to 2 major events for the scene header)
             if (info.recentEvents) {
                 if (Array.isArray(info.recentEvents)) {
@@ -746,21 +763,14 @@ export function extractSceneData(infoBoxData, characterThoughtsData, questsData)
             }
             // User-defined custom scene fields — values live at the top level
             // under the snake_case key derived from the field name.
+            // `html` is the typed rendering (bar / badge / chips); `value` the
+            // plain text for the places that truncate.
             for (const field of getCustomSceneFields()) {
                 const raw = info[field.key];
                 if (raw === undefined || raw === null) continue;
-                let value = '';
-                if (typeof raw === 'string') {
-                    value = raw;
-                } else if (typeof raw === 'number' || typeof raw === 'boolean') {
-                    value = String(raw);
-                } else if (Array.isArray(raw)) {
-                    value = raw.map(v => typeof v === 'string' ? v : (v?.value ?? '')).filter(Boolean).join(', ');
-                } else if (raw.value !== undefined && raw.value !== null) {
-                    value = String(raw.value);
-                }
+                const value = formatFieldValue(field, raw);
                 if (value) {
-                    result.customFields.push({ key: field.key, label: field.label, icon: field.icon, value });
+                    result.customFields.push({ key: field.key, label: field.label, icon: field.icon, value, html: renderFieldValueHTML(field, raw) });
                 }
             }
         } catch (e) {
@@ -820,6 +830,23 @@ export function extractSceneData(infoBoxData, characterThoughtsData, questsData)
     return result;
 }
 
+/**
+ * Marker shown after the scene time when the world clock has something to
+ * say about it: a warning when time went backwards, otherwise the elapsed
+ * time since the previous reply as a tooltip.
+ * @param {{ timeWarning?: string, timeElapsed?: string }} data
+ * @returns {string} HTML string ('' when the world clock is off)
+ */
+function timeNoteHTML(data) {
+    if (data.timeWarning) {
+        return ` <i class="fa-solid fa-triangle-exclamation dooms-time-warning" title="${escapeHtml(data.timeWarning)}"></i>`;
+    }
+    if (data.timeElapsed) {
+        return ` <i class="fa-solid fa-hourglass-end dooms-time-elapsed" title="${escapeHtml(`${data.timeElapsed} since the previous reply`)}"></i>`;
+    }
+    return '';
+}
+
 // ─────────────────────────────────────────────
 //  Classic Layout Renderer (grid / stacked / compact)
 // ─────────────────────────────────────────────
@@ -839,7 +866,7 @@ function createSceneHeaderHTML(data) {
             <div class="dooms-scene-row">
                 <i class="fa-solid fa-clock"></i>
                 <span class="dooms-scene-label">Time:</span>
-                <span class="dooms-scene-value">${escapeHtml(data.time)}</span>
+                <span class="dooms-scene-value">${escapeHtml(data.time)}${timeNoteHTML(data)}</span>
             </div>
         `);
     }
@@ -929,7 +956,7 @@ function createSceneHeaderHTML(data) {
             <div class="dooms-scene-row">
                 <span class="dooms-cf-icon">${escapeHtml(cf.icon)}</span>
                 <span class="dooms-scene-label">${escapeHtml(cf.label)}:</span>
-                <span class="dooms-scene-value">${escapeHtml(cf.value)}</span>
+                <span class="dooms-scene-value">${cf.html}</span>
             </div>
         `);
     }
@@ -973,9 +1000,9 @@ function createSceneHeaderHTML(data) {
     const layout = st.layout || 'grid';
     const styleVars = buildStyleVars();
 
-    const doomBadge = buildDoomCounterBadge(data.doomTension);
+    const badges = buildSceneBadges(data);
 
-    return `<div class="dooms-scene-header dooms-scene-layout-${escapeHtml(layout)}" style="${styleVars}">${doomBadge}${rows.join('')}</div>`;
+    return `<div class="dooms-scene-header dooms-scene-layout-${escapeHtml(layout)}" style="${styleVars}">${badges}${rows.join('')}</div>`;
 }
 
 // ─────────────────────────────────────────────
@@ -991,7 +1018,7 @@ function createBannerHTML(data) {
         items.push(`<div class="dooms-ip-item">
             <i class="fa-solid fa-clock"></i>
             <span class="dooms-ip-label">Time:</span>
-            <span class="dooms-ip-value">${escapeHtml(data.time)}</span>
+            <span class="dooms-ip-value">${escapeHtml(data.time)}${timeNoteHTML(data)}</span>
         </div>`);
     }
     if (data.date && st.showDate !== false) {
@@ -1054,7 +1081,7 @@ function createBannerHTML(data) {
         items.push(`<div class="dooms-ip-item">
             <span class="dooms-cf-icon">${escapeHtml(cf.icon)}</span>
             <span class="dooms-ip-label">${escapeHtml(cf.label)}:</span>
-            <span class="dooms-ip-value">${escapeHtml(cf.value)}</span>
+            <span class="dooms-ip-value">${cf.html}</span>
         </div>`);
     }
 
@@ -1099,10 +1126,10 @@ function createBannerHTML(data) {
 
     if (!itemsWithDividers && !charsHtml && !questHtml && !eventsHtml) return '';
 
-    const doomBadge = buildDoomCounterBadge(data.doomTension);
+    const badges = buildSceneBadges(data);
 
     return `<div class="dooms-info-banner" style="${styleVars}">
-        ${doomBadge}
+        ${badges}
         ${itemsWithDividers}
         ${charsHtml ? (items.length ? '<div class="dooms-ip-divider"></div>' : '') + charsHtml : ''}
         ${questHtml}
@@ -1123,7 +1150,7 @@ function createHudHTML(data) {
         rows.push(`<div class="dooms-ip-hud-row">
             <i class="fa-solid fa-clock"></i>
             <span class="dooms-ip-hud-label">Time</span>
-            <span class="dooms-ip-hud-value">${escapeHtml(data.time)}</span>
+            <span class="dooms-ip-hud-value">${escapeHtml(data.time)}${timeNoteHTML(data)}</span>
         </div>`);
     }
     if (data.date && st.showDate !== false) {
@@ -1186,7 +1213,7 @@ function createHudHTML(data) {
         rows.push(`<div class="dooms-ip-hud-row">
             <span class="dooms-cf-icon">${escapeHtml(cf.icon)}</span>
             <span class="dooms-ip-hud-label">${escapeHtml(cf.label)}</span>
-            <span class="dooms-ip-hud-value">${escapeHtml(cf.value)}</span>
+            <span class="dooms-ip-hud-value">${cf.html}</span>
         </div>`);
     }
 
@@ -1233,13 +1260,13 @@ function createHudHTML(data) {
 
     if (!rows.length) return '';
 
-    const doomBadge = buildDoomCounterBadge(data.doomTension);
+    const badges = buildSceneBadges(data);
 
     return `<div class="dooms-info-hud" style="${styleVars}">
         <div class="dooms-ip-hud-title">
             <i class="fa-solid fa-compass"></i>
             Scene Info
-            ${doomBadge}
+            ${badges}
         </div>
         ${rows.join('')}
     </div>`;
@@ -1260,7 +1287,7 @@ function createTickerHTML(data) {
     const tickerItems = [];
     if (data.time && st.showTime !== false) {
         tickerItems.push(`<span class="dooms-ip-ticker-item">
-            <i class="fa-solid fa-clock"></i> ${escapeHtml(data.time.split('→')[0].trim())}
+            <i class="fa-solid fa-clock"></i> ${escapeHtml(data.time.split('→')[0].trim())}${timeNoteHTML(data)}
         </span>`);
     }
     if (data.date && st.showDate !== false) {
@@ -1339,7 +1366,7 @@ function createTickerHTML(data) {
         compactRows.push(`<div class="dooms-ip-panel-row">
             <i class="fa-solid fa-clock"></i>
             <span class="dooms-ip-panel-label">Time</span>
-            <span class="dooms-ip-panel-value">${escapeHtml(data.time)}</span>
+            <span class="dooms-ip-panel-value">${escapeHtml(data.time)}${timeNoteHTML(data)}</span>
         </div>`);
     }
     if (data.date && st.showDate !== false) {
@@ -1402,7 +1429,7 @@ function createTickerHTML(data) {
         compactRows.push(`<div class="dooms-ip-panel-row">
             <span class="dooms-cf-icon">${escapeHtml(cf.icon)}</span>
             <span class="dooms-ip-panel-label">${escapeHtml(cf.label)}</span>
-            <span class="dooms-ip-panel-value">${escapeHtml(cf.value)}</span>
+            <span class="dooms-ip-panel-value">${cf.html}</span>
         </div>`);
     }
 
@@ -1507,12 +1534,12 @@ function createTickerHTML(data) {
         }).join('');
     }
 
-    const doomBadge = buildDoomCounterBadge(data.doomTension);
+    const badges = buildSceneBadges(data);
 
     return `${tickerStyleBlock}<div class="dooms-info-ticker-wrapper" style="${styleVars}">
         <div class="dooms-info-ticker">
             <span class="dooms-ip-ticker-icon"><i class="fa-solid fa-compass"></i></span>
-            ${doomBadge}
+            ${badges}
             <div class="dooms-ip-ticker-items">
                 ${rotatingItems}
             </div>
@@ -1544,8 +1571,8 @@ function buildDoomCounterBadge(doomTension) {
     if (!dc?.enabled || !dc?.debugDisplay || dc?.trapMode) return '';
 
     const state = getDoomCounterState();
-    const ceiling = dc.lowTensionCeiling || 4;
-    const threshold = dc.lowTensionThreshold || 5;
+    const { lowTensionCeiling: ceiling, lowTensionThreshold: threshold } = getPacingThresholds(state);
+    const pacing = getPacingPhase(state);
     const tensionStr = doomTension !== null ? `${doomTension}` : '?';
     const isLow = doomTension !== null && doomTension <= ceiling;
 
@@ -1554,6 +1581,11 @@ function buildDoomCounterBadge(doomTension) {
 
     let badgeContent = '';
 
+    // Current act/phase of the pacing profile
+    if (pacing) {
+        badgeContent += `<span class="dooms-dc-debug-phase">${escapeHtml(pacing.phase.name)}</span>`;
+    }
+
     // Tension value
     badgeContent += `<span class="dooms-dc-debug-tension" style="color:${tensionColor}">${tensionStr}</span>`;
 
@@ -1570,12 +1602,54 @@ function buildDoomCounterBadge(doomTension) {
         badgeContent += `<span class="dooms-dc-debug-pending" title="Twist pending injection">⚡</span>`;
     }
 
-    return `<div class="dooms-dc-debug-badge" title="Doom Counter: Tension ${tensionStr}/10 | Streak ${state.lowStreakCount}/${threshold}${state.countdownActive ? ' | Countdown ' + state.countdownCount : ''}">
+    const pacingTitle = pacing ? ` | ${escapeHtml(describePacing(state))}` : '';
+    return `<div class="dooms-dc-debug-badge" title="Doom Counter: Tension ${tensionStr}/10 | Streak ${state.lowStreakCount}/${threshold}${state.countdownActive ? ' | Countdown ' + state.countdownCount : ''}${pacingTitle}">
         <i class="fa-solid fa-skull"></i>
         ${badgeContent}
     </div>`;
 }
 
+/**
+ * The Doom Counter badge and story meter badges, grouped so they line up
+ * side by side in every layout.
+ *
+ * @param {Object} data - sceneData
+ * @returns {string} HTML string (empty when there are no badges)
+ */
+function buildSceneBadges(data) {
+    const html = buildDoomCounterBadge(data.doomTension) + buildStoryMeterBadges(data.meters);
+    return html ? `<div class="dooms-scene-badges">${html}</div>` : '';
+}
+
+/**
+ * Builds one badge per enabled story meter: emoji, value, streak toward the
+ * meter's trigger and the countdown when it is running.
+ *
+ * @param {Object<string, number>} meters - Meter values from sceneData, by key
+ * @returns {string} HTML string (empty when no meters are enabled)
+ */
+function buildStoryMeterBadges(meters = {}) {
+    return getStoryMeters().map(meter => {
+        const value = meters[meter.key] ?? null;
+        const state = getStoryMeterState(meter.id);
+        const charging = value !== null && isMeterCharging(meter, value);
+        const valueColor = value === null ? '#888' : (charging ? '#f0c040' : '#ddd');
+        const rule = `${meter.triggerWhen === 'low' ? '≤' : '≥'} ${meter.boundary}`;
+        let content = `<span class="dooms-dc-debug-tension" style="color:${valueColor}">${value ?? '?'}</span>`;
+        content += `<span class="dooms-dc-debug-streak">${state.streak}/${meter.streakLength}</span>`;
+        if (state.countdownActive) {
+            content += `<span class="dooms-dc-debug-countdown">${state.countdownCount}</span>`;
+        }
+        if (state.pending) {
+            content += `<span class="dooms-dc-debug-pending" title="Injection pending">⚡</span>`;
+        }
+        return `<div class="dooms-dc-debug-badge dooms-meter-badge" title="${escapeHtml(`${meter.name}: ${value ?? '?'}/10 | Triggers at ${rule} | Streak ${state.streak}/${meter.streakLength}${state.countdownActive ? ' | Countdown ' + state.countdownCount : ''}`)}">
+        <span class="dooms-meter-badge-emoji">${escapeHtml(meter.emoji)}</span>
+        ${content}
+    </div>`;
+    }).join('');
+}
+
 // ─────────────────────────────────────────────
 //  Utility
 // ─────────────────────────────────────────────
@@ -20,8 +20,11 @@ import { migrateAvatarsToFiles } from '../../utils/avatarMigration.js';
 import { isItemLocked, setItemLock } from '../generation/lockManager.js';
 import { keyedReconcile } from '../../utils/domDiff.js';
 import { escapeHtml, escapeAttr } from '../../utils/html.js';
+import { coerceFieldValue, formatFieldValue, getFieldValueClasses, renderFieldRangeBar, renderFieldValueHTML } from '../../utils/fieldTypes.js';
 import { parseTrackerJson } from '../../utils/trackerParse.js';
+import { toSnakeCase } from '../../utils/textUtils.js';
 import { hasPendingAliasDecision } from '../features/characterAliases.js';
+import { recordEdit } from '../features/editHistory.js';
 
 /**
  * Per-card steady-state HTML cache (character name -> html) so the keyed
@@ -84,31 +87,6 @@ function stripBrackets(value) {
     if (typeof value !== 'string') return value;
     return value.replace(/^\[|\]$/g, '').trim();
 }
-/**
- * Extracts the actual value from a field that might be locked.
- * If the field is an object with {value, locked}, returns the value.
- * Otherwise returns the field as-is.
- * @param {any} fieldValue - The field value (might be string or {value, locked} object)
- * @returns {string} The actual string value
- */
-function extractFieldValue(fieldValue) {
-    if (fieldValue && typeof fieldValue === 'object' && 'value' in fieldValue) {
-        return fieldValue.value || '';
-    }
-    return fieldValue || '';
-}
-/**
- * Converts a field name to snake_case for use as JSON key
- * Example: "Test Tracker" -> "test_tracker"
- * @param {string} name - Field name to convert
- * @returns {string} snake_case version
- */
-function toSnakeCase(name) {
-    return name
-        .toLowerCase()
-        .replace(/[^a-z0-9]+/g, '_')
-        .replace(/^_+|_+$/g, '');
-}
 /**
  * Fuzzy name matching that handles:
  * - Exact matches: "Sabrina" === "Sabrina"
@@ -176,7 +154,7 @@ export function initThoughtsEventDelegation() {
         const field = $this.data('field');
         const value = $this.text().trim();
         if (character && field) {
-            updateCharacterField(character, field, value);
+            recordEdit({ label: `Edited ${field}`, where: character }, ['tracker'], () => updateCharacterField(character, field, value));
         }
         // Restore placeholder if field becomes empty
         if (!value && field) {
@@ -201,7 +179,7 @@ export function initThoughtsEventDelegation() {
         const trackerType = $icon.data('tracker');
         const itemPath = $icon.data('path');
         const currentlyLocked = isItemLocked(trackerType, itemPath);
-        setItemLock(trackerType, itemPath, !currentlyLocked);
+        recordEdit({ label: currentlyLocked ? 'Unlocked' : 'Locked', where: itemPath }, ['locks'], () => setItemLock(trackerType, itemPath, !currentlyLocked));
         const newIcon = !currentlyLocked ? '🔒' : '🔓';
         const newTitle = !currentlyLocked ? 'Locked' : 'Unlocked';
         $icon.text(newIcon);
@@ -214,7 +192,7 @@ export function initThoughtsEventDelegation() {
         e.preventDefault();
         e.stopPropagation();
         const characterName = $(this).data('character');
-        removeCharacter(characterName);
+        recordEdit({ label: 'Removed character', where: characterName }, ['tracker'], () => removeCharacter(characterName));
     });
     // Avatar click — flip the card (avatar is now a flip trigger, not upload)
     $thoughtsContainer.on('click', '.rpg-character-avatar', function(e) {
@@ -261,7 +239,7 @@ export function initThoughtsEventDelegation() {
     $thoughtsContainer.on('click touchend', '.rpg-add-character-btn', function(e) {
         e.preventDefault();
         e.stopPropagation();
-        addNewCharacter();
+        recordEdit({ label: 'Added character', where: 'Present Characters' }, ['tracker'], () => addNewCharacter());
     });
     // Card flip — left click on card background (not interactive children) toggles front/back
     $thoughtsContainer.on('click', '.rpg-card-flipper', function(e) {
@@ -639,7 +617,12 @@ export function renderThoughts({ preserveScroll = false } = {}) {
                 // Render custom fields dynamically
                 for (const field of enabledFields) {
                     const rawValue = char[field.name];
-                    const fieldValue = escapeHtml(extractFieldValue(rawValue));
+                    const fieldValue = escapeHtml(formatFieldValue(field, rawValue));
+                    // Typed fields stay editable text, styled by type (badge,
+                    // yes/no state) with a bar beside ranged numbers
+                    const typedClass = getFieldValueClasses(field, rawValue);
+                    const typedClassAttr = typedClass ? ' ' + typedClass : '';
+                    const rangeBar = renderFieldRangeBar(field, rawValue);
                     const fieldId = escapeAttr(field.name.toLowerCase().replace(/\s+/g, '-'));
                     const fieldNameLower = field.name.toLowerCase();
                     const fieldNameAttr = escapeAttr(field.name);
@@ -651,12 +634,12 @@ export function renderThoughts({ preserveScroll = false } = {}) {
                     if (showLock) {
                         html += `
                                 <div class="rpg-character-field rpg-character-${fieldId}" style="position: relative;">
-                                    <span class="rpg-editable${emptyClass}" contenteditable="true" data-character="${nameAttr}" data-field="${fieldNameAttr}" title="Click to edit ${fieldNameAttr}" ${placeholder}>${fieldValue}</span>
+                                    <span class="rpg-editable${emptyClass}${typedClassAttr}" contenteditable="true" data-character="${nameAttr}" data-field="${fieldNameAttr}" title="Click to edit ${fieldNameAttr}" ${placeholder}>${fieldValue}</span>${rangeBar}
                                 </div>
                         `;
                     } else {
                         html += `
-                                <div class="rpg-character-field rpg-character-${fieldId} rpg-editable${emptyClass}" contenteditable="true" data-character="${nameAttr}" data-field="${fieldNameAttr}" title="Click to edit ${fieldNameAttr}" ${placeholder}>${fieldValue}</div>
+                                <div class="rpg-character-field rpg-character-${fieldId} rpg-editable${emptyClass}${typedClassAttr}" contenteditable="true" data-character="${nameAttr}" data-field="${fieldNameAttr}" title="Click to edit ${fieldNameAttr}" ${placeholder}>${fieldValue}</div>
                         `;
                     }
                 }
@@ -715,7 +698,7 @@ export function renderThoughts({ preserveScroll = false } = {}) {
                 // All custom fields with labels
                 for (const field of enabledFields) {
                     const rawVal = char[field.name];
-                    const val = escapeHtml(extractFieldValue(rawVal));
+                    const val = renderFieldValueHTML(field, rawVal);
                     html += `
                             <div class="rpg-card-back-section">
                                 <span class="rpg-card-back-label">${escapeHtml(field.name)}</span>
@@ -934,8 +917,11 @@ export function removeCharacter(characterName) {
 /**
  * Adds a new blank character to Present Characters data.
  * Creates a character with empty fields based on the tracker template.
+ *
+ * @param {string} [name='New Character']
+ * @param {string} [emoji='👤'] - JSON format only; the text format has no emoji line
  */
-export function addNewCharacter() {
+export function addNewCharacter(name = 'New Character', emoji = '👤') {
     const presentCharsConfig = extensionSettings.trackerConfig?.presentCharacters;
     const enabledFields = presentCharsConfig?.customFields?.filter(f => f && f.enabled && f.name) || [];
     const characterStats = presentCharsConfig?.characterStats;
@@ -958,8 +944,8 @@ export function addNewCharacter() {
         // JSON format - add new character object
         const charactersArray = Array.isArray(parsedData) ? parsedData : (parsedData.characters || []);
         const newCharacter = {
-            name: 'New Character',
-            emoji: '👤',
+            name,
+            emoji,
             details: {}
         };
         // Add all enabled custom fields as empty
@@ -990,7 +976,7 @@ export function addNewCharacter() {
         const lines = lastGeneratedData.characterThoughts.split('\n');
         const dividerIndex = lines.findIndex(line => line.includes('---'));
         if (dividerIndex >= 0) {
-            const newCharacterLines = ['- New Character'];
+            const newCharacterLines = [`- ${name}`];
             // Add custom detail fields as standalone lines
             for (const customField of enabledFields) {
                 newCharacterLines.push(`  ${customField.name}: `);
@@ -1141,9 +1127,13 @@ export function updateCharacterField(characterName, field, value) {
                         char.stats[field] = numValue;
                     }
                 } else {
-                    // It's a custom detail field - store in details object
+                    // It's a custom detail field - store in details object.
+                    // Typed fields store the typed value; text that doesn't
+                    // fit the type is kept as typed so the edit isn't lost.
                     if (!char.details) char.details = {};
-                    char.details[field] = value;
+                    const customField = enabledFields.find(f => f.name === field);
+                    const typedValue = customField ? coerceFieldValue(customField, value) : undefined;
+                    char.details[field] = typedValue === undefined ? value : typedValue;
                     // Clean up snake_case version if it exists (from AI generation)
                     const fieldKey = toSnakeCase(field);
                     if (fieldKey !== field && char.details[fieldKey] !== undefined) {
@@ -2189,7 +2179,7 @@ export function createThoughtPanel($message, thoughtsArray) {
         const character = $(this).data('character');
         const field = $(this).data('field');
         const value = $(this).text().trim();
-        updateCharacterField(character, field, value);
+        recordEdit({ label: `Edited ${field}`, where: character }, ['tracker'], () => updateCharacterField(character, field, value));
     });
     // Add event listener for section lock icon clicks (support both click and touch)
     $thoughtPanel.find('.rpg-section-lock-icon').on('click touchend', function(e) {
@@ -2200,7 +2190,7 @@ export function createThoughtPanel($message, thoughtsArray) {
         const itemPath = $icon.data('path');
         const currentlyLocked = isItemLocked(trackerType, itemPath);
         // Toggle lock state
-        setItemLock(trackerType, itemPath, !currentlyLocked);
+        recordEdit({ label: currentlyLocked ? 'Unlocked' : 'Locked', where: itemPath }, ['locks'], () => setItemLock(trackerType, itemPath, !currentlyLocked));
         // Update icon
         const newIcon = !currentlyLocked ? '🔒' : '🔓';
         const newTitle = !currentlyLocked ? 'Locked' : 'Unlocked';
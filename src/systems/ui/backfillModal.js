@@ -0,0 +1,155 @@
+/**
+ * Tracker Backfill Modal — front end for trackerBackfill.js. Shows the
+ * window/overwrite options with a live token estimate, then drives the run
+ * with a progress bar and Pause/Resume/Cancel.
+ *
+ * Closing the modal does not stop a run; reopening it shows the progress.
+ */
+import {
+    estimateBackfill,
+    runBackfill,
+    isBackfillRunning,
+    pauseBackfill,
+    resumeBackfill,
+    cancelBackfill
+} from '../generation/trackerBackfill.js';
+import { clearStatsCache } from './characterSheet.js';
+import { renderInfoBox } from '../rendering/infoBox.js';
+import { renderThoughts, updateChatThoughts } from '../rendering/thoughts.js';
+import { renderQuests } from '../rendering/quests.js';
+import { updateChatSceneHeaders, resetSceneHeaderCache } from '../rendering/sceneHeaders.js';
+import { updatePortraitBar } from './portraitBar.js';
+
+const MODAL_ID = 'rpg-backfill-popup';
+
+let _initialized = false;
+/** Ignores estimates that resolve after a newer one was requested. */
+let _estimateToken = 0;
+let _paused = false;
+
+export function initBackfillModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-backfill', openBackfillModal);
+    $(document).on('click', '#rpg-close-backfill', closeBackfillModal);
+    $(document).on('change', '#rpg-backfill-window, #rpg-backfill-overwrite', refreshEstimate);
+    $(document).on('click', '#rpg-backfill-start', startBackfill);
+    $(document).on('click', '#rpg-backfill-pause', () => {
+        if (_paused) resumeBackfill();
+        else pauseBackfill();
+    });
+    $(document).on('click', '#rpg-backfill-cancel', () => {
+        cancelBackfill();
+        $('#rpg-backfill-cancel').prop('disabled', true);
+    });
+
+    console.log('[Dooms Tracker] Backfill Modal initialized');
+}
+
+export function openBackfillModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Backfill modal element not found — template not loaded?');
+        return;
+    }
+    if (!isBackfillRunning()) {
+        setRunningUI(false);
+        refreshEstimate();
+    }
+    $modal.css('display', 'flex');
+}
+
+function closeBackfillModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+}
+
+function readOptions() {
+    return {
+        windowSize: parseInt(String($('#rpg-backfill-window').val()), 10) || 1,
+        overwrite: $('#rpg-backfill-overwrite').prop('checked') === true
+    };
+}
+
+async function refreshEstimate() {
+    const $estimate = $('#' + MODAL_ID + ' .rpg-backfill-estimate');
+    const token = ++_estimateToken;
+    $estimate.text('Estimating…');
+    try {
+        const estimate = await estimateBackfill(readOptions());
+        if (token !== _estimateToken) return;
+        if (estimate.windows === 0) {
+            $estimate.text('Every reply in this chat already has tracker data.');
+            $('#rpg-backfill-start').prop('disabled', true);
+            return;
+        }
+        $estimate.html(
+            `<strong>${estimate.messages}</strong> replies in <strong>${estimate.windows}</strong> request${estimate.windows === 1 ? '' : 's'}` +
+            ` · ~${estimate.inputTokens.toLocaleString()} prompt tokens + ~${estimate.outputTokens.toLocaleString()} reply tokens`
+        );
+        $('#rpg-backfill-start').prop('disabled', false);
+    } catch (error) {
+        if (token !== _estimateToken) return;
+        console.error('[Dooms Tracker] Backfill estimate failed:', error);
+        $estimate.text('Could not estimate this chat.');
+    }
+}
+
+function setRunningUI(running) {
+    $('#rpg-backfill-start').toggle(!running);
+    $('#rpg-backfill-pause').toggle(running);
+    $('#rpg-backfill-cancel').toggle(running).prop('disabled', false);
+    $('#rpg-backfill-window, #rpg-backfill-overwrite').prop('disabled', running);
+    if (running) $('#' + MODAL_ID + ' .rpg-backfill-progress').show();
+}
+
+function renderProgress({ done, total, written, failed, paused }) {
+    _paused = paused;
+    const percent = total ? Math.round((done / total) * 100) : 100;
+    $('#' + MODAL_ID + ' .rpg-backfill-progress-fill').css('width', percent + '%');
+    let text = `Request ${Math.min(done + 1, total)} of ${total} · ${written} repl${written === 1 ? 'y' : 'ies'} filled`;
+    if (failed) text += ` · ${failed} failed`;
+    if (paused) text += ' · paused';
+    $('#' + MODAL_ID + ' .rpg-backfill-progress-text').text(text);
+    $('#rpg-backfill-pause').html(paused
+        ? '<i class="fa-solid fa-play"></i> Resume'
+        : '<i class="fa-solid fa-pause"></i> Pause');
+}
+
+async function startBackfill() {
+    if (isBackfillRunning()) return;
+    setRunningUI(true);
+    let result;
+    try {
+        result = await runBackfill(readOptions(), renderProgress);
+    } catch (error) {
+        console.error('[Dooms Tracker] Backfill failed:', error);
+        toastr.error(`The backfill stopped: ${error.message}`);
+        return;
+    } finally {
+        setRunningUI(false);
+    }
+    if (!result) {
+        toastr.warning('A tracker update is already running — try again when it finishes.');
+        return;
+    }
+    if (result.written > 0) {
+        // Stats and scene transitions are mined from the per-swipe store,
+        // which just changed under them.
+        clearStatsCache();
+        resetSceneHeaderCache();
+        renderInfoBox();
+        renderThoughts();
+        renderQuests();
+        updateChatThoughts();
+        updateChatSceneHeaders();
+        updatePortraitBar();
+    }
+    const summary = `Backfilled ${result.written} repl${result.written === 1 ? 'y' : 'ies'}` +
+        (result.failed ? `, ${result.failed} request${result.failed === 1 ? '' : 's'} failed` : '');
+    if (result.cancelled) toastr.info(`${summary} before stopping.`);
+    else if (result.failed) toastr.warning(summary + '.');
+    else toastr.success(summary + '.');
+    $('#' + MODAL_ID + ' .rpg-backfill-progress-text').text(summary + '.');
+    refreshEstimate();
+}
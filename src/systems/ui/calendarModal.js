@@ -0,0 +1,174 @@
+/**
+ * Custom Calendar Modal — editor for the world clock's user-defined
+ * calendars (extensionSettings.calendar.customCalendars). Months and moons
+ * are edited as "Name: days" / "Name: cycle: offset" lines so a whole
+ * calendar can be pasted in one go.
+ *
+ * Also owns the active-calendar <select> in the Scene Tracker settings,
+ * since saving or deleting a calendar changes its options.
+ */
+import { extensionSettings } from '../../core/state.js';
+import { saveSettings } from '../../core/persistence.js';
+import { getCalendars } from '../features/worldClock.js';
+import { validateCalendar } from '../../utils/calendar.js';
+import { renderInfoBox } from '../rendering/infoBox.js';
+import { updateChatSceneHeaders } from '../rendering/sceneHeaders.js';
+import { escapeHtml, escapeAttr } from '../../utils/html.js';
+
+const MODAL_ID = 'rpg-calendar-popup';
+
+let _initialized = false;
+/** Id of the calendar shown in the form ('' for an unsaved new one). */
+let _editingId = '';
+
+export function initCalendarModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-calendar-editor', openCalendarModal);
+    $(document).on('click', '#rpg-close-calendar', closeCalendarModal);
+    $(document).on('change', '#rpg-calendar-select', function () {
+        loadCalendar(String($(this).val()));
+    });
+    $(document).on('click', '#rpg-calendar-new', () => loadCalendar(''));
+    $(document).on('click', '#rpg-calendar-delete', deleteCalendar);
+    $(document).on('click', '#rpg-calendar-save', saveCalendar);
+    $(document).on('input', '#' + MODAL_ID + ' .rpg-calendar-form :input', refreshPreview);
+
+    populateActiveCalendarSelect();
+    console.log('[Dooms Tracker] Calendar Modal initialized');
+}
+
+/**
+ * Fills the Scene Tracker settings' active-calendar dropdown.
+ */
+export function populateActiveCalendarSelect() {
+    const $select = $('#rpg-world-clock-calendar');
+    if (!$select.length) return;
+    const active = extensionSettings.calendar?.activeCalendar || 'gregorian';
+    $select.html(getCalendars()
+        .map(calendar => `<option value="${escapeAttr(calendar.id)}">${escapeHtml(calendar.name)}</option>`)
+        .join(''));
+    $select.val($select.find(`option[value="${CSS.escape(active)}"]`).length ? active : 'gregorian');
+}
+
+function getCustomCalendars() {
+    if (!Array.isArray(extensionSettings.calendar.customCalendars)) {
+        extensionSettings.calendar.customCalendars = [];
+    }
+    return extensionSettings.calendar.customCalendars;
+}
+
+export function openCalendarModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Calendar modal element not found — template not loaded?');
+        return;
+    }
+    const custom = getCustomCalendars();
+    const active = custom.find(calendar => calendar.id === extensionSettings.calendar.activeCalendar);
+    loadCalendar((active || custom[0])?.id || '');
+    $modal.css('display', 'flex');
+}
+
+function closeCalendarModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+}
+
+function renderCalendarList() {
+    const options = getCustomCalendars()
+        .map(calendar => `<option value="${escapeAttr(calendar.id)}">${escapeHtml(calendar.name)}</option>`);
+    if (!_editingId) options.push('<option value="">New calendar</option>');
+    $('#rpg-calendar-select').html(options.join('')).val(_editingId);
+    $('#rpg-calendar-delete').prop('disabled', !_editingId);
+}
+
+function loadCalendar(id) {
+    const calendar = getCustomCalendars().find(entry => entry.id === id);
+    _editingId = calendar ? calendar.id : '';
+    $('#rpg-calendar-name').val(calendar?.name || '');
+    $('#rpg-calendar-months').val((calendar?.months || []).map(month => `${month.name}: ${month.days}`).join('\n'));
+    $('#rpg-calendar-weekdays').val((calendar?.weekdays || []).join(', '));
+    $('#rpg-calendar-weekday-offset').val(calendar?.weekdayOffset || 0);
+    $('#rpg-calendar-moons').val((calendar?.moons || [])
+        .map(moon => `${moon.name}: ${moon.cycleDays}: ${moon.offsetDays || 0}`).join('\n'));
+    renderCalendarList();
+    refreshPreview();
+}
+
+function readLines(selector) {
+    return String($(selector).val() || '')
+        .split('\n')
+        .map(line => line.split(':').map(part => part.trim()))
+        .filter(parts => parts[0]);
+}
+
+/**
+ * Reads the form into a validated calendar.
+ * @throws {Error} When the form doesn't describe a usable calendar
+ */
+function readForm() {
+    return validateCalendar({
+        id: _editingId || `calendar-${Date.now().toString(36)}`,
+        name: $('#rpg-calendar-name').val(),
+        months: readLines('#rpg-calendar-months').map(([name, days]) => ({ name, days })),
+        weekdays: String($('#rpg-calendar-weekdays').val() || '').split(','),
+        weekdayOffset: $('#rpg-calendar-weekday-offset').val(),
+        moons: readLines('#rpg-calendar-moons').map(([name, cycleDays, offsetDays]) => ({ name, cycleDays, offsetDays }))
+    });
+}
+
+function refreshPreview() {
+    const $preview = $('#' + MODAL_ID + ' .rpg-calendar-preview');
+    try {
+        const calendar = readForm();
+        const yearLength = calendar.months.reduce((sum, month) => sum + month.days, 0);
+        const moons = calendar.moons.length
+            ? calendar.moons.map(moon => `${moon.name} (${moon.cycleDays} days)`).join(', ')
+            : 'no moons';
+        $preview.removeClass('rpg-calendar-preview-error').text(
+            `${yearLength}-day year · ${calendar.months.length} months · ${calendar.weekdays.length}-day week · ${moons}`
+        );
+    } catch (error) {
+        $preview.addClass('rpg-calendar-preview-error').text(`Not usable yet: ${error.message}.`);
+    }
+}
+
+function refreshWorldClock() {
+    populateActiveCalendarSelect();
+    renderInfoBox();
+    updateChatSceneHeaders();
+}
+
+function saveCalendar() {
+    let calendar;
+    try {
+        calendar = readForm();
+    } catch (error) {
+        toastr.error(`This calendar can't be saved: ${error.message}.`);
+        return;
+    }
+    const custom = getCustomCalendars();
+    const index = custom.findIndex(entry => entry.id === calendar.id);
+    if (index >= 0) custom[index] = calendar;
+    else custom.push(calendar);
+    _editingId = calendar.id;
+    saveSettings();
+    renderCalendarList();
+    refreshWorldClock();
+    toastr.success(`Saved calendar "${calendar.name}".`);
+}
+
+function deleteCalendar() {
+    if (!_editingId) return;
+    const custom = getCustomCalendars();
+    const calendar = custom.find(entry => entry.id === _editingId);
+    if (!calendar || !confirm(`Delete the calendar "${calendar.name}"?`)) return;
+    extensionSettings.calendar.customCalendars = custom.filter(entry => entry.id !== _editingId);
+    if (extensionSettings.calendar.activeCalendar === _editingId) {
+        extensionSettings.calendar.activeCalendar = 'gregorian';
+    }
+    saveSettings();
+    loadCalendar(extensionSettings.calendar.customCalendars[0]?.id || '');
+    refreshWorldClock();
+}
@@ -24,6 +24,7 @@ import { characters } from '../../../../../../../script.js';
 import { escapeHtml, escapeAttr } from '../../utils/html.js';
 import { findSimilarCharacter } from '../../utils/nameSimilarity.js';
 import { addCharacterAlias } from '../features/characterAliases.js';
+import { recordEdit } from '../features/editHistory.js';
 
 let contextMenuTarget = ''; // character name currently under right-click
 
@@ -484,8 +485,10 @@ function hideSimilarNamePanel() {
  * with no extra plumbing.
  */
 function addAliasToExisting(canonical, newName) {
-    addCharacterAlias(canonical, newName);
-    saveSettings();
+    recordEdit({ label: `Added alias "${newName}"`, where: canonical }, ['roster'], () => {
+        addCharacterAlias(canonical, newName);
+        saveSettings();
+    });
     if (window.toastr) {
         window.toastr.success(`"${newName}" added as an alias of ${canonical}.`, 'Character Roster', { timeOut: 4000 });
     }
@@ -500,9 +503,11 @@ function performCreateCharacter(trimmed) {
         };
         saveSettings();
     } else {
-        if (!extensionSettings.knownCharacters) extensionSettings.knownCharacters = {};
-        extensionSettings.knownCharacters[trimmed] = { emoji: '❓' };
-        saveSettings();
+        recordEdit({ label: 'Added to roster', where: trimmed }, ['roster'], () => {
+            if (!extensionSettings.knownCharacters) extensionSettings.knownCharacters = {};
+            extensionSettings.knownCharacters[trimmed] = { emoji: '❓' };
+            saveSettings();
+        });
         try {
             clearPortraitCache();
             updatePortraitBar();
@@ -722,7 +727,10 @@ function confirmAndDelete(name) {
         `Sheet data is kept.`
     );
     if (!ok) return;
-    purgeCharacter(name);
+    // User characters aren't part of the edit history; an undone NPC delete
+    // comes back without its portrait, which is gone from disk
+    if (rosterMode === 'users') purgeCharacter(name);
+    else recordEdit({ label: 'Deleted from roster (portrait not restorable)', where: name }, ['roster'], () => purgeCharacter(name));
     renderGrid();
     try {
         clearPortraitCache();
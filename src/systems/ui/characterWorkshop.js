@@ -29,6 +29,9 @@ import { getSafeThumbnailUrl, deletePortraitFromDiskByValue, purgePortraitHistor
 import { migrateAvatarsToFiles } from '../../utils/avatarMigration.js';
 import { renderThoughts } from '../rendering/thoughts.js';
 import { generateKnifeSuggestions } from '../generation/doomCounter.js';
+import { KNIFE_CONDITION_TYPES, getKnifeConditionContext, evaluateKnifeConditions, summarizeKnifeEligibility } from '../features/knifeConditions.js';
+import { buildKnifePack, downloadKnifePack } from '../features/knifePacks.js';
+import { getKnifeThemes, getKnifeTheme, getKnifeThemeCount } from '../features/knifeThemes.js';
 import { i18n } from '../../core/i18n.js';
 import { getAllWorldNames, activateWorld, isWorldActive } from '../lorebook/lorebookAPI.js';
 import {
@@ -41,6 +44,7 @@ import { desSetExtensionPrompt as setExtensionPrompt, recordPortraitArm, recordP
 import { getContext } from '../../../../../../extensions.js';
 import { power_user } from '../../../../../../power-user.js';
 import { escapeHtml } from '../../utils/html.js';
+import { recordEdit } from '../features/editHistory.js';
 import { DIALOGUE_COLOR_LIST } from '../../utils/dialogueColors.js';
 
 /**
@@ -115,23 +119,9 @@ let $modal = null;
 let listenersBound = false;
 /** Guard so rapid clicks on Generate Knives don't stack API calls. */
 let _knifeGenInProgress = false;
+/** Knife ids whose condition editor is open. */
+const _openKnifeConditions = new Set();
 
-/**
- * Knife generation themes. Clicking Generate Knives shows these as chips;
- * the chosen theme steers the AI so every batch doesn't drift toward
- * betrayal/villainy — Regrets and Fortune in particular produce knives
- * that make a character sympathetic or lucky rather than compromised.
- */
-const KNIFE_THEMES = [
-    { id: 'mixed',    emoji: '🎲', label: 'Mixed',      guidance: 'Mix sympathetic, neutral, and compromising beats across the options — debts, secrets, old flames, rivals, regrets, lucky breaks. Do NOT make every knife paint the character as a villain or traitor.' },
-    { id: 'betrayal', emoji: '🗡️', label: 'Betrayal',   guidance: 'Focus on betrayal where {{user}} is the betrayed party — divided loyalties, double lives, deals with the wrong side, and broken promises that are set to cut {{user}} specifically, not strangers or off-screen characters.' },
-    { id: 'enemies',  emoji: '⚔️', label: 'Enemies',    guidance: 'Focus on rivals, grudges, and people from the character\'s past hunting them or wanting them ruined — danger that comes FOR the character, not treachery BY them.' },
-    { id: 'debts',    emoji: '💰', label: 'Debts',      guidance: 'Focus on money owed, favors about to be called in, contracts, and obligations the character cannot easily pay.' },
-    { id: 'flames',   emoji: '💔', label: 'Old Flames', guidance: 'Focus on past romances, heartbreak, lost loves, exes, and unresolved feelings that resurface.' },
-    { id: 'secrets',  emoji: '🤫', label: 'Secrets',    guidance: 'Focus on hidden identities, concealed pasts, and truths the character keeps — not necessarily shameful ones: some secrets are protective, sad, or wondrous.' },
-    { id: 'regrets',  emoji: '🩹', label: 'Regrets',    guidance: 'Focus on guilt, grief, old wounds, and mistakes that haunt the character — sympathetic beats that make them vulnerable rather than villainous.' },
-    { id: 'fortune',  emoji: '🍀', label: 'Fortune',    guidance: 'Focus on POSITIVE surprises: inheritances, secret talents, old friends returning with help, debts owed TO the character, lucky breaks from their past.' },
-];
 let _wsInitialized = false; // guard: don't double-register window/eventSource listeners
 let pendingInjectClear = false; // true while an inject prompt is queued
 // True only between a real (non-quiet, non-dryRun) GENERATION_STARTED and its
@@ -393,6 +383,7 @@ export function openCharacterWorkshop(characterName, options = {}) {
     renderInjection();
     renderKnives();
     $modal.find('#cw-knife-input').val('');
+    _openKnifeConditions.clear();
     clearKnifeSuggestions();
     renderAliases();
     $modal.find('#cw-alias-input').val('');
@@ -607,6 +598,39 @@ export function clearAllInjects() {
     console.log(`[Dooms Tracker] Workshop: clearAllInjects — cleared ${count} pending`);
 }
 
+/**
+ * Inject a character without the Workshop open — same path as the Inject
+ * button, fed from the character's saved Workshop data (description,
+ * lorebook, prompt template, portrait). Used by the public API
+ * (publicApi.js). If the Workshop is open on this character, its unsaved
+ * draft is used, as the button would.
+ *
+ * @param {string} name
+ * @param {boolean} [isUser=false] - Inject a user character (persona) instead of an NPC
+ * @returns {boolean} False for an empty name or an unknown persona
+ */
+export function injectCharacterByName(name, isUser = false) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) return false;
+    if (isUser && !extensionSettings?.userCharacters?.[trimmed]) return false;
+    // The inject helpers read the draft; borrow one for the call and put
+    // back whatever the Workshop had open.
+    const previous = draft;
+    if (!draft || draft.name !== trimmed || draft.isUser !== isUser) {
+        draft = buildDraft(trimmed, isUser);
+    }
+    try {
+        if (isUser) {
+            injectUserPersona(trimmed);
+        } else {
+            injectIntoScene(trimmed);
+        }
+    } finally {
+        draft = previous;
+    }
+    return true;
+}
+
 // ---------------------------------------------------------------------------
 
 function ensureModal() {
@@ -704,9 +728,9 @@ function renderTitle() {
  */
 function renderKnifeThemePicker() {
     const $sugg = $modal.find('#cw-knife-suggestions');
-    const chips = KNIFE_THEMES.map((t, i) => `
-        <button type="button" class="rpg-rel-chip cw-knife-theme-chip" data-theme-index="${i}" title="${escapeHtml(t.guidance)}">
-            <span>${t.emoji}</span> ${t.label}
+    const chips = getKnifeThemes().map(t => `
+        <button type="button" class="rpg-rel-chip cw-knife-theme-chip" data-theme-id="${escapeHtml(t.id)}" title="${escapeHtml(t.guidance)}">
+            <span>${escapeHtml(t.emoji)}</span> ${escapeHtml(t.label)}
         </button>
     `).join('');
     $sugg.prop('hidden', false).html(`
@@ -720,7 +744,7 @@ function renderKnifeThemePicker() {
  * can pick which ones to keep. Suggestions are stashed on the container's
  * data so the Keep handler can read them back by index.
  */
-function renderKnifeSuggestions(suggestions) {
+function renderKnifeSuggestions(suggestions, theme = null) {
     const $sugg = $modal.find('#cw-knife-suggestions');
     const rows = suggestions.map((text, i) => `
         <label class="cw-knife-suggestion">
@@ -740,10 +764,11 @@ function renderKnifeSuggestions(suggestions) {
         </div>
     `);
     $sugg.data('suggestions', suggestions);
+    $sugg.data('theme', theme?.id || '');
 }
 
 function clearKnifeSuggestions() {
-    $modal.find('#cw-knife-suggestions').prop('hidden', true).empty().removeData('suggestions');
+    $modal.find('#cw-knife-suggestions').prop('hidden', true).empty().removeData('suggestions').removeData('theme');
 }
 
 function renderKnives() {
@@ -754,17 +779,45 @@ function renderKnives() {
         $list.html('<div class="rpg-dc-knives-empty">No knives yet — story beats you add here lie in wait until the Doom Counter strikes while this character is in the scene.</div>');
         return;
     }
-    $list.html(knives.map(k => `
+    const conditionContext = getKnifeConditionContext();
+    $list.html(knives.map(k => {
+        const theme = getKnifeTheme(k.theme);
+        const conditions = Array.isArray(k.conditions) ? k.conditions : [];
+        const open = _openKnifeConditions.has(k.id);
+        const evaluation = evaluateKnifeConditions(k, draft.name, draft.isUser, conditionContext);
+        const eligibility = conditions.length ? `
+            <div class="rpg-dc-knife-eligibility ${evaluation.eligible ? 'rpg-dc-knife-eligible' : 'rpg-dc-knife-ineligible'}">
+                ${evaluation.eligible ? '✓' : '✗'} ${escapeHtml(summarizeKnifeEligibility(evaluation))}
+            </div>` : '';
+        const typeOptions = type => Object.entries(KNIFE_CONDITION_TYPES)
+            .map(([value, def]) => `<option value="${value}"${value === type ? ' selected' : ''}>${escapeHtml(def.label)}</option>`).join('');
+        const editor = open ? `
+            <div class="rpg-dc-knife-conditions">
+                ${conditions.map((c, i) => `
+                    <div class="rpg-dc-knife-condition" data-index="${i}">
+                        <select class="rpg-input rpg-dc-knife-condition-type">${typeOptions(c.type)}</select>
+                        <input type="text" class="rpg-input rpg-dc-knife-condition-value" value="${escapeHtml(c.value || '')}" placeholder="${escapeHtml(KNIFE_CONDITION_TYPES[c.type]?.placeholder || '')}">
+                        <button class="rpg-dc-knife-btn rpg-dc-knife-condition-remove" type="button" title="Remove condition"><i class="fa-solid fa-xmark"></i></button>
+                    </div>
+                `).join('')}
+                <button class="rpg-btn rpg-dc-knife-condition-add" type="button"><i class="fa-solid fa-plus"></i> Add condition</button>
+                <span class="muted rpg-dc-knife-conditions-hint">All conditions must hold for the Doom Counter to draw this knife.</span>
+            </div>` : '';
+        return `
         <div class="rpg-dc-knife-row${k.used ? ' rpg-dc-knife-used' : ''}" data-id="${escapeHtml(k.id)}">
-            <span class="rpg-dc-knife-icon">🔪</span>
+            <button class="rpg-dc-knife-icon rpg-dc-knife-theme" type="button" title="Theme: ${escapeHtml(theme ? theme.label : 'none')} — click to change">${theme ? escapeHtml(theme.emoji) : '🔪'}</button>
             <span class="rpg-dc-knife-text">${escapeHtml(k.text)}</span>
             ${k.used ? `
                 <span class="rpg-dc-knife-used-badge">used</span>
                 <button class="rpg-dc-knife-btn rpg-dc-knife-rearm" type="button" title="Re-arm this knife so it can be offered again"><i class="fa-solid fa-rotate-left"></i></button>
             ` : ''}
+            <button class="rpg-dc-knife-btn rpg-dc-knife-conditions-toggle${conditions.length ? ' rpg-dc-knife-has-conditions' : ''}" type="button" title="Conditions — only draw this knife when the scene matches"><i class="fa-solid fa-filter"></i>${conditions.length ? ` ${conditions.length}` : ''}</button>
             <button class="rpg-dc-knife-btn rpg-dc-knife-delete" type="button" title="Delete knife"><i class="fa-solid fa-trash"></i></button>
+            ${eligibility}
+            ${editor}
         </div>
-    `).join(''));
+    `;
+    }).join(''));
 }
 
 function isHiddenFromPanel(name) {
@@ -1101,6 +1154,53 @@ function bindStaticListeners() {
         draft.dirty.knives = true;
         renderKnives();
     });
+    // Theme icon cycles none → each theme → none (story meters draw knives by theme)
+    $modal.on('click.cw', '#cw-knives-list .rpg-dc-knife-theme', function () {
+        if (!draft) return;
+        const id = $(this).closest('.rpg-dc-knife-row').data('id');
+        const ids = ['', ...getKnifeThemes().map(t => t.id)];
+        draft.knives = draft.knives.map(k => {
+            if (k.id !== id) return k;
+            const next = ids[(ids.indexOf(k.theme || '') + 1) % ids.length];
+            const { theme, ...rest } = k;
+            return next ? { ...rest, theme: next } : rest;
+        });
+        draft.dirty.knives = true;
+        renderKnives();
+    });
+    // Knife conditions — edited on the draft, saved with the knives
+    const updateKnifeConditions = (el, update) => {
+        const id = $(el).closest('.rpg-dc-knife-row').data('id');
+        draft.knives = draft.knives.map(k => k.id === id ? { ...k, conditions: update(Array.isArray(k.conditions) ? [...k.conditions] : []) } : k);
+        draft.dirty.knives = true;
+        renderKnives();
+    };
+    $modal.on('click.cw', '#cw-knives-list .rpg-dc-knife-conditions-toggle', function () {
+        if (!draft) return;
+        const id = $(this).closest('.rpg-dc-knife-row').data('id');
+        if (_openKnifeConditions.has(id)) _openKnifeConditions.delete(id);
+        else _openKnifeConditions.add(id);
+        renderKnives();
+    });
+    $modal.on('click.cw', '#cw-knives-list .rpg-dc-knife-condition-add', function () {
+        if (!draft) return;
+        updateKnifeConditions(this, list => [...list, { type: 'location', value: '' }]);
+    });
+    $modal.on('click.cw', '#cw-knives-list .rpg-dc-knife-condition-remove', function () {
+        if (!draft) return;
+        const index = parseInt($(this).closest('.rpg-dc-knife-condition').data('index'));
+        updateKnifeConditions(this, list => list.filter((_, i) => i !== index));
+    });
+    $modal.on('change.cw', '#cw-knives-list .rpg-dc-knife-condition-type, #cw-knives-list .rpg-dc-knife-condition-value', function () {
+        if (!draft) return;
+        const $condition = $(this).closest('.rpg-dc-knife-condition');
+        const index = parseInt($condition.data('index'));
+        const next = {
+            type: String($condition.find('.rpg-dc-knife-condition-type').val()),
+            value: String($condition.find('.rpg-dc-knife-condition-value').val() || '').trim()
+        };
+        updateKnifeConditions(this, list => list.map((c, i) => i === index ? next : c));
+    });
     $modal.on('click.cw', '#cw-knives-list .rpg-dc-knife-rearm', function () {
         if (!draft) return;
         const id = $(this).closest('.rpg-dc-knife-row').data('id');
@@ -1152,7 +1252,7 @@ function bindStaticListeners() {
     });
     $modal.on('click.cw', '.cw-knife-theme-chip', async function () {
         if (!draft || _knifeGenInProgress) return;
-        const theme = KNIFE_THEMES[parseInt($(this).attr('data-theme-index'))];
+        const theme = getKnifeTheme($(this).attr('data-theme-id'));
         if (!theme) return;
         _knifeGenInProgress = true;
         const $btn = $modal.find('#cw-knife-generate');
@@ -1163,14 +1263,14 @@ function bindStaticListeners() {
         try {
             const suggestions = await generateKnifeSuggestions(forName, {
                 isUser: draft.isUser,
-                count: 5,
+                count: getKnifeThemeCount(theme),
                 existingKnives: (draft.knives || []).map(k => k.text),
                 theme,
             });
             // Modal may have closed or switched character during the API call
             if (!draft || draft.name !== forName) return;
             if (!suggestions.length) throw new Error('Empty suggestion list');
-            renderKnifeSuggestions(suggestions);
+            renderKnifeSuggestions(suggestions, theme);
         } catch (e) {
             console.error('[Dooms Tracker] Workshop: knife generation failed', e);
             if (draft && draft.name === forName) {
@@ -1196,7 +1296,8 @@ function bindStaticListeners() {
             return;
         }
         const now = Date.now();
-        picked.forEach((text, i) => draft.knives.push({ id: `knife_${now}_${i}`, text, used: false }));
+        const theme = $sugg.data('theme') || '';
+        picked.forEach((text, i) => draft.knives.push({ id: `knife_${now}_${i}`, text, used: false, ...(theme ? { theme } : {}) }));
         draft.dirty.knives = true;
         clearKnifeSuggestions();
         renderKnives();
@@ -1204,6 +1305,17 @@ function bindStaticListeners() {
     $modal.on('click.cw', '#cw-knife-sugg-discard', function () {
         clearKnifeSuggestions();
     });
+    // Export the knives as shown (unsaved edits included) as a knife pack
+    $modal.on('click.cw', '#cw-knife-export', function () {
+        if (!draft) return;
+        const knives = (draft.knives || []).filter(k => k.text);
+        if (!knives.length) {
+            try { if (window.toastr) window.toastr.info('This character has no knives to export yet.', 'Character Workshop', { timeOut: 3000 }); } catch (e) {}
+            return;
+        }
+        const owner = { type: 'character', name: draft.name, isUser: !!draft.isUser };
+        downloadKnifePack(buildKnifePack(draft.name, [{ owner, knives }]));
+    });
     $modal.on('click.cw', function (e) {
         if (e.target === this) closeCharacterWorkshop();
     });
@@ -1517,7 +1629,8 @@ function bindStaticListeners() {
     $modal.on('change.cw', '#cw-banish', function () {
         if (!draft) return;
         const checked = $(this).prop('checked');
-        setCharacterBanished(draft.name, !!checked);
+        recordEdit({ label: checked ? 'Banished' : 'Unbanished', where: draft.name }, ['roster'],
+            () => setCharacterBanished(draft.name, !!checked));
         renderHiddenBanner();
         try {
             if (window.toastr) {
@@ -0,0 +1,188 @@
+/**
+ * Chat Bundle Modal — exports the open chat's DES state as one bundle file,
+ * and imports a bundle after showing what it would overwrite
+ * (chatBundle.js).
+ */
+import {
+    buildChatBundle,
+    downloadChatBundle,
+    parseChatBundle,
+    planChatBundleImport,
+    applyChatBundleImport
+} from '../features/chatBundle.js';
+import { onCharacterChanged } from '../integration/sillytavern.js';
+import { notifyTrackerChanged } from '../integration/publicApi.js';
+import { updateTrackerJsonDropdowns } from '../rendering/trackerJsonInline.js';
+import { escapeHtml } from '../../utils/html.js';
+import { pickJSONFile } from '../../utils/fileTransfer.js';
+
+const MODAL_ID = 'rpg-chat-bundle-popup';
+
+const MATCH_LABELS = {
+    index: 'same position and text',
+    hash: 'same text, moved',
+    position: 'same position, text differs'
+};
+
+let _initialized = false;
+/** Import waiting for confirmation: the plan from planChatBundleImport. */
+let _pendingPlan = null;
+
+export function initChatBundleModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-chat-bundle', openChatBundleModal);
+    $(document).on('click', '#rpg-close-chat-bundle', closeChatBundleModal);
+    $(document).on('click', '#rpg-bundle-export', exportBundle);
+    $(document).on('click', '#rpg-bundle-import', pickBundleFile);
+    $(document).on('click', '#rpg-bundle-apply', applyImport);
+    $(document).on('click', '#rpg-bundle-cancel', () => showImportPreview(null));
+    $(document).on('change', '#rpg-bundle-by-index, #rpg-bundle-replace-portraits', () => {
+        if (_pendingPlan) showImportPreview(planChatBundleImport(_pendingPlan.bundle, readOptions()));
+    });
+
+    console.log('[Dooms Tracker] Chat Bundle Modal initialized');
+}
+
+export function openChatBundleModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Chat bundle modal element not found — template not loaded?');
+        return;
+    }
+    showImportPreview(null);
+    $modal.css('display', 'flex');
+}
+
+function closeChatBundleModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+    _pendingPlan = null;
+}
+
+function readOptions() {
+    return {
+        byIndex: $('#rpg-bundle-by-index').prop('checked'),
+        replacePortraits: $('#rpg-bundle-replace-portraits').prop('checked')
+    };
+}
+
+async function exportBundle() {
+    const $button = $('#rpg-bundle-export').prop('disabled', true);
+    try {
+        const bundle = await buildChatBundle();
+        downloadChatBundle(bundle);
+        const portraits = Object.keys(bundle.portraits).length;
+        toastr.success(`Exported this chat with ${bundle.messages.length} message tracker(s) and ${portraits} portrait(s).`);
+    } catch (error) {
+        console.error('[Dooms Tracker] Chat bundle export failed:', error);
+        toastr.error(`Couldn't export the chat: ${error.message}`);
+    } finally {
+        $button.prop('disabled', false);
+    }
+}
+
+function pickBundleFile() {
+    pickJSONFile((text) => {
+        try {
+            const bundle = parseChatBundle(text);
+            $('#rpg-bundle-by-index, #rpg-bundle-replace-portraits').prop('checked', false);
+            showImportPreview(planChatBundleImport(bundle, readOptions()));
+        } catch (error) {
+            console.error('[Dooms Tracker] Chat bundle import failed:', error);
+            toastr.error(`Couldn't read the chat bundle: ${error.message}`);
+        }
+    });
+}
+
+function section(title, rows) {
+    return `
+        <div class="rpg-pack-owner">
+            <div class="rpg-pack-owner-header">${escapeHtml(title)}</div>
+            ${rows.join('') || '<div class="rpg-pack-diff-skip">Nothing</div>'}
+        </div>`;
+}
+
+function nameList(names) {
+    return escapeHtml(names.join(', '));
+}
+
+/**
+ * Shows (or hides, with null) what a pending import would do.
+ * @param {Object|null} plan
+ */
+function showImportPreview(plan) {
+    _pendingPlan = plan;
+    const $modal = $('#' + MODAL_ID);
+    $modal.find('.rpg-bundle-export-view').toggle(!plan);
+    $modal.find('.rpg-bundle-import-view').toggle(!!plan);
+    $('#rpg-bundle-export, #rpg-bundle-import').toggle(!plan);
+    $('#rpg-bundle-apply, #rpg-bundle-cancel').toggle(!!plan);
+    if (!plan) return;
+
+    const { bundle } = plan;
+    const from = [bundle.characterName, bundle.chatName].filter(Boolean).join(' — ') || 'an unnamed chat';
+    const date = bundle.exportDate ? `, exported ${new Date(bundle.exportDate).toLocaleString()}` : '';
+    $modal.find('.rpg-bundle-import-summary').text(`From ${from} (bundle v${bundle.version}${date}). Review what importing replaces in this chat:`);
+
+    const fields = plan.fields.map(({ label, overwrites }) => overwrites
+        ? `<div class="rpg-bundle-diff-replace">✎ ${escapeHtml(label)} <em>(replaces this chat's)</em></div>`
+        : `<div class="rpg-pack-diff-add">+ ${escapeHtml(label)}</div>`);
+
+    const roster = [];
+    if (plan.roster.added.length) roster.push(`<div class="rpg-pack-diff-add">+ ${nameList(plan.roster.added)}</div>`);
+    if (plan.roster.overwritten.length) {
+        roster.push(`<div class="rpg-bundle-diff-replace">✎ ${nameList(plan.roster.overwritten)} <em>(emoji and settings replaced)</em></div>`);
+    }
+
+    const matched = plan.messages.filter(message => message.target !== null);
+    const unmatched = plan.messages.filter(message => message.target === null);
+    const messages = Object.entries(MATCH_LABELS).map(([matchedBy, label]) => {
+        const group = matched.filter(message => message.matchedBy === matchedBy);
+        if (!group.length) return '';
+        const replacing = group.filter(message => message.overwrites).length;
+        const note = replacing ? ` <em>(${replacing} replace stored trackers)</em>` : '';
+        const className = replacing ? 'rpg-bundle-diff-replace' : 'rpg-pack-diff-add';
+        return `<div class="${className}">${group.length} × ${escapeHtml(label)}${note}</div>`;
+    });
+    if (unmatched.length) {
+        const where = unmatched.slice(0, 12).map(message => `#${message.entry.index}`).join(', ') + (unmatched.length > 12 ? '…' : '');
+        messages.push(`<div class="rpg-pack-diff-skip">&minus; ${unmatched.length} not found in this chat, skipped: ${escapeHtml(where)}</div>`);
+    }
+
+    const portraits = [];
+    if (plan.portraits.added.length) portraits.push(`<div class="rpg-pack-diff-add">+ ${nameList(plan.portraits.added)}</div>`);
+    if (plan.portraits.replaced.length) {
+        portraits.push(`<div class="rpg-bundle-diff-replace">✎ ${nameList(plan.portraits.replaced)} <em>(current portrait kept in history)</em></div>`);
+    }
+    if (plan.portraits.kept.length) {
+        portraits.push(`<div class="rpg-pack-diff-skip">= ${nameList(plan.portraits.kept)} <em>(already have a portrait)</em></div>`);
+    }
+
+    $modal.find('.rpg-pack-diff').html([
+        section('Chat state', fields),
+        section('Character roster', roster),
+        section(`Message trackers (${plan.messages.length})`, messages),
+        section('Portraits', portraits)
+    ].join(''));
+}
+
+async function applyImport() {
+    if (!_pendingPlan) return;
+    const plan = _pendingPlan;
+    const $button = $('#rpg-bundle-apply').prop('disabled', true);
+    try {
+        const { messages, portraits } = await applyChatBundleImport(plan);
+        // Reload and re-render everything the way a chat switch does
+        onCharacterChanged();
+        updateTrackerJsonDropdowns();
+        notifyTrackerChanged('import');
+        toastr.success(`Imported ${plan.fields.length} chat field(s), ${messages} message tracker(s) and ${portraits} portrait(s).`);
+        showImportPreview(null);
+    } catch (error) {
+        console.error('[Dooms Tracker] Chat bundle import failed:', error);
+        toastr.error(`Couldn't import the chat bundle: ${error.message}`);
+    } finally {
+        $button.prop('disabled', false);
+    }
+}
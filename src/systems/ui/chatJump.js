@@ -0,0 +1,25 @@
+/**
+ * Chat Jump — scrolls the chat to a message and flashes it, for the modals
+ * that list messages (tension chart, twist journal, tracker timeline).
+ */
+
+const FLASH_CLASS = 'rpg-chat-jump-flash';
+
+/**
+ * Scrolls the chat to a message, if it is rendered, closing the modal that
+ * asked first so the message is visible.
+ * @param {number} mesId
+ * @param {Function} closeModal
+ */
+export function jumpToChatMessage(mesId, closeModal) {
+    if (!Number.isInteger(mesId)) return;
+    const messageElement = document.querySelector(`#chat .mes[mesid="${mesId}"]`);
+    if (!messageElement) {
+        toastr.info(`Message #${mesId} isn't loaded in the chat view — scroll up to load older messages first.`);
+        return;
+    }
+    closeModal();
+    messageElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    messageElement.classList.add(FLASH_CLASS);
+    setTimeout(() => messageElement.classList.remove(FLASH_CLASS), 1600);
+}
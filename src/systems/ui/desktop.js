@@ -4,6 +4,7 @@
  */
 import { i18n } from '../../core/i18n.js';
 import { extensionSettings, lastGeneratedData, committedTrackerData } from '../../core/state.js';
+import { getWorldClock } from '../features/worldClock.js';
 /**
  * Helper to parse time string and calculate clock hand angles
  */
@@ -46,19 +47,25 @@ export function updateStripWidgets() {
             console.warn('[RPG Strip Widgets] Failed to parse infoBox:', e);
         }
     }
+    // Normalized date/time from the calendar engine (null when it's off)
+    const worldClock = getWorldClock();
     // Clock Widget with animated face
     const $clockWidget = $container.find('.rpg-strip-widget-clock');
     if (widgetSettings.clock?.enabled && infoData?.time) {
-        const timeStr = typeof infoData.time === 'string'
-            ? infoData.time
-            : (infoData.time.end || infoData.time.value || infoData.time.start || '');
+        const timeStr = worldClock?.time
+            ? worldClock.time.split('→').pop().trim()
+            : typeof infoData.time === 'string'
+                ? infoData.time
+                : (infoData.time.end || infoData.time.value || infoData.time.start || '');
         if (timeStr) {
             // Update clock hands
             const { hourAngle, minuteAngle } = parseTimeForClock(timeStr);
             $clockWidget.find('.rpg-strip-clock-hour').css('transform', `rotate(${hourAngle}deg)`);
             $clockWidget.find('.rpg-strip-clock-minute').css('transform', `rotate(${minuteAngle}deg)`);
             $clockWidget.find('.rpg-strip-widget-value').text(timeStr);
-            $clockWidget.attr('title', `Time: ${timeStr}`);
+            const clockNote = worldClock?.timeWarning || (worldClock?.elapsed ? `${worldClock.elapsed} since the previous reply` : '');
+            $clockWidget.attr('title', clockNote ? `Time: ${timeStr}\n${clockNote}` : `Time: ${timeStr}`);
+            $clockWidget.toggleClass('rpg-strip-widget-warning', !!worldClock?.timeWarning);
             $clockWidget.addClass('rpg-strip-widget-visible');
         } else {
             $clockWidget.removeClass('rpg-strip-widget-visible');
@@ -68,7 +75,7 @@ export function updateStripWidgets() {
     }
     // Date Widget
     const $dateWidget = $container.find('.rpg-strip-widget-date');
-    const dateVal = infoData?.date ? (typeof infoData.date === 'string' ? infoData.date : infoData.date.value) : null;
+    const dateVal = worldClock?.date || (infoData?.date ? (typeof infoData.date === 'string' ? infoData.date : infoData.date.value) : null);
     if (widgetSettings.date?.enabled && dateVal) {
         // Truncate long dates for display
         const displayDate = dateVal.length > 20 ? dateVal.substring(0, 18) + '…' : dateVal;
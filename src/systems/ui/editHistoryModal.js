@@ -0,0 +1,146 @@
+/**
+ * Edit History Modal — lists this chat's manual edits and undoes or redoes
+ * them (editHistory.js). Ctrl+Z undoes and Ctrl+Shift+Z or Ctrl+Y redoes
+ * (Cmd on macOS) whenever no text field has focus.
+ */
+import {
+    getEditHistory,
+    undoEdit,
+    redoEdit,
+    clearEditHistory,
+    onEditHistoryChanged
+} from '../features/editHistory.js';
+import { extensionSettings } from '../../core/state.js';
+import { notifyTrackerChanged } from '../integration/publicApi.js';
+import { renderInfoBox } from '../rendering/infoBox.js';
+import { renderThoughts, updateChatThoughts } from '../rendering/thoughts.js';
+import { renderQuests } from '../rendering/quests.js';
+import { updateChatSceneHeaders, resetSceneHeaderCache } from '../rendering/sceneHeaders.js';
+import { updateTrackerJsonDropdowns } from '../rendering/trackerJsonInline.js';
+import { updatePortraitBar, clearPortraitCache } from './portraitBar.js';
+import { refreshBanPrompt } from './characterWorkshop.js';
+import { escapeHtml } from '../../utils/html.js';
+
+const MODAL_ID = 'rpg-edit-history-popup';
+
+let _initialized = false;
+
+export function initEditHistoryModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-edit-history', openEditHistoryModal);
+    $(document).on('click', '#rpg-close-edit-history', closeEditHistoryModal);
+    $(document).on('click', '#rpg-edit-history-undo', undo);
+    $(document).on('click', '#rpg-edit-history-redo', redo);
+    $(document).on('click', '#rpg-edit-history-clear', clearEditHistory);
+    $(document).on('keydown', handleShortcut);
+    onEditHistoryChanged(() => {
+        if ($('#' + MODAL_ID).css('display') !== 'none') renderHistory();
+    });
+
+    console.log('[Dooms Tracker] Edit History Modal initialized');
+}
+
+export function openEditHistoryModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Edit history modal element not found — template not loaded?');
+        return;
+    }
+    renderHistory();
+    $modal.css('display', 'flex');
+}
+
+function closeEditHistoryModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+}
+
+/**
+ * Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y, left alone while typing so
+ * text fields keep their own undo.
+ * @param {KeyboardEvent} e
+ */
+function handleShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.defaultPrevented) return;
+    const key = String(e.key).toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+    if (extensionSettings.enabled === false) return;
+    const target = e.target;
+    if (target instanceof HTMLElement && (target.isContentEditable || $(target).is('input, textarea, select'))) return;
+    e.preventDefault();
+    if (isUndo) undo();
+    else redo();
+}
+
+/**
+ * Re-renders what an undone or redone edit may have changed.
+ * @param {string[]} scopes
+ */
+function refreshAfter(scopes) {
+    if (scopes.includes('roster')) {
+        refreshBanPrompt();
+        clearPortraitCache();
+    }
+    renderInfoBox();
+    renderThoughts();
+    renderQuests();
+    if (scopes.includes('tracker')) {
+        resetSceneHeaderCache();
+        updateChatSceneHeaders();
+        updateChatThoughts();
+        updateTrackerJsonDropdowns();
+    }
+    updatePortraitBar();
+    if (scopes.includes('tracker')) notifyTrackerChanged('undo');
+}
+
+function describe(entry) {
+    return entry.where ? `${entry.label} (${entry.where})` : entry.label;
+}
+
+function report(result, verb) {
+    if (result.ok) {
+        refreshAfter(result.entry.scopes);
+        toastr.info(`${verb}: ${describe(result.entry)}`, '', { timeOut: 2500 });
+    } else if (result.reason === 'changed') {
+        toastr.warning(`Couldn't ${verb.toLowerCase()} "${describe(result.entry)}": the tracker or roster has changed since (a new reply, a swipe or another edit).`);
+    } else {
+        toastr.info(verb === 'Undid' ? 'Nothing to undo in this chat.' : 'Nothing to redo in this chat.', '', { timeOut: 2000 });
+    }
+}
+
+function undo() {
+    report(undoEdit(), 'Undid');
+}
+
+function redo() {
+    report(redoEdit(), 'Redid');
+}
+
+function entryRow(entry, undone) {
+    const time = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    return `
+        <div class="rpg-edit-history-entry${undone ? ' rpg-edit-history-undone' : ''}">
+            <span class="rpg-edit-history-time">${escapeHtml(time)}</span>
+            <span class="rpg-edit-history-label">${escapeHtml(entry.label)}</span>
+            <span class="rpg-edit-history-where">${escapeHtml(entry.where)}</span>
+            ${undone ? '<span class="rpg-pack-count">undone</span>' : ''}
+        </div>`;
+}
+
+function renderHistory() {
+    const { undo: done, redo: undone } = getEditHistory();
+    const $list = $('#' + MODAL_ID).find('.rpg-edit-history-list');
+    if (!done.length && !undone.length) {
+        $list.html('<p class="rpg-note-text">No manual edits in this chat yet.</p>');
+    } else {
+        // Newest at the top: undone edits sit above the ones still applied
+        $list.html([...[...undone].reverse().map(entry => entryRow(entry, true)), ...done.map(entry => entryRow(entry, false))].join(''));
+    }
+    $('#rpg-edit-history-undo').prop('disabled', !done.length);
+    $('#rpg-edit-history-redo').prop('disabled', !undone.length);
+    $('#rpg-edit-history-clear').prop('disabled', !done.length && !undone.length);
+}
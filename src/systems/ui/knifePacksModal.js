@@ -0,0 +1,185 @@
+/**
+ * Knife Packs Modal — export any selection of knives (by character, world
+ * deck or theme) as a pack file, and import packs after reviewing what they
+ * would add (knifePacks.js).
+ */
+import {
+    getKnifeOwners,
+    buildKnifePack,
+    parseKnifePack,
+    planKnifePackImport,
+    applyKnifePackImport,
+    downloadKnifePack
+} from '../features/knifePacks.js';
+import { WORLD_DECK_SCOPES } from '../features/worldDecks.js';
+import { getKnifeThemes, getKnifeTheme } from '../features/knifeThemes.js';
+import { escapeHtml, escapeAttr } from '../../utils/html.js';
+import { pickJSONFile } from '../../utils/fileTransfer.js';
+
+const MODAL_ID = 'rpg-knife-packs-popup';
+
+const MATCH_LABELS = {
+    name: 'matched by name',
+    alias: 'matched by alias',
+    new: 'no knives here yet'
+};
+
+let _initialized = false;
+/** Owners listed for export, in the order rendered. */
+let _owners = [];
+/** Import waiting for Apply: { pack, plan } */
+let _pendingImport = null;
+
+export function initKnifePacksModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-knife-packs', openKnifePacksModal);
+    $(document).on('click', '#rpg-close-knife-packs', closeKnifePacksModal);
+    $(document).on('change', '#rpg-pack-theme', renderOwners);
+    $(document).on('change', `#${MODAL_ID} .rpg-pack-owner-check`, function () {
+        $(this).closest('.rpg-pack-owner').find('.rpg-pack-knife-check').prop('checked', $(this).prop('checked'));
+    });
+    $(document).on('click', '#rpg-pack-export', exportSelection);
+    $(document).on('click', '#rpg-pack-import', pickPackFile);
+    $(document).on('click', '#rpg-pack-apply', applyImport);
+    $(document).on('click', '#rpg-pack-cancel', () => showImportPreview(null));
+
+    console.log('[Dooms Tracker] Knife Packs Modal initialized');
+}
+
+export function openKnifePacksModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Knife packs modal element not found — template not loaded?');
+        return;
+    }
+    $('#rpg-pack-theme').html([
+        '<option value="">All themes</option>',
+        ...getKnifeThemes().map(theme => `<option value="${escapeAttr(theme.id)}">${escapeHtml(`${theme.emoji} ${theme.label}`)}</option>`)
+    ].join(''));
+    $('#rpg-pack-deck-scope').html(Object.entries(WORLD_DECK_SCOPES)
+        .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('')).val('global');
+    showImportPreview(null);
+    renderOwners();
+    $modal.css('display', 'flex');
+}
+
+function closeKnifePacksModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+    _pendingImport = null;
+}
+
+function ownerLabel(owner) {
+    if (owner.type === 'deck') return `${owner.deck.emoji} ${owner.name} (world deck, ${WORLD_DECK_SCOPES[owner.deck.scope].toLowerCase()})`;
+    return owner.isUser ? `${owner.name} (persona)` : owner.name;
+}
+
+function renderOwners() {
+    const theme = String($('#rpg-pack-theme').val() || '');
+    _owners = getKnifeOwners()
+        .map(owner => ({ ...owner, knives: owner.knives.filter(knife => knife?.text && (!theme || knife.theme === theme)) }))
+        .filter(owner => owner.knives.length);
+    const $list = $('#' + MODAL_ID).find('.rpg-pack-owners');
+    if (!_owners.length) {
+        $list.html(`<p class="rpg-note-text">${theme ? 'No knives have this theme yet.' : 'No knives yet — add some in the Character Workshop or World Decks.'}</p>`);
+        return;
+    }
+    $list.html(_owners.map((owner, ownerIndex) => `
+        <div class="rpg-pack-owner" data-owner="${ownerIndex}">
+            <label class="rpg-pack-owner-header">
+                <input type="checkbox" class="rpg-pack-owner-check" />
+                <span>${escapeHtml(ownerLabel(owner))}</span>
+                <span class="rpg-pack-count">${owner.knives.length}</span>
+            </label>
+            ${owner.knives.map((knife, knifeIndex) => `
+                <label class="rpg-pack-knife">
+                    <input type="checkbox" class="rpg-pack-knife-check" data-knife="${knifeIndex}" />
+                    <span>${escapeHtml(knife.text)}</span>
+                </label>`).join('')}
+        </div>`).join(''));
+}
+
+function exportSelection() {
+    const selection = [];
+    $('#' + MODAL_ID).find('.rpg-pack-owner').each(function () {
+        const owner = _owners[Number($(this).attr('data-owner'))];
+        if (!owner) return;
+        const knives = $(this).find('.rpg-pack-knife-check:checked')
+            .map((_, el) => owner.knives[Number($(el).attr('data-knife'))]).get().filter(Boolean);
+        if (knives.length) selection.push({ owner, knives });
+    });
+    if (!selection.length) {
+        toastr.info('Tick the knives (or whole owners) to put in the pack first.');
+        return;
+    }
+    const themeId = String($('#rpg-pack-theme').val() || '');
+    const theme = getKnifeTheme(themeId);
+    const name = String($('#rpg-pack-name').val() || '').trim()
+        || (selection.length === 1 ? selection[0].owner.name : theme ? `${theme.label} knives` : 'Knife Pack');
+    const pack = buildKnifePack(name, selection);
+    downloadKnifePack(pack);
+    const count = selection.reduce((sum, entry) => sum + entry.knives.length, 0);
+    toastr.success(`Exported ${count} knife/knives to "${pack.name}".`);
+}
+
+function pickPackFile() {
+    pickJSONFile((text) => {
+        try {
+            const pack = parseKnifePack(text);
+            showImportPreview({ pack, plan: planKnifePackImport(pack) });
+        } catch (error) {
+            console.error('[Dooms Tracker] Knife pack import failed:', error);
+            toastr.error(`Couldn't read the knife pack: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Shows (or hides, with null) the diff of a pending import.
+ * @param {{pack: Object, plan: Array}|null} pending
+ */
+function showImportPreview(pending) {
+    _pendingImport = pending;
+    const $modal = $('#' + MODAL_ID);
+    $modal.find('.rpg-pack-export-view').toggle(!pending);
+    $modal.find('.rpg-pack-import-view').toggle(!!pending);
+    $('#rpg-pack-export, #rpg-pack-import').toggle(!pending);
+    $('#rpg-pack-apply, #rpg-pack-cancel').toggle(!!pending);
+    if (!pending) return;
+
+    const { pack, plan } = pending;
+    const adding = plan.reduce((sum, entry) => sum + entry.add.length, 0);
+    const skipped = plan.reduce((sum, entry) => sum + entry.duplicates.length, 0);
+    $modal.find('.rpg-pack-import-summary').text(`"${pack.name}" (pack v${pack.version}) — ${adding} to add, ${skipped} duplicate${skipped === 1 ? '' : 's'} skipped.`);
+    $modal.find('.rpg-pack-deck-scope-row').toggle(plan.some(entry => entry.owner.type === 'deck' && !entry.deck));
+    $('#rpg-pack-apply').prop('disabled', !adding);
+    $modal.find('.rpg-pack-diff').html(plan.map(entry => {
+        const target = entry.owner.type === 'deck'
+            ? `${escapeHtml(entry.targetName)} (world deck${entry.deck ? '' : ', new'})`
+            : `${escapeHtml(entry.targetName)}${entry.owner.isUser ? ' (persona)' : ''}`;
+        const from = entry.owner.name !== entry.targetName ? ` <span class="rpg-pack-match">← ${escapeHtml(entry.owner.name)}</span>` : '';
+        const match = entry.missing
+            ? '<span class="rpg-pack-match rpg-pack-missing">no persona with this name — skipped</span>'
+            : `<span class="rpg-pack-match">${escapeHtml(entry.owner.type === 'deck' && !entry.deck ? 'new deck' : MATCH_LABELS[entry.matchedBy])}</span>`;
+        const rows = [
+            ...entry.add.map(knife => `<div class="rpg-pack-diff-add">+ ${escapeHtml(knife.text)}</div>`),
+            ...entry.duplicates.map(knife => `<div class="rpg-pack-diff-skip">= ${escapeHtml(knife.text)} <em>(already there)</em></div>`),
+            ...(entry.missing ? entry.owner.knives.map(knife => `<div class="rpg-pack-diff-skip">&minus; ${escapeHtml(knife.text)}</div>`) : [])
+        ];
+        return `
+            <div class="rpg-pack-owner">
+                <div class="rpg-pack-owner-header">${target}${from} ${match}</div>
+                ${rows.join('')}
+            </div>`;
+    }).join(''));
+}
+
+function applyImport() {
+    if (!_pendingImport) return;
+    const deckScope = $('#rpg-pack-deck-scope').val() === 'chat' ? 'chat' : 'global';
+    const added = applyKnifePackImport(_pendingImport.plan, { deckScope });
+    toastr.success(`Imported ${added} knife/knives from "${_pendingImport.pack.name}".`);
+    showImportPreview(null);
+    renderOwners();
+}
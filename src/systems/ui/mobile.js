@@ -7,6 +7,7 @@ import { saveSettings } from '../../core/persistence.js';
 import { closeMobilePanelWithAnimation, updateCollapseToggleIcon } from './layout.js';
 import { setupDesktopTabs, removeDesktopTabs } from './desktop.js';
 import { i18n } from '../../core/i18n.js';
+import { getWorldClock } from '../features/worldClock.js';
 
 /**
  * Native passive touchstart used for the FAB-widget collapse-on-tap-outside
@@ -1047,16 +1048,20 @@ export function updateFabWidgets() {
         }
         return { hourAngle: 0, minuteAngle: 0 };
     };
+    // Normalized date/time from the calendar engine (null when it's off)
+    const worldClock = getWorldClock();
     // Clock/Time (bottom position with animated clock face)
     if (widgetSettings.clock?.enabled && infoData?.time) {
-        const timeStr = typeof infoData.time === 'string'
-            ? infoData.time
-            : (infoData.time.end || infoData.time.value || infoData.time.start || '');
+        const timeStr = worldClock?.time
+            ? worldClock.time.split('→').pop().trim()
+            : typeof infoData.time === 'string'
+                ? infoData.time
+                : (infoData.time.end || infoData.time.value || infoData.time.start || '');
         if (timeStr) {
             const { hourAngle, minuteAngle } = parseTimeForClock(timeStr);
             widgets.push({
                 type: 'bottom', // Special type for bottom position
-                html: `<div class="rpg-fab-widget rpg-fab-widget-clock" title="${timeStr}">
+                html: `<div class="rpg-fab-widget rpg-fab-widget-clock${worldClock?.timeWarning ? ' rpg-fab-widget-warning' : ''}" title="${worldClock?.timeWarning || timeStr}">
                     <div class="rpg-fab-clock-face">
                         <div class="rpg-fab-clock-hour" style="transform: rotate(${hourAngle}deg)"></div>
                         <div class="rpg-fab-clock-minute" style="transform: rotate(${minuteAngle}deg)"></div>
@@ -1068,7 +1073,7 @@ export function updateFabWidgets() {
         }
     }
     // Date (small)
-    const mDateVal = infoData?.date ? (typeof infoData.date === 'string' ? infoData.date : infoData.date.value) : null;
+    const mDateVal = worldClock?.date || (infoData?.date ? (typeof infoData.date === 'string' ? infoData.date : infoData.date.value) : null);
     if (widgetSettings.date?.enabled && mDateVal) {
         const expandAttr = needsExpand(mDateVal, 12) ? ' data-full-text="true"' : '';
         widgets.push({
@@ -159,7 +159,8 @@ export function setupSettingsPopup() {
         // Reset quests to defaults
         extensionSettings.quests = {
             main: "None",
-            optional: []
+            optional: [],
+            log: []
         };
         // Reset info box to defaults (as object)
         extensionSettings.infoBox = {
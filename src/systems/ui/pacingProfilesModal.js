@@ -0,0 +1,220 @@
+/**
+ * Pacing Profiles Modal — chooses the Doom Counter's pacing profile for the
+ * chat, the character and the default, and edits user profiles
+ * (pacingProfiles.js). Built-in profiles are shown read-only.
+ */
+import {
+    PACING_RESETS,
+    PACING_STATIC,
+    getPacingProfiles,
+    getPacingProfile,
+    getPacingAssignment,
+    setPacingAssignment,
+    getActivePacingProfile,
+    getPacingEntityName,
+    getPacingPhase,
+    describePacing,
+    normalizePacingProfile,
+    storePacingProfile,
+    removePacingProfile,
+    restartPacing
+} from '../features/pacingProfiles.js';
+import { updateDoomCounterUI } from '../generation/doomCounter.js';
+import { updateChatSceneHeaders } from '../rendering/sceneHeaders.js';
+import { escapeHtml, escapeAttr } from '../../utils/html.js';
+
+const MODAL_ID = 'rpg-pacing-popup';
+
+const SCOPE_NAMES = {
+    chat: 'for this chat',
+    character: 'for this character',
+    global: 'as the default'
+};
+
+let _initialized = false;
+/** Profile shown in the editor — a user profile's id, a built-in's id, or '' for an unsaved new one. */
+let _editingId = '';
+
+export function initPacingProfilesModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-pacing', openPacingProfilesModal);
+    $(document).on('click', '#rpg-close-pacing', closePacingProfilesModal);
+    $(document).on('change', `#${MODAL_ID} .rpg-pacing-assign`, function () {
+        const scope = String($(this).attr('data-scope'));
+        if (!setPacingAssignment(scope, String($(this).val() || ''))) {
+            toastr.info('Open a character or group chat to give it a pacing profile.');
+        }
+        pacingChanged();
+    });
+    $(document).on('change', '#rpg-pacing-select', function () {
+        loadProfile(String($(this).val()));
+    });
+    $(document).on('click', '#rpg-pacing-new', () => loadProfile(''));
+    $(document).on('click', '#rpg-pacing-duplicate', duplicateProfile);
+    $(document).on('click', '#rpg-pacing-delete', deleteProfile);
+    $(document).on('click', '#rpg-pacing-save', saveProfile);
+    $(document).on('click', '#rpg-pacing-add-phase', function () {
+        const phases = readPhases();
+        phases.push({ name: `Phase ${phases.length + 1}`, replies: 0 });
+        renderPhases(phases, true);
+    });
+    $(document).on('click', `#${MODAL_ID} .rpg-pacing-phase-remove`, function () {
+        const phases = readPhases();
+        if (phases.length <= 1) return;
+        phases.splice(Number($(this).closest('.rpg-pacing-phase').attr('data-index')), 1);
+        renderPhases(phases, true);
+    });
+    $(document).on('click', '#rpg-pacing-restart', function () {
+        restartPacing();
+        pacingChanged();
+    });
+
+    console.log('[Dooms Tracker] Pacing Profiles Modal initialized');
+}
+
+export function openPacingProfilesModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Pacing profiles modal element not found — template not loaded?');
+        return;
+    }
+    $('#rpg-pacing-reset-on').html(Object.entries(PACING_RESETS)
+        .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join(''));
+    renderAssignments();
+    loadProfile(getActivePacingProfile().profile?.id || getPacingProfiles()[0].id);
+    $modal.css('display', 'flex');
+}
+
+function closePacingProfilesModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+}
+
+/** Refreshes everything that shows the running profile after a change. */
+function pacingChanged() {
+    renderAssignments();
+    renderPhases(readPhases(), !getPacingProfile(_editingId) || !!getPacingProfile(_editingId)?.custom);
+    updateDoomCounterUI();
+    updateChatSceneHeaders();
+}
+
+function renderAssignments() {
+    const profiles = getPacingProfiles();
+    const profileOptions = profiles
+        .map(profile => `<option value="${escapeAttr(profile.id)}">${escapeHtml(profile.name)}</option>`).join('');
+    const entityName = getPacingEntityName();
+    $('#' + MODAL_ID).find('.rpg-pacing-character-label').text(entityName ? `This character (${entityName})` : 'This character');
+    $('#' + MODAL_ID).find('.rpg-pacing-assign').each(function () {
+        const scope = $(this).attr('data-scope');
+        const first = scope === 'global'
+            ? '<option value="">Static (Doom Counter settings)</option>'
+            : `<option value="">Not set (use the ${scope === 'chat' ? 'character or default' : 'default'})</option>
+               <option value="${PACING_STATIC}">Static (Doom Counter settings)</option>`;
+        const chosen = getPacingAssignment(scope);
+        // A choice naming a deleted profile shows as not set
+        const value = chosen === PACING_STATIC || getPacingProfile(chosen) ? chosen : '';
+        $(this).html(first + profileOptions).val(value)
+            .prop('disabled', scope === 'character' && !entityName);
+    });
+
+    const { profile, scope } = getActivePacingProfile();
+    $('#' + MODAL_ID).find('.rpg-pacing-status').text(profile
+        ? `Running ${SCOPE_NAMES[scope]}: ${describePacing()}`
+        : `No pacing profile — the Doom Counter settings apply for the whole chat${scope ? ` (chosen ${SCOPE_NAMES[scope]})` : ''}.`);
+}
+
+function renderProfileList() {
+    const options = getPacingProfiles()
+        .map(profile => `<option value="${escapeAttr(profile.id)}">${escapeHtml(profile.custom ? profile.name : `${profile.name} (built-in)`)}</option>`);
+    if (!_editingId) options.push('<option value="">New profile</option>');
+    $('#rpg-pacing-select').html(options.join('')).val(_editingId);
+}
+
+/**
+ * Renders the phase rows, marking the phase the current chat is in when the
+ * running profile is the one being edited.
+ * @param {Object[]} phases
+ * @param {boolean} editable
+ */
+function renderPhases(phases, editable) {
+    const current = getPacingPhase();
+    const currentIndex = current?.profile.id === _editingId ? current.index : -1;
+    const input = (name, value, attrs) => `<input type="number" class="rpg-accordion-input rpg-pacing-phase-${name}" ${attrs}
+        value="${value ?? ''}"${editable ? '' : ' disabled'} />`;
+    $('#' + MODAL_ID).find('.rpg-pacing-phases').html(phases.map((phase, i) => `
+        <div class="rpg-pacing-phase${i === currentIndex ? ' rpg-pacing-phase-current' : ''}" data-index="${i}"
+            ${i === currentIndex ? 'title="The current chat is in this phase"' : ''}>
+            <input type="text" class="rpg-accordion-input rpg-pacing-phase-name" value="${escapeAttr(phase.name)}"${editable ? '' : ' disabled'} />
+            ${input('replies', phase.replies || '', 'min="0" max="500" placeholder="∞"')}
+            ${input('ceiling', phase.lowTensionCeiling, 'min="2" max="6" placeholder="—"')}
+            ${input('threshold', phase.lowTensionThreshold, 'min="3" max="10" placeholder="—"')}
+            ${input('countdown', phase.countdownLength, 'min="1" max="8" placeholder="—"')}
+            <button type="button" class="rpg-accordion-mini-btn rpg-pacing-phase-remove" title="Remove phase"${editable && phases.length > 1 ? '' : ' disabled'}>
+                <i class="fa-solid fa-xmark"></i>
+            </button>
+        </div>`).join(''));
+}
+
+function readPhases() {
+    return $('#' + MODAL_ID).find('.rpg-pacing-phase[data-index]').map(function () {
+        const $row = $(this);
+        return {
+            name: $row.find('.rpg-pacing-phase-name').val(),
+            replies: $row.find('.rpg-pacing-phase-replies').val(),
+            lowTensionCeiling: $row.find('.rpg-pacing-phase-ceiling').val(),
+            lowTensionThreshold: $row.find('.rpg-pacing-phase-threshold').val(),
+            countdownLength: $row.find('.rpg-pacing-phase-countdown').val()
+        };
+    }).get();
+}
+
+function loadProfile(id) {
+    const existing = getPacingProfile(id);
+    const profile = existing || normalizePacingProfile({ name: '', phases: [{ name: 'Phase 1', replies: 0 }] });
+    _editingId = existing ? id : '';
+    const editable = !existing || !!existing.custom;
+    $('#rpg-pacing-name').val(existing ? profile.name : '').prop('disabled', !editable);
+    $('#rpg-pacing-reset-on').val(profile.resetOn).prop('disabled', !editable);
+    $('#rpg-pacing-add-phase, #rpg-pacing-save').prop('disabled', !editable);
+    $('#rpg-pacing-delete').prop('disabled', !existing?.custom);
+    $('#rpg-pacing-duplicate').prop('disabled', !existing);
+    $('#' + MODAL_ID).find('.rpg-pacing-builtin-note').toggle(!editable);
+    renderProfileList();
+    renderPhases(profile.phases, editable);
+}
+
+function duplicateProfile() {
+    const profile = getPacingProfile(_editingId);
+    if (!profile) return;
+    const copy = storePacingProfile({ ...profile, id: `pacing-${Date.now().toString(36)}`, name: `${profile.name} (copy)` });
+    loadProfile(copy.id);
+    renderAssignments();
+}
+
+function saveProfile() {
+    const name = String($('#rpg-pacing-name').val() || '').trim();
+    if (!name) {
+        toastr.error('Give the profile a name first.');
+        return;
+    }
+    const existing = getPacingProfile(_editingId);
+    if (existing && !existing.custom) return;
+    const profile = storePacingProfile({
+        id: existing?.id || `pacing-${Date.now().toString(36)}`,
+        name,
+        resetOn: $('#rpg-pacing-reset-on').val(),
+        phases: readPhases()
+    });
+    loadProfile(profile.id);
+    pacingChanged();
+    toastr.success(`Saved pacing profile "${profile.name}".`);
+}
+
+function deleteProfile() {
+    const profile = getPacingProfile(_editingId);
+    if (!profile?.custom || !confirm(`Delete the pacing profile "${profile.name}"? Chats and characters using it go back to the default.`)) return;
+    removePacingProfile(profile.id);
+    loadProfile(getPacingProfiles()[0].id);
+    pacingChanged();
+}
@@ -23,6 +23,7 @@ import { selected_group, getGroupMembers } from '../../../../../../group-chats.j
 import { getSafeThumbnailUrl, getExpressionAwarePortrait, deletePortraitFromDiskByValue, getPortraitHistoryCount, restorePreviousPortrait } from '../../utils/avatars.js';
 import { DIALOGUE_COLORS } from '../../utils/dialogueColors.js';
 import { hasPendingAliasDecision } from '../features/characterAliases.js';
+import { recordEdit } from '../features/editHistory.js';
 import { migrateAvatarsToFiles } from '../../utils/avatarMigration.js';
 import { keyedReconcile } from '../../utils/domDiff.js';
 import { escapeHtml } from '../../utils/html.js';
@@ -376,7 +377,7 @@ export function initPortraitBar() {
         if (!characterName) return;
 
         if (action === 'remove-character') {
-            removeCharacter(characterName);
+            recordEdit({ label: 'Sent to Workshop', where: characterName }, ['roster'], () => removeCharacter(characterName));
         } else if (action === 'character-sheet') {
             // Character sheet popup + module live in the deferred settings UI
             ensureSettingsUI().then(async () => {
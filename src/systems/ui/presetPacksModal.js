@@ -0,0 +1,191 @@
+/**
+ * Preset Packs Modal — exports a tracker preset as a pack file, and imports
+ * a pack after showing field by field how it differs from the preset it
+ * would replace or sit beside (presetPacks.js).
+ */
+import {
+    buildPresetPack,
+    downloadPresetPack,
+    parsePresetPack,
+    planPresetPackImport,
+    applyPresetPackImport
+} from '../features/presetPacks.js';
+import { getPresets, getActivePresetId, getCurrentEntityKey, getCurrentEntityName } from '../../core/persistence.js';
+import { renderInfoBox } from '../rendering/infoBox.js';
+import { renderThoughts } from '../rendering/thoughts.js';
+import { applySceneTrackerSettings, updateChatSceneHeaders } from '../rendering/sceneHeaders.js';
+import { escapeHtml, escapeAttr } from '../../utils/html.js';
+import { pickJSONFile } from '../../utils/fileTransfer.js';
+
+const MODAL_ID = 'rpg-preset-packs-popup';
+
+/** Preview sections, in the order comparePresetPack() fills them. */
+const SECTIONS = ['Scene fields', 'Custom scene fields', 'Character fields', 'Relationships', 'History persistence', 'Prompts'];
+
+/** Longest value shown in a diff row; prompts run much longer. */
+const MAX_SHOWN = 140;
+
+let _initialized = false;
+/** Import waiting for confirmation: the plan from planPresetPackImport. */
+let _pendingPlan = null;
+
+export function initPresetPacksModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-preset-packs', openPresetPacksModal);
+    $(document).on('click', '#rpg-close-preset-packs', closePresetPacksModal);
+    $(document).on('click', '#rpg-preset-pack-export', exportPack);
+    $(document).on('click', '#rpg-preset-pack-import', pickPackFile);
+    $(document).on('click', '#rpg-preset-pack-apply', applyImport);
+    $(document).on('click', '#rpg-preset-pack-cancel', () => showImportPreview(null));
+    $(document).on('change', '#rpg-preset-pack-replace, #rpg-preset-pack-associate', () => {
+        if (_pendingPlan) showImportPreview(planPresetPackImport(_pendingPlan.pack, readOptions()));
+    });
+
+    console.log('[Dooms Tracker] Preset Packs Modal initialized');
+}
+
+export function openPresetPacksModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Preset packs modal element not found — template not loaded?');
+        return;
+    }
+    const activeId = getActivePresetId();
+    $('#rpg-preset-pack-select').html(Object.values(getPresets()).map(preset =>
+        `<option value="${escapeAttr(preset.id)}">${escapeHtml(preset.name)}</option>`
+    ).join('')).val(activeId);
+    showImportPreview(null);
+    $modal.css('display', 'flex');
+}
+
+function closePresetPacksModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+    _pendingPlan = null;
+}
+
+function readOptions() {
+    return {
+        replace: $('#rpg-preset-pack-replace').prop('checked'),
+        associate: $('#rpg-preset-pack-associate').prop('checked')
+    };
+}
+
+function exportPack() {
+    const presetId = $('#rpg-preset-pack-select').val();
+    try {
+        const pack = buildPresetPack(presetId, { includePrompts: $('#rpg-preset-pack-prompts').prop('checked') });
+        downloadPresetPack(pack);
+        const prompts = Object.keys(pack.prompts || {}).length;
+        toastr.success(`Exported "${pack.name}"${prompts ? ` with ${prompts} custom prompt(s)` : ''}.`);
+    } catch (error) {
+        console.error('[Dooms Tracker] Preset pack export failed:', error);
+        toastr.error(`Couldn't export the preset: ${error.message}`);
+    }
+}
+
+function pickPackFile() {
+    pickJSONFile((text) => {
+        try {
+            const pack = parsePresetPack(text);
+            $('#rpg-preset-pack-replace, #rpg-preset-pack-associate').prop('checked', false);
+            showImportPreview(planPresetPackImport(pack, readOptions()));
+        } catch (error) {
+            console.error('[Dooms Tracker] Preset pack import failed:', error);
+            toastr.error(`Couldn't read the preset pack: ${error.message}`);
+        }
+    });
+}
+
+function shown(value) {
+    const text = String(value);
+    return escapeHtml(text.length > MAX_SHOWN ? `${text.slice(0, MAX_SHOWN)}…` : text);
+}
+
+function diffRow(row) {
+    const label = escapeHtml(row.label);
+    if (row.kind === 'added') {
+        return `<div class="rpg-pack-diff-add">+ ${label} <span class="rpg-preset-diff-value">${shown(row.after)}</span></div>`;
+    }
+    if (row.kind === 'removed') {
+        return `<div class="rpg-preset-diff-remove">&minus; ${label} <span class="rpg-preset-diff-value">${shown(row.before)}</span></div>`;
+    }
+    return `<div class="rpg-bundle-diff-replace">✎ ${label} <span class="rpg-preset-diff-value">${shown(row.before)} → ${shown(row.after)}</span></div>`;
+}
+
+/**
+ * Shows (or hides, with null) what a pending import would do.
+ * @param {Object|null} plan
+ */
+function showImportPreview(plan) {
+    _pendingPlan = plan;
+    const $modal = $('#' + MODAL_ID);
+    $modal.find('.rpg-preset-pack-export-view').toggle(!plan);
+    $modal.find('.rpg-preset-pack-import-view').toggle(!!plan);
+    $('#rpg-preset-pack-export, #rpg-preset-pack-import').toggle(!plan);
+    $('#rpg-preset-pack-apply, #rpg-preset-pack-cancel').toggle(!!plan);
+    if (!plan) return;
+
+    const { pack } = plan;
+    const date = pack.exportDate ? `, exported ${new Date(pack.exportDate).toLocaleString()}` : '';
+    const kind = pack.legacy ? 'tracker preset file' : `pack v${pack.version}`;
+    const result = plan.replace
+        ? `It replaces your preset "${plan.name}".`
+        : `It is added as "${plan.name}".`;
+    const compared = plan.comparedWith ? ` Compared with "${plan.comparedWith.name}":` : '';
+    $modal.find('.rpg-preset-pack-summary').text(`"${pack.name}" (${kind}${date}). ${result}${compared}`);
+
+    $modal.find('.rpg-preset-pack-replace-row').toggle(!!plan.collision);
+    if (plan.collision) {
+        const label = plan.collision.id === pack.id
+            ? `Replace "${plan.collision.name}" (the preset this pack was exported from)`
+            : `Replace "${plan.collision.name}" (same name)`;
+        $modal.find('.rpg-preset-pack-replace-label').text(label);
+    }
+    const hasEntity = !!getCurrentEntityKey();
+    $('#rpg-preset-pack-associate').prop('disabled', !hasEntity);
+    $modal.find('.rpg-preset-pack-entity').text(hasEntity ? getCurrentEntityName() : 'the current character (none open)');
+
+    const missing = {
+        'History persistence': pack.historyPersistence ? '' : 'Not in this pack',
+        Prompts: pack.prompts ? '' : 'Not in this pack — your own prompts apply'
+    };
+    $modal.find('.rpg-pack-diff').html(SECTIONS.map(section => {
+        const rows = plan.rows.filter(row => row.section === section);
+        const changed = rows.filter(row => row.kind !== 'same');
+        const same = rows.length - changed.length;
+        const lines = changed.map(diffRow);
+        if (same) lines.push(`<div class="rpg-pack-diff-skip">= ${same} unchanged</div>`);
+        if (!rows.length) lines.push(`<div class="rpg-pack-diff-skip">${escapeHtml(missing[section] || 'None')}</div>`);
+        return `
+            <div class="rpg-pack-owner">
+                <div class="rpg-pack-owner-header">
+                    <span>${escapeHtml(section)}</span>
+                    <span class="rpg-pack-count">${changed.length ? `${changed.length} change${changed.length === 1 ? '' : 's'}` : 'no changes'}</span>
+                </div>
+                ${lines.join('')}
+            </div>`;
+    }).join(''));
+}
+
+function applyImport() {
+    if (!_pendingPlan) return;
+    const plan = _pendingPlan;
+    try {
+        const { loaded } = applyPresetPackImport(plan);
+        if (loaded) {
+            renderInfoBox();
+            renderThoughts();
+            applySceneTrackerSettings();
+            updateChatSceneHeaders();
+        }
+        const where = plan.entityKey ? ` and set it for ${getCurrentEntityName()}` : '';
+        toastr.success(`${plan.replace ? 'Replaced' : 'Imported'} the preset "${plan.name}"${where}.`);
+        // Back to the export view, with the new preset in the list
+        openPresetPacksModal();
+    } catch (error) {
+        console.error('[Dooms Tracker] Preset pack import failed:', error);
+        toastr.error(`Couldn't import the preset pack: ${error.message}`);
+    }
+}
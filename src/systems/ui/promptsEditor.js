@@ -6,6 +6,8 @@ import { extensionSettings } from '../../core/state.js';
 import { saveSettings } from '../../core/persistence.js';
 import { DEFAULT_HTML_PROMPT, DEFAULT_DIALOGUE_COLORING_PROMPT, DEFAULT_NARRATOR_PROMPT, DEFAULT_CONTEXT_INSTRUCTIONS_PROMPT, DEFAULT_AUTO_PORTRAIT_PROMPT } from '../generation/promptBuilder.js';
 import { getWeatherKeywordsAsPromptString } from '../ui/weatherEffects.js';
+import { getCustomKnifeThemes, normalizeKnifeTheme, DEFAULT_KNIFE_COUNT, MAX_KNIFE_COUNT } from '../features/knifeThemes.js';
+import { escapeHtml, escapeAttr } from '../../utils/html.js';
 let $editorModal = null;
 let tempPrompts = null; // Temporary prompts for cancel functionality
 
@@ -84,6 +86,14 @@ export function initPromptsEditor() {
         restorePromptToDefault(promptType);
         toastr.success('Prompt restored to default.');
     });
+    // Knife themes — kept in the form until Save, like the prompts
+    $(document).on('click', '#rpg-knife-theme-add', function() {
+        $('#rpg-knife-themes-list').append(knifeThemeRow(normalizeKnifeTheme({ label: '' })));
+        $('#rpg-knife-themes-list .rpg-knife-theme-label').last().trigger('focus');
+    });
+    $(document).on('click', '.rpg-knife-theme-delete', function() {
+        $(this).closest('.rpg-knife-theme-row').remove();
+    });
     // Close on background click
     $(document).on('click', '#rpg-prompts-editor-popup', function(e) {
         if (e.target.id === 'rpg-prompts-editor-popup') {
@@ -131,6 +141,7 @@ function openPromptsEditor() {
     $('#rpg-prompt-weather').val(extensionSettings.customWeatherPrompt || DEFAULT_PROMPTS.weather);
     $('#rpg-prompt-character-thoughts').val(extensionSettings.customCharacterThoughtsPrompt || DEFAULT_PROMPTS.characterThoughts);
     $('#rpg-prompt-auto-portrait').val(extensionSettings.customAutoPortraitPrompt || DEFAULT_PROMPTS.autoPortrait);
+    $('#rpg-knife-themes-list').html(getCustomKnifeThemes().map(knifeThemeRow).join(''));
     // Load per-prompt injection depth & role settings
     const pInjection = extensionSettings.promptInjection || {};
     const defaultDepths = { html: 0, dialogueColoring: 0, trackerInstructions: 0, contextInstructions: 1 };
@@ -194,6 +205,7 @@ function savePrompts() {
     extensionSettings.customWeatherPrompt = $('#rpg-prompt-weather').val().trim();
     extensionSettings.customCharacterThoughtsPrompt = $('#rpg-prompt-character-thoughts').val().trim();
     extensionSettings.customAutoPortraitPrompt = $('#rpg-prompt-auto-portrait').val().trim();
+    extensionSettings.customKnifeThemes = readKnifeThemeRows();
     // Save per-prompt injection depth & role settings
     if (!extensionSettings.promptInjection) extensionSettings.promptInjection = {};
     for (const key of ['html', 'dialogueColoring', 'trackerInstructions', 'contextInstructions']) {
@@ -205,6 +217,45 @@ function savePrompts() {
     }
     saveSettings();
 }
+/**
+ * Editor row for one user knife theme
+ * @param {Object} theme - Normalized theme
+ * @returns {string} HTML
+ */
+function knifeThemeRow(theme) {
+    return `
+        <div class="rpg-knife-theme-row" data-id="${escapeAttr(theme.id)}">
+            <div class="rpg-knife-theme-row-header">
+                <input type="text" class="rpg-input rpg-knife-theme-emoji" maxlength="4" placeholder="🔪" value="${escapeAttr(theme.emoji)}" title="Chip emoji" />
+                <input type="text" class="rpg-input rpg-knife-theme-label" placeholder="Label, e.g. Family" value="${escapeAttr(theme.label === 'Untitled' ? '' : theme.label)}" />
+                <input type="number" class="rpg-input rpg-knife-theme-count" min="1" max="${MAX_KNIFE_COUNT}" placeholder="${DEFAULT_KNIFE_COUNT}" value="${theme.count ?? ''}" title="Knives per batch" />
+                <button type="button" class="menu_button rpg-knife-theme-delete" title="Delete theme"><i class="fa-solid fa-trash"></i></button>
+            </div>
+            <textarea class="rpg-prompt-textarea rpg-knife-theme-guidance" rows="3" placeholder="Focus on family ties: siblings, parents, inheritances and old promises made at home.">${escapeHtml(theme.guidance)}</textarea>
+        </div>`;
+}
+
+/**
+ * Reads the knife theme rows back, dropping rows left completely empty.
+ * @returns {Array<{id: string, label: string, emoji: string, guidance: string, count?: number}>}
+ */
+function readKnifeThemeRows() {
+    return $('#rpg-knife-themes-list .rpg-knife-theme-row').map(function() {
+        const $row = $(this);
+        const label = String($row.find('.rpg-knife-theme-label').val() || '').trim();
+        const guidance = String($row.find('.rpg-knife-theme-guidance').val() || '').trim();
+        if (!label && !guidance) return null;
+        const { custom, count, ...theme } = normalizeKnifeTheme({
+            id: $row.attr('data-id'),
+            label,
+            emoji: $row.find('.rpg-knife-theme-emoji').val(),
+            guidance,
+            count: $row.find('.rpg-knife-theme-count').val()
+        });
+        return count ? { ...theme, count } : theme;
+    }).get();
+}
+
 /**
  * Restore a specific prompt to its default
  * @param {string} promptType - Type of prompt to restore
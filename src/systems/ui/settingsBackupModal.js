@@ -0,0 +1,137 @@
+/**
+ * Settings Backup Modal — downloads a backup of every extension setting and
+ * restores the sections the user ticks from one (settingsBackup.js). The
+ * page reloads after a restore, like Restore Default Settings, so every
+ * panel is rebuilt from the restored settings.
+ */
+import { callGenericPopup, POPUP_TYPE, POPUP_RESULT } from '../../../../../../popup.js';
+import {
+    SETTINGS_BACKUP_SECTIONS,
+    buildSettingsBackup,
+    downloadSettingsBackup,
+    parseSettingsBackup,
+    restoreSettingsBackup
+} from '../features/settingsBackup.js';
+import { escapeHtml, escapeAttr } from '../../utils/html.js';
+import { pickJSONFile } from '../../utils/fileTransfer.js';
+
+const MODAL_ID = 'rpg-settings-backup-popup';
+
+let _initialized = false;
+/** Backup waiting for Restore, from parseSettingsBackup. */
+let _pendingBackup = null;
+
+export function initSettingsBackupModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-settings-backup', openSettingsBackupModal);
+    $(document).on('click', '#rpg-close-settings-backup', closeSettingsBackupModal);
+    $(document).on('click', '#rpg-backup-download', downloadBackup);
+    $(document).on('click', '#rpg-backup-pick', pickBackupFile);
+    $(document).on('click', '#rpg-backup-restore', restoreSelected);
+    $(document).on('click', '#rpg-backup-cancel', () => showRestorePreview(null));
+    $(document).on('change', `#${MODAL_ID} .rpg-backup-section-check`, updateRestoreButton);
+
+    console.log('[Dooms Tracker] Settings Backup Modal initialized');
+}
+
+export function openSettingsBackupModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Settings backup modal element not found — template not loaded?');
+        return;
+    }
+    showRestorePreview(null);
+    $modal.css('display', 'flex');
+}
+
+function closeSettingsBackupModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+    _pendingBackup = null;
+}
+
+function downloadBackup() {
+    const backup = buildSettingsBackup({ redactApi: $('#rpg-backup-redact-api').prop('checked') });
+    downloadSettingsBackup(backup);
+    toastr.success(backup.redacted.length
+        ? 'Settings backup downloaded, without the external API settings.'
+        : 'Settings backup downloaded.');
+}
+
+function pickBackupFile() {
+    pickJSONFile((text) => {
+        try {
+            showRestorePreview(parseSettingsBackup(text));
+        } catch (error) {
+            console.error('[Dooms Tracker] Settings backup restore failed:', error);
+            toastr.error(`Couldn't read the settings backup: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Shows (or hides, with null) the sections a backup can restore.
+ * @param {Object|null} backup
+ */
+function showRestorePreview(backup) {
+    _pendingBackup = backup;
+    const $modal = $('#' + MODAL_ID);
+    $modal.find('.rpg-backup-export-view').toggle(!backup);
+    $modal.find('.rpg-backup-restore-view').toggle(!!backup);
+    $('#rpg-backup-download, #rpg-backup-pick').toggle(!backup);
+    $('#rpg-backup-restore, #rpg-backup-cancel').toggle(!!backup);
+    if (!backup) return;
+
+    const made = [
+        backup.exportDate ? `made ${new Date(backup.exportDate).toLocaleString()}` : '',
+        backup.extensionVersion ? `by version ${backup.extensionVersion}` : ''
+    ].filter(Boolean).join(' ');
+    const redacted = backup.redacted.length ? ' It leaves out the external API settings, so yours are kept.' : '';
+    $modal.find('.rpg-backup-summary').text(`Backup ${made || 'of unknown date'}.${redacted} Tick the sections to restore; the rest of your settings stay as they are.`);
+
+    $modal.find('.rpg-backup-sections').html(Object.entries(SETTINGS_BACKUP_SECTIONS).map(([id, section]) => {
+        const count = backup.sections[id]?.length || 0;
+        return `
+            <label class="rpg-pack-owner rpg-backup-section${count ? '' : ' rpg-backup-section-empty'}">
+                <span class="rpg-pack-owner-header">
+                    <input type="checkbox" class="rpg-backup-section-check" data-section="${escapeAttr(id)}" ${count ? '' : 'disabled'} />
+                    <span>${escapeHtml(section.label)}</span>
+                    <span class="rpg-pack-count">${count ? `${count} setting${count === 1 ? '' : 's'}` : 'not in backup'}</span>
+                </span>
+                <span class="rpg-note-text">${escapeHtml(section.hint)}</span>
+            </label>`;
+    }).join(''));
+    updateRestoreButton();
+}
+
+function selectedSections() {
+    return $('#' + MODAL_ID).find('.rpg-backup-section-check:checked').map((_, el) => $(el).attr('data-section')).get();
+}
+
+function updateRestoreButton() {
+    $('#rpg-backup-restore').prop('disabled', !selectedSections().length);
+}
+
+async function restoreSelected() {
+    if (!_pendingBackup) return;
+    const sections = selectedSections();
+    if (!sections.length) return;
+    const labels = sections.map(id => SETTINGS_BACKUP_SECTIONS[id].label).join(', ');
+    const confirmed = await callGenericPopup(
+        `Restore <b>${escapeHtml(labels)}</b> from the backup?<br><br>` +
+        'These settings are replaced by the backup\'s; everything else is kept. The page will reload.',
+        POPUP_TYPE.CONFIRM
+    );
+    if (confirmed !== POPUP_RESULT.AFFIRMATIVE) return;
+    try {
+        const count = restoreSettingsBackup(_pendingBackup, sections);
+        closeSettingsBackupModal();
+        toastr.success(`Restored ${count} setting(s) — reloading...`, "Doom's Enhancement Suite", { timeOut: 2500 });
+        // Same wait as Restore Default Settings: let the debounced save flush first
+        setTimeout(() => location.reload(), 2500);
+    } catch (error) {
+        console.error('[Dooms Tracker] Settings backup restore failed:', error);
+        toastr.error(`Couldn't restore the settings: ${error.message}`);
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Story Meters Modal — editor for the user-defined meters that run alongside
+ * the Doom Counter (storyMeters.js), with each meter's state in the current
+ * chat. A meter's info box field is fixed when it is first saved, so renaming
+ * it doesn't orphan the values already stored in the chat.
+ */
+import { extensionSettings } from '../../core/state.js';
+import { saveSettings, getStoryMeterState } from '../../core/persistence.js';
+import { normalizeStoryMeter, getAllStoryMeters, resetStoryMeter, METER_ACTIONS } from '../generation/storyMeters.js';
+import { toFieldKey } from '../generation/jsonPromptHelpers.js';
+import { getKnifeThemes } from '../features/knifeThemes.js';
+import { updateChatSceneHeaders } from '../rendering/sceneHeaders.js';
+import { escapeHtml, escapeAttr } from '../../utils/html.js';
+
+const MODAL_ID = 'rpg-meters-popup';
+
+let _initialized = false;
+/** Id of the meter shown in the form ('' for an unsaved new one). */
+let _editingId = '';
+
+export function initStoryMetersModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-story-meters', openStoryMetersModal);
+    $(document).on('click', '#rpg-close-meters', closeStoryMetersModal);
+    $(document).on('change', '#rpg-meter-select', function () {
+        loadMeter(String($(this).val()));
+    });
+    $(document).on('click', '#rpg-meter-new', () => loadMeter(''));
+    $(document).on('click', '#rpg-meter-delete', deleteMeter);
+    $(document).on('click', '#rpg-meter-save', saveMeter);
+    $(document).on('click', '#rpg-meter-reset', function () {
+        if (!_editingId) return;
+        resetStoryMeter(_editingId);
+        renderMeterState();
+        updateChatSceneHeaders();
+    });
+    $(document).on('change', '#rpg-meter-action', toggleActionFields);
+
+    console.log('[Dooms Tracker] Story Meters Modal initialized');
+}
+
+function getMeterList() {
+    if (!Array.isArray(extensionSettings.storyMeters)) {
+        extensionSettings.storyMeters = [];
+    }
+    return extensionSettings.storyMeters;
+}
+
+export function openStoryMetersModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Story meters modal element not found — template not loaded?');
+        return;
+    }
+    $('#rpg-meter-action').html(Object.entries(METER_ACTIONS)
+        .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join(''));
+    $('#rpg-meter-knife-theme').html(['<option value="">Any theme</option>', ...getKnifeThemes()
+        .map(theme => `<option value="${escapeAttr(theme.id)}">${escapeHtml(`${theme.emoji} ${theme.label}`)}</option>`)].join(''));
+    loadMeter(getMeterList()[0]?.id || '');
+    $modal.css('display', 'flex');
+}
+
+function closeStoryMetersModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+}
+
+function renderMeterList() {
+    const options = getAllStoryMeters()
+        .map(meter => `<option value="${escapeAttr(meter.id)}">${escapeHtml(`${meter.emoji} ${meter.name}${meter.enabled ? '' : ' (off)'}`)}</option>`);
+    if (!_editingId) options.push('<option value="">New meter</option>');
+    $('#rpg-meter-select').html(options.join('')).val(_editingId);
+    $('#rpg-meter-delete').prop('disabled', !_editingId);
+}
+
+function toggleActionFields() {
+    const action = $('#rpg-meter-action').val();
+    $('#rpg-meter-template-field').toggle(action === 'template');
+    $('#rpg-meter-knife-field').toggle(action === 'knife');
+}
+
+function renderMeterState() {
+    const $state = $('#' + MODAL_ID + ' .rpg-meter-state');
+    const meter = getAllStoryMeters().find(entry => entry.id === _editingId);
+    $('#rpg-meter-reset').prop('disabled', !meter);
+    if (!meter) {
+        $state.text('Save the meter to start tracking it in your chats.');
+        return;
+    }
+    const state = getStoryMeterState(meter.id);
+    const parts = [
+        `Last reading: ${state.lastValue ?? '—'}/10`,
+        `streak ${state.streak}/${meter.streakLength}`,
+        state.countdownActive ? `countdown ${state.countdownCount}` : '',
+        `triggered ${state.triggers} time${state.triggers === 1 ? '' : 's'}`,
+        state.pending ? 'injection pending' : ''
+    ].filter(Boolean);
+    $state.text(`This chat — ${parts.join(' · ')}. Info box field: ${meter.key}`);
+}
+
+function loadMeter(id) {
+    const meter = getAllStoryMeters().find(entry => entry.id === id) || normalizeStoryMeter({ name: '' });
+    _editingId = getMeterList().some(entry => entry.id === id) ? id : '';
+    $('#rpg-meter-name').val(_editingId ? meter.name : '');
+    $('#rpg-meter-emoji').val(_editingId ? meter.emoji : '');
+    $('#rpg-meter-enabled').prop('checked', meter.enabled);
+    $('#rpg-meter-instruction').val(meter.instruction);
+    $('#rpg-meter-trigger-when').val(meter.triggerWhen);
+    $('#rpg-meter-boundary').val(meter.boundary);
+    $('#rpg-meter-streak').val(meter.streakLength);
+    $('#rpg-meter-countdown').val(meter.countdownLength);
+    $('#rpg-meter-action').val(meter.action);
+    $('#rpg-meter-template').val(meter.template);
+    $('#rpg-meter-knife-theme').val(meter.knifeTheme);
+    toggleActionFields();
+    renderMeterList();
+    renderMeterState();
+}
+
+/**
+ * A field key for a new meter that no other meter uses.
+ * @param {string} name
+ * @returns {string}
+ */
+function uniqueMeterKey(name) {
+    const base = `meter_${toFieldKey(name) || 'custom'}`;
+    const taken = new Set(getAllStoryMeters().map(meter => meter.key));
+    let key = base;
+    for (let n = 2; taken.has(key); n++) key = `${base}_${n}`;
+    return key;
+}
+
+function saveMeter() {
+    const name = String($('#rpg-meter-name').val() || '').trim();
+    if (!name) {
+        toastr.error('Give the meter a name first.');
+        return;
+    }
+    const list = getMeterList();
+    const existing = list.find(entry => entry.id === _editingId);
+    const meter = normalizeStoryMeter({
+        id: existing?.id || `meter-${Date.now().toString(36)}`,
+        key: existing ? normalizeStoryMeter(existing).key : uniqueMeterKey(name),
+        name,
+        emoji: $('#rpg-meter-emoji').val(),
+        enabled: $('#rpg-meter-enabled').prop('checked'),
+        instruction: $('#rpg-meter-instruction').val(),
+        triggerWhen: $('#rpg-meter-trigger-when').val(),
+        boundary: $('#rpg-meter-boundary').val(),
+        streakLength: $('#rpg-meter-streak').val(),
+        countdownLength: $('#rpg-meter-countdown').val(),
+        action: $('#rpg-meter-action').val(),
+        template: $('#rpg-meter-template').val(),
+        knifeTheme: $('#rpg-meter-knife-theme').val()
+    });
+    if (meter.action === 'template' && !meter.template.trim()) {
+        toastr.error('The "Inject a template" action needs template text.');
+        return;
+    }
+    const index = list.findIndex(entry => entry.id === meter.id);
+    if (index >= 0) list[index] = meter;
+    else list.push(meter);
+    saveSettings();
+    loadMeter(meter.id);
+    updateChatSceneHeaders();
+    toastr.success(`Saved meter "${meter.name}".`);
+}
+
+function deleteMeter() {
+    if (!_editingId) return;
+    const meter = getAllStoryMeters().find(entry => entry.id === _editingId);
+    if (!meter || !confirm(`Delete the meter "${meter.name}"? Its readings stay in the chat history, but it stops being tracked.`)) return;
+    extensionSettings.storyMeters = getMeterList().filter(entry => entry.id !== _editingId);
+    saveSettings();
+    loadMeter(extensionSettings.storyMeters[0]?.id || '');
+    updateChatSceneHeaders();
+}
@@ -0,0 +1,162 @@
+/**
+ * Tension History Modal — pacing dashboard for the Doom Counter. Charts the
+ * tension of every reply in the chat (tensionHistory.js) as an SVG line with
+ * scene bands, the low-tension ceiling, and markers where the counter
+ * triggered or a twist/knife was played. Clicking a point scrolls the chat to
+ * that message.
+ */
+import { getTensionHistory, groupScenes, summarizeTension } from '../features/tensionHistory.js';
+import { escapeHtml } from '../../utils/html.js';
+import { jumpToChatMessage } from './chatJump.js';
+
+const MODAL_ID = 'rpg-tension-popup';
+
+/** Chart geometry (SVG units). */
+const STEP = 22;
+const PAD_X = 28;
+const PAD_TOP = 22;
+const PLOT_HEIGHT = 150;
+
+const MARKERS = { twist: '⚡', knife: '🔪' };
+
+let _initialized = false;
+
+export function initTensionChartModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-tension-chart', openTensionChart);
+    $(document).on('click', '#rpg-close-tension', closeTensionChart);
+    $(document).on('click', `#${MODAL_ID} [data-mesid]`, function () {
+        jumpToChatMessage(Number($(this).attr('data-mesid')), closeTensionChart);
+    });
+
+    console.log('[Dooms Tracker] Tension Chart Modal initialized');
+}
+
+export function openTensionChart() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Tension modal element not found — template not loaded?');
+        return;
+    }
+    renderTensionChart();
+    $modal.css('display', 'flex');
+}
+
+function closeTensionChart() {
+    $('#' + MODAL_ID).css('display', 'none');
+}
+
+/**
+ * Re-renders the dashboard if it is open (called after each evaluated reply).
+ */
+export function refreshTensionChartIfOpen() {
+    if ($('#' + MODAL_ID).css('display') === 'flex') renderTensionChart();
+}
+
+function formatAverage(value) {
+    return value === null ? '—' : value.toFixed(1);
+}
+
+function renderTensionChart() {
+    const turns = getTensionHistory();
+    const summary = summarizeTension(turns);
+    const scenes = groupScenes(turns);
+    const $modal = $('#' + MODAL_ID);
+
+    if (!turns.length) {
+        $modal.find('.rpg-tension-stats').html('');
+        $modal.find('.rpg-tension-chart').html('<p class="rpg-note-text">No tension readings in this chat yet. Enable the Doom Counter — each reply\'s tension is recorded from then on.</p>');
+        $modal.find('.rpg-tension-scenes').html('');
+        return;
+    }
+
+    const stat = (label, value, mesId = null) => `
+        <div class="rpg-tension-stat"${mesId !== null ? ` data-mesid="${mesId}" title="Jump to message #${mesId}"` : ''}>
+            <span class="rpg-tension-stat-value">${escapeHtml(value)}</span>
+            <span class="rpg-tension-stat-label">${escapeHtml(label)}</span>
+        </div>`;
+    const calm = summary.longestCalm;
+    $modal.find('.rpg-tension-stats').html([
+        stat('Rated replies', String(summary.turns)),
+        stat('Average tension', formatAverage(summary.average)),
+        stat('Peak', summary.peak ? `${summary.peak.value}/10` : '—', summary.peak?.messageIndex ?? null),
+        stat(`Longest calm streak (≤ ${summary.ceiling})`, calm ? `${calm.length} repl${calm.length === 1 ? 'y' : 'ies'}` : '—', calm?.start ?? null),
+        stat('Triggers', String(summary.triggers)),
+        stat('Twists / knives', `${summary.twists} / ${summary.knives}`)
+    ].join(''));
+
+    $modal.find('.rpg-tension-chart').html(buildChartSVG(turns, scenes, summary.ceiling));
+
+    $modal.find('.rpg-tension-scenes').html(scenes.map((scene, index) => `
+        <div class="rpg-tension-scene" data-mesid="${scene.start}" title="Jump to message #${scene.start}">
+            <span class="rpg-tension-scene-name">${escapeHtml(scene.location || `Scene ${index + 1}`)}</span>
+            <span class="rpg-tension-scene-range">#${scene.start}${scene.end !== scene.start ? `–${scene.end}` : ''}</span>
+            <span class="rpg-tension-scene-avg">avg ${formatAverage(scene.average)}</span>
+        </div>`).join(''));
+
+    // Newest replies are on the right; start scrolled there
+    const chartEl = $modal.find('.rpg-tension-chart')[0];
+    if (chartEl) chartEl.scrollLeft = chartEl.scrollWidth;
+}
+
+function buildChartSVG(turns, scenes, ceiling) {
+    const width = Math.max(PAD_X * 2 + (turns.length - 1) * STEP, 480);
+    const height = PAD_TOP + PLOT_HEIGHT + 24;
+    const x = index => PAD_X + index * STEP;
+    const y = value => PAD_TOP + PLOT_HEIGHT - ((value - 1) / 9) * PLOT_HEIGHT;
+    const indexOf = new Map(turns.map((turn, index) => [turn.messageIndex, index]));
+    const parts = [];
+
+    // Scene bands (alternating shade)
+    scenes.forEach((scene, index) => {
+        const from = x(indexOf.get(scene.start)) - STEP / 2;
+        const to = x(indexOf.get(scene.end)) + STEP / 2;
+        parts.push(`<rect class="rpg-tension-band${index % 2 ? ' rpg-tension-band-alt' : ''}" x="${from}" y="${PAD_TOP}" width="${to - from}" height="${PLOT_HEIGHT}"><title>${escapeHtml(scene.location || `Scene ${index + 1}`)}</title></rect>`);
+    });
+
+    // Grid lines at 1, 5, 10 and the low-tension ceiling
+    for (const level of [1, 5, 10]) {
+        parts.push(`<line class="rpg-tension-grid" x1="${PAD_X - 8}" x2="${width - 8}" y1="${y(level)}" y2="${y(level)}" />`);
+        parts.push(`<text class="rpg-tension-axis" x="4" y="${y(level) + 4}">${level}</text>`);
+    }
+    parts.push(`<line class="rpg-tension-ceiling" x1="${PAD_X - 8}" x2="${width - 8}" y1="${y(ceiling)}" y2="${y(ceiling)}"><title>Low-tension ceiling (${ceiling})</title></line>`);
+
+    // Line through rated turns (gaps where a reply had no reading)
+    let path = '';
+    let penUp = true;
+    turns.forEach((turn, index) => {
+        if (turn.value === null) {
+            penUp = true;
+            return;
+        }
+        path += `${penUp ? 'M' : 'L'}${x(index)},${y(turn.value)} `;
+        penUp = false;
+    });
+    if (path) parts.push(`<path class="rpg-tension-line" d="${path.trim()}" />`);
+
+    turns.forEach((turn, index) => {
+        const markers = [];
+        if (turn.triggered) markers.push('☠️');
+        if (turn.twist) markers.push(MARKERS[turn.twist] || '⚡');
+        if (markers.length) {
+            const tip = [turn.triggered ? 'Doom Counter triggered' : '', turn.twist ? `${turn.twist === 'knife' ? 'Knife' : 'Twist'}: ${turn.twistText || 'hidden (Trap Mode)'}` : ''].filter(Boolean).join('\n');
+            parts.push(`<line class="rpg-tension-marker-line" x1="${x(index)}" x2="${x(index)}" y1="${PAD_TOP}" y2="${PAD_TOP + PLOT_HEIGHT}" />`);
+            parts.push(`<text class="rpg-tension-marker" x="${x(index)}" y="${PAD_TOP - 6}" data-mesid="${turn.messageIndex}"><title>${escapeHtml(tip)}</title>${markers.join('')}</text>`);
+        }
+        if (turn.value === null) return;
+        const calm = turn.value <= ceiling;
+        parts.push(`<circle class="rpg-tension-point${calm ? ' rpg-tension-point-calm' : ''}" cx="${x(index)}" cy="${y(turn.value)}" r="4.5" data-mesid="${turn.messageIndex}"><title>Message #${turn.messageIndex} — tension ${turn.value}/10</title></circle>`);
+    });
+
+    // Message numbers under every few points
+    const every = Math.max(1, Math.ceil(turns.length / 20));
+    turns.forEach((turn, index) => {
+        if (index % every === 0 || index === turns.length - 1) {
+            parts.push(`<text class="rpg-tension-axis rpg-tension-axis-x" x="${x(index)}" y="${height - 6}">#${turn.messageIndex}</text>`);
+        }
+    });
+
+    return `<svg class="rpg-tension-svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+}
@@ -5,6 +5,7 @@
 import { i18n } from '../../core/i18n.js';
 import { extensionSettings } from '../../core/state.js';
 import { escapeHtml, escapeAttr } from '../../utils/html.js';
+import { FIELD_TYPES, FIELD_TYPE_LABELS, getFieldType, getEnumOptions } from '../../utils/fieldTypes.js';
 import {
     saveSettings,
     getPresets,
@@ -31,6 +32,7 @@ import {
 import { renderInfoBox } from '../rendering/infoBox.js';
 import { renderThoughts } from '../rendering/thoughts.js';
 import { applySceneTrackerSettings, updateChatSceneHeaders } from '../rendering/sceneHeaders.js';
+import { migrateTrackerPreset } from '../features/presetPacks.js';
 // Info Box widget key → Scene Tracker show-flag. Both express "is this field
 // on"; the editor edits the widget half and syncs the show-flag half on Save.
 const WIDGET_SHOW_KEYS = {
@@ -438,78 +440,6 @@ function exportTrackerPreset() {
         toastr.error(i18n.getTranslation('template.trackerEditorModal.messages.exportError') || 'Failed to export tracker preset. Check console for details.');
     }
 }
-/**
- * Migrates old tracker preset format to current format
- * @param {Object} config - The tracker config to migrate
- * @returns {Object} - Migrated tracker config
- */
-function migrateTrackerPreset(config) {
-    // Create a deep copy to avoid modifying the original
-    const migrated = JSON.parse(JSON.stringify(config));
-    // Migrate relationships structure (v3.0.0 -> v3.1.0)
-    if (migrated.presentCharacters) {
-        // Old format: relationshipEmojis directly on presentCharacters
-        // New format: relationships.relationshipEmojis
-        if (migrated.presentCharacters.relationshipEmojis &&
-            !migrated.presentCharacters.relationships) {
-            migrated.presentCharacters.relationships = {
-                enabled: migrated.presentCharacters.enableRelationships || true,
-                relationshipEmojis: migrated.presentCharacters.relationshipEmojis
-            };
-            // Keep legacy fields for backward compatibility
-            migrated.presentCharacters.relationshipFields = Object.keys(migrated.presentCharacters.relationshipEmojis);
-        }
-        // Ensure relationships object exists
-        if (!migrated.presentCharacters.relationships) {
-            migrated.presentCharacters.relationships = {
-                enabled: false,
-                relationshipEmojis: {}
-            };
-        }
-        // Ensure relationshipEmojis exists within relationships
-        if (!migrated.presentCharacters.relationships.relationshipEmojis) {
-            migrated.presentCharacters.relationships.relationshipEmojis = {};
-        }
-        // Add persistInHistory to customFields if missing (v3.4.0)
-        if (migrated.presentCharacters.customFields) {
-            migrated.presentCharacters.customFields = migrated.presentCharacters.customFields.map(field => ({
-                ...field,
-                persistInHistory: field.persistInHistory ?? false
-            }));
-        }
-        // Add persistInHistory to thoughts if missing (v3.4.0)
-        if (migrated.presentCharacters.thoughts && migrated.presentCharacters.thoughts.persistInHistory === undefined) {
-            migrated.presentCharacters.thoughts.persistInHistory = false;
-        }
-    }
-    // NOTE: userStats migration preserved for backward compat with old preset files
-    // The userStats section is no longer actively used but may exist in imported presets
-    // Ensure quests config exists at top level
-    if (!migrated.quests) {
-        migrated.quests = { persistInHistory: false };
-    }
-    // Add persistInHistory to infoBox widgets if missing (v3.4.0)
-    if (migrated.infoBox && migrated.infoBox.widgets) {
-        for (const [widgetId, widget] of Object.entries(migrated.infoBox.widgets)) {
-            if (widget.persistInHistory === undefined) {
-                // Default to false for backwards compatibility - user must explicitly enable
-                widget.persistInHistory = false;
-            }
-        }
-    }
-    // Ensure custom scene fields array exists on infoBox (added after presets shipped)
-    if (migrated.infoBox) {
-        if (!Array.isArray(migrated.infoBox.customFields)) {
-            migrated.infoBox.customFields = [];
-        } else {
-            migrated.infoBox.customFields = migrated.infoBox.customFields.map(field => ({
-                ...field,
-                persistInHistory: field.persistInHistory ?? false
-            }));
-        }
-    }
-    return migrated;
-}
 /**
  * Import tracker configuration from a JSON file
  */
@@ -637,6 +567,59 @@ function renderEditorUI() {
     renderHistoryPersistenceTab();
 }
 // NOTE: renderUserStatsTab() and setupUserStatsListeners() removed (see git history)
+/**
+ * Type controls shown under a custom field: the type select plus min/max for
+ * numbers and the option list for choices (see utils/fieldTypes.js).
+ * @param {Object} field - Custom field config
+ * @param {number} index - Index in its customFields array
+ * @param {string} prefix - Class prefix of the field list (e.g. 'rpg-infobox-field')
+ * @returns {string} HTML
+ */
+function renderFieldTypeControls(field, index, prefix) {
+    const type = getFieldType(field);
+    let html = '<div class="rpg-field-type-row">';
+    html += `<select class="${prefix}-type" data-index="${index}" title="Value type — shapes the AI instruction, validation, and display">`;
+    for (const option of FIELD_TYPES) {
+        html += `<option value="${option}" ${option === type ? 'selected' : ''}>${FIELD_TYPE_LABELS[option]}</option>`;
+    }
+    html += '</select>';
+    if (type === 'number') {
+        html += `<input type="number" value="${escapeAttr(field.min ?? '')}" class="${prefix}-min" data-index="${index}" placeholder="Min" title="Values below are raised to this">`;
+        html += `<input type="number" value="${escapeAttr(field.max ?? '')}" class="${prefix}-max" data-index="${index}" placeholder="Max" title="Values above are lowered to this; set both to show a bar">`;
+    } else if (type === 'enum') {
+        html += `<input type="text" value="${escapeAttr(getEnumOptions(field).join(', '))}" class="${prefix}-options" data-index="${index}" placeholder="Allowed values, comma-separated">`;
+    }
+    html += '</div>';
+    return html;
+}
+/**
+ * Binds the controls rendered by renderFieldTypeControls().
+ * @param {string} prefix - Class prefix passed to renderFieldTypeControls
+ * @param {Function} getFields - Returns the live customFields array
+ * @param {Function} rerender - Re-renders the tab (the inputs depend on the type)
+ */
+function bindFieldTypeControls(prefix, getFields, rerender) {
+    $(`.${prefix}-type`).off('change').on('change', function() {
+        const field = getFields()[$(this).data('index')];
+        if (!field) return;
+        field.type = $(this).val();
+        rerender();
+    });
+    for (const bound of ['min', 'max']) {
+        $(`.${prefix}-${bound}`).off('change').on('change', function() {
+            const field = getFields()[$(this).data('index')];
+            if (!field) return;
+            const value = parseFloat($(this).val());
+            if (Number.isFinite(value)) field[bound] = value;
+            else delete field[bound];
+        });
+    }
+    $(`.${prefix}-options`).off('blur').on('blur', function() {
+        const field = getFields()[$(this).data('index')];
+        if (!field) return;
+        field.options = String($(this).val()).split(',').map(option => option.trim()).filter(Boolean);
+    });
+}
 /**
  * Render Info Box configuration tab
  */
@@ -708,6 +691,7 @@ function renderInfoBoxTab() {
                 <input type="text" value="${escapeAttr(field.name)}" class="rpg-infobox-field-label" data-index="${index}" placeholder="Field Name">
                 <input type="text" value="${escapeAttr(field.description || '')}" class="rpg-infobox-field-placeholder" data-index="${index}" placeholder="AI Instruction">
                 <button class="rpg-field-remove rpg-infobox-field-remove" data-index="${index}" title="Remove field"><i class="fa-solid fa-trash"></i></button>
+                ${renderFieldTypeControls(field, index, 'rpg-infobox-field')}
             </div>
         `;
     });
@@ -770,6 +754,7 @@ function setupInfoBoxListeners() {
     $('.rpg-infobox-field-placeholder').off('blur').on('blur', function() {
         ensureCustomFields()[$(this).data('index')].description = $(this).val();
     });
+    bindFieldTypeControls('rpg-infobox-field', ensureCustomFields, renderInfoBoxTab);
 }
 /**
  * Render Present Characters configuration tab
@@ -822,6 +807,7 @@ function renderPresentCharactersTab() {
                 <input type="text" value="${escapeAttr(field.name)}" class="rpg-field-label" data-index="${index}" placeholder="Field Name">
                 <input type="text" value="${escapeAttr(field.description || '')}" class="rpg-field-placeholder" data-index="${index}" placeholder="AI Instruction">
                 <button class="rpg-field-remove" data-index="${index}" title="Remove field"><i class="fa-solid fa-trash"></i></button>
+                ${renderFieldTypeControls(field, index, 'rpg-charfield')}
             </div>
         `;
     });
@@ -1034,6 +1020,7 @@ function setupPresentCharactersListeners() {
         const index = $(this).data('index');
         extensionSettings.trackerConfig.presentCharacters.customFields[index].description = $(this).val();
     });
+    bindFieldTypeControls('rpg-charfield', () => extensionSettings.trackerConfig.presentCharacters.customFields, renderPresentCharactersTab);
     // Character stats toggle
     $('#rpg-char-stats-enabled').off('change').on('change', function() {
         if (!extensionSettings.trackerConfig.presentCharacters.characterStats) {
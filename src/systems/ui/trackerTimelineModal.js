@@ -0,0 +1,221 @@
+/**
+ * Tracker Timeline Modal — lists every reply's stored tracker with what
+ * changed since the reply before (trackerTimeline.js), compares two swipes
+ * of one reply side by side, and restores any snapshot as the current
+ * tracker.
+ */
+import { chat } from '../../../../../../../script.js';
+import {
+    getTrackerTimeline,
+    getSwipeSnapshot,
+    getSnapshotSwipeIds,
+    flattenSnapshot,
+    diffSnapshots,
+    alignSnapshots,
+    restoreSnapshot
+} from '../features/trackerTimeline.js';
+import { notifyTrackerChanged } from '../integration/publicApi.js';
+import { renderInfoBox } from '../rendering/infoBox.js';
+import { renderThoughts, updateChatThoughts } from '../rendering/thoughts.js';
+import { renderQuests } from '../rendering/quests.js';
+import { updateChatSceneHeaders, resetSceneHeaderCache } from '../rendering/sceneHeaders.js';
+import { updateTrackerJsonDropdowns } from '../rendering/trackerJsonInline.js';
+import { updatePortraitBar } from './portraitBar.js';
+import { updateWeatherEffect } from './weatherEffects.js';
+import { escapeHtml } from '../../utils/html.js';
+import { jumpToChatMessage } from './chatJump.js';
+
+const MODAL_ID = 'rpg-timeline-popup';
+
+const CHANGE_ICONS = {
+    arrived: '➕',
+    left: '➖',
+    added: '＋',
+    removed: '－',
+    changed: '✎'
+};
+
+let _initialized = false;
+/** Reply shown in the swipe comparison, or null for the timeline list. */
+let _compareIndex = null;
+
+export function initTrackerTimelineModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-timeline', openTrackerTimeline);
+    $(document).on('click', '#rpg-close-timeline', closeTrackerTimeline);
+    $(document).on('click', `#${MODAL_ID} [data-mesid]`, function () {
+        jumpToChatMessage(Number($(this).attr('data-mesid')), closeTrackerTimeline);
+    });
+    $(document).on('click', `#${MODAL_ID} .rpg-timeline-compare-btn`, function () {
+        _compareIndex = Number($(this).closest('[data-entry]').attr('data-entry'));
+        renderTimeline();
+    });
+    $(document).on('click', '#rpg-timeline-back', () => {
+        _compareIndex = null;
+        renderTimeline();
+    });
+    $(document).on('change', `#${MODAL_ID} .rpg-timeline-swipe-select, #rpg-timeline-only-diff`, renderComparison);
+    $(document).on('click', `#${MODAL_ID} .rpg-timeline-restore`, function () {
+        const messageIndex = Number($(this).attr('data-restore-mesid'));
+        const swipeId = Number($(this).attr('data-restore-swipe'));
+        restore(messageIndex, swipeId);
+    });
+
+    console.log('[Dooms Tracker] Tracker Timeline Modal initialized');
+}
+
+export function openTrackerTimeline() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Timeline modal element not found — template not loaded?');
+        return;
+    }
+    _compareIndex = null;
+    renderTimeline();
+    $modal.css('display', 'flex');
+}
+
+function closeTrackerTimeline() {
+    $('#' + MODAL_ID).css('display', 'none');
+}
+
+function swipeLabel(message, swipeId) {
+    const total = Array.isArray(message?.swipes) ? message.swipes.length : 1;
+    return `Swipe ${swipeId + 1}${total > 1 ? `/${total}` : ''}`;
+}
+
+function renderChange(change) {
+    const icon = `<span class="rpg-timeline-change-icon">${CHANGE_ICONS[change.kind]}</span>`;
+    if (change.kind === 'arrived' || change.kind === 'left') {
+        return `<div class="rpg-timeline-change rpg-timeline-change-${change.kind}">${icon}
+            <span><strong>${escapeHtml(change.section)}</strong> ${change.kind === 'arrived' ? 'arrived' : 'left'}</span></div>`;
+    }
+    const field = `<span class="rpg-timeline-field">${escapeHtml(change.section)} › ${escapeHtml(change.label)}</span>`;
+    let value;
+    if (change.kind === 'changed') {
+        value = `<span class="rpg-timeline-before">${escapeHtml(change.before)}</span> → <span class="rpg-timeline-after">${escapeHtml(change.after)}</span>`;
+    } else if (change.kind === 'added') {
+        value = `<span class="rpg-timeline-after">${escapeHtml(change.after)}</span>`;
+    } else {
+        value = `<span class="rpg-timeline-before">${escapeHtml(change.before)}</span>`;
+    }
+    return `<div class="rpg-timeline-change rpg-timeline-change-${change.kind}">${icon}<span>${field} ${value}</span></div>`;
+}
+
+function renderEntry(entry, previous) {
+    const message = chat[entry.messageIndex];
+    const rows = flattenSnapshot(entry.snapshot).rows;
+    const where = [rows.get('scene.location')?.text, rows.get('scene.time')?.text].filter(Boolean).join(' · ');
+    const changes = previous ? diffSnapshots(previous.snapshot, entry.snapshot) : null;
+    let body;
+    if (!changes) {
+        body = '<p class="rpg-note-text">First tracker in this chat.</p>';
+    } else if (!changes.length) {
+        body = '<p class="rpg-note-text">No changes since the previous reply.</p>';
+    } else {
+        body = changes.map(renderChange).join('');
+    }
+    const compare = entry.swipeIds.length > 1
+        ? `<button type="button" class="rpg-accordion-action-btn rpg-timeline-compare-btn" title="Compare this reply's swipes side by side">
+                <i class="fa-solid fa-code-compare"></i> Swipes (${entry.swipeIds.length})
+            </button>`
+        : '';
+    return `
+        <div class="rpg-timeline-entry" data-entry="${entry.messageIndex}">
+            <div class="rpg-timeline-entry-header">
+                <span class="rpg-twist-message" data-mesid="${entry.messageIndex}" title="Jump to message #${entry.messageIndex}">#${entry.messageIndex}</span>
+                <span class="rpg-timeline-name">${escapeHtml(entry.name)}</span>
+                ${entry.swipeIds.length > 1 ? `<span class="rpg-twist-tag rpg-twist-tag-muted">${escapeHtml(swipeLabel(message, entry.swipeId))}</span>` : ''}
+                <span class="rpg-timeline-where">${escapeHtml(where)}</span>
+                ${compare}
+                <button type="button" class="rpg-accordion-action-btn rpg-timeline-restore" data-restore-mesid="${entry.messageIndex}" data-restore-swipe="${entry.swipeId}"
+                    title="Make this the current tracker">
+                    <i class="fa-solid fa-clock-rotate-left"></i> Restore
+                </button>
+            </div>
+            ${body}
+        </div>`;
+}
+
+function renderTimeline() {
+    const $modal = $('#' + MODAL_ID);
+    const comparing = _compareIndex !== null && chat[_compareIndex];
+    $modal.find('.rpg-timeline-list').toggle(!comparing);
+    $modal.find('.rpg-timeline-compare').toggle(!!comparing);
+    if (comparing) {
+        renderComparisonControls();
+        return;
+    }
+    const entries = getTrackerTimeline();
+    const $list = $modal.find('.rpg-timeline-list');
+    if (!entries.length) {
+        $list.html('<p class="rpg-note-text">No replies in this chat have tracker data yet. Use Backfill Tracker History to create it for older messages.</p>');
+        return;
+    }
+    // Newest first; each reply is compared with the one before it
+    $list.html(entries.map((entry, index) => renderEntry(entry, entries[index - 1])).reverse().join(''));
+}
+
+function renderComparisonControls() {
+    const message = chat[_compareIndex];
+    const swipeIds = getSnapshotSwipeIds(message);
+    const options = swipeIds.map(id => `<option value="${id}">${escapeHtml(swipeLabel(message, id))}${id === (message.swipe_id || 0) ? ' (shown)' : ''}</option>`).join('');
+    const $compare = $('#' + MODAL_ID).find('.rpg-timeline-compare');
+    $compare.find('.rpg-timeline-compare-title').text(`Message #${_compareIndex} — ${message.name || ''}`);
+    const $selects = $compare.find('.rpg-timeline-swipe-select').html(options);
+    $selects.eq(0).val(String(swipeIds[0]));
+    $selects.eq(1).val(String(swipeIds[swipeIds.length - 1]));
+    renderComparison();
+}
+
+function renderComparison() {
+    if (_compareIndex === null) return;
+    const message = chat[_compareIndex];
+    const $compare = $('#' + MODAL_ID).find('.rpg-timeline-compare');
+    const $selects = $compare.find('.rpg-timeline-swipe-select');
+    const leftId = Number($selects.eq(0).val());
+    const rightId = Number($selects.eq(1).val());
+    const onlyDiff = $('#rpg-timeline-only-diff').prop('checked');
+    const rows = alignSnapshots(getSwipeSnapshot(message, leftId), getSwipeSnapshot(message, rightId))
+        .filter(row => !onlyDiff || row.differs);
+
+    const restoreButton = swipeId => `<button type="button" class="rpg-accordion-action-btn rpg-timeline-restore"
+            data-restore-mesid="${_compareIndex}" data-restore-swipe="${swipeId}">
+            <i class="fa-solid fa-clock-rotate-left"></i> Restore
+        </button>`;
+    $compare.find('.rpg-timeline-restore-left').html(restoreButton(leftId));
+    $compare.find('.rpg-timeline-restore-right').html(restoreButton(rightId));
+    $compare.find('.rpg-timeline-table').html(rows.length
+        ? rows.map(row => `
+            <div class="rpg-timeline-row${row.differs ? ' rpg-timeline-row-differs' : ''}">
+                <span class="rpg-timeline-field">${escapeHtml(row.section)} › ${escapeHtml(row.label)}</span>
+                <span>${escapeHtml(row.left) || '—'}</span>
+                <span>${escapeHtml(row.right) || '—'}</span>
+            </div>`).join('')
+        : '<p class="rpg-note-text">These swipes have the same tracker.</p>');
+}
+
+/**
+ * Restores one swipe's snapshot after confirming, then refreshes everything
+ * that shows the tracker.
+ */
+function restore(messageIndex, swipeId) {
+    const snapshot = getSwipeSnapshot(chat[messageIndex], swipeId);
+    if (!snapshot) return;
+    if (!confirm(`Make the tracker from message #${messageIndex} (swipe ${swipeId + 1}) the current tracker? It replaces what the panels show and what the next reply is given. Quests it doesn't have are ended.`)) return;
+    restoreSnapshot(snapshot);
+    renderInfoBox();
+    renderThoughts();
+    renderQuests();
+    resetSceneHeaderCache();
+    updateChatSceneHeaders();
+    updatePortraitBar();
+    updateWeatherEffect();
+    updateChatThoughts();
+    updateTrackerJsonDropdowns();
+    notifyTrackerChanged('restore');
+    toastr.success(`Restored the tracker from message #${messageIndex}.`);
+    renderTimeline();
+}
@@ -0,0 +1,140 @@
+/**
+ * Twist Journal Modal — lists every Doom Counter trigger in the chat
+ * (twistJournal.js): the options offered, the one chosen and the reply it
+ * went into. Hidden Trap Mode entries can be revealed, and unchosen options
+ * queued as the next twist.
+ */
+import { getJournalEntries, getChosenOption, revealJournalEntry } from '../features/twistJournal.js';
+import { requeueJournalTwist, getPendingTwist } from '../generation/doomCounter.js';
+import { escapeHtml } from '../../utils/html.js';
+import { jumpToChatMessage } from './chatJump.js';
+
+const MODAL_ID = 'rpg-twist-journal-popup';
+
+const STATUS_LABELS = {
+    choosing: 'Choosing…',
+    pending: 'Waiting for the next reply',
+    injected: 'Injected',
+    cancelled: 'Cancelled',
+    discarded: 'Discarded before injection'
+};
+
+let _initialized = false;
+
+export function initTwistJournalModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-twist-journal', openTwistJournal);
+    $(document).on('click', '#rpg-close-twist-journal', closeTwistJournal);
+
+    $(document).on('click', `#${MODAL_ID} .rpg-twist-reveal`, function () {
+        if (!confirm('Reveal this Trap Mode twist? Once revealed it stays visible for this chat.')) return;
+        revealJournalEntry($(this).closest('[data-entry]').attr('data-entry'));
+        renderTwistJournal();
+    });
+
+    $(document).on('click', `#${MODAL_ID} .rpg-twist-requeue`, function () {
+        const entryId = $(this).closest('[data-entry]').attr('data-entry');
+        const optionIndex = Number($(this).attr('data-option'));
+        if (!requeueJournalTwist(entryId, optionIndex)) {
+            toastr.warning('Couldn\'t queue this twist — another one is already waiting for the next reply.');
+            return;
+        }
+        toastr.success('Queued — it will be woven into the next reply.');
+        renderTwistJournal();
+    });
+
+    $(document).on('click', `#${MODAL_ID} [data-mesid]`, function () {
+        jumpToChatMessage(Number($(this).attr('data-mesid')), closeTwistJournal);
+    });
+
+    console.log('[Dooms Tracker] Twist Journal Modal initialized');
+}
+
+export function openTwistJournal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] Twist journal modal element not found — template not loaded?');
+        return;
+    }
+    renderTwistJournal();
+    $modal.css('display', 'flex');
+}
+
+function closeTwistJournal() {
+    $('#' + MODAL_ID).css('display', 'none');
+}
+
+function renderOption(option, index, entry, canQueue) {
+    const chosen = index === entry.chosen;
+    const ownerLabel = option.knifeDeckId ? `${option.knifeOwner} deck` : `${option.knifeOwner}'s knife`;
+    const owner = option.knifeOwner ? `<span class="rpg-twist-owner">${escapeHtml(ownerLabel)}</span>` : '';
+    let action = '';
+    if (chosen) {
+        action = '<span class="rpg-twist-tag">Chosen</span>';
+    } else if (option.requeued) {
+        action = '<span class="rpg-twist-tag rpg-twist-tag-muted">Re-queued</span>';
+    } else {
+        action = `<button type="button" class="rpg-accordion-action-btn rpg-twist-requeue" data-option="${index}"${canQueue ? '' : ' disabled title="A twist is already waiting for the next reply"'}>
+                <i class="fa-solid fa-rotate-right"></i> Queue
+            </button>`;
+    }
+    return `
+        <div class="rpg-twist-option${chosen ? ' rpg-twist-option-chosen' : ''}">
+            <span class="rpg-twist-option-emoji">${escapeHtml(option.emoji)}</span>
+            <div class="rpg-twist-option-text">
+                <div class="rpg-twist-option-title">${escapeHtml(option.title)}${owner}</div>
+                <div class="rpg-twist-option-desc">${escapeHtml(option.description)}</div>
+            </div>
+            ${action}
+        </div>`;
+}
+
+function renderEntry(entry, canQueue) {
+    const when = new Date(entry.createdAt).toLocaleString();
+    const chosen = getChosenOption(entry);
+    const badges = [];
+    if (entry.trap) badges.push('<span class="rpg-twist-tag">🪤 Trap</span>');
+    if (entry.meter) badges.push(`<span class="rpg-twist-tag">${escapeHtml(entry.meter)} meter</span>`);
+    if (entry.requeuedFrom) badges.push('<span class="rpg-twist-tag rpg-twist-tag-muted">Re-queued</span>');
+    if (entry.revealed && chosen?.knifeId) badges.push('<span class="rpg-twist-tag">🔪 Knife</span>');
+    const message = entry.messageIndex !== null && entry.messageIndex !== undefined
+        ? `<span class="rpg-twist-message" data-mesid="${entry.messageIndex}" title="Jump to message #${entry.messageIndex}">→ message #${entry.messageIndex}</span>`
+        : '';
+
+    let body;
+    if (!entry.revealed) {
+        body = `
+            <div class="rpg-twist-hidden">
+                <span>🪤 Hidden twist</span>
+                <button type="button" class="rpg-accordion-action-btn rpg-twist-reveal">
+                    <i class="fa-solid fa-eye"></i> Reveal
+                </button>
+            </div>`;
+    } else {
+        body = entry.options.map((option, index) => renderOption(option, index, entry, canQueue)).join('');
+    }
+
+    return `
+        <div class="rpg-twist-entry" data-entry="${escapeHtml(entry.id)}">
+            <div class="rpg-twist-entry-header">
+                <span class="rpg-twist-when">${escapeHtml(when)}</span>
+                ${badges.join('')}
+                <span class="rpg-twist-status rpg-twist-status-${escapeHtml(entry.status)}">${escapeHtml(STATUS_LABELS[entry.status] || entry.status)}</span>
+                ${message}
+            </div>
+            ${body}
+        </div>`;
+}
+
+function renderTwistJournal() {
+    const entries = getJournalEntries();
+    const $list = $('#' + MODAL_ID).find('.rpg-twist-journal-list');
+    if (!entries.length) {
+        $list.html('<p class="rpg-note-text">No twists yet. Entries appear here each time the Doom Counter triggers.</p>');
+        return;
+    }
+    const canQueue = !getPendingTwist();
+    $list.html(entries.map(entry => renderEntry(entry, canQueue)).join(''));
+}
@@ -0,0 +1,296 @@
+/**
+ * World Decks Modal — editor for knives tied to places, factions or the
+ * setting (worldDecks.js), plus the draw weights the Doom Counter uses to
+ * choose between character knives, world decks and AI-generated twists.
+ * Edits to a deck stay on a draft until Save Deck; arming and disarming a
+ * saved deck's knives is saved straight away, like a drawn knife.
+ */
+import { extensionSettings } from '../../core/state.js';
+import { saveSettings } from '../../core/persistence.js';
+import {
+    WORLD_DECK_SCOPES,
+    normalizeWorldDeck,
+    getAllWorldDecks,
+    findWorldDeck,
+    storeWorldDeck,
+    removeWorldDeck,
+    setWorldKnifeArmed
+} from '../features/worldDecks.js';
+import { buildKnifePack, downloadKnifePack } from '../features/knifePacks.js';
+import { generateWorldKnifeSuggestions } from '../generation/doomCounter.js';
+import { getKnifeThemes, getKnifeTheme, getKnifeThemeCount } from '../features/knifeThemes.js';
+import { escapeHtml, escapeAttr } from '../../utils/html.js';
+
+const MODAL_ID = 'rpg-decks-popup';
+
+let _initialized = false;
+/** Deck shown in the form; `saved` is false until it is first stored. */
+let _draft = null;
+let _generating = false;
+
+export function initWorldDecksModal() {
+    if (_initialized) return;
+    _initialized = true;
+
+    $(document).on('click', '#rpg-open-world-decks', openWorldDecksModal);
+    $(document).on('click', '#rpg-close-decks', closeWorldDecksModal);
+    $(document).on('change', '#rpg-deck-select', function () {
+        loadDeck(String($(this).val()));
+    });
+    $(document).on('click', '#rpg-deck-new', () => loadDeck(''));
+    $(document).on('click', '#rpg-deck-delete', deleteDeck);
+    $(document).on('click', '#rpg-deck-save', saveDeck);
+    $(document).on('click', '#rpg-deck-export', exportDeck);
+    $(document).on('change', '#rpg-deck-character-weight, #rpg-deck-twist-weight', saveDrawWeights);
+
+    $(document).on('click', '#rpg-deck-knife-add', function () {
+        if (!_draft) return;
+        const $input = $('#rpg-deck-knife-input');
+        const text = String($input.val() || '').trim();
+        if (!text) return;
+        _draft.knives.push({ id: 'knife_' + Date.now(), text, used: false });
+        $input.val('');
+        renderDeckKnives();
+    });
+    $(document).on('click', `#${MODAL_ID} .rpg-dc-knife-delete`, function () {
+        if (!_draft) return;
+        const id = $(this).closest('.rpg-dc-knife-row').data('id');
+        _draft.knives = _draft.knives.filter(k => k.id !== id);
+        renderDeckKnives();
+    });
+    // Arm / disarm — saved at once for a stored deck so it matches what the
+    // Doom Counter will draw from
+    $(document).on('click', `#${MODAL_ID} .rpg-deck-knife-arm`, function () {
+        if (!_draft) return;
+        const id = $(this).closest('.rpg-dc-knife-row').data('id');
+        const knife = _draft.knives.find(k => k.id === id);
+        if (!knife) return;
+        knife.used = !knife.used;
+        if (_draft.saved && findWorldDeck(_draft.id)?.deck.knives?.some(k => k.id === id)) {
+            setWorldKnifeArmed(_draft.id, id, !knife.used);
+        }
+        renderDeckKnives();
+    });
+
+    // Generate is two-step like the Workshop: pick a theme, then the API call
+    $(document).on('click', '#rpg-deck-generate', function () {
+        if (!_draft || _generating) return;
+        renderThemePicker();
+    });
+    $(document).on('click', `#${MODAL_ID} .rpg-deck-theme-chip`, generateSuggestions);
+    $(document).on('click', '#rpg-deck-sugg-keep', keepSuggestions);
+    $(document).on('click', '#rpg-deck-sugg-discard', clearSuggestions);
+
+    console.log('[Dooms Tracker] World Decks Modal initialized');
+}
+
+export function openWorldDecksModal() {
+    const $modal = $('#' + MODAL_ID);
+    if (!$modal.length) {
+        console.warn('[Dooms Tracker] World decks modal element not found — template not loaded?');
+        return;
+    }
+    const dc = extensionSettings.doomCounter || {};
+    $('#rpg-deck-character-weight').val(dc.characterKnifeWeight ?? 1);
+    $('#rpg-deck-twist-weight').val(dc.aiTwistWeight ?? 0);
+    $('#rpg-deck-scope').html(Object.entries(WORLD_DECK_SCOPES)
+        .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join(''));
+    loadDeck(getAllWorldDecks()[0]?.id || '');
+    $modal.css('display', 'flex');
+}
+
+function closeWorldDecksModal() {
+    $('#' + MODAL_ID).css('display', 'none');
+    clearSuggestions();
+}
+
+function saveDrawWeights() {
+    if (!extensionSettings.doomCounter) return;
+    const read = (selector, fallback) => {
+        const value = Number($(selector).val());
+        return Number.isFinite(value) ? Math.min(10, Math.max(0, value)) : fallback;
+    };
+    extensionSettings.doomCounter.characterKnifeWeight = read('#rpg-deck-character-weight', 1);
+    extensionSettings.doomCounter.aiTwistWeight = read('#rpg-deck-twist-weight', 0);
+    saveSettings();
+}
+
+function renderDeckList() {
+    const options = getAllWorldDecks()
+        .map(deck => `<option value="${escapeAttr(deck.id)}">${escapeHtml(`${deck.emoji} ${deck.name} — ${WORLD_DECK_SCOPES[deck.scope].toLowerCase()}${deck.enabled ? '' : ' (off)'}`)}</option>`);
+    if (!_draft.saved) options.push('<option value="">New deck</option>');
+    $('#rpg-deck-select').html(options.join('')).val(_draft.saved ? _draft.id : '');
+    $('#rpg-deck-delete').prop('disabled', !_draft.saved);
+}
+
+function renderDeckKnives() {
+    const $list = $('#rpg-deck-knives');
+    if (!_draft.knives.length) {
+        $list.html('<div class="rpg-dc-knives-empty">No knives in this deck yet — add one below or generate a few.</div>');
+        return;
+    }
+    $list.html(_draft.knives.map(k => {
+        const theme = getKnifeTheme(k.theme);
+        return `
+        <div class="rpg-dc-knife-row${k.used ? ' rpg-dc-knife-used' : ''}" data-id="${escapeAttr(k.id)}">
+            <span class="rpg-dc-knife-icon">${escapeHtml(theme ? theme.emoji : _draft.emoji || '🌍')}</span>
+            <span class="rpg-dc-knife-text">${escapeHtml(k.text)}</span>
+            ${k.used ? '<span class="rpg-dc-knife-used-badge">used</span>' : ''}
+            <button class="rpg-dc-knife-btn rpg-deck-knife-arm${k.used ? ' rpg-dc-knife-rearm' : ''}" type="button" title="${k.used ? 'Re-arm this knife so it can be drawn again' : 'Disarm — mark as used without drawing it'}">
+                <i class="fa-solid ${k.used ? 'fa-rotate-left' : 'fa-ban'}"></i>
+            </button>
+            <button class="rpg-dc-knife-btn rpg-dc-knife-delete" type="button" title="Delete knife"><i class="fa-solid fa-trash"></i></button>
+        </div>`;
+    }).join(''));
+}
+
+function loadDeck(id) {
+    const found = id ? findWorldDeck(id) : null;
+    const deck = normalizeWorldDeck(found?.deck || { name: '' });
+    _draft = { ...deck, scope: found?.scope || 'chat', saved: !!found };
+    $('#rpg-deck-name').val(found ? deck.name : '');
+    $('#rpg-deck-emoji').val(found ? deck.emoji : '');
+    $('#rpg-deck-enabled').prop('checked', deck.enabled);
+    $('#rpg-deck-scope').val(_draft.scope);
+    $('#rpg-deck-weight').val(deck.weight);
+    $('#rpg-deck-description').val(deck.description);
+    $('#rpg-deck-knife-input').val('');
+    clearSuggestions();
+    renderDeckList();
+    renderDeckKnives();
+}
+
+function readForm() {
+    _draft.name = String($('#rpg-deck-name').val() || '').trim();
+    _draft.emoji = String($('#rpg-deck-emoji').val() || '').trim();
+    _draft.enabled = $('#rpg-deck-enabled').prop('checked');
+    _draft.scope = $('#rpg-deck-scope').val() === 'global' ? 'global' : 'chat';
+    _draft.weight = $('#rpg-deck-weight').val();
+    _draft.description = String($('#rpg-deck-description').val() || '').trim();
+}
+
+function saveDeck() {
+    if (!_draft) return;
+    readForm();
+    if (!_draft.name) {
+        toastr.error('Give the deck a name first.');
+        return;
+    }
+    const { scope, saved, ...deck } = _draft;
+    const stored = storeWorldDeck(deck, scope);
+    loadDeck(stored.id);
+    toastr.success(`Saved deck "${stored.name}".`);
+}
+
+function exportDeck() {
+    if (!_draft) return;
+    readForm();
+    if (!_draft.name || !_draft.knives.length) {
+        toastr.info('Name the deck and give it some knives before exporting.');
+        return;
+    }
+    const deck = normalizeWorldDeck(_draft);
+    downloadKnifePack(buildKnifePack(deck.name, [{ owner: { type: 'deck', name: deck.name, deck }, knives: deck.knives }]));
+}
+
+function deleteDeck() {
+    if (!_draft?.saved) return;
+    if (!confirm(`Delete the deck "${_draft.name}" and its ${_draft.knives.length} knife/knives?`)) return;
+    removeWorldDeck(_draft.id);
+    loadDeck(getAllWorldDecks()[0]?.id || '');
+}
+
+function renderThemePicker() {
+    const chips = getKnifeThemes().map(t => `
+        <button type="button" class="rpg-deck-theme-chip" data-theme-id="${escapeAttr(t.id)}" title="${escapeAttr(t.guidance)}">
+            <span>${escapeHtml(t.emoji)}</span> ${escapeHtml(t.label)}
+        </button>
+    `).join('');
+    $('#rpg-deck-suggestions').prop('hidden', false).html(`
+        <p class="rpg-setting-hint">What kind of knives should the AI forge for this deck?</p>
+        <div class="rpg-deck-theme-chips">${chips}</div>
+    `);
+}
+
+async function generateSuggestions() {
+    if (!_draft || _generating) return;
+    const theme = getKnifeTheme($(this).attr('data-theme-id'));
+    if (!theme) return;
+    readForm();
+    if (!_draft.name) {
+        toastr.error('Name the deck first — the AI writes knives for it.');
+        return;
+    }
+    _generating = true;
+    const forId = _draft.id;
+    const $sugg = $('#rpg-deck-suggestions');
+    $('#rpg-deck-generate').prop('disabled', true);
+    $sugg.html(`<div class="cw-knife-sugg-loading">Forging ${escapeHtml(theme.label.toLowerCase())} knives&hellip; (asking your AI)</div>`);
+    try {
+        const suggestions = await generateWorldKnifeSuggestions(_draft, {
+            count: getKnifeThemeCount(theme),
+            existingKnives: _draft.knives.map(k => k.text),
+            theme
+        });
+        // The user may have switched decks during the API call
+        if (_draft?.id !== forId) return;
+        if (!suggestions.length) throw new Error('Empty suggestion list');
+        renderSuggestions(suggestions, theme);
+    } catch (error) {
+        console.error('[Dooms Tracker] World decks: knife generation failed', error);
+        if (_draft?.id === forId) {
+            $sugg.html('<div class="cw-knife-sugg-loading">Generation failed &mdash; check your API connection and try again.</div>');
+        }
+        toastr.error('Failed to generate knives.');
+    } finally {
+        _generating = false;
+        $('#rpg-deck-generate').prop('disabled', false);
+    }
+}
+
+function renderSuggestions(suggestions, theme) {
+    const rows = suggestions.map((text, i) => `
+        <label class="cw-knife-suggestion">
+            <input type="checkbox" data-index="${i}">
+            <span class="rpg-dc-knife-icon">${theme.emoji}</span>
+            <span class="rpg-dc-knife-text">${escapeHtml(text)}</span>
+        </label>
+    `).join('');
+    const $sugg = $('#rpg-deck-suggestions');
+    $sugg.html(`
+        <p class="rpg-setting-hint">Pick the knives worth keeping — the rest are discarded:</p>
+        ${rows}
+        <div class="cw-knife-sugg-actions">
+            <button type="button" class="rpg-accordion-action-btn" id="rpg-deck-sugg-keep">
+                <i class="fa-solid fa-check"></i> Keep selected
+            </button>
+            <button type="button" class="rpg-accordion-action-btn" id="rpg-deck-sugg-discard">Discard all</button>
+        </div>
+    `);
+    $sugg.data('suggestions', suggestions);
+    $sugg.data('theme', theme.id);
+}
+
+function keepSuggestions() {
+    if (!_draft) return;
+    const $sugg = $('#rpg-deck-suggestions');
+    const suggestions = $sugg.data('suggestions') || [];
+    const picked = [];
+    $sugg.find('input[type="checkbox"]:checked').each(function () {
+        const text = suggestions[parseInt($(this).data('index'))];
+        if (text) picked.push(text);
+    });
+    if (!picked.length) {
+        toastr.info('Tick at least one knife to keep, or Discard all.');
+        return;
+    }
+    const now = Date.now();
+    const theme = $sugg.data('theme') || '';
+    picked.forEach((text, i) => _draft.knives.push({ id: `knife_${now}_${i}`, text, used: false, ...(theme ? { theme } : {}) }));
+    clearSuggestions();
+    renderDeckKnives();
+}
+
+function clearSuggestions() {
+    $('#rpg-deck-suggestions').prop('hidden', true).empty().removeData('suggestions').removeData('theme');
+}
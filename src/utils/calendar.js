@@ -0,0 +1,329 @@
+/**
+ * In-world calendar engine.
+ *
+ * Reads the free-text date and time the model writes into the info box
+ * ("Monday, March 3, 1024", "3rd of Frostfall, 1024 AR", "2:30 PM", "dusk")
+ * into a point on a calendar, and does the arithmetic the model used to
+ * guess at: weekday, moon phase, and elapsed time between two points.
+ *
+ * A calendar definition:
+ *   {
+ *     id, name,
+ *     months:   [{name, days}],
+ *     weekdays: [name],
+ *     weekdayOffset: number,           // weekday index of day 0 (custom calendars)
+ *     moons:    [{name, cycleDays, offsetDays}],   // offsetDays = a day index with a new moon
+ *     gregorian: true                  // real-world months, leap years and weekdays
+ *   }
+ *
+ * Days are counted from a fixed epoch (1970-01-01 for Gregorian, year 0 day 1
+ * for custom calendars), minutes from midnight; a point's absolute value is
+ * dayIndex * 1440 + minutes. Everything here is pure — no settings, no DOM.
+ */
+
+export const MINUTES_PER_DAY = 1440;
+
+export const MOON_PHASES = [
+    'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+    'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+];
+
+const GREGORIAN_MONTHS = [
+    ['January', 31], ['February', 28], ['March', 31], ['April', 30], ['May', 31], ['June', 30],
+    ['July', 31], ['August', 31], ['September', 30], ['October', 31], ['November', 30], ['December', 31]
+];
+
+export const GREGORIAN_CALENDAR = {
+    id: 'gregorian',
+    name: 'Gregorian (real world)',
+    gregorian: true,
+    months: GREGORIAN_MONTHS.map(([name, days]) => ({ name, days })),
+    weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    weekdayOffset: 4, // 1970-01-01 was a Thursday
+    // Reference new moon: 2000-01-06 18:14 UTC
+    moons: [{ name: 'Moon', cycleDays: 29.530588853, offsetDays: 10962.76 }]
+};
+
+/** Word times the model uses instead of a clock reading. */
+const TIME_WORDS = [
+    ['midnight', 0], ['dawn', 6 * 60], ['sunrise', 6 * 60], ['daybreak', 6 * 60],
+    ['morning', 9 * 60], ['noon', 12 * 60], ['midday', 12 * 60], ['afternoon', 15 * 60],
+    ['sunset', 18 * 60], ['dusk', 18 * 60], ['twilight', 18 * 60], ['evening', 19 * 60], ['night', 22 * 60]
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/**
+ * @param {Object} calendar
+ * @param {number} month - 0-based month
+ * @param {number} year
+ * @returns {number} Days in that month
+ */
+export function daysInMonth(calendar, month, year) {
+    const days = calendar.months[month]?.days || 30;
+    return calendar.gregorian && month === 1 && isLeapYear(year) ? 29 : days;
+}
+
+/**
+ * Checks a calendar definition (e.g. one typed into the editor) and returns
+ * a cleaned copy.
+ * @param {Object} raw
+ * @returns {Object} Calendar
+ * @throws {Error} When the calendar has no usable months or weekdays
+ */
+export function validateCalendar(raw) {
+    if (raw?.gregorian) return GREGORIAN_CALENDAR;
+    const months = (Array.isArray(raw?.months) ? raw.months : [])
+        .map(month => ({ name: String(month?.name || '').trim(), days: parseInt(month?.days, 10) }))
+        .filter(month => month.name && month.days > 0);
+    if (!months.length) throw new Error('a calendar needs at least one month with a day count');
+    const weekdays = (Array.isArray(raw?.weekdays) ? raw.weekdays : [])
+        .map(day => String(day || '').trim())
+        .filter(Boolean);
+    if (!weekdays.length) throw new Error('a calendar needs at least one weekday');
+    const moons = (Array.isArray(raw?.moons) ? raw.moons : [])
+        .map(moon => ({
+            name: String(moon?.name || 'Moon').trim() || 'Moon',
+            cycleDays: Number(moon?.cycleDays),
+            offsetDays: Number(moon?.offsetDays) || 0
+        }))
+        .filter(moon => Number.isFinite(moon.cycleDays) && moon.cycleDays > 0);
+    return {
+        id: String(raw.id || '').trim(),
+        name: String(raw.name || '').trim() || 'Custom calendar',
+        months,
+        weekdays,
+        weekdayOffset: parseInt(raw.weekdayOffset, 10) || 0,
+        moons
+    };
+}
+
+/**
+ * @param {Object} calendar
+ * @param {{year: number, month: number, day: number}} date - month 0-based, day 1-based
+ * @returns {number} Days since the calendar epoch
+ */
+export function toDayIndex(calendar, { year, month, day }) {
+    if (calendar.gregorian) {
+        const date = new Date(0);
+        date.setUTCFullYear(year, month, day);
+        return Math.floor(date.getTime() / 86400000);
+    }
+    const yearLength = calendar.months.reduce((sum, m) => sum + m.days, 0);
+    let index = year * yearLength;
+    for (let i = 0; i < month; i++) index += calendar.months[i].days;
+    return index + day - 1;
+}
+
+/**
+ * Inverse of toDayIndex.
+ * @param {Object} calendar
+ * @param {number} dayIndex
+ * @returns {{year: number, month: number, day: number}}
+ */
+export function fromDayIndex(calendar, dayIndex) {
+    if (calendar.gregorian) {
+        const date = new Date(dayIndex * 86400000);
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() };
+    }
+    const yearLength = calendar.months.reduce((sum, m) => sum + m.days, 0);
+    const year = Math.floor(dayIndex / yearLength);
+    let remaining = dayIndex - year * yearLength;
+    let month = 0;
+    while (remaining >= calendar.months[month].days) {
+        remaining -= calendar.months[month].days;
+        month++;
+    }
+    return { year, month, day: remaining + 1 };
+}
+
+/**
+ * @param {Object} calendar
+ * @param {number} dayIndex
+ * @returns {string} Weekday name
+ */
+export function weekdayOf(calendar, dayIndex) {
+    return calendar.weekdays[mod(dayIndex + (calendar.weekdayOffset || 0), calendar.weekdays.length)];
+}
+
+/**
+ * @param {Object} calendar
+ * @param {number} dayIndex
+ * @returns {Array<{name: string, phase: string}>} Phase of every moon on that day
+ */
+export function moonPhasesOf(calendar, dayIndex) {
+    return (calendar.moons || []).map(moon => {
+        const age = mod(dayIndex + 0.5 - moon.offsetDays, moon.cycleDays) / moon.cycleDays;
+        return { name: moon.name, phase: MOON_PHASES[Math.round(age * 8) % 8] };
+    });
+}
+
+/**
+ * Moon phase text for display: the phase alone for one moon, "Name: Phase"
+ * pairs for several.
+ * @param {Object} calendar
+ * @param {number} dayIndex
+ * @returns {string}
+ */
+export function formatMoonPhases(calendar, dayIndex) {
+    const phases = moonPhasesOf(calendar, dayIndex);
+    if (phases.length <= 1) return phases[0]?.phase || '';
+    return phases.map(({ name, phase }) => `${name}: ${phase}`).join(' · ');
+}
+
+function findMonth(calendar, text) {
+    let best = null;
+    calendar.months.forEach((month, index) => {
+        const names = [month.name];
+        // Real-world abbreviations: "Jan", "Sept"
+        if (calendar.gregorian) names.push(month.name.slice(0, 3), month.name.slice(0, 4));
+        for (const name of names) {
+            const match = new RegExp(`(^|[^\\p{L}])(${escapeRegExp(name)})\\.?(?=$|[^\\p{L}])`, 'iu').exec(text);
+            if (match && (!best || name.length > best.length)) {
+                best = { index, length: name.length, start: match.index + match[1].length, end: match.index + match[0].length };
+            }
+        }
+    });
+    return best;
+}
+
+/**
+ * Reads a date from free text.
+ * @param {string} text - Date as the model wrote it
+ * @param {Object} calendar
+ * @param {number|null} [fallbackYear] - Year to assume when the text has none
+ * @returns {{year: number, month: number, day: number}|null}
+ */
+export function parseDate(text, calendar, fallbackYear = null) {
+    const source = String(text || '');
+    if (!source.trim()) return null;
+    // ISO-style 1024-03-15
+    const iso = source.match(/(-?\d{1,6})-(\d{1,2})-(\d{1,2})/);
+    if (iso) {
+        const month = parseInt(iso[2], 10) - 1;
+        const day = parseInt(iso[3], 10);
+        if (month >= 0 && month < calendar.months.length && day >= 1) {
+            return { year: parseInt(iso[1], 10), month, day: Math.min(day, daysInMonth(calendar, month, parseInt(iso[1], 10))) };
+        }
+    }
+    const found = findMonth(calendar, source);
+    if (!found) {
+        // Numeric day/month/year (day first unless that's impossible)
+        const numeric = source.match(/(\d{1,2})[/.](\d{1,2})[/.](-?\d{1,6})/);
+        if (!numeric) return null;
+        let [day, month] = [parseInt(numeric[1], 10), parseInt(numeric[2], 10)];
+        if (month > calendar.months.length && day <= calendar.months.length) [day, month] = [month, day];
+        if (month < 1 || month > calendar.months.length || day < 1) return null;
+        const year = parseInt(numeric[3], 10);
+        return { year, month: month - 1, day: Math.min(day, daysInMonth(calendar, month - 1, year)) };
+    }
+    // Numbers outside the month name: an ordinal or small number is the day,
+    // the remaining (or only large) number is the year.
+    const rest = source.slice(0, found.start) + ' ' + source.slice(found.end);
+    const numbers = [...rest.matchAll(/(-?\d+)(st|nd|rd|th)?/gi)].map(m => ({ value: parseInt(m[1], 10), ordinal: !!m[2] }));
+    const maxDays = Math.max(...calendar.months.map(m => m.days), 31);
+    let dayEntry = numbers.find(n => n.ordinal && n.value >= 1 && n.value <= maxDays) ||
+        numbers.find(n => n.value >= 1 && n.value <= maxDays && numbers.length > 1) ||
+        (numbers.length === 1 && numbers[0].value >= 1 && numbers[0].value <= maxDays && String(numbers[0].value).length <= 2 ? numbers[0] : null);
+    const yearEntry = numbers.filter(n => n !== dayEntry).pop();
+    const year = yearEntry ? yearEntry.value : fallbackYear;
+    if (year === null || year === undefined) return null;
+    const day = dayEntry ? dayEntry.value : 1;
+    return { year, month: found.index, day: Math.min(day, daysInMonth(calendar, found.index, year)) };
+}
+
+/**
+ * Reads a clock time from free text ("14:30", "2:30 PM", "9am", "dusk").
+ * @param {string} text
+ * @returns {number|null} Minutes since midnight
+ */
+export function parseTime(text) {
+    const source = String(text || '').toLowerCase();
+    const clock = source.match(/(\d{1,2})\s*(?::|h|\.)\s*(\d{2})\s*(a\.?m\.?|p\.?m\.?)?/) ||
+        source.match(/(\d{1,2})()\s*(a\.?m\.?|p\.?m\.?)/);
+    if (clock) {
+        let hours = parseInt(clock[1], 10);
+        const minutes = clock[2] ? parseInt(clock[2], 10) : 0;
+        const meridiem = clock[3] ? clock[3][0] : '';
+        if (meridiem === 'p' && hours < 12) hours += 12;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+        if (hours > 24 || minutes > 59) return null;
+        return (hours % 24) * 60 + minutes;
+    }
+    for (const [word, minutes] of TIME_WORDS) {
+        if (new RegExp(`\\b${word}\\b`).test(source)) return minutes;
+    }
+    return null;
+}
+
+/**
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} 24-hour "HH:MM"
+ */
+export function formatTime(minutes) {
+    const value = mod(Math.round(minutes), MINUTES_PER_DAY);
+    return `${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a date the way the date widget's format setting describes it.
+ * @param {Object} calendar
+ * @param {{year: number, month: number, day: number}} date
+ * @param {string} [format] - 'Weekday, Month, Year' or 'Day (Numerical), Month, Year'
+ * @returns {string}
+ */
+export function formatDate(calendar, date, format = 'Weekday, Month, Year') {
+    const monthName = calendar.months[date.month]?.name || '';
+    if (/^Day \(Numerical\)/.test(format)) {
+        return `${date.day} ${monthName}, ${date.year}`;
+    }
+    return `${weekdayOf(calendar, toDayIndex(calendar, date))}, ${monthName} ${date.day}, ${date.year}`;
+}
+
+/**
+ * Reads a duration from free text ("6 hours", "2 days", "half a day", "an hour").
+ * @param {string} text
+ * @returns {number|null} Minutes
+ */
+export function parseDuration(text) {
+    const source = String(text || '').toLowerCase();
+    if (!source.trim()) return null;
+    if (/\b(just|now|none|no time|moments?)\b/.test(source) && !/\d/.test(source)) return 0;
+    const units = { minute: 1, min: 1, hour: 60, hr: 60, day: MINUTES_PER_DAY, week: 7 * MINUTES_PER_DAY };
+    let total = 0;
+    let matched = false;
+    for (const match of source.matchAll(/(\d+(?:\.\d+)?|an?|half an?|half a)\s*(minutes?|mins?|hours?|hrs?|days?|weeks?)/g)) {
+        const amount = /^half/.test(match[1]) ? 0.5 : (/^an?$/.test(match[1]) ? 1 : parseFloat(match[1]));
+        const unit = match[2].replace(/s$/, '');
+        total += amount * (units[unit] || 0);
+        matched = true;
+    }
+    return matched ? Math.round(total) : null;
+}
+
+/**
+ * @param {number} minutes
+ * @returns {string} Short human duration ("45 minutes", "6 hours", "2 days 3 hours")
+ */
+export function formatDuration(minutes) {
+    const value = Math.max(0, Math.round(minutes));
+    const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+    if (value < 60) return plural(value, 'minute');
+    const days = Math.floor(value / MINUTES_PER_DAY);
+    const hours = Math.floor((value % MINUTES_PER_DAY) / 60);
+    if (days === 0) {
+        const minutes = value % 60;
+        return minutes && hours < 3 ? `${plural(hours, 'hour')} ${plural(minutes, 'minute')}` : plural(hours, 'hour');
+    }
+    return hours && days < 7 ? `${plural(days, 'day')} ${plural(hours, 'hour')}` : plural(days, 'day');
+}
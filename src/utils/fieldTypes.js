@@ -0,0 +1,283 @@
+/**
+ * Typed custom tracker fields.
+ *
+ * Custom scene fields (trackerConfig.infoBox.customFields) and character
+ * detail fields (trackerConfig.presentCharacters.customFields) carry an
+ * optional `type`; a field without one is free text, exactly as before.
+ *
+ *   text     free text
+ *   number   numeric, optional `min` / `max` (clamped; both set = shown as a bar)
+ *   enum     one of `options` (shown as a badge)
+ *   boolean  true / false
+ *   list     array of short strings
+ *
+ * The type drives the JSON instruction (jsonPromptHelpers.js), validation and
+ * clamping of the model's values (parser.js), and rendering (thoughts panel,
+ * info box, scene headers). Everything here is pure — no settings, no DOM.
+ */
+import { escapeHtml } from './html.js';
+
+export const FIELD_TYPES = ['text', 'number', 'enum', 'boolean', 'list'];
+
+export const FIELD_TYPE_LABELS = {
+    text: 'Text',
+    number: 'Number',
+    enum: 'Choice',
+    boolean: 'Yes/No',
+    list: 'List'
+};
+
+const TRUE_WORDS = new Set(['true', 'yes', 'y', 'on', '1', '✓', '✔', '✅']);
+const FALSE_WORDS = new Set(['false', 'no', 'n', 'off', '0', 'none', '✗', '✘', '❌']);
+
+/**
+ * @param {Object} field - Field config
+ * @returns {string} One of FIELD_TYPES ('text' when unset or unknown)
+ */
+export function getFieldType(field) {
+    return FIELD_TYPES.includes(field?.type) ? field.type : 'text';
+}
+
+/**
+ * @param {Object} field - Field config
+ * @returns {string[]} Allowed values of an enum field, trimmed and non-empty
+ */
+export function getEnumOptions(field) {
+    const options = Array.isArray(field?.options) ? field.options : [];
+    return options.map(option => String(option).trim()).filter(Boolean);
+}
+
+function toFiniteNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * @param {Object} field - Field config
+ * @returns {{min: number|null, max: number|null}} Bounds of a number field
+ */
+export function getFieldRange(field) {
+    let min = toFiniteNumber(field?.min);
+    let max = toFiniteNumber(field?.max);
+    if (min !== null && max !== null && min > max) [min, max] = [max, min];
+    return { min, max };
+}
+
+/**
+ * Builds the JSON value placeholder for a field in the tracker instruction,
+ * e.g. `"Mood (one of: Calm|Wary|Hostile)"`. Numbers and booleans can't carry
+ * their description inside valid JSON, so they get a bare value (`0`,
+ * `false`) and their description comes from describeTypedField().
+ * @param {Object} field - Field config
+ * @param {string} description - AI instruction for the field
+ * @returns {string} JSON value text (already quoted where JSON needs quotes)
+ */
+export function buildFieldValueInstruction(field, description) {
+    const desc = String(description || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    switch (getFieldType(field)) {
+        case 'number': {
+            const { min, max } = getFieldRange(field);
+            if (min !== null && min > 0) return String(min);
+            if (max !== null && max < 0) return String(max);
+            return '0';
+        }
+        case 'enum': {
+            const options = getEnumOptions(field).map(option => option.replace(/\\/g, '\\\\').replace(/"/g, '\\"'));
+            return options.length ? `"${desc} (one of: ${options.join('|')})"` : `"${desc}"`;
+        }
+        case 'boolean':
+            return 'false';
+        case 'list':
+            return `["${desc}"]`;
+        default:
+            return `"${desc}"`;
+    }
+}
+
+/**
+ * Describes a number or boolean field for the notes under the tracker
+ * instruction, e.g. `number 0-100 — Trust toward the player`.
+ * @param {Object} field - Field config
+ * @param {string} description - AI instruction for the field
+ * @returns {string|null} Description, or null for types whose placeholder
+ *   already describes them
+ */
+export function describeTypedField(field, description) {
+    const desc = String(description || '').trim();
+    const suffix = desc ? ` — ${desc}` : '';
+    switch (getFieldType(field)) {
+        case 'number': {
+            const { min, max } = getFieldRange(field);
+            let bounds = '';
+            if (min !== null && max !== null) bounds = ` ${min}-${max}`;
+            else if (min !== null) bounds = ` >= ${min}`;
+            else if (max !== null) bounds = ` <= ${max}`;
+            return `number${bounds}${suffix}`;
+        }
+        case 'boolean':
+            return `true or false${suffix}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Strips a lock wrapper ({value, locked}) so the bare value can be typed.
+ * @returns {{value: *, wrap: Function}} The bare value and a function that
+ *   puts a new value back in the same wrapper
+ */
+function unwrapLocked(raw) {
+    if (raw && typeof raw === 'object' && !Array.isArray(raw) && 'value' in raw) {
+        return { value: raw.value, wrap: value => ({ ...raw, value }) };
+    }
+    return { value: raw, wrap: value => value };
+}
+
+function coerceBare(field, value) {
+    switch (getFieldType(field)) {
+        case 'number': {
+            let number = typeof value === 'number' ? value : null;
+            if (number === null && typeof value === 'string') {
+                const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+                number = match ? Number(match[0]) : null;
+            }
+            if (number === null || !Number.isFinite(number)) return undefined;
+            const { min, max } = getFieldRange(field);
+            if (min !== null) number = Math.max(min, number);
+            if (max !== null) number = Math.min(max, number);
+            return number;
+        }
+        case 'enum': {
+            const options = getEnumOptions(field);
+            const text = String(value ?? '').trim();
+            if (!options.length) return text || undefined;
+            return options.find(option => option.toLowerCase() === text.toLowerCase());
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            if (typeof value === 'number') return value !== 0;
+            const text = String(value ?? '').trim().toLowerCase();
+            if (TRUE_WORDS.has(text)) return true;
+            if (FALSE_WORDS.has(text)) return false;
+            return undefined;
+        }
+        case 'list': {
+            const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;\n]/);
+            return items
+                .map(item => (item && typeof item === 'object' ? item.value ?? item.name ?? '' : item))
+                .map(item => String(item ?? '').trim())
+                .filter(Boolean);
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Validates a value against its field type: numbers are parsed and clamped,
+ * enums matched case-insensitively to their canonical option, booleans read
+ * from yes/no words, lists split from text. Lock wrappers are preserved.
+ * @param {Object} field - Field config
+ * @param {*} raw - Value from the model or a manual edit
+ * @returns {*} The typed value, or undefined when the value doesn't fit the type
+ */
+export function coerceFieldValue(field, raw) {
+    const { value, wrap } = unwrapLocked(raw);
+    const coerced = coerceBare(field, value);
+    return coerced === undefined ? undefined : wrap(coerced);
+}
+
+/**
+ * Flattens a stored value to display/edit text ("Yes", "a, b", "42").
+ * Values that don't fit the type are shown as they are.
+ * @param {Object} field - Field config
+ * @param {*} raw - Stored value
+ * @returns {string}
+ */
+export function formatFieldValue(field, raw) {
+    const bare = unwrapLocked(raw).value;
+    if (bare === null || bare === undefined) return '';
+    const typed = coerceBare(field, bare);
+    const value = typed === undefined ? bare : typed;
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) {
+        return value.map(item => (item && typeof item === 'object' ? item.value ?? '' : item)).filter(Boolean).join(', ');
+    }
+    if (typeof value === 'object') return value.value !== undefined && value.value !== null ? String(value.value) : '';
+    return String(value);
+}
+
+/**
+ * Percent position of a number field's value within its min/max, or null
+ * when the field has no complete range or the value isn't a number.
+ */
+function rangePercent(field, typed) {
+    if (getFieldType(field) !== 'number' || typeof typed !== 'number') return null;
+    const { min, max } = getFieldRange(field);
+    if (min === null || max === null || max === min) return null;
+    return Math.round(((typed - min) / (max - min)) * 100);
+}
+
+function rangeTrackHTML(percent) {
+    return `<span class="rpg-typed-range-track"><span class="rpg-typed-range-fill" style="width: ${percent}%;"></span></span>`;
+}
+
+/**
+ * CSS classes that style an editable value by type (enum badge, boolean
+ * state). Used where the value stays editable text, e.g. the front of a
+ * character card.
+ * @param {Object} field - Field config
+ * @param {*} raw - Stored value
+ * @returns {string} Class list ('' for text or values that don't fit the type)
+ */
+export function getFieldValueClasses(field, raw) {
+    const typed = coerceBare(field, unwrapLocked(raw).value);
+    if (typed === undefined) return '';
+    switch (getFieldType(field)) {
+        case 'enum':
+            return `rpg-typed-badge rpg-typed-badge-${Math.max(0, getEnumOptions(field).indexOf(typed)) % 6}`;
+        case 'boolean':
+            return `rpg-typed-bool rpg-typed-bool-${typed ? 'yes' : 'no'}`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * A standalone bar for a ranged number field, shown next to its editable value.
+ * @param {Object} field - Field config
+ * @param {*} raw - Stored value
+ * @returns {string} HTML ('' unless the field is a number with min and max)
+ */
+export function renderFieldRangeBar(field, raw) {
+    const percent = rangePercent(field, coerceBare(field, unwrapLocked(raw).value));
+    return percent === null ? '' : rangeTrackHTML(percent);
+}
+
+/**
+ * Renders a stored value for read-only display: ranges as a bar, enums as a
+ * badge, booleans as a check, lists as chips, everything else as text.
+ * @param {Object} field - Field config
+ * @param {*} raw - Stored value
+ * @returns {string} Escaped HTML ('' when there is no value)
+ */
+export function renderFieldValueHTML(field, raw) {
+    const text = formatFieldValue(field, raw);
+    if (!text) return '';
+    const type = getFieldType(field);
+    const typed = coerceBare(field, unwrapLocked(raw).value);
+    if (typed === undefined || type === 'text') return escapeHtml(text);
+    if (type === 'number') {
+        const percent = rangePercent(field, typed);
+        if (percent === null) return escapeHtml(text);
+        const { max } = getFieldRange(field);
+        return `<span class="rpg-typed-range" title="${escapeHtml(`${typed} / ${max}`)}">${rangeTrackHTML(percent)}` +
+            `<span class="rpg-typed-range-value">${escapeHtml(text)}</span></span>`;
+    }
+    if (type === 'enum' || type === 'boolean') {
+        const icon = type === 'boolean' ? `<i class="fa-solid fa-${typed ? 'check' : 'xmark'}"></i> ` : '';
+        return `<span class="${getFieldValueClasses(field, raw)}">${icon}${escapeHtml(text)}</span>`;
+    }
+    return typed.map(item => `<span class="rpg-typed-chip">${escapeHtml(item)}</span>`).join('');
+}
@@ -0,0 +1,84 @@
+/**
+ * Shared helpers for the extension's versioned JSON files (knife packs, chat
+ * bundles, settings backups, preset packs): deep copies, offering a file as a
+ * download, picking one, and reading it back with its format version checked.
+ * Do not add per-module copies.
+ */
+
+/**
+ * Deep copy of JSON-shaped data. undefined stays undefined.
+ * @param {*} value
+ * @returns {*}
+ */
+export function cloneJSON(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Offers data as a .json file download.
+ * @param {Object} data - Serialized with two-space indentation
+ * @param {string} fileName - Suggested file name, including .json
+ */
+export function downloadJSON(data, fileName) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    setTimeout(() => {
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }, 100);
+}
+
+/**
+ * Opens the file picker for a .json file and passes its text on. Nothing
+ * happens when the user cancels.
+ * @param {(text: string) => void} onPick
+ */
+export function pickJSONFile(onPick) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        onPick(await file.text());
+    };
+    input.click();
+}
+
+/**
+ * Parses a file's text as JSON.
+ * @param {string} text - File contents
+ * @returns {*} Parsed data
+ * @throws {Error} When the text isn't JSON
+ */
+export function parseJSONFile(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+}
+
+/**
+ * Reads a file's format version and refuses files written by a newer
+ * version of the extension. Every format is still at v1; when one moves on,
+ * its parser upgrades older files right after this check.
+ * @param {*} raw - The file's `version` field (missing counts as 1)
+ * @param {number} supported - Newest version this build reads
+ * @param {string} noun - What the file is, for the message ('pack', 'bundle', ...)
+ * @param {string} [verb='import'] - What the user was doing ('import', 'restore')
+ * @returns {number} The file's version
+ * @throws {Error} When the file is newer than `supported`
+ */
+export function checkFormatVersion(raw, supported, noun, verb = 'import') {
+    const version = Number(raw) || 1;
+    if (version > supported) {
+        throw new Error(`This ${noun} was made by a newer version of the extension (${noun} v${version}, supported v${supported}). Update to ${verb} it.`);
+    }
+    return version;
+}
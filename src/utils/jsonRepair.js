@@ -1,89 +1,439 @@
 /**
  * JSON Repair Utilities
  * Handles parsing and repairing malformed JSON from AI responses
+ *
+ * Model output is parsed, never evaluated: the tolerant reader below is a
+ * plain recursive-descent parser for a JSON5-style superset (single quotes,
+ * unquoted keys, trailing commas, comments, truncated tails). It can only
+ * ever produce plain objects, arrays, strings, numbers, booleans and null.
  */
 /**
- * Repairs malformed JSON from AI responses
- * Handles common AI mistakes like trailing commas, missing commas, wrong quotes, etc.
+ * Human-readable labels for each repair the tolerant parser can apply.
+ * Keys are what `repairs` arrays contain; values are for debug logs.
+ */
+export const JSON_REPAIR_LABELS = {
+    codeFences: 'removed markdown code fences',
+    thinkingTags: 'removed thinking tags',
+    leadingText: 'skipped text before the JSON',
+    trailingText: 'ignored text after the JSON',
+    comments: 'removed comments',
+    singleQuotes: 'converted single-quoted strings',
+    smartQuotes: 'converted curly-quoted strings',
+    unquotedKeys: 'quoted bare object keys',
+    unquotedValues: 'quoted bare string values',
+    trailingCommas: 'removed trailing commas',
+    missingCommas: 'inserted missing commas',
+    missingColons: 'inserted missing colons',
+    unescapedQuotes: 'escaped stray quotes inside strings',
+    controlChars: 'escaped raw line breaks/tabs inside strings',
+    invalidEscapes: 'dropped invalid escape sequences',
+    looseNumbers: 'normalized JSON5 numbers',
+    pythonLiterals: 'converted True/False/None literals',
+    nonFiniteNumbers: 'replaced NaN/Infinity/undefined with null',
+    emptyValues: 'dropped keys/elements with no value',
+    mismatchedBrackets: 'fixed mismatched brackets',
+    truncatedTail: 'closed a truncated tail'
+};
+/** Escape sequences the tolerant reader understands (JSON plus JSON5's \' \v \0). */
+const STRING_ESCAPES = {
+    '"': '"',
+    '\'': '\'',
+    '\\': '\\',
+    '/': '/',
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    v: '\v',
+    0: '\0'
+};
+/** Sentinel for "no value here" (end of input or an immediate delimiter). */
+const NO_VALUE = Symbol('noValue');
+const LOOSE_NUMBER_RE = /[+-]?(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+const STRICT_NUMBER_RE = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+/**
+ * Tolerant recursive-descent reader over `text`, starting at `start`.
+ * Never evaluates anything; every repair it makes is passed to `note`.
+ *
+ * @param {string} text - Source text
+ * @param {number} start - Index of the first value character
+ * @param {(repair: string) => void} note - Receives JSON_REPAIR_LABELS keys
+ * @returns {{value: *, rest: number}} The value read (NO_VALUE if none) and
+ *   how many non-whitespace characters were left unread after it
+ */
+function readLenientValue(text, start, note) {
+    const len = text.length;
+    let pos = start;
+    // Expected closers of the containers currently open, innermost last.
+    const closers = [];
+    const isSpace = (ch) => ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === '\uFEFF' || ch === '\u00A0';
+    function skipSpace() {
+        while (pos < len) {
+            const ch = text[pos];
+            if (isSpace(ch)) {
+                pos++;
+            } else if (ch === '/' && text[pos + 1] === '/') {
+                note('comments');
+                while (pos < len && text[pos] !== '\n') pos++;
+            } else if (ch === '/' && text[pos + 1] === '*') {
+                note('comments');
+                const end = text.indexOf('*/', pos + 2);
+                pos = end === -1 ? len : end + 2;
+            } else {
+                break;
+            }
+        }
+    }
+    // A quote only ends a string when what follows could follow a string in
+    // JSON; otherwise it's a stray quote in the text ("Zandik's Office"). A
+    // line break before the next token counts too — that's a missing comma.
+    function quoteEndsString(at) {
+        let i = at;
+        let crossedLine = false;
+        while (i < len && isSpace(text[i])) {
+            if (text[i] === '\n' || text[i] === '\r') crossedLine = true;
+            i++;
+        }
+        if (i >= len) return true;
+        const ch = text[i];
+        return ch === ',' || ch === ':' || ch === '}' || ch === ']' || ch === '/' || crossedLine;
+    }
+    function readString(isKey = false) {
+        const open = text[pos];
+        const close = open === '\u201C' ? '\u201D' : open;
+        pos++;
+        let out = '';
+        while (pos < len) {
+            const ch = text[pos];
+            if (ch === '\\') {
+                const next = text[pos + 1];
+                if (next === undefined) {
+                    pos++;
+                    break;
+                }
+                if (next === '\n' || next === '\r') {
+                    // JSON5 line continuation
+                    pos += (next === '\r' && text[pos + 2] === '\n') ? 3 : 2;
+                    continue;
+                }
+                if (next === 'u') {
+                    const hex = text.slice(pos + 2, pos + 6);
+                    if (/^[0-9a-fA-F]{4}$/.test(hex)) {
+                        out += String.fromCharCode(parseInt(hex, 16));
+                        pos += 6;
+                        continue;
+                    }
+                }
+                if (STRING_ESCAPES[next] === undefined || (next === '\'' && close === '"')) {
+                    note('invalidEscapes');
+                }
+                out += STRING_ESCAPES[next] ?? next;
+                pos += 2;
+                continue;
+            }
+            if (ch === close) {
+                pos++;
+                // Keys never contain quotes, so the first one always ends them
+                if (isKey || quoteEndsString(pos)) return out;
+                note('unescapedQuotes');
+                out += ch;
+                continue;
+            }
+            if (ch < ' ') note('controlChars');
+            out += ch;
+            pos++;
+        }
+        note('truncatedTail');
+        return out;
+    }
+    function readNumberOrWord() {
+        LOOSE_NUMBER_RE.lastIndex = pos;
+        const match = LOOSE_NUMBER_RE.exec(text);
+        if (match) {
+            const after = text[pos + match[0].length];
+            // "3rd floor" is a bare string that happens to start with a digit
+            if (after === undefined || isSpace(after) || after === ',' || after === '}' || after === ']' || after === '/') {
+                const raw = match[0];
+                pos += raw.length;
+                if (STRICT_NUMBER_RE.test(raw)) return Number(raw);
+                note('looseNumbers');
+                const unsigned = raw.replace(/^[+-]/, '');
+                const magnitude = /^0[xX]/.test(unsigned) ? parseInt(unsigned.slice(2), 16) : Number(unsigned);
+                return raw[0] === '-' ? -magnitude : magnitude;
+            }
+        }
+        const begin = pos;
+        while (pos < len) {
+            const ch = text[pos];
+            if (ch === ',' || ch === '}' || ch === ']' || ch === '\n' || ch === '\r') break;
+            if (ch === '/' && (text[pos + 1] === '/' || text[pos + 1] === '*')) break;
+            pos++;
+        }
+        const word = text.slice(begin, pos).trim();
+        switch (word) {
+            case 'true': return true;
+            case 'false': return false;
+            case 'null': return null;
+            case 'True':
+            case 'False':
+            case 'None':
+                note('pythonLiterals');
+                return word === 'True' ? true : (word === 'False' ? false : null);
+            case 'NaN':
+            case 'Infinity':
+            case '+Infinity':
+            case '-Infinity':
+            case 'undefined':
+                note('nonFiniteNumbers');
+                return null;
+        }
+        note('unquotedValues');
+        return word;
+    }
+    function readKey() {
+        const ch = text[pos];
+        if (ch === '"') return readString(true);
+        if (ch === '\'') {
+            note('singleQuotes');
+            return readString(true);
+        }
+        if (ch === '\u201C') {
+            note('smartQuotes');
+            return readString(true);
+        }
+        const begin = pos;
+        while (pos < len && !':,{}[]\n\r'.includes(text[pos])) pos++;
+        note('unquotedKeys');
+        return text.slice(begin, pos).trim();
+    }
+    // Handles a closer that doesn't match the innermost container: if an
+    // outer container owns it, end this one there; otherwise drop it.
+    function strayCloser(ch) {
+        note('mismatchedBrackets');
+        if (closers.lastIndexOf(ch) !== -1) return true;
+        pos++;
+        return false;
+    }
+    function readObject() {
+        pos++;
+        closers.push('}');
+        const obj = {};
+        let first = true;
+        while (true) {
+            const loopStart = pos;
+            skipSpace();
+            if (pos >= len) {
+                note('truncatedTail');
+                break;
+            }
+            let ch = text[pos];
+            if (ch === '}') {
+                pos++;
+                break;
+            }
+            if (ch === ']') {
+                if (strayCloser(ch)) break;
+                continue;
+            }
+            if (!first) {
+                if (ch === ',') {
+                    pos++;
+                    skipSpace();
+                    while (text[pos] === ',') {
+                        note('trailingCommas');
+                        pos++;
+                        skipSpace();
+                    }
+                    if (pos >= len) continue;
+                    ch = text[pos];
+                    if (ch === '}' || ch === ']') {
+                        note('trailingCommas');
+                        continue;
+                    }
+                } else {
+                    note('missingCommas');
+                }
+            }
+            first = false;
+            const key = readKey();
+            skipSpace();
+            if (pos >= len) {
+                note('truncatedTail');
+                break;
+            }
+            if (text[pos] === ':') {
+                pos++;
+            } else {
+                note('missingColons');
+            }
+            const value = readValue();
+            if (value === NO_VALUE) {
+                if (pos < len) note('emptyValues');
+            } else {
+                // defineProperty so a "__proto__" key stays a plain data
+                // property, exactly as JSON.parse would create it.
+                Object.defineProperty(obj, key, { value, enumerable: true, writable: true, configurable: true });
+            }
+            if (pos === loopStart) pos++;
+        }
+        closers.pop();
+        return obj;
+    }
+    function readArray() {
+        pos++;
+        closers.push(']');
+        const arr = [];
+        let first = true;
+        while (true) {
+            const loopStart = pos;
+            skipSpace();
+            if (pos >= len) {
+                note('truncatedTail');
+                break;
+            }
+            let ch = text[pos];
+            if (ch === ']') {
+                pos++;
+                break;
+            }
+            if (ch === '}') {
+                if (strayCloser(ch)) break;
+                continue;
+            }
+            if (!first) {
+                if (ch === ',') {
+                    pos++;
+                    skipSpace();
+                    while (text[pos] === ',') {
+                        note('trailingCommas');
+                        pos++;
+                        skipSpace();
+                    }
+                    if (pos >= len) continue;
+                    ch = text[pos];
+                    if (ch === ']' || ch === '}') {
+                        note('trailingCommas');
+                        continue;
+                    }
+                } else {
+                    note('missingCommas');
+                }
+            }
+            first = false;
+            const value = readValue();
+            if (value === NO_VALUE) {
+                if (pos < len) note('emptyValues');
+            } else {
+                arr.push(value);
+            }
+            if (pos === loopStart) pos++;
+        }
+        closers.pop();
+        return arr;
+    }
+    function readValue() {
+        skipSpace();
+        if (pos >= len) return NO_VALUE;
+        const ch = text[pos];
+        if (ch === '{') return readObject();
+        if (ch === '[') return readArray();
+        if (ch === '"') return readString();
+        if (ch === '\'') {
+            note('singleQuotes');
+            return readString();
+        }
+        if (ch === '\u201C') {
+            note('smartQuotes');
+            return readString();
+        }
+        if (ch === ',' || ch === '}' || ch === ']' || ch === ':') return NO_VALUE;
+        return readNumberOrWord();
+    }
+    const value = readValue();
+    skipSpace();
+    return { value, rest: len - pos };
+}
+/**
+ * Parses JSON from AI output without ever executing it, repairing the
+ * mistakes models commonly make along the way.
+ *
+ * Strict JSON takes the JSON.parse fast path. Anything else is read by a
+ * JSON5-style tolerant parser (single quotes, unquoted keys and values,
+ * trailing/missing commas, comments, stray quotes, truncated tails). The
+ * tolerant path only accepts an object or array as the result.
  *
  * @param {string} jsonString - Potentially malformed JSON string
- * @param {Object} [options]
- * @param {boolean} [options.allowFunctionEval=true] Whether the last-resort
- *   repair may run the cleaned string through the Function constructor. This
- *   executes the string as code, so callers handling untrusted/injectable AI
- *   output should pass `false` to stay parse-only.
- * @returns {object|null} Repaired JSON object or null if repair fails
+ * @returns {{data: object|Array|null, repairs: string[]}} Parsed data (null
+ *   on failure) and the JSON_REPAIR_LABELS keys of every repair applied
  */
-export function repairJSON(jsonString, { allowFunctionEval = true } = {}) {
+export function parseLenientJSON(jsonString) {
+    const repairs = new Set();
+    const note = (repair) => repairs.add(repair);
+    const result = () => ({ data: null, repairs: [...repairs] });
     if (typeof jsonString !== 'string') {
-        console.warn('[RPG JSON Repair] Invalid input type:', typeof jsonString);
-        return null;
+        return result();
     }
     let cleaned = jsonString.trim();
-    if (!cleaned) {
-        return null;
-    }
     // Remove markdown code fences
-    cleaned = cleaned.replace(/```json\s*/gi, '');
-    cleaned = cleaned.replace(/```\s*/g, '');
+    if (/```/.test(cleaned)) {
+        note('codeFences');
+        cleaned = cleaned.replace(/```json\s*/gi, '').replace(/```\s*/g, '');
+    }
     // Remove thinking tags (model's internal reasoning)
-    cleaned = cleaned.replace(/<think>[\s\S]*?<\/think>/gi, '');
-    cleaned = cleaned.replace(/<thinking>[\s\S]*?<\/thinking>/gi, '');
-    // Fix common JSON errors:
-    // 1. Trailing commas before closing brackets
-    cleaned = cleaned.replace(/,(\s*[}\]])/g, '$1');
-    // 2. Missing commas between properties - DISABLED because it corrupts valid JSON
-    // Modern AI models send properly formatted JSON, so this aggressive repair is not needed
-    // cleaned = cleaned.replace(/("\s*:\s*(?:"[^"]*"|[^,}\]]+))(\s+")/g, '$1,$2');
-    // 3. Single quotes to double quotes - DISABLED because it corrupts apostrophes in text
-    // Apostrophes in strings like "Zandik's Office" would become "Zandik"s Office" (invalid JSON)
-    // Modern AI models already use double quotes for JSON strings
-    // cleaned = cleaned.replace(/'/g, '"');
-    // 4. Unquoted keys - DISABLED because it corrupts valid JSON string values
-    // The AI models already send properly quoted JSON, so this is not needed
-    // cleaned = cleaned.replace(/(\{|,)\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*:/g, '$1"$2":');
-    // 5. Remove JavaScript comments
-    cleaned = cleaned.replace(/\/\/.*$/gm, '');
-    cleaned = cleaned.replace(/\/\*[\s\S]*?\*\//g, '');
-    // Attempt 1: Standard JSON.parse
+    if (/<think(?:ing)?>/i.test(cleaned)) {
+        note('thinkingTags');
+        cleaned = cleaned.replace(/<think>[\s\S]*?<\/think>/gi, '').replace(/<thinking>[\s\S]*?<\/thinking>/gi, '');
+    }
+    cleaned = cleaned.trim();
+    if (!cleaned) {
+        return result();
+    }
     try {
-        return JSON.parse(cleaned);
+        return { data: JSON.parse(cleaned), repairs: [...repairs] };
     } catch (e) {
+        // Fall through to the tolerant reader
     }
-    // Attempt 2: Extract JSON object between first { and last }
-    const objectMatch = cleaned.match(/\{[\s\S]*\}/);
-    if (objectMatch) {
-        try {
-            return JSON.parse(objectMatch[0]);
-        } catch (e) {
-            // Silent fail, try next method
-        }
+    // Prefer an object (trackers are objects); a leading [ means an array.
+    const braceAt = cleaned.indexOf('{');
+    const start = cleaned[0] === '[' ? 0 : (braceAt !== -1 ? braceAt : cleaned.indexOf('['));
+    if (start === -1) {
+        return result();
     }
-    // Attempt 3: Try to extract JSON array between first [ and last ]
-    const arrayMatch = cleaned.match(/\[[\s\S]*\]/);
-    if (arrayMatch) {
-        try {
-            return JSON.parse(arrayMatch[0]);
-        } catch (e) {
-            // Silent fail, try next method
-        }
+    if (start > 0) note('leadingText');
+    const { value, rest } = readLenientValue(cleaned, start, note);
+    if (!value || typeof value !== 'object') {
+        return result();
     }
-    // Attempt 4: Use Function constructor (safer than eval, still controlled)
-    // Only as last resort for trusted AI output; callers can opt out.
-    if (!allowFunctionEval) {
+    if (rest > 0) note('trailingText');
+    return { data: value, repairs: [...repairs] };
+}
+/**
+ * Turns a repairs list from parseLenientJSON into one log-friendly line.
+ * @param {string[]} repairs - JSON_REPAIR_LABELS keys
+ * @returns {string} e.g. "removed trailing commas; quoted bare object keys"
+ */
+export function describeJSONRepairs(repairs) {
+    return (repairs || []).map(key => JSON_REPAIR_LABELS[key] || key).join('; ');
+}
+/**
+ * Repairs malformed JSON from AI responses
+ * Handles common AI mistakes like trailing commas, missing commas, wrong quotes, etc.
+ * Parse-only: see parseLenientJSON (which also reports the repairs applied).
+ *
+ * @param {string} jsonString - Potentially malformed JSON string
+ * @returns {object|null} Repaired JSON object or null if repair fails
+ */
+export function repairJSON(jsonString) {
+    if (typeof jsonString !== 'string') {
+        console.warn('[RPG JSON Repair] Invalid input type:', typeof jsonString);
         return null;
     }
-    try {
-        const fn = new Function(`"use strict"; return (${cleaned});`);
-        const result = fn();
-        // Validate it's actually an object or array
-        if (result && (typeof result === 'object')) {
-            return result;
-        }
-    } catch (e) {
-        console.error('[RPG JSON Repair] ✗ All repair attempts failed:', e.message);
+    const { data } = parseLenientJSON(jsonString);
+    if (data === null && jsonString.trim()) {
+        console.error('[RPG JSON Repair] ✗ All repair attempts failed');
     }
-    return null;
+    return data;
 }
 /**
  * Validates JSON structure matches expected schema for a tracker type
@@ -2,6 +2,18 @@
  * Text Utility Functions
  * Shared text manipulation utilities used across the extension
  */
+/**
+ * Converts a field name to snake_case for use as JSON key
+ * Example: "Test Tracker" -> "test_tracker"
+ * @param {string} name - Field name to convert
+ * @returns {string} snake_case version
+ */
+export function toSnakeCase(name) {
+    return name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+}
 /**
  * Separates emoji from text by looking for emoji at the start of the string
  * Falls back to checking for comma-separated emoji if no emoji is found
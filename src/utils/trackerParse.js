@@ -7,6 +7,8 @@
  * means each blob is parsed once per change instead of 6–8 times per render.
  */
 
+import { repairJSON } from './jsonRepair.js';
+
 /** @type {Array<{ raw: string, result: object|Array|null }>} */
 const cache = [];
 const CACHE_SIZE = 4; // characterThoughts + infoBox for both last/committed sources
@@ -40,3 +42,95 @@ export function parseTrackerJson(raw) {
     if (cache.length > CACHE_SIZE) cache.shift();
     return result;
 }
+
+/**
+ * Whether a value is an object and not an array or null.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses a tracker blob to an object, repairing malformed JSON. Unlike
+ * parseTrackerJson the result is fresh, so callers may change it.
+ * @param {*} raw - JSON text or already-parsed data
+ * @returns {Object|null} null when it's empty or not an object
+ */
+export function parseTrackerObject(raw) {
+    if (!raw) return null;
+    const parsed = typeof raw === 'string' ? repairJSON(raw) : raw;
+    return isPlainObject(parsed) ? parsed : null;
+}
+
+/**
+ * Reads a dotted path ('time.start', 'relationship.status') from parsed
+ * tracker data, matching each key case-insensitively. A { value } wrapper at
+ * the end unwraps to its value.
+ * @param {*} object
+ * @param {string} path
+ * @returns {*} null when the path doesn't exist
+ */
+export function readTrackerPath(object, path) {
+    let current = object;
+    for (const key of String(path).split('.')) {
+        if (!current || typeof current !== 'object') return null;
+        const match = Object.keys(current).find(k => k.toLowerCase() === key.toLowerCase());
+        current = match === undefined ? null : current[match];
+    }
+    if (current && typeof current === 'object' && !Array.isArray(current) && Object.keys(current).join() === 'value') {
+        return current.value;
+    }
+    return current;
+}
+
+/**
+ * Reads a field of a present character entry: the entry itself first, then
+ * its custom fields (details) and stats, where the tracker JSON keeps them.
+ * @param {Object} character
+ * @param {string} field
+ * @returns {*} null when the character has no such field
+ */
+export function readCharacterField(character, field) {
+    return readTrackerPath(character, field)
+        ?? readTrackerPath(character?.details, field)
+        ?? readTrackerPath(character?.stats, field);
+}
+
+/**
+ * A scalar tracker value as trimmed text, unwrapping a { value } wrapper.
+ * @param {*} raw
+ * @returns {string} '' when there's nothing
+ */
+export function trackerText(raw) {
+    if (raw && typeof raw === 'object') raw = raw.value;
+    return raw == null ? '' : String(raw).trim();
+}
+
+/**
+ * The scene's date and time, from the { start, end } object or the older
+ * "start → end" text.
+ * @param {Object} scene - Parsed infoBox
+ * @returns {{date: string, start: string, end: string}}
+ */
+export function readSceneTime(scene) {
+    const date = trackerText(readTrackerPath(scene, 'date'));
+    const time = readTrackerPath(scene, 'time');
+    if (typeof time === 'string') {
+        const [start = '', end = ''] = time.split('→').map(part => part.trim());
+        return { date, start, end };
+    }
+    return { date, start: trackerText(time?.start), end: trackerText(time?.end) };
+}
+
+/**
+ * The scene's weather, from the { emoji, forecast } object or plain text.
+ * @param {Object} scene - Parsed infoBox
+ * @returns {{emoji: string, forecast: string}}
+ */
+export function readSceneWeather(scene) {
+    const weather = readTrackerPath(scene, 'weather');
+    if (typeof weather === 'string') return { emoji: '', forecast: weather.trim() };
+    return { emoji: trackerText(weather?.emoji), forecast: trackerText(weather?.forecast) };
+}
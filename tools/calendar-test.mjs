@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Fixture test for the in-world calendar engine (src/utils/calendar.js).
+ *
+ * The World Clock reads the date and time the model writes into the info box
+ * and does the calendar arithmetic itself. Day indexes must round-trip on
+ * Gregorian (leap years included) and custom calendars, and the free-text
+ * readers must recover the shapes models actually write (weekday prefixes,
+ * ordinals, abbreviations, ISO and numeric dates, 12-hour clocks, word times)
+ * while returning null for text with no date or time in it.
+ *
+ * Usage:  node tools/calendar-test.mjs     (from the repo root)
+ * Exit:   0 = all fixtures pass, 1 = failure (table printed)
+ *
+ * Run together with tools/load-check.mjs before every push that touches
+ * calendar.js or the World Clock.
+ */
+import { GREGORIAN_CALENDAR, validateCalendar, daysInMonth, toDayIndex, fromDayIndex, parseDate, parseTime } from '../src/utils/calendar.js';
+
+const GREGORIAN = GREGORIAN_CALENDAR;
+const CUSTOM = validateCalendar({
+    id: 'frost',
+    name: 'Frost Reckoning',
+    months: [{ name: 'Frostfall', days: 30 }, { name: 'Thaw', days: 28 }, { name: 'Highsun', days: 32 }],
+    weekdays: ['Moonday', 'Starday', 'Sunday']
+});
+
+// [label, calendar, date (month 0-based), expected day index]
+const DAY_INDEX = [
+    ['Gregorian epoch', GREGORIAN, { year: 1970, month: 0, day: 1 }, 0],
+    ['Gregorian before the epoch', GREGORIAN, { year: 1969, month: 11, day: 31 }, -1],
+    ['Gregorian leap day', GREGORIAN, { year: 2024, month: 1, day: 29 }, 19782],
+    ['Gregorian day after a leap day', GREGORIAN, { year: 2024, month: 2, day: 1 }, 19783],
+    ['Gregorian 1900 is not a leap year', GREGORIAN, { year: 1900, month: 2, day: 1 }, -25508],
+    ['Gregorian far year', GREGORIAN, { year: 1024, month: 2, day: 3 }, -345458],
+    ['custom epoch', CUSTOM, { year: 0, month: 0, day: 1 }, 0],
+    ['custom month offset', CUSTOM, { year: 0, month: 2, day: 1 }, 58],
+    ['custom year length', CUSTOM, { year: 1024, month: 1, day: 3 }, 92192],
+];
+
+// [label, calendar, text, fallback year, expected date (null = no date)]
+const DATES = [
+    ['weekday, month day, year', GREGORIAN, 'Monday, March 3, 1024', null, { year: 1024, month: 2, day: 3 }],
+    ['day month year', GREGORIAN, '3 March 1024', null, { year: 1024, month: 2, day: 3 }],
+    ['ordinal with suffix', GREGORIAN, 'the 21st of June, 1999', null, { year: 1999, month: 5, day: 21 }],
+    ['four-letter abbreviation', GREGORIAN, 'Sept. 5th 1999', null, { year: 1999, month: 8, day: 5 }],
+    ['three-letter abbreviation', GREGORIAN, 'Dec 24, 2023', null, { year: 2023, month: 11, day: 24 }],
+    ['day clamped to month length', GREGORIAN, 'February 30, 2023', null, { year: 2023, month: 1, day: 28 }],
+    ['leap-year February 29', GREGORIAN, 'February 29, 2024', null, { year: 2024, month: 1, day: 29 }],
+    ['month and year only', GREGORIAN, 'March 1024', null, { year: 1024, month: 2, day: 1 }],
+    ['no year uses the fallback', GREGORIAN, 'June 1', 2000, { year: 2000, month: 5, day: 1 }],
+    ['no year and no fallback', GREGORIAN, 'June 1', null, null],
+    ['ISO date', GREGORIAN, '1024-03-15', null, { year: 1024, month: 2, day: 15 }],
+    ['numeric day first', GREGORIAN, '15/03/1024', null, { year: 1024, month: 2, day: 15 }],
+    ['numeric month first when day first is impossible', GREGORIAN, '03/15/1024', null, { year: 1024, month: 2, day: 15 }],
+    ['month name inside a word is not a month', GREGORIAN, 'Mayhem at the docks', null, null],
+    ['no date at all', GREGORIAN, 'Late evening', null, null],
+    ['empty text', GREGORIAN, '   ', 1024, null],
+    ['custom month with era suffix', CUSTOM, '3rd of Frostfall, 1024 AR', null, { year: 1024, month: 0, day: 3 }],
+    ['custom long month', CUSTOM, 'Highsun 32, 7', null, { year: 7, month: 2, day: 32 }],
+    ['custom month names only', CUSTOM, 'March 3, 1024', null, null],
+];
+
+// [label, text, expected minutes since midnight (null = no time)]
+const TIMES = [
+    ['24-hour clock', '14:30', 870],
+    ['12-hour PM', '2:30 PM', 870],
+    ['compact am', '9am', 540],
+    ['dotted a.m. at midnight', '12 a.m.', 0],
+    ['noon as 12pm', '12pm', 720],
+    ['h separator', '10h15', 615],
+    ['24:00 wraps to midnight', '24:00', 0],
+    ['hour out of range', '25:00', null],
+    ['minutes out of range', '10:75', null],
+    ['word time', 'Dusk', 18 * 60],
+    ['word time inside prose', 'late evening, after the storm', 19 * 60],
+    ['midnight is not night', 'Midnight', 0],
+    ['partial word is not a time', 'Nightfall', null],
+    ['no time at all', 'Monday', null],
+];
+
+let failures = 0;
+
+for (const [label, calendar, date, expected] of DAY_INDEX) {
+    const index = toDayIndex(calendar, date);
+    const back = fromDayIndex(calendar, index);
+    if (index !== expected) {
+        failures++;
+        console.log(`FAIL (day):     ${label} -> ${index}`);
+    } else if (JSON.stringify(back) !== JSON.stringify(date)) {
+        failures++;
+        console.log(`FAIL (day):     ${label} round-trips to ${JSON.stringify(back)}`);
+    } else {
+        console.log(`pass  day:      ${label}`);
+    }
+}
+for (const [label, calendar, text, fallbackYear, expected] of DATES) {
+    const got = parseDate(text, calendar, fallbackYear);
+    if (JSON.stringify(got) !== JSON.stringify(expected)) {
+        failures++;
+        console.log(`FAIL (date):    ${label}\n      got ${JSON.stringify(got)}`);
+    } else {
+        console.log(`pass  date:     ${label}`);
+    }
+}
+for (const [label, text, expected] of TIMES) {
+    const got = parseTime(text);
+    if (got !== expected) { failures++; console.log(`FAIL (time):    ${label} -> ${got}`); }
+    else console.log(`pass  time:     ${label}`);
+}
+
+// ── Round trip over whole years, both calendars ──
+for (const [name, calendar, start] of [['Gregorian', GREGORIAN, toDayIndex(GREGORIAN, { year: 1999, month: 0, day: 1 })], ['custom', CUSTOM, 0]]) {
+    for (let index = start; index < start + 2000; index++) {
+        const date = fromDayIndex(calendar, index);
+        if (toDayIndex(calendar, date) !== index || date.day < 1 || date.day > daysInMonth(calendar, date.month, date.year)) {
+            failures++;
+            console.log(`FAIL ${name} day ${index} does not round-trip: ${JSON.stringify(date)}`);
+            break;
+        }
+    }
+}
+console.log('round-trip checks done');
+
+if (failures) {
+    console.error(`\n${failures} fixture(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll calendar fixtures pass');
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+/**
+ * Fixture test for typed custom-field coercion (src/utils/fieldTypes.js).
+ *
+ * Every typed scene and character field the model fills, and every manual
+ * edit of one, goes through coerceFieldValue. Numbers must be read out of
+ * prose and clamped, choices matched to their canonical spelling, yes/no
+ * words read as booleans, lists split from text — lock wrappers kept — and a
+ * value that doesn't fit its type must come back undefined so the parser
+ * drops it.
+ *
+ * Usage:  node tools/field-types-test.mjs     (from the repo root)
+ * Exit:   0 = all fixtures pass, 1 = failure (table printed)
+ *
+ * Run together with tools/load-check.mjs before every push that touches
+ * fieldTypes.js or the parser.
+ */
+import { coerceFieldValue, formatFieldValue } from '../src/utils/fieldTypes.js';
+
+const TRUST = { type: 'number', min: 0, max: 100 };
+const MOOD = { type: 'enum', options: ['Calm', ' Wary ', 'Hostile', ''] };
+
+// [label, field, raw value, expected value (compared as JSON; undefined = dropped)]
+const FIXTURES = [
+    ['untyped field passes through', { name: 'Notes' }, 'Anything', 'Anything'],
+    ['unknown type is text', { type: 'color' }, { nested: true }, { nested: true }],
+    ['number from a number', TRUST, 42, 42],
+    ['number from prose', TRUST, 'about 42.5 percent', 42.5],
+    ['number with thousands separator', { type: 'number' }, '1,200 gold', 1200],
+    ['negative number', { type: 'number' }, '-7', -7],
+    ['number clamped to max', TRUST, 250, 100],
+    ['number clamped to min', TRUST, '-5', 0],
+    ['swapped min/max still clamp', { type: 'number', min: 100, max: 0 }, 150, 100],
+    ['number without digits dropped', TRUST, 'high', undefined],
+    ['number from NaN dropped', TRUST, NaN, undefined],
+    ['enum matched case-insensitively', MOOD, 'hostile', 'Hostile'],
+    ['enum option trimmed', MOOD, 'wary', 'Wary'],
+    ['unknown enum value dropped', MOOD, 'Furious', undefined],
+    ['enum without options keeps text', { type: 'enum' }, ' Furious ', 'Furious'],
+    ['enum without options drops empty', { type: 'enum' }, '  ', undefined],
+    ['boolean from boolean', { type: 'boolean' }, false, false],
+    ['boolean from yes word', { type: 'boolean' }, ' Yes ', true],
+    ['boolean from check mark', { type: 'boolean' }, '✅', true],
+    ['boolean from none', { type: 'boolean' }, 'none', false],
+    ['boolean from number', { type: 'boolean' }, 0, false],
+    ['unclear boolean dropped', { type: 'boolean' }, 'maybe', undefined],
+    ['list from comma text', { type: 'list' }, 'sword, shield;  rope\n', ['sword', 'shield', 'rope']],
+    ['list from array trims and drops blanks', { type: 'list' }, [' sword ', '', null, 3], ['sword', '3']],
+    ['list from lock-wrapped items', { type: 'list' }, [{ value: 'sword' }, { name: 'shield' }], ['sword', 'shield']],
+    ['lock wrapper kept around number', TRUST, { value: '120', locked: true }, { value: 100, locked: true }],
+    ['lock wrapper kept around enum', MOOD, { value: 'calm', locked: true }, { value: 'Calm', locked: true }],
+    ['lock-wrapped misfit dropped', MOOD, { value: 'Furious', locked: true }, undefined],
+];
+
+// [label, field, stored value, expected display text]
+const DISPLAY = [
+    ['boolean shown as Yes', { type: 'boolean' }, 'true', 'Yes'],
+    ['list shown comma-joined', { type: 'list' }, ['a', 'b'], 'a, b'],
+    ['misfit shown as stored', TRUST, 'high', 'high'],
+    ['empty value shown blank', TRUST, null, ''],
+];
+
+let failures = 0;
+
+for (const [label, field, raw, expected] of FIXTURES) {
+    const got = coerceFieldValue(field, raw);
+    if (JSON.stringify(got) !== JSON.stringify(expected)) {
+        failures++;
+        console.log(`FAIL (coerce):  ${label}\n      got ${JSON.stringify(got)}`);
+    } else {
+        console.log(`pass  coerce:   ${label}`);
+    }
+}
+for (const [label, field, raw, expected] of DISPLAY) {
+    const got = formatFieldValue(field, raw);
+    if (got !== expected) { failures++; console.log(`FAIL (format):  ${label} -> ${JSON.stringify(got)}`); }
+    else console.log(`pass  format:   ${label}`);
+}
+
+if (failures) {
+    console.error(`\n${failures} fixture(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll field-type fixtures pass');
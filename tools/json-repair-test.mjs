@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * Fixture test for the tolerant tracker-JSON parser (src/utils/jsonRepair.js).
+ *
+ * Every tracker, quest, Doom Counter, and weather payload the model writes
+ * goes through repairJSON. It must recover the malformed shapes models
+ * actually produce (single quotes, unquoted keys, trailing commas, comments,
+ * truncated tails) and must NEVER execute text — anything that only an
+ * evaluator could turn into data has to come back null.
+ *
+ * Usage:  node tools/json-repair-test.mjs     (from the repo root)
+ * Exit:   0 = all fixtures pass, 1 = failure (table printed)
+ *
+ * Run together with tools/load-check.mjs before every push that touches
+ * jsonRepair.js or the parser.
+ */
+import { parseLenientJSON, repairJSON, describeJSONRepairs } from '../src/utils/jsonRepair.js';
+
+// [label, input, expected value (compared as JSON), repair keys that must be reported]
+const MUST_PARSE = [
+    ['strict JSON (fast path, no repairs)', '{"a": 1, "b": [true, null]}', { a: 1, b: [true, null] }, []],
+    ['json code fence + prose', 'Here you go:\n```json\n{"time": "dusk"}\n```\nEnjoy.', { time: 'dusk' }, ['codeFences']],
+    ['thinking tag ahead of payload', '<think>{"not": "this"}</think>{"mood": "calm"}', { mood: 'calm' }, ['thinkingTags']],
+    ['single quotes with inner apostrophe', "{'name': 'Luna', 'thought': 'I don't trust him'}", { name: 'Luna', thought: "I don't trust him" }, ['singleQuotes']],
+    ['unquoted keys', '{name: "Luna", hp: 10}', { name: 'Luna', hp: 10 }, ['unquotedKeys']],
+    ['trailing commas', '{"a": [1, 2, ], "b": 3, }', { a: [1, 2], b: 3 }, ['trailingCommas']],
+    ['line + block comments', '{\n  // who is here\n  "a": 1, /* note */ "b": 2\n}', { a: 1, b: 2 }, ['comments']],
+    ['missing commas between members', '{"a": 1\n"b": 2}', { a: 1, b: 2 }, ['missingCommas']],
+    ['missing colon', '{"a" 1}', { a: 1 }, ['missingColons']],
+    ['smart quotes', '{“a”: “b”}', { a: 'b' }, ['smartQuotes']],
+    ['python literals', '{"a": True, "b": None, "c": False}', { a: true, b: null, c: false }, ['pythonLiterals']],
+    ['NaN / undefined become null', '{"a": NaN, "b": undefined}', { a: null, b: null }, ['nonFiniteNumbers']],
+    ['hex and leading-dot numbers', '{"a": 0x1F, "b": .5, "c": +3}', { a: 31, b: 0.5, c: 3 }, ['looseNumbers']],
+    ['raw newline inside a string', '{"a": "line one\nline two"}', { a: 'line one\nline two' }, ['controlChars']],
+    ['truncated tail (mid-array)', '{"characters": [{"name": "Luna"}, {"name": "Ka', { characters: [{ name: 'Luna' }, { name: 'Ka' }] }, ['truncatedTail']],
+    ['top-level array', '[1, 2, 3,]', [1, 2, 3], ['trailingCommas']],
+];
+
+// Inputs that look like code rather than data: the old fallback evaluated
+// these with `new Function`; the tolerant parser must refuse them.
+const MUST_REJECT = [
+    ['bare function call', 'alert(1)'],
+    ['string concatenation', '"dusk" + " falls"'],
+    ['empty string', ''],
+    ['plain prose', 'The tavern is quiet tonight.'],
+];
+
+let failures = 0;
+for (const [label, input, expected, expectedRepairs] of MUST_PARSE) {
+    const { data, repairs } = parseLenientJSON(input);
+    const missing = expectedRepairs.filter(key => !repairs.includes(key));
+    if (JSON.stringify(data) !== JSON.stringify(expected) || missing.length) {
+        failures++;
+        console.log(`FAIL (parse):   ${label}\n      got ${JSON.stringify(data)} | ${describeJSONRepairs(repairs) || 'no repairs'}`);
+    } else if (expectedRepairs.length === 0 && repairs.length) {
+        failures++;
+        console.log(`FAIL (parse):   ${label} reported repairs on valid JSON: ${describeJSONRepairs(repairs)}`);
+    } else {
+        console.log(`pass  parse:    ${label}`);
+    }
+}
+for (const [label, input] of MUST_REJECT) {
+    const got = parseLenientJSON(input).data;
+    if (got !== null) { failures++; console.log(`FAIL (reject):  ${label} -> ${JSON.stringify(got)}`); }
+    else console.log(`pass  reject:   ${label}`);
+}
+
+// ── Safety: keys are data, never prototype writes ──
+const polluted = repairJSON("{'__proto__': {'polluted': true}}");
+if (({}).polluted !== undefined || !Object.prototype.hasOwnProperty.call(polluted ?? {}, '__proto__')) {
+    failures++;
+    console.log('FAIL __proto__ key must stay an own property');
+}
+if (repairJSON(null) !== null) { failures++; console.log('FAIL repairJSON(null) must return null'); }
+console.log('safety checks done');
+
+if (failures) {
+    console.error(`\n${failures} fixture(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll JSON-repair fixtures pass');
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Fixture test for structured quests (src/systems/features/questLog.js).
+ *
+ * normalizeQuest reads every quest shape the model writes (bare titles,
+ * {title}, lock wrappers, the structured form) and syncQuestLog folds a
+ * committed reply's quests into the chat's quest log. The log must keep a
+ * quest's start and end message, end a dropped quest as completed, forget a
+ * quest that only existed in a swiped-away reply, and reopen a quest the
+ * model brings back.
+ *
+ * questLog.js imports SillyTavern's script.js; this script resolves that one
+ * import to an empty chat so the module can run under plain Node.
+ *
+ * Usage:  node tools/quest-log-test.mjs     (from the repo root)
+ * Exit:   0 = all fixtures pass, 1 = failure (table printed)
+ *
+ * Run together with tools/load-check.mjs before every push that touches
+ * questLog.js.
+ */
+import { register } from 'node:module';
+
+const STUB_HOOKS = `
+export async function resolve(specifier, context, next) {
+    if (specifier.endsWith('/script.js')) {
+        return { url: 'data:text/javascript,export const chat = [];', shortCircuit: true };
+    }
+    return next(specifier, context);
+}`;
+register(`data:text/javascript,${encodeURIComponent(STUB_HOOKS)}`);
+
+const { extensionSettings } = await import('../src/core/state.js');
+const { normalizeQuest, syncQuestLog, getQuestLog } = await import('../src/systems/features/questLog.js');
+
+// [label, raw quest entry, expected normalized quest (compared as JSON; null = skipped)]
+const NORMALIZE = [
+    ['bare title', '  Find the Sword ', { id: 'find-the-sword', title: 'Find the Sword', description: '', status: 'active', objectives: [] }],
+    ['lock-wrapped title', { value: 'Find the Sword', locked: true }, { id: 'find-the-sword', title: 'Find the Sword', description: '', status: 'active', objectives: [] }],
+    ['"None" placeholder', 'None', null],
+    ['empty object', {}, null],
+    ['array entry', ['Find the Sword'], null],
+    ['name instead of title', { name: 'Escort Mira' }, { id: 'escort-mira', title: 'Escort Mira', description: '', status: 'active', objectives: [] }],
+    ['description-only entry uses it as title', { description: 'Reach the tower' }, { id: 'reach-the-tower', title: 'Reach the tower', description: '', status: 'active', objectives: [] }],
+    ['status alias', { title: 'Heist', status: 'Done' }, { id: 'heist', title: 'Heist', description: '', status: 'completed', objectives: [] }],
+    ['unknown status is active', { title: 'Heist', status: 'pending' }, { id: 'heist', title: 'Heist', description: '', status: 'active', objectives: [] }],
+    ['id cleaned to a slug', { id: 'Main.Quest #1', title: 'Heist' }, { id: 'main-quest-1', title: 'Heist', description: '', status: 'active', objectives: [] }],
+    ['objectives in every shape', {
+        title: 'Heist',
+        description: 'Rob the vault',
+        objectives: ['Scout', { text: 'Bribe the guard', done: 'true' }, { title: 'Crack the safe', status: 'complete' }, { value: 'Escape' }, '', { done: true }]
+    }, {
+        id: 'heist',
+        title: 'Heist',
+        description: 'Rob the vault',
+        status: 'active',
+        objectives: [
+            { text: 'Scout', done: false },
+            { text: 'Bribe the guard', done: true },
+            { text: 'Crack the safe', done: true },
+            { text: 'Escape', done: false }
+        ]
+    }],
+];
+
+// [label, [[quests JSON, message index], ...], expected log as "id kind status startedAt-endedAt"]
+const FOLD = [
+    ['new quests start at their message', [
+        [{ main: 'Find the Sword', optional: ['Feed the cat'] }, 2]
+    ], ['find-the-sword main active 2-null', 'feed-the-cat optional active 2-null']],
+    ['status change ends a quest there', [
+        [{ main: 'Find the Sword' }, 2],
+        [{ main: { title: 'Find the Sword', status: 'failed' } }, 6]
+    ], ['find-the-sword main failed 2-6']],
+    ['ended quest keeps its first end', [
+        [{ main: 'Find the Sword' }, 2],
+        [{ main: { title: 'Find the Sword', status: 'failed' } }, 6],
+        [{ main: { title: 'Find the Sword', status: 'abandoned' } }, 8]
+    ], ['find-the-sword main abandoned 2-6']],
+    ['dropped quest is completed', [
+        [{ main: 'Find the Sword', optional: ['Feed the cat'] }, 2],
+        [{ main: 'Find the Sword' }, 4]
+    ], ['find-the-sword main active 2-null', 'feed-the-cat optional completed 2-4']],
+    ['quest from a replaced reply is forgotten', [
+        [{ main: 'Find the Sword', optional: ['Feed the cat'] }, 4],
+        [{ main: 'Find the Sword' }, 4]
+    ], ['find-the-sword main active 4-null']],
+    ['ended quest reopens', [
+        [{ main: 'Find the Sword' }, 2],
+        [{ main: { title: 'Find the Sword', status: 'completed' } }, 4],
+        [{ main: 'Find the Sword' }, 6]
+    ], ['find-the-sword main active 2-null']],
+    ['renamed id matched by title', [
+        [{ main: { id: 'sword', title: 'Find the Sword' } }, 2],
+        [{ main: { id: 'the-blade', title: 'find the sword' } }, 4]
+    ], ['sword main active 2-null']],
+    ['retitled quest keeps its record by id', [
+        [{ main: 'Find the Sword' }, 2],
+        [{ main: { title: 'Find the Sword', status: 'completed' } }, 4],
+        [{ main: { id: 'find-the-sword', title: 'Find the Shield' } }, 6]
+    ], ['find-the-sword main active 2-null']],
+    ['kind follows the latest data', [
+        [{ main: 'None', optional: ['Feed the cat'] }, 2],
+        [{ main: 'Feed the cat' }, 4]
+    ], ['feed-the-cat main active 2-null']],
+];
+
+let failures = 0;
+
+for (const [label, raw, expected] of NORMALIZE) {
+    const got = normalizeQuest(raw);
+    if (JSON.stringify(got) !== JSON.stringify(expected)) {
+        failures++;
+        console.log(`FAIL (normalize): ${label}\n      got ${JSON.stringify(got)}`);
+    } else {
+        console.log(`pass  normalize:  ${label}`);
+    }
+}
+for (const [label, steps, expected] of FOLD) {
+    extensionSettings.quests = { main: 'None', optional: [] };
+    for (const [data, messageIndex] of steps) syncQuestLog(data, messageIndex);
+    const got = getQuestLog().map(record => `${record.id} ${record.kind} ${record.status} ${record.startedAt}-${record.endedAt}`);
+    if (JSON.stringify(got) !== JSON.stringify(expected)) {
+        failures++;
+        console.log(`FAIL (fold):      ${label}\n      got ${JSON.stringify(got)}`);
+    } else {
+        console.log(`pass  fold:       ${label}`);
+    }
+}
+
+// ── Flat titles follow the log ──
+extensionSettings.quests = { main: 'None', optional: [] };
+syncQuestLog({ main: 'Find the Sword', optional: ['Feed the cat', { title: 'Old errand', status: 'failed' }] }, 2);
+if (extensionSettings.quests.main !== 'Find the Sword' || JSON.stringify(extensionSettings.quests.optional) !== '["Feed the cat"]') {
+    failures++;
+    console.log(`FAIL flat titles must list the active quests: ${JSON.stringify(extensionSettings.quests)}`);
+}
+console.log('title checks done');
+
+if (failures) {
+    console.error(`\n${failures} fixture(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll quest-log fixtures pass');
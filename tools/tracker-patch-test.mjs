@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Fixture test for tracker patch merging (src/systems/generation/trackerPatch.js).
+ *
+ * With Patch Mode on, every turn's tracker is the committed tracker plus the
+ * model's delta. The merge has to keep what the patch doesn't mention, merge
+ * nested objects key by key, replace arrays, remove on null, match
+ * characters case-insensitively — and drop a malformed patch whole instead
+ * of applying half of it.
+ *
+ * Usage:  node tools/tracker-patch-test.mjs     (from the repo root)
+ * Exit:   0 = all fixtures pass, 1 = failure (table printed)
+ *
+ * Run together with tools/load-check.mjs before every push that touches
+ * trackerPatch.js.
+ */
+import { updateCommittedTrackerData } from '../src/core/state.js';
+import { applyTrackerPatch, isTrackerPatch } from '../src/systems/generation/trackerPatch.js';
+
+const INFO_BOX = {
+    date: { value: 'Monday, March 3', locked: true },
+    weather: { emoji: '🌧️', forecast: 'Rain' },
+    location: 'Harbor',
+    recentEvents: ['Ship docked']
+};
+const CHARACTERS = [
+    { name: 'Luna', details: { mood: 'Calm', outfit: 'Cloak' }, thoughts: { content: 'Quiet.' } },
+    { name: 'Kael', details: { mood: 'Wary' } }
+];
+const QUESTS = { main: 'Find the map', optional: [] };
+
+// [label, patch, expected sections (parsed JSON; undefined = section unchanged)]
+const MUST_MERGE = [
+    ['empty patch keeps every section', {}, {}],
+    ['scalar field replaced, others kept', { infoBox: { location: 'Market' } },
+        { infoBox: { ...INFO_BOX, location: 'Market' } }],
+    ['nested object merges key by key', { infoBox: { weather: { forecast: 'Clear' } } },
+        { infoBox: { ...INFO_BOX, weather: { emoji: '🌧️', forecast: 'Clear' } } }],
+    ['array replaced, not appended', { infoBox: { recentEvents: ['Storm'] } },
+        { infoBox: { ...INFO_BOX, recentEvents: ['Storm'] } }],
+    ['null removes a field', { infoBox: { location: null } },
+        { infoBox: { date: INFO_BOX.date, weather: INFO_BOX.weather, recentEvents: INFO_BOX.recentEvents } }],
+    ['lock wrapper merges like any object', { infoBox: { date: { value: 'Tuesday, March 4' } } },
+        { infoBox: { ...INFO_BOX, date: { value: 'Tuesday, March 4', locked: true } } }],
+    ['character matched case-insensitively, committed name kept', { characters: [{ name: 'luna', details: { mood: 'Angry' } }] },
+        { characterThoughts: [{ ...CHARACTERS[0], details: { mood: 'Angry', outfit: 'Cloak' } }, CHARACTERS[1]] }],
+    ['new character appended', { characters: [{ name: 'Mira', details: { mood: 'Curious' } }] },
+        { characterThoughts: [...CHARACTERS, { name: 'Mira', details: { mood: 'Curious' } }] }],
+    ['removeCharacters drops a character', { removeCharacters: ['KAEL'] },
+        { characterThoughts: [CHARACTERS[0]] }],
+    ['removed then re-added starts fresh', { removeCharacters: ['Kael'], characters: [{ name: 'Kael', details: { mood: 'Calm' } }] },
+        { characterThoughts: [CHARACTERS[0], { name: 'Kael', details: { mood: 'Calm' } }] }],
+    ['quests replaced whole', { quests: { main: 'Sail north' } },
+        { quests: { main: 'Sail north' } }],
+];
+
+// Patches that must be rejected whole
+const MUST_THROW = [
+    ['patch is not an object', ['infoBox']],
+    ['infoBox is a string', { infoBox: 'Market' }],
+    ['quests is an array', { quests: ['Find the map'] }],
+    ['characters is an object', { characters: { name: 'Luna' } }],
+    ['character without a name', { characters: [{ details: { mood: 'Calm' } }] }],
+    ['character with a blank name', { characters: [{ name: '  ' }] }],
+    ['removeCharacters holds a non-name', { removeCharacters: [{ name: 'Kael' }] }],
+];
+
+function commit(sections) {
+    updateCommittedTrackerData({
+        infoBox: JSON.stringify(INFO_BOX),
+        characterThoughts: JSON.stringify(CHARACTERS),
+        quests: JSON.stringify(QUESTS),
+        ...sections
+    });
+}
+
+let failures = 0;
+
+for (const [label, patch, expected] of MUST_MERGE) {
+    commit();
+    let result;
+    try {
+        result = applyTrackerPatch(patch);
+    } catch (error) {
+        failures++;
+        console.log(`FAIL (merge):   ${label} threw ${error.message}`);
+        continue;
+    }
+    const want = {
+        quests: expected.quests ?? QUESTS,
+        infoBox: expected.infoBox ?? INFO_BOX,
+        characterThoughts: expected.characterThoughts ?? CHARACTERS
+    };
+    const got = Object.fromEntries(Object.entries(result).map(([key, json]) => [key, JSON.parse(json)]));
+    if (JSON.stringify(got) !== JSON.stringify(want)) {
+        failures++;
+        console.log(`FAIL (merge):   ${label}\n      got ${JSON.stringify(got)}`);
+    } else {
+        console.log(`pass  merge:    ${label}`);
+    }
+}
+for (const [label, patch] of MUST_THROW) {
+    commit();
+    try {
+        const got = applyTrackerPatch(patch);
+        failures++;
+        console.log(`FAIL (reject):  ${label} -> ${JSON.stringify(got)}`);
+    } catch {
+        console.log(`pass  reject:   ${label}`);
+    }
+}
+
+// ── Committed data shapes ──
+commit({ characterThoughts: JSON.stringify({ characters: CHARACTERS }) });
+const wrapped = JSON.parse(applyTrackerPatch({ removeCharacters: ['Luna'] }).characterThoughts);
+if (JSON.stringify(wrapped) !== JSON.stringify([CHARACTERS[1]])) {
+    failures++;
+    console.log(`FAIL {characters: [...]} committed shape must patch like a bare list: ${JSON.stringify(wrapped)}`);
+}
+commit({ infoBox: 'Date: Monday\nLocation: Harbor' });
+let textRejected = false;
+try { applyTrackerPatch({ infoBox: { location: 'Market' } }); } catch { textRejected = true; }
+if (!textRejected) { failures++; console.log('FAIL text-format committed info box must not be patched'); }
+commit({ infoBox: null });
+const fromNothing = JSON.parse(applyTrackerPatch({ infoBox: { location: 'Market' } }).infoBox);
+if (JSON.stringify(fromNothing) !== JSON.stringify({ location: 'Market' })) {
+    failures++;
+    console.log(`FAIL patch onto a missing info box must start from {}: ${JSON.stringify(fromNothing)}`);
+}
+if (!isTrackerPatch({ trackerPatch: {} }) || isTrackerPatch({ infoBox: {} }) || isTrackerPatch(['trackerPatch'])) {
+    failures++;
+    console.log('FAIL isTrackerPatch must only accept objects with a trackerPatch key');
+}
+console.log('shape checks done');
+
+if (failures) {
+    console.error(`\n${failures} fixture(s) failed`);
+    process.exit(1);
+}
+console.log('\nAll tracker-patch fixtures pass');